@@ -1,16 +1,34 @@
 /**
  * ScAIm Background Service Worker
  * Manages badge state, stores per-tab results, and coordinates with popup.
+ * Sends top-level navigations to blocklisted pages to an interstitial before
+ * they load, using DomainLists and ScaimFeeds, and keeps the record of sites
+ * visited before (ScaimSiteHistory), the user's suppression rules
+ * (ScaimSuppressions), imported phishing feeds (ScaimFeeds), custom brands
+ * (ScaimBrands) and protected passwords (ScaimProtectedPasswords) —
+ * all loaded ahead of this script, see manifest.json.
  */
 
 // Per-tab threat data
 const tabData = {};
 
-// Validate hostname before adding to lists
-function isValidHostname(h) {
-  return typeof h === "string" && h.length >= 4 && h.includes(".") &&
-    /^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/.test(h);
-}
+// Scan history: newest first, capped, repeated results for one URL collapsed
+const HISTORY_MAX_ENTRIES = 500;
+const HISTORY_DEDUPE_MS = 30 * 60 * 1000;
+const HISTORY_TOP_FINDINGS = 5;
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// History writes are chained so rapid reruns can't overwrite each other
+let historyWrite = Promise.resolve();
+
+// What each tab's page last put in the history: { [tabId]: { url, level } }.
+// Reruns of the page are recorded only if its level changes
+const historyRecorded = {};
+
+// Interstitial shown instead of a blocklisted page; "proceed anyway" lets the
+// site through for the rest of that tab's life (kept in session storage)
+const INTERSTITIAL_URL = chrome.runtime.getURL("blocked/blocked.html");
+const BLOCK_DECISIONS_MAX = 200;
 
 // Badge configuration for each level
 const BADGE_CONFIG = {
@@ -29,6 +47,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const tabId = sender.tab.id;
     tabData[tabId] = message.data;
     updateBadge(tabId, message.data.level);
+    recordHistory(sender.tab, message.data);
     sendResponse({ ok: true });
     return;
   }
@@ -55,6 +74,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "SCAIM_GET_TAB_ID") {
+    // Content scripts aren't told their tab; "this tab" trust needs it
+    sendResponse({ tabId: sender.tab ? sender.tab.id : null });
+    return;
+  }
+
+  if (message.type === "SCAIM_SITE_VISIT" && sender.tab && sender.url) {
+    // The sender's own URL, not one it names; private windows are never recorded
+    const hostname = senderHostname(sender);
+    if (!hostname) return;
+    ScaimSiteHistory.recordVisit(hostname, { record: !sender.tab.incognito })
+      .then(sendResponse, () => sendResponse(null));
+    return true;
+  }
+
+  if (message.type === "SCAIM_FEED_MATCH" && sender.tab && Array.isArray(message.urls)) {
+    // Only the background holds the feeds' filters; pages ask here
+    const urls = message.urls.slice(0, ScaimFeeds.MAX_LOOKUP).map(String);
+    ScaimFeeds.loadFilters().then(() => sendResponse({ matches: urls.map(url => ScaimFeeds.match(url)) }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_GET_BLOCK_INFO" && isInterstitial(sender)) {
+    getNavigationBlock(message.url, sender.tab.id).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "SCAIM_INTERSTITIAL_DECISION" && isInterstitial(sender)) {
+    // decision is "proceed" (user chose to continue) or "back"
+    const tabId = sender.tab.id;
+    let hostname;
+    try {
+      hostname = new URL(message.url).hostname.toLowerCase();
+    } catch (e) {
+      sendResponse({ ok: false });
+      return;
+    }
+    getNavigationBlock(message.url, tabId).then((block) => {
+      const bypass = message.decision === "proceed" ? addBlockBypass(tabId, hostname) : Promise.resolve();
+      bypass.then(() => {
+        recordBlockDecision(sender.tab, message.url, hostname, message.decision, block);
+        sendResponse({ ok: true });
+      });
+    });
+    return true;
+  }
+
   if (message.type === "SCAIM_GET_STATE") {
     chrome.storage.local.get("enabled", (result) => {
       sendResponse({ enabled: result.enabled !== false });
@@ -62,103 +128,345 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  // Domain list management from popup
+  // Domain list changes from the popup and banners. All of them are made
+  // here so they apply one at a time; every copy of DomainLists (each open
+  // tab, the lists page) follows storage, so all tabs re-check their page
+  // without being told to. "This tab" trust is for the sending tab, or for
+  // the tab the popup names.
   if (message.type === "SCAIM_ALLOWLIST_ADD") {
-    const h = (message.hostname || "").toLowerCase();
-    if (!isValidHostname(h)) { sendResponse({ ok: false }); return; }
-    chrome.storage.local.get("scaim_allowlist", (result) => {
-      const list = new Set(result.scaim_allowlist || []);
-      list.add(h);
-      // Remove from blocklist if present
-      chrome.storage.local.get("scaim_blocklist", (blockResult) => {
-        const blockList = new Set(blockResult.scaim_blocklist || []);
-        blockList.delete(h);
-        chrome.storage.local.set({
-          scaim_allowlist: [...list],
-          scaim_blocklist: [...blockList]
-        }, () => {
-          // Notify the active tab to re-run analysis
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-              chrome.tabs.sendMessage(tabs[0].id, { type: "SCAIM_RERUN" }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
-            }
-          });
-          sendResponse({ ok: true });
-        });
-      });
-    });
+    // From a web page, only the banner's trust buttons, clicked by the user,
+    // and only for the page's own site
+    if (!isExtensionPage(sender) && (message.userAction !== true || message.hostname !== senderHostname(sender))) {
+      sendResponse({ ok: false });
+      return;
+    }
+    // message.scope ("tab", "session", "1h", "24h") trusts the site
+    // temporarily; without it the site goes on the allowlist
+    const tabId = sender.tab ? sender.tab.id : (message.tabId ?? null);
+    const saved = message.scope
+      ? DomainLists.trustTemporarily(message.hostname || "", message.scope, tabId)
+      : DomainLists.addToAllowlist(message.hostname || "");
+    saved.then((ok) => sendResponse({ ok: !!ok }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_TRUST_REMOVE") {
+    const tabId = sender.tab ? sender.tab.id : (message.tabId ?? null);
+    DomainLists.removeTemporaryTrust(message.hostname || "", tabId).then(() => sendResponse({ ok: true }));
     return true;
   }
 
   if (message.type === "SCAIM_ALLOWLIST_REMOVE") {
-    chrome.storage.local.get("scaim_allowlist", (result) => {
-      const list = new Set(result.scaim_allowlist || []);
-      list.delete(message.hostname.toLowerCase());
-      chrome.storage.local.set({ scaim_allowlist: [...list] }, () => {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, { type: "SCAIM_RERUN" }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
-          }
-        });
-        sendResponse({ ok: true });
-      });
-    });
+    DomainLists.removeFromAllowlist(message.hostname || "").then(() => sendResponse({ ok: true }));
     return true;
   }
 
   if (message.type === "SCAIM_BLOCKLIST_ADD") {
-    const bh = (message.hostname || "").toLowerCase();
-    if (!isValidHostname(bh)) { sendResponse({ ok: false }); return; }
-    chrome.storage.local.get("scaim_blocklist", (result) => {
-      const list = new Set(result.scaim_blocklist || []);
-      list.add(bh);
-      // Remove from allowlist if present
-      chrome.storage.local.get("scaim_allowlist", (allowResult) => {
-        const allowList = new Set(allowResult.scaim_allowlist || []);
-        allowList.delete(bh);
-        chrome.storage.local.set({
-          scaim_blocklist: [...list],
-          scaim_allowlist: [...allowList]
-        }, () => {
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-              chrome.tabs.sendMessage(tabs[0].id, { type: "SCAIM_RERUN" }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
-            }
-          });
-          sendResponse({ ok: true });
-        });
-      });
-    });
+    // message.entry ({ pattern, category, note, expiresAt }) or a bare hostname
+    DomainLists.addToBlocklist(message.entry || message.hostname || "", message.replacing)
+      .then((entry) => sendResponse({ ok: !!entry }));
     return true;
   }
 
   if (message.type === "SCAIM_BLOCKLIST_REMOVE") {
-    chrome.storage.local.get("scaim_blocklist", (result) => {
-      const list = new Set(result.scaim_blocklist || []);
-      list.delete(message.hostname.toLowerCase());
-      chrome.storage.local.set({ scaim_blocklist: [...list] }, () => {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]) {
-            chrome.tabs.sendMessage(tabs[0].id, { type: "SCAIM_RERUN" }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
-          }
-        });
-        sendResponse({ ok: true });
-      });
+    DomainLists.removeFromBlocklist(message.pattern || message.hostname || "").then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // Suppression rules, saved here one change at a time
+  if (message.type === "SCAIM_SUPPRESSION_ADD" && message.finding && message.options) {
+    const domain = typeof message.options.domain === "string" ? message.options.domain.toLowerCase() : null;
+    // A web page's banner may only add rules for its own site or every site
+    if (!isExtensionPage(sender)) {
+      const hostname = senderHostname(sender);
+      if (!hostname || (domain && hostname !== domain && !hostname.endsWith("." + domain))) {
+        sendResponse({ rule: null });
+        return;
+      }
+    }
+    ScaimSuppressions.saveRule(message.finding, { ...message.options, domain })
+      .then((rule) => sendResponse({ rule }), () => sendResponse({ rule: null }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_SUPPRESSION_REMOVE" && isExtensionPage(sender)) {
+    ScaimSuppressions.deleteRule(message.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // Phishing feeds imported on the lists page, saved here one change at a time
+  if (message.type === "SCAIM_FEED_ADD" && isExtensionPage(sender) && message.feed && Array.isArray(message.feed.values)) {
+    ScaimFeeds.saveFeed(message.feed)
+      .then(({ feed, skipped }) => sendResponse({ feed, skipped }), (err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_FEED_REMOVE" && isExtensionPage(sender)) {
+    ScaimFeeds.deleteFeed(message.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  // Custom brands imported on the lists page, saved here one change at a time
+  if (message.type === "SCAIM_BRANDS_IMPORT" && isExtensionPage(sender) && Array.isArray(message.brands)) {
+    ScaimBrands.saveCustom({ source: message.source, brands: message.brands })
+      .then((count) => sendResponse({ ok: true, count }), () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_BRANDS_CLEAR" && isExtensionPage(sender)) {
+    ScaimBrands.deleteCustom().then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_LISTS_IMPORT" && isExtensionPage(sender)) {
+    // message.parsed is ScaimListFormats.parse() output from the lists page.
+    // It's checked and merged here, against the lists as they are when the
+    // change is made, so edits made meanwhile aren't lost.
+    DomainLists.replaceLists((current) => {
+      const report = ScaimListFormats.buildReport(message.parsed, current);
+      return ScaimListFormats.apply(report, message.parsed, current, !!message.replace);
+    }).then((lists) => sendResponse({ ok: true, lists }), () => sendResponse({ ok: false }));
+    return true;
+  }
+
+  // Protected passwords (see ScaimProtectedPasswords). Content scripts only
+  // ever learn which lengths to check and whether a typed value matched;
+  // the site is the sender's own, not one it names.
+  if (message.type === "SCAIM_PASSWORD_LENGTHS" && sender.tab && sender.url) {
+    const hostname = senderHostname(sender);
+    if (!hostname) return;
+    ScaimProtectedPasswords.lengthsFor(hostname).then((lengths) => sendResponse({ lengths }), () => sendResponse({ lengths: [] }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_PASSWORD_CHECK" && sender.tab && sender.url) {
+    const hostname = senderHostname(sender);
+    if (!hostname) return;
+    ScaimProtectedPasswords.check(hostname, message.password).then((match) => sendResponse({ match }), () => sendResponse({ match: null }));
+    return true;
+  }
+
+  // Protecting a password and managing them: the popup and the lists page
+  // only, never a web page's content script
+  if (message.type === "SCAIM_PASSWORD_PROTECT" && isExtensionPage(sender)) {
+    // Only for a site on the allowlist; the password belongs to its entry
+    DomainLists.init().then(() => {
+      const domain = DomainLists.allowlistEntryFor(message.hostname || "");
+      if (!domain) {
+        sendResponse({ ok: false, error: "Add this site to your trusted allowlist first." });
+        return;
+      }
+      ScaimProtectedPasswords.protect(domain, message.password)
+        .then((result) => sendResponse({ ...result, domain }), () => sendResponse({ ok: false, error: "The password couldn't be saved." }));
     });
     return true;
   }
 
-  if (message.type === "SCAIM_GET_LISTS") {
-    chrome.storage.local.get(["scaim_allowlist", "scaim_blocklist"], (result) => {
+  if (message.type === "SCAIM_PASSWORD_REMOVE" && isExtensionPage(sender)) {
+    ScaimProtectedPasswords.remove(message.id).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_PASSWORD_LIST" && isExtensionPage(sender)) {
+    ScaimProtectedPasswords.list().then((entries) => sendResponse({ entries }));
+    return true;
+  }
+
+  // Scan history page
+  if (message.type === "SCAIM_GET_HISTORY" && isExtensionPage(sender)) {
+    chrome.storage.local.get(["scaim_history", "historyEnabled", "historyExcludePrivate"], (result) => {
       sendResponse({
-        allowlist: (result.scaim_allowlist || []).sort(),
-        blocklist: (result.scaim_blocklist || []).sort()
+        entries: result.scaim_history || [],
+        enabled: result.historyEnabled !== false,
+        excludePrivate: result.historyExcludePrivate !== false
       });
     });
     return true;
   }
+
+  if (message.type === "SCAIM_CLEAR_HISTORY" && isExtensionPage(sender)) {
+    historyWrite = historyWrite.then(() => new Promise((resolve) => {
+      chrome.storage.local.remove(["scaim_history", "scaim_block_decisions"], () => {
+        ScaimSiteHistory.clear().then(() => {
+          sendResponse({ ok: true });
+          resolve();
+        });
+      });
+    }));
+    return true;
+  }
+
+  if (message.type === "SCAIM_GET_LISTS") {
+    DomainLists.init().then(() => sendResponse(DomainLists.getLists()));
+    return true;
+  }
 });
 
+// Append an assessment to the local scan history (respects the history settings)
+function recordHistory(tab, data) {
+  if (!data || !data.url || !/^https?:/.test(data.url)) return;
+  const url = historyUrl(data.url);
+  const last = historyRecorded[tab.id];
+  if (last && last.url === url && last.level === data.level) return;
+  historyRecorded[tab.id] = { url, level: data.level };
+
+  historyWrite = historyWrite.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(["scaim_history", "historyEnabled", "historyExcludePrivate"], (result) => {
+      if (result.historyEnabled === false ||
+          (tab.incognito && result.historyExcludePrivate !== false)) {
+        resolve();
+        return;
+      }
+
+      const now = Date.now();
+      const entry = {
+        timestamp: now,
+        hostname: data.hostname,
+        url,
+        level: data.level,
+        score: data.score,
+        findingCount: (data.findings || []).length,
+        findings: (data.findings || [])
+          .slice()
+          .sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 4) - (SEVERITY_ORDER[b.severity] ?? 4))
+          .slice(0, HISTORY_TOP_FINDINGS)
+          .map(f => ({ ruleId: f.ruleId, severity: f.severity, category: f.category, message: f.message }))
+      };
+
+      // Re-scans of the same page (DOM changes, profile switches) replace the earlier entry
+      const history = (result.scaim_history || []).filter(e =>
+        !(e.url === entry.url && now - e.timestamp < HISTORY_DEDUPE_MS)
+      );
+      history.unshift(entry);
+
+      chrome.storage.local.set({ scaim_history: history.slice(0, HISTORY_MAX_ENTRIES) }, resolve);
+    });
+  }));
+}
+
+// A page's address as kept in the history: without its query string and
+// fragment, which often carry sign-in tokens and email addresses
+function historyUrl(href) {
+  try {
+    const url = new URL(href);
+    return url.origin + url.pathname;
+  } catch (e) {
+    return "";
+  }
+}
+
+// ---- Pre-navigation interstitial ----
+
+// Check top-level navigations before any request is sent, so a known-bad
+// page never renders or runs its scripts
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.tabId < 0) return {};
+  return getNavigationBlock(details.url, details.tabId).then((block) => block
+    ? { redirectUrl: INTERSTITIAL_URL + "?url=" + encodeURIComponent(details.url) }
+    : {});
+}, { urls: ["http://*/*", "https://*/*"], types: ["main_frame"] }, ["blocking"]);
+
+/**
+ * Why a navigation should be stopped, or null to let it load. Follows the
+ * content script's order: a trusted host loads unless a path entry blocks the
+ * page; then the blocklist; then imported phishing feeds. A "proceed anyway"
+ * for the site in this tab lets it through.
+ * @returns {Promise<{ source: string, category: string, pattern?: string, note?: string, feed?: string }|null>}
+ */
+async function getNavigationBlock(url, tabId) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const { enabled } = await chrome.storage.local.get("enabled");
+  if (enabled === false) return null;
+
+  await DomainLists.init();
+  await ScaimFeeds.loadFilters();
+  const hostname = parsed.hostname.toLowerCase();
+  if (await hasBlockBypass(tabId, hostname)) return null;
+
+  const blockMatch = DomainLists.isBlocked(hostname, parsed.pathname);
+  const pathBlocked = !!(blockMatch && blockMatch.entry && DomainLists.parseBlockPattern(blockMatch.entry.pattern).path);
+  if (!pathBlocked && DomainLists.isAllowed(hostname, tabId)) return null;
+
+  if (blockMatch) {
+    const entry = blockMatch.entry;
+    return entry
+      ? { source: "user", category: blockMatch.category, pattern: entry.pattern, note: entry.note }
+      : { source: "builtin", category: blockMatch.category };
+  }
+  const feed = ScaimFeeds.match(url);
+  if (feed) {
+    return { source: "feed", category: "Known Phishing URL", feed: feed.name + (feed.version ? " " + feed.version : "") };
+  }
+  return null;
+}
+
+// Only the interstitial page, running in a tab, may ask for block details or record a decision
+function isInterstitial(sender) {
+  return !!sender.tab && typeof sender.url === "string" && sender.url.startsWith(INTERSTITIAL_URL);
+}
+
+// The extension's own pages (the popup, the lists page), as opposed to content scripts in web pages
+function isExtensionPage(sender) {
+  return typeof sender.url === "string" && sender.url.startsWith(chrome.runtime.getURL(""));
+}
+
+// The hostname of the page a content script runs in, or null
+function senderHostname(sender) {
+  try {
+    return new URL(sender.url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Sites the user chose to proceed to, per tab: { [tabId]: [hostname, ...] }
+async function hasBlockBypass(tabId, hostname) {
+  const { scaim_block_bypass: bypass = {} } = await chrome.storage.session.get("scaim_block_bypass");
+  return (bypass[tabId] || []).includes(hostname);
+}
+
+async function addBlockBypass(tabId, hostname) {
+  const { scaim_block_bypass: bypass = {} } = await chrome.storage.session.get("scaim_block_bypass");
+  bypass[tabId] = [...new Set([...(bypass[tabId] || []), hostname])];
+  await chrome.storage.session.set({ scaim_block_bypass: bypass });
+}
+
+async function removeBlockBypass(tabId) {
+  const { scaim_block_bypass: bypass = {} } = await chrome.storage.session.get("scaim_block_bypass");
+  if (!bypass[tabId]) return;
+  delete bypass[tabId];
+  await chrome.storage.session.set({ scaim_block_bypass: bypass });
+}
+
+// Keep a record of what the user did at the interstitial, under the same
+// settings (and the same "Clear history" button) as the scan history
+function recordBlockDecision(tab, url, hostname, decision, block) {
+  historyWrite = historyWrite.then(() => new Promise((resolve) => {
+    chrome.storage.local.get(["scaim_block_decisions", "historyEnabled", "historyExcludePrivate"], (result) => {
+      if (result.historyEnabled === false ||
+          (tab.incognito && result.historyExcludePrivate !== false)) {
+        resolve();
+        return;
+      }
+      const decisions = result.scaim_block_decisions || [];
+      decisions.unshift({
+        timestamp: Date.now(),
+        hostname,
+        url: historyUrl(url),
+        decision,
+        source: block ? block.source : null,
+        category: block ? block.category : null
+      });
+      chrome.storage.local.set({ scaim_block_decisions: decisions.slice(0, BLOCK_DECISIONS_MAX) }, resolve);
+    });
+  }));
+}
+
 // Update toolbar badge for a tab
 function updateBadge(tabId, level) {
   const config = BADGE_CONFIG[level] || BADGE_CONFIG.safe;
@@ -167,20 +475,36 @@ function updateBadge(tabId, level) {
   chrome.action.setBadgeBackgroundColor({ color: config.color, tabId });
 }
 
-// Clean up tab data when tabs are closed
+// Clean up tab data when tabs are closed. Temporary trust (see DomainLists)
+// ends with its tab or browser session, or at its expiry
 chrome.tabs.onRemoved.addListener((tabId) => {
   delete tabData[tabId];
+  delete historyRecorded[tabId];
+  DomainLists.pruneTemporaryTrust(entry => entry.tabId !== tabId);
+  removeBlockBypass(tabId);
+});
+
+// A new browser session: tab ids start over and session trust has ended
+chrome.runtime.onStartup.addListener(() => {
+  DomainLists.pruneTemporaryTrust(entry => entry.scope !== "tab" && entry.scope !== "session");
 });
 
 // Reset badge when navigating to a new page
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === "loading") {
     delete tabData[tabId];
+    delete historyRecorded[tabId];
     chrome.action.setBadgeText({ text: "", tabId });
   }
 });
 
-// Set default state on install
+// Set default state on install; on update, move a hostname-only blocklist to entries
 chrome.runtime.onInstalled.addListener(() => {
   chrome.storage.local.set({ enabled: true });
+  chrome.storage.local.get("scaim_blocklist", (result) => {
+    const list = result.scaim_blocklist || [];
+    if (list.some(value => typeof value === "string")) {
+      chrome.storage.local.set({ scaim_blocklist: list.map(value => DomainLists.toBlockEntry(value)).filter(Boolean) });
+    }
+  });
 });
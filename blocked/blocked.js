@@ -0,0 +1,83 @@
+/**
+ * ScAIm Blocked Page
+ * The interstitial the background script shows instead of a blocklisted page,
+ * before anything from it loads. The reason is looked up again by the
+ * background (never taken from this page's URL), and the user's choice — go
+ * back, or deliberately proceed — is recorded there.
+ */
+
+document.addEventListener("DOMContentLoaded", () => {
+  const urlEl = document.getElementById("scaim-blocked-url");
+  const reasonEl = document.getElementById("scaim-blocked-reason");
+  const noteEl = document.getElementById("scaim-blocked-note");
+  const backBtn = document.getElementById("scaim-go-back");
+  const confirmBox = document.getElementById("scaim-proceed-confirm");
+  const proceedBtn = document.getElementById("scaim-proceed");
+
+  let targetUrl = null;
+  try {
+    const parsed = new URL(new URLSearchParams(location.search).get("url") || "");
+    if (/^https?:$/.test(parsed.protocol)) targetUrl = parsed.href;
+  } catch (e) { /* no usable address — only "Go back" is offered */ }
+
+  urlEl.textContent = targetUrl || "(unknown address)";
+  confirmBox.disabled = !targetUrl;
+
+  if (targetUrl) {
+    chrome.runtime.sendMessage({ type: "SCAIM_GET_BLOCK_INFO", url: targetUrl }, (block) => {
+      if (chrome.runtime.lastError) return;
+      if (!block) {
+        // The lists changed since the redirect, or the page was opened directly
+        reasonEl.textContent = "This address is no longer blocked. You can continue to it.";
+        return;
+      }
+      reasonEl.textContent = describeBlock(block);
+      if (block.note) {
+        noteEl.textContent = "Your note: " + block.note;
+        noteEl.style.display = "block";
+      }
+    });
+  }
+
+  function describeBlock(block) {
+    if (block.source === "user") {
+      return `It matches "${block.pattern}" on your blocklist — category: ${block.category}.`;
+    }
+    if (block.source === "feed") {
+      return `It is listed in the "${block.feed}" phishing feed you imported.`;
+    }
+    return `It is on ScAIm's built-in blocklist — category: ${block.category}.`;
+  }
+
+  function recordDecision(decision, then) {
+    if (!targetUrl) {
+      then();
+      return;
+    }
+    chrome.runtime.sendMessage({ type: "SCAIM_INTERSTITIAL_DECISION", url: targetUrl, decision }, () => {
+      if (chrome.runtime.lastError) { /* ignore */ }
+      then();
+    });
+  }
+
+  backBtn.addEventListener("click", () => {
+    recordDecision("back", () => {
+      if (history.length > 1) {
+        history.back();
+      } else {
+        // Opened in a new tab — there's nothing to go back to
+        chrome.tabs.getCurrent((tab) => { if (tab) chrome.tabs.remove(tab.id); });
+      }
+    });
+  });
+
+  confirmBox.addEventListener("change", () => {
+    proceedBtn.disabled = !confirmBox.checked;
+  });
+
+  proceedBtn.addEventListener("click", () => {
+    if (!targetUrl || !confirmBox.checked) return;
+    proceedBtn.disabled = true;
+    recordDecision("proceed", () => location.replace(targetUrl));
+  });
+});
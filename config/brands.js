@@ -0,0 +1,252 @@
+/**
+ * ScAIm Brand Registry — brands scammers impersonate, with what makes them
+ * recognisable and where they really live:
+ *   key            — the name as it appears in domains ("bankofamerica"); lookalike
+ *                    domain checks compare against it
+ *   name           — display name
+ *   domains        — official registrable domains; the brand's pages on any of
+ *                    them (and their subdomains) are genuine
+ *   loginHosts     — where the brand's real sign-in page is
+ *   titleKeywords  — how pages name the brand ("bank of america")
+ *   commonWords    — titleKeywords that are also everyday words ("chase",
+ *                    "apple"); pages use them without meaning the brand
+ *   logoAliases    — words found in the file names and alt text of its logo
+ * Only domains the brand controls belong here; shared hosting and user
+ * content domains (googleusercontent.com, dropboxusercontent.com,
+ * amazonaws.com) must stay out, since anyone can publish on them.
+ * Users add their own brands (e.g. regional banks) from a JSON file on the
+ * site lists page; see ScaimBrands in shared/brands.js.
+ */
+const BrandRegistry = {
+  BRANDS: [
+    // Payments and banks
+    {
+      key: "paypal", name: "PayPal",
+      domains: ["paypal.com", "paypal.me", "paypalobjects.com", "paypal-community.com"],
+      loginHosts: ["www.paypal.com"],
+      titleKeywords: ["paypal"],
+      logoAliases: ["paypal", "pp-logo"]
+    },
+    {
+      key: "chase", name: "Chase",
+      domains: ["chase.com", "jpmorganchase.com", "jpmorgan.com"],
+      loginHosts: ["secure.chase.com", "www.chase.com"],
+      titleKeywords: ["chase"],
+      commonWords: ["chase"],
+      logoAliases: ["chase"]
+    },
+    {
+      key: "wellsfargo", name: "Wells Fargo",
+      domains: ["wellsfargo.com", "wf.com"],
+      loginHosts: ["connect.secure.wellsfargo.com"],
+      titleKeywords: ["wells fargo", "wellsfargo"],
+      logoAliases: ["wellsfargo", "wells-fargo", "wf-logo"]
+    },
+    {
+      key: "bankofamerica", name: "Bank of America",
+      domains: ["bankofamerica.com"],
+      loginHosts: ["secure.bankofamerica.com"],
+      titleKeywords: ["bank of america", "bankofamerica"],
+      logoAliases: ["bankofamerica", "bofa"]
+    },
+    {
+      key: "citibank", name: "Citi",
+      domains: ["citibank.com", "citi.com", "citibankonline.com"],
+      loginHosts: ["online.citi.com"],
+      titleKeywords: ["citibank", "citi"],
+      logoAliases: ["citibank", "citi-logo"]
+    },
+    {
+      key: "usbank", name: "U.S. Bank",
+      domains: ["usbank.com"],
+      loginHosts: ["onlinebanking.usbank.com"],
+      titleKeywords: ["u.s. bank", "us bank", "usbank"],
+      logoAliases: ["usbank"]
+    },
+    {
+      key: "capitalone", name: "Capital One",
+      domains: ["capitalone.com"],
+      loginHosts: ["verified.capitalone.com"],
+      titleKeywords: ["capital one", "capitalone"],
+      logoAliases: ["capitalone", "capital-one"]
+    },
+    {
+      key: "americanexpress", name: "American Express",
+      domains: ["americanexpress.com"],
+      loginHosts: ["www.americanexpress.com"],
+      titleKeywords: ["american express", "americanexpress", "amex"],
+      logoAliases: ["americanexpress", "amex"]
+    },
+
+    // Shopping
+    {
+      key: "amazon", name: "Amazon",
+      domains: [
+        "amazon.com", "amazon.ca", "amazon.com.mx", "amazon.com.br", "amazon.co.uk",
+        "amazon.de", "amazon.fr", "amazon.it", "amazon.es", "amazon.nl", "amazon.se",
+        "amazon.pl", "amazon.com.be", "amazon.com.tr", "amazon.ae", "amazon.sa",
+        "amazon.eg", "amazon.in", "amazon.co.jp", "amazon.sg", "amazon.com.au",
+        "media-amazon.com"
+      ],
+      loginHosts: ["www.amazon.com"],
+      titleKeywords: ["amazon"],
+      logoAliases: ["amazon", "amazon-logo"]
+    },
+    {
+      key: "ebay", name: "eBay",
+      domains: ["ebay.com", "ebay.ca", "ebay.co.uk", "ebay.de", "ebay.fr", "ebay.it", "ebay.es", "ebay.com.au", "ebaystatic.com"],
+      loginHosts: ["signin.ebay.com"],
+      titleKeywords: ["ebay"],
+      logoAliases: ["ebay"]
+    },
+    {
+      key: "walmart", name: "Walmart",
+      domains: ["walmart.com", "walmart.ca"],
+      loginHosts: ["www.walmart.com"],
+      titleKeywords: ["walmart"],
+      logoAliases: ["walmart"]
+    },
+    {
+      key: "target", name: "Target",
+      domains: ["target.com"],
+      loginHosts: ["www.target.com"],
+      titleKeywords: ["target"],
+      commonWords: ["target"],
+      logoAliases: ["target-logo", "bullseye"]
+    },
+    {
+      key: "costco", name: "Costco",
+      domains: ["costco.com", "costco.ca", "costco.co.uk"],
+      loginHosts: ["www.costco.com"],
+      titleKeywords: ["costco"],
+      logoAliases: ["costco"]
+    },
+    {
+      key: "bestbuy", name: "Best Buy",
+      domains: ["bestbuy.com", "bestbuy.ca"],
+      loginHosts: ["www.bestbuy.com"],
+      titleKeywords: ["best buy", "bestbuy"],
+      logoAliases: ["bestbuy", "best-buy"]
+    },
+
+    // Technology and accounts
+    {
+      key: "apple", name: "Apple",
+      domains: ["apple.com", "icloud.com", "apple.co", "mzstatic.com"],
+      loginHosts: ["appleid.apple.com", "idmsa.apple.com", "www.icloud.com"],
+      titleKeywords: ["apple id", "icloud", "apple"],
+      commonWords: ["apple"],
+      logoAliases: ["apple", "apple-logo", "icloud"]
+    },
+    {
+      key: "microsoft", name: "Microsoft",
+      domains: [
+        "microsoft.com", "microsoftonline.com", "live.com", "outlook.com", "office.com",
+        "office365.com", "windows.com", "msn.com", "bing.com", "xbox.com", "skype.com", "azure.com"
+      ],
+      loginHosts: ["login.microsoftonline.com", "login.live.com"],
+      titleKeywords: ["microsoft", "office 365", "microsoft 365", "outlook", "onedrive"],
+      logoAliases: ["microsoft", "ms-logo", "office365", "outlook"]
+    },
+    {
+      key: "google", name: "Google",
+      domains: [
+        "google.com", "google.ca", "google.co.uk", "google.de", "google.fr", "google.it",
+        "google.es", "google.nl", "google.com.br", "google.co.in", "google.co.jp", "google.com.au",
+        "gmail.com", "youtube.com", "gstatic.com", "chrome.com"
+      ],
+      loginHosts: ["accounts.google.com"],
+      titleKeywords: ["google", "gmail"],
+      logoAliases: ["google", "googlelogo", "gmail"]
+    },
+    {
+      key: "facebook", name: "Facebook",
+      domains: ["facebook.com", "fb.com", "fb.me", "messenger.com", "meta.com"],
+      loginHosts: ["www.facebook.com"],
+      titleKeywords: ["facebook"],
+      logoAliases: ["facebook", "fb-logo"]
+    },
+    {
+      key: "instagram", name: "Instagram",
+      domains: ["instagram.com"],
+      loginHosts: ["www.instagram.com"],
+      titleKeywords: ["instagram"],
+      logoAliases: ["instagram"]
+    },
+    {
+      key: "twitter", name: "X (Twitter)",
+      domains: ["twitter.com", "x.com", "t.co"],
+      loginHosts: ["x.com"],
+      titleKeywords: ["twitter"],
+      logoAliases: ["twitter"]
+    },
+    {
+      key: "linkedin", name: "LinkedIn",
+      domains: ["linkedin.com", "lnkd.in"],
+      loginHosts: ["www.linkedin.com"],
+      titleKeywords: ["linkedin"],
+      logoAliases: ["linkedin"]
+    },
+    {
+      key: "dropbox", name: "Dropbox",
+      domains: ["dropbox.com"],
+      loginHosts: ["www.dropbox.com"],
+      titleKeywords: ["dropbox"],
+      logoAliases: ["dropbox"]
+    },
+    {
+      key: "adobe", name: "Adobe",
+      domains: ["adobe.com"],
+      loginHosts: ["account.adobe.com"],
+      titleKeywords: ["adobe", "acrobat"],
+      logoAliases: ["adobe", "acrobat"]
+    },
+
+    // Streaming
+    {
+      key: "netflix", name: "Netflix",
+      domains: ["netflix.com", "nflxext.com", "nflximg.net"],
+      loginHosts: ["www.netflix.com"],
+      titleKeywords: ["netflix"],
+      logoAliases: ["netflix"]
+    },
+    {
+      key: "spotify", name: "Spotify",
+      domains: ["spotify.com"],
+      loginHosts: ["accounts.spotify.com"],
+      titleKeywords: ["spotify"],
+      logoAliases: ["spotify"]
+    },
+
+    // Parcel delivery
+    {
+      key: "ups", name: "UPS",
+      domains: ["ups.com"],
+      loginHosts: ["www.ups.com"],
+      titleKeywords: ["ups"],
+      commonWords: ["ups"],
+      logoAliases: ["ups-logo"]
+    },
+    {
+      key: "fedex", name: "FedEx",
+      domains: ["fedex.com"],
+      loginHosts: ["www.fedex.com"],
+      titleKeywords: ["fedex"],
+      logoAliases: ["fedex"]
+    },
+    {
+      key: "usps", name: "USPS",
+      domains: ["usps.com"],
+      loginHosts: ["reg.usps.com"],
+      titleKeywords: ["usps", "postal service"],
+      logoAliases: ["usps"]
+    },
+    {
+      key: "dhl", name: "DHL",
+      domains: ["dhl.com", "dhl.de"],
+      loginHosts: ["www.dhl.com"],
+      titleKeywords: ["dhl"],
+      logoAliases: ["dhl"]
+    }
+  ]
+};
@@ -0,0 +1,38 @@
+/**
+ * ScAIm confusable characters — letters from other scripts that look like
+ * a–z in a browser's address bar. A hand-picked subset of Unicode's
+ * confusables.txt (UTS #39, https://www.unicode.org/Public/security/latest/confusables.txt):
+ * only lowercase characters that are valid in domain names, mapped to the
+ * ASCII letter they imitate. Accented letters aren't listed; ScaimIDN.skeleton()
+ * strips accents before looking characters up here. To extend, add the
+ * character with its ASCII target and check that it survives IDNA
+ * (new URL("http://x" + char + ".com") must not throw or change it).
+ * Used by shared/idn.js.
+ */
+const ConfusableCharacters = {
+  source: "https://www.unicode.org/Public/security/latest/confusables.txt",
+
+  map: {
+    // Cyrillic
+    "а": "a", "с": "c", "ԁ": "d", "е": "e", "ҽ": "e",
+    "һ": "h", "і": "i", "ј": "j", "ӏ": "l", "о": "o",
+    "р": "p", "ԛ": "q", "г": "r", "ѕ": "s", "ѵ": "v",
+    "ԝ": "w", "х": "x", "у": "y", "ү": "y",
+    // Greek
+    "α": "a", "ι": "i", "ϳ": "j", "ο": "o", "σ": "o",
+    "ρ": "p", "ν": "v", "χ": "x", "γ": "y",
+    // Armenian
+    "ց": "g", "հ": "h", "ո": "n", "ռ": "n", "օ": "o",
+    "զ": "q", "ս": "u",
+    // Latin letters outside a–z
+    "ɑ": "a", "ᴄ": "c", "ɡ": "g", "ı": "i", "ɩ": "i",
+    "ȷ": "j", "ǀ": "l", "ƽ": "s", "ᴜ": "u", "ᴢ": "z",
+    // Lao digit zero
+    "໐": "o"
+  },
+
+  // Look-alike ASCII sequences, applied after the map (as in PhishingDetector.HOMOGLYPHS)
+  sequences: [
+    ["rn", "m"], ["vv", "w"], ["cl", "d"], ["0", "o"], ["1", "l"]
+  ]
+};
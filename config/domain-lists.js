@@ -2,18 +2,67 @@
  * ScAIm Domain Lists — Pre-shipped blocklist + user-managed allow/block lists.
  * Provides fast domain lookup for the analyzer to skip trusted sites
  * or auto-flag known-bad domains.
+ *
+ * User blocklist entries are stored as
+ *   { pattern, category, note, expiresAt, createdAt }
+ * where pattern is one of
+ *   "scam.example"                  — exactly this host
+ *   "*.scam.example"                — the host and all its subdomains
+ *   "legit.example/login/"          — only URLs under this path on the host
+ *   "*.legit.example/promo/"        — both
+ * Older versions stored bare hostnames; those are read as exact-host entries.
+ *
+ * Temporary trust ("scaim_temp_trust") lets a site past the warnings without
+ * allowlisting it for good. Entries are
+ *   { hostname, scope, tabId, expiresAt, createdAt }
+ * where scope is "tab" (until the tab closes), "session" (until the browser
+ * restarts), or "1h"/"24h" (until expiresAt). The background script removes
+ * tab and session entries when those end; expired entries are ignored here.
+ *
+ * The same module backs the background script, content scripts and the site
+ * lists page. Each copy keeps its lists in memory and follows
+ * chrome.storage.onChanged, so an edit reaches every open tab at once (see
+ * onChange()). Edits are made by the background, one at a time (see _update()).
  */
 const DomainLists = {
   // User lists are loaded from chrome.storage.local on init
   _userAllowlist: new Set(),
-  _userBlocklist: new Set(),
+  _userBlocklist: new Map(), // pattern → entry
+  _parsedPatterns: new Map(), // pattern → parseBlockPattern() result
+  _temporaryTrust: new Map(), // _trustKey() → temporary trust entry
   _loaded: false,
+  _listening: false,
+  _listeners: [],
+  _updates: Promise.resolve(), // Queue of pending _update() calls
+
+  STORAGE_KEYS: ["scaim_allowlist", "scaim_blocklist", "scaim_temp_trust"],
+
+  // The tab this content script runs in, for "this tab" trust (set by the analyzer)
+  tabId: null,
+
+  TRUST_SCOPES: {
+    tab: { label: "For this tab" },
+    session: { label: "For this browser session" },
+    "1h": { label: "For 1 hour", duration: 60 * 60 * 1000 },
+    "24h": { label: "For 24 hours", duration: 24 * 60 * 60 * 1000 }
+  },
+
+  // Built-in blocklist lookups: the compiled matcher and a per-hostname memo
+  // (the social media scanner checks every link on an endlessly scrolling feed)
+  _builtinMatcher: null,
+  _builtinMemo: new Map(), // hostname → BUILTIN_BLOCKLIST index, or -1
+  BUILTIN_MEMO_LIMIT: 2000,
+
+  // Shown for user entries saved without a category
+  DEFAULT_BLOCK_CATEGORY: "User Blocklist",
+  NOTE_MAX_LENGTH: 500,
 
   /**
    * Pre-shipped blocklist of known scam domain patterns.
    * Each entry has a pattern (string or regex) and a category.
    * String patterns match as substrings of the hostname.
    * Regex patterns are tested against the full hostname.
+   * When several entries match, the first one listed wins.
    */
   BUILTIN_BLOCKLIST: [
     // Tech support scams
@@ -107,16 +156,24 @@ const DomainLists = {
 
     return new Promise((resolve) => {
       try {
-        chrome.storage.local.get(["scaim_allowlist", "scaim_blocklist"], (result) => {
-          if (result.scaim_allowlist) {
-            this._userAllowlist = new Set(result.scaim_allowlist);
-          }
-          if (result.scaim_blocklist) {
-            this._userBlocklist = new Set(result.scaim_blocklist);
-          }
+        chrome.storage.local.get(this.STORAGE_KEYS, (result) => {
+          this._userAllowlist = new Set(result.scaim_allowlist || []);
+          this._userBlocklist = new Map();
+          (result.scaim_blocklist || []).forEach(value => {
+            const entry = this.toBlockEntry(value);
+            if (entry) this._userBlocklist.set(entry.pattern, entry);
+          });
+          this._temporaryTrust = new Map((result.scaim_temp_trust || []).map(entry => [this._trustKey(entry.hostname, entry.tabId), entry]));
           this._loaded = true;
           resolve();
         });
+        if (!this._listening) {
+          this._listening = true;
+          chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== "local" || !this.STORAGE_KEYS.some(key => changes[key])) return;
+            this.reload().then(() => this._listeners.forEach(callback => callback()));
+          });
+        }
       } catch (e) {
         // Extension context may be invalidated
         this._loaded = true;
@@ -125,124 +182,451 @@ const DomainLists = {
     });
   },
 
-  // Shared hosting domains where parent-domain allowlisting should be blocked.
+  /**
+   * Re-read the user lists from storage (e.g., after another page edited them).
+   * @returns {Promise}
+   */
+  async reload() {
+    this._loaded = false;
+    return this.init();
+  },
+
+  /**
+   * Call a function whenever the user lists or temporary trust change —
+   * from this page or any other tab, the popup, the lists page or the
+   * background — once the new lists have been loaded.
+   * @param {Function} callback
+   */
+  onChange(callback) {
+    this._listeners.push(callback);
+  },
+
+  // Shared hosting domains the Public Suffix List doesn't mark as suffixes
+  // (github.io, blogspot.com and most others are in its private section).
   // Allowlisting these would skip scanning ALL sites on the platform.
   SHARED_HOSTING: new Set([
-    "github.io", "gitlab.io", "netlify.app", "netlify.com", "vercel.app",
-    "pages.dev", "herokuapp.com", "fly.dev", "railway.app", "render.com",
-    "surge.sh", "firebaseapp.com", "web.app", "azurewebsites.net",
-    "cloudfront.net", "amazonaws.com", "blogspot.com", "wordpress.com",
-    "wixsite.com", "squarespace.com", "webflow.io", "carrd.co",
-    "replit.dev", "glitch.me", "codepen.io"
+    "netlify.com", "railway.app", "render.com", "surge.sh", "amazonaws.com",
+    "wordpress.com", "squarespace.com", "webflow.io", "replit.dev", "codepen.io"
   ]),
 
   /**
-   * Check if a hostname is on the user's allowlist.
-   * Skips parent-domain matching for shared hosting platforms.
+   * Is this a public suffix (e.g., "co.uk", "github.io") or a shared hosting
+   * root? Listing one would cover every unrelated site registered under it.
    * @param {string} hostname
    * @returns {boolean}
    */
-  isAllowed(hostname) {
+  isSharedRoot(hostname) {
+    hostname = hostname.toLowerCase();
+    return PublicSuffix.isPublicSuffix(hostname) || this.SHARED_HOSTING.has(hostname);
+  },
+
+  /**
+   * Check if a hostname is on the user's allowlist or temporarily trusted.
+   * A listed domain also covers its subdomains, but matching never climbs
+   * past the registrable domain (eTLD+1) or a shared hosting root.
+   * @param {string} hostname
+   * @param {number|null} [tabId] - Tab for "this tab" trust (the background script
+   *   checks navigations in every tab)
+   * @returns {boolean}
+   */
+  isAllowed(hostname, tabId = this.tabId) {
+    return !!this.allowlistEntryFor(hostname) || !!this.getTemporaryTrust(hostname, tabId);
+  },
+
+  /**
+   * The allowlist entry covering a hostname (temporary trust doesn't count).
+   * @param {string} hostname
+   * @returns {string|null}
+   */
+  allowlistEntryFor(hostname) {
+    return this._trustableHosts(hostname).find(host => this._userAllowlist.has(host)) || null;
+  },
+
+  /**
+   * The temporary trust entry covering a hostname, if one is still in effect.
+   * @param {string} hostname
+   * @param {number|null} [tabId]
+   * @param {number} [now]
+   * @returns {Object|null}
+   */
+  getTemporaryTrust(hostname, tabId = this.tabId, now = Date.now()) {
+    for (const host of this._trustableHosts(hostname)) {
+      for (const key of [this._trustKey(host, tabId), this._trustKey(host, null)]) {
+        const entry = this._temporaryTrust.get(key);
+        if (entry && (!entry.expiresAt || entry.expiresAt > now)) return entry;
+      }
+    }
+    return null;
+  },
+
+  // "This tab" entries are kept per tab, so two tabs can trust the same site separately
+  _trustKey(hostname, tabId) {
+    return tabId === null || tabId === undefined ? hostname : `${hostname}#${tabId}`;
+  },
+
+  /**
+   * The hostname and the parents whose trust would cover it (e.g.,
+   * "example.co.uk" covers "sub.example.co.uk"), stopping at the registrable
+   * domain so "co.uk" or "github.io" can't allow other sites.
+   * @param {string} hostname
+   * @returns {string[]}
+   */
+  _trustableHosts(hostname) {
     hostname = hostname.toLowerCase();
-    // Check exact match
-    if (this._userAllowlist.has(hostname)) return true;
-    // Check if a parent domain is allowed (e.g., "example.com" allows "sub.example.com")
-    // but NOT for shared hosting domains (e.g., "github.io" must not allow all GitHub Pages)
+    const hosts = [hostname];
+    const registrable = PublicSuffix.getDomain(hostname);
+    if (!registrable) return hosts;
     const parts = hostname.split(".");
-    for (let i = 1; i < parts.length - 1; i++) {
+    const lastParent = parts.length - registrable.split(".").length;
+    for (let i = 1; i <= lastParent; i++) {
       const parent = parts.slice(i).join(".");
-      if (this.SHARED_HOSTING.has(parent)) return false;
-      if (this._userAllowlist.has(parent)) return true;
+      if (this.SHARED_HOSTING.has(parent)) break;
+      hosts.push(parent);
+    }
+    return hosts;
+  },
+
+  /**
+   * Parse a user blocklist pattern ("host", "*.host", "host/path/", "*.host/path/").
+   * A pasted URL is accepted too; its scheme, query and fragment are dropped.
+   * @param {string} pattern
+   * @returns {{ pattern: string, host: string, subdomains: boolean, path: string } | { error: string, sharedRoot?: boolean }}
+   *   pattern is the canonical form used as the entry's key; path is "" for whole-host entries.
+   *   sharedRoot marks a valid domain refused because it would cover unrelated sites.
+   */
+  parseBlockPattern(pattern) {
+    let value = String(pattern || "").trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+      .replace(/[?#].*$/, "");
+    const slash = value.indexOf("/");
+    let path = slash === -1 ? "" : value.slice(slash);
+    let host = slash === -1 ? value : value.slice(0, slash);
+    if (path === "/") path = "";
+
+    const subdomains = host.startsWith("*.");
+    if (subdomains) host = host.slice(2);
+    host = host.replace(/\.$/, "");
+
+    if (!this._isValidHostname(host)) {
+      return { error: `"${host || pattern}" is not a valid domain` };
+    }
+    // "*.github.io" or a bare "co.uk" would cover every site registered under it
+    if (this.isSharedRoot(host) && (subdomains || !path)) {
+      return {
+        error: `${host} is a public suffix or shared hosting platform — block a specific site or path on it instead`,
+        sharedRoot: true
+      };
+    }
+    return { pattern: (subdomains ? "*." : "") + host + path, host, subdomains, path };
+  },
+
+  /**
+   * Normalize a stored or imported blocklist entry. Bare hostname strings
+   * (the pre-entry format) become exact-host entries without a category.
+   * @param {string|Object} value
+   * @returns {{ pattern: string, category: string, note: string, expiresAt: number|null, createdAt: number|null } | null}
+   *   null if the pattern is invalid
+   */
+  toBlockEntry(value) {
+    const source = typeof value === "string" ? { pattern: value } : (value || {});
+    const parsed = this.parseBlockPattern(source.pattern);
+    if (parsed.error) return null;
+
+    const expiresAt = Number(source.expiresAt);
+    const createdAt = Number(source.createdAt);
+    return {
+      pattern: parsed.pattern,
+      category: String(source.category || "").trim().slice(0, 60),
+      note: String(source.note || "").trim().slice(0, this.NOTE_MAX_LENGTH),
+      expiresAt: Number.isFinite(expiresAt) && expiresAt > 0 ? expiresAt : null,
+      createdAt: Number.isFinite(createdAt) && createdAt > 0 ? createdAt : null
+    };
+  },
+
+  /**
+   * Has a blocklist entry's expiry date passed? Expired entries stay in the
+   * list (so they can be renewed) but no longer match.
+   * @param {Object} entry
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isExpired(entry, now = Date.now()) {
+    return !!entry.expiresAt && entry.expiresAt <= now;
+  },
+
+  /**
+   * Does a user blocklist entry cover this URL? A path entry covers the path
+   * and everything under it: "/login" covers "/login/reset" but not "/loginhelp".
+   * @param {Object} entry
+   * @param {string} hostname - Lowercase hostname
+   * @param {string} path - Lowercase URL path
+   * @returns {boolean}
+   */
+  _matchesBlockEntry(entry, hostname, path) {
+    let parsed = this._parsedPatterns.get(entry.pattern);
+    if (!parsed) {
+      parsed = this.parseBlockPattern(entry.pattern);
+      this._parsedPatterns.set(entry.pattern, parsed);
     }
-    return false;
+    if (parsed.error) return false;
+    const hostMatches = hostname === parsed.host ||
+      (parsed.subdomains && hostname.endsWith("." + parsed.host));
+    return hostMatches && (!parsed.path || this._coversPath(parsed.path, path));
+  },
+
+  /**
+   * Is a path the prefix itself or under it, segment by segment?
+   * @param {string} prefix - Entry path, e.g. "/login" or "/login/"
+   * @param {string} path - Lowercase URL path
+   * @returns {boolean}
+   */
+  _coversPath(prefix, path) {
+    return path === prefix || path.startsWith(prefix.endsWith("/") ? prefix : prefix + "/");
   },
 
   /**
-   * Check if a hostname is on any blocklist (built-in or user).
+   * Check if a URL is on any blocklist (built-in or user).
    * Returns the match info or null.
    * @param {string} hostname
-   * @returns {{ source: string, category: string } | null}
+   * @param {string} [path] - URL path, for user entries limited to a path
+   * @returns {{ source: string, category: string, entry?: Object } | null}
+   *   entry is the matching user blocklist entry
    */
-  isBlocked(hostname) {
+  isBlocked(hostname, path = "/") {
     hostname = hostname.toLowerCase();
+    path = path.toLowerCase();
 
-    // Check user blocklist first (exact match)
-    if (this._userBlocklist.has(hostname)) {
-      return { source: "user", category: "User Blocklist" };
+    // Check user blocklist first
+    const now = Date.now();
+    for (const entry of this._userBlocklist.values()) {
+      if (!this.isExpired(entry, now) && this._matchesBlockEntry(entry, hostname, path)) {
+        return { source: "user", category: entry.category || this.DEFAULT_BLOCK_CATEGORY, entry };
+      }
     }
 
     // Check built-in blocklist
-    for (const entry of this.BUILTIN_BLOCKLIST) {
-      if (entry.pattern instanceof RegExp) {
-        if (entry.pattern.test(hostname)) {
-          return { source: "builtin", category: entry.category };
-        }
-      } else {
-        if (hostname.includes(entry.pattern)) {
-          return { source: "builtin", category: entry.category };
-        }
-      }
+    const index = this._matchBuiltin(hostname);
+    if (index !== -1) {
+      return { source: "builtin", category: this.BUILTIN_BLOCKLIST[index].category };
     }
 
     return null;
   },
 
+  /**
+   * Find the first built-in blocklist entry matching a hostname.
+   * String patterns are compiled once into an Aho–Corasick automaton, so a
+   * lookup costs the same however long the list grows; regex patterns are
+   * tested only if they come before the best string match.
+   * @param {string} hostname - Lowercase hostname
+   * @returns {number} Index into BUILTIN_BLOCKLIST, or -1
+   */
+  _matchBuiltin(hostname) {
+    if (this._builtinMemo.has(hostname)) return this._builtinMemo.get(hostname);
+
+    if (!this._builtinMatcher) {
+      const strings = []; // automaton pattern index → BUILTIN_BLOCKLIST index
+      const regexes = [];
+      this.BUILTIN_BLOCKLIST.forEach((entry, i) => {
+        (entry.pattern instanceof RegExp ? regexes : strings).push(i);
+      });
+      this._builtinMatcher = {
+        automaton: ScaimAhoCorasick.compile(strings.map(i => this.BUILTIN_BLOCKLIST[i].pattern)),
+        strings,
+        regexes
+      };
+    }
+
+    const { automaton, strings, regexes } = this._builtinMatcher;
+    const hits = ScaimAhoCorasick.search(automaton, hostname);
+    let index = hits.length > 0 ? strings[hits[0]] : -1;
+    for (const i of regexes) {
+      if (index !== -1 && i > index) break;
+      if (this.BUILTIN_BLOCKLIST[i].pattern.test(hostname)) {
+        index = i;
+        break;
+      }
+    }
+
+    if (this._builtinMemo.size >= this.BUILTIN_MEMO_LIMIT) this._builtinMemo.clear();
+    this._builtinMemo.set(hostname, index);
+    return index;
+  },
+
   /**
    * Add a domain to the user allowlist.
    * @param {string} hostname
+   * @returns {Promise<boolean>} false if the domain can't be allowlisted
    */
   async addToAllowlist(hostname) {
     hostname = hostname.toLowerCase();
-    if (!this._isValidHostname(hostname)) return;
-    // Refuse to allowlist shared hosting roots (e.g., github.io)
-    if (this.SHARED_HOSTING.has(hostname)) return;
-    this._userAllowlist.add(hostname);
-    // Remove from blocklist if present
-    this._userBlocklist.delete(hostname);
-    await this._persist();
+    if (!this._isValidHostname(hostname)) return false;
+    // Refuse to allowlist public suffixes and shared hosting roots (e.g., co.uk, github.io)
+    if (this.isSharedRoot(hostname)) return false;
+    return this._update(() => {
+      this._userAllowlist.add(hostname);
+      // Remove from blocklist if present
+      this._userBlocklist.delete(hostname);
+      // Permanent trust supersedes temporary trust
+      this._temporaryTrust.forEach((entry, key) => {
+        if (entry.hostname === hostname) this._temporaryTrust.delete(key);
+      });
+      return true;
+    });
   },
 
   /**
-   * Remove a domain from the user allowlist.
+   * Trust a domain for a limited time without adding it to the allowlist.
+   * Unlike allowlisting, it leaves blocklist entries in place for when the trust ends.
    * @param {string} hostname
+   * @param {string} scope - A TRUST_SCOPES key
+   * @param {number|null} [tabId] - The tab, for "tab" scope
+   * @returns {Promise<Object|null>} The entry, or null if the domain can't be trusted
    */
-  async removeFromAllowlist(hostname) {
+  async trustTemporarily(hostname, scope, tabId = this.tabId) {
     hostname = hostname.toLowerCase();
-    this._userAllowlist.delete(hostname);
-    await this._persist();
+    const config = this.TRUST_SCOPES[scope];
+    if (!config || !this._isValidHostname(hostname) || this.isSharedRoot(hostname)) return null;
+    if (scope === "tab" && tabId === null) return null;
+
+    return this._update(() => {
+      const now = Date.now();
+      const entry = {
+        hostname,
+        scope,
+        tabId: scope === "tab" ? tabId : null,
+        expiresAt: config.duration ? now + config.duration : null,
+        createdAt: now
+      };
+      // The latest choice replaces any earlier one for this site (in this tab)
+      this._forgetTemporaryTrust(hostname, tabId);
+      this._temporaryTrust.set(this._trustKey(hostname, entry.tabId), entry);
+      return entry;
+    });
   },
 
   /**
-   * Add a domain to the user blocklist.
+   * End temporary trust for a domain early (its session/timed trust, and
+   * its trust for the tab).
    * @param {string} hostname
+   * @param {number|null} [tabId]
    */
-  async addToBlocklist(hostname) {
-    hostname = hostname.toLowerCase();
-    if (!this._isValidHostname(hostname)) return;
-    this._userBlocklist.add(hostname);
-    // Remove from allowlist if present
-    this._userAllowlist.delete(hostname);
-    await this._persist();
+  async removeTemporaryTrust(hostname, tabId = this.tabId) {
+    return this._update(() => {
+      this._forgetTemporaryTrust(hostname.toLowerCase(), tabId);
+    });
+  },
+
+  _forgetTemporaryTrust(hostname, tabId) {
+    this._temporaryTrust.delete(this._trustKey(hostname, null));
+    if (tabId !== null) this._temporaryTrust.delete(this._trustKey(hostname, tabId));
+  },
+
+  /**
+   * Drop temporary trust that has expired or that keep() rejects (the
+   * background calls this when a tab closes or a new browser session starts).
+   * @param {Function} keep - entry → boolean
+   */
+  async pruneTemporaryTrust(keep) {
+    await this.init();
+    const now = Date.now();
+    const stale = entry => (entry.expiresAt && entry.expiresAt <= now) || !keep(entry);
+    if (![...this._temporaryTrust.values()].some(stale)) return;
+    return this._update(() => {
+      this._temporaryTrust.forEach((entry, key) => {
+        if (stale(entry)) this._temporaryTrust.delete(key);
+      });
+    });
   },
 
   /**
-   * Remove a domain from the user blocklist.
+   * Remove a domain from the user allowlist.
    * @param {string} hostname
    */
-  async removeFromBlocklist(hostname) {
-    hostname = hostname.toLowerCase();
-    this._userBlocklist.delete(hostname);
-    await this._persist();
+  async removeFromAllowlist(hostname) {
+    return this._update(() => {
+      this._userAllowlist.delete(hostname.toLowerCase());
+    });
+  },
+
+  /**
+   * Add an entry to the user blocklist, or update the entry with the same pattern.
+   * @param {string|Object} value - A hostname/pattern, or an entry
+   *   ({ pattern, category?, note?, expiresAt? })
+   * @param {string} [replacing] - Pattern of an entry this one replaces (when editing)
+   * @returns {Promise<Object|null>} The saved entry, or null if the pattern is invalid
+   */
+  async addToBlocklist(value, replacing) {
+    const entry = this.toBlockEntry(value);
+    if (!entry) return null;
+
+    return this._update(() => {
+      const previous = this._userBlocklist.get(replacing) || this._userBlocklist.get(entry.pattern);
+      entry.createdAt = (previous && previous.createdAt) || entry.createdAt || Date.now();
+      if (replacing) this._userBlocklist.delete(replacing);
+      this._userBlocklist.set(entry.pattern, entry);
+
+      // A whole-host entry contradicts trusting that host; a path entry doesn't
+      const parsed = this.parseBlockPattern(entry.pattern);
+      if (!parsed.path) this._userAllowlist.delete(parsed.host);
+      return entry;
+    });
+  },
+
+  /**
+   * Remove an entry from the user blocklist.
+   * @param {string} pattern - The entry's pattern (a plain hostname for exact-host entries)
+   */
+  async removeFromBlocklist(pattern) {
+    const parsed = this.parseBlockPattern(pattern);
+    return this._update(() => {
+      this._userBlocklist.delete(parsed.error ? String(pattern).toLowerCase() : parsed.pattern);
+    });
+  },
+
+  /**
+   * Replace the user lists with ones built from the current lists (an
+   * import — see ScaimListFormats.apply). Built inside the change, so it
+   * merges with whatever the lists hold at that moment.
+   * @param {Function} build - ({ allowlist, blocklist }) → { allowlist, blocklist }
+   * @returns {Promise<{ allowlist: string[], blocklist: Object[] }>} The new lists
+   */
+  async replaceLists(build) {
+    return this._update(() => {
+      const next = build(this.getLists());
+      this._userAllowlist = new Set(next.allowlist);
+      this._userBlocklist = new Map(next.blocklist.map(entry => [entry.pattern, entry]));
+      return this.getLists();
+    });
+  },
+
+  /**
+   * Apply one change to the lists: re-read them from storage, make the
+   * change, and store the result. Changes are applied one at a time, so two
+   * made at once can't overwrite each other — which is why they are all
+   * made here, in the background (see the list messages in service-worker.js).
+   * @param {Function} change - Edits the in-memory lists; its result is returned
+   * @returns {Promise<*>}
+   */
+  _update(change) {
+    const result = this._updates.then(async () => {
+      await this.reload();
+      const value = change();
+      await this._persist();
+      return value;
+    });
+    this._updates = result.catch(() => {});
+    return result;
   },
 
   /**
    * Get the current user lists (for popup display).
-   * @returns {{ allowlist: string[], blocklist: string[] }}
+   * @returns {{ allowlist: string[], blocklist: Object[] }} Blocklist entries sorted by pattern
    */
   getLists() {
     return {
       allowlist: [...this._userAllowlist].sort(),
-      blocklist: [...this._userBlocklist].sort()
+      blocklist: [...this._userBlocklist.values()].sort((a, b) => a.pattern.localeCompare(b.pattern))
     };
   },
 
@@ -263,9 +647,12 @@ const DomainLists = {
   async _persist() {
     return new Promise((resolve) => {
       try {
+        const now = Date.now();
         chrome.storage.local.set({
           scaim_allowlist: [...this._userAllowlist],
-          scaim_blocklist: [...this._userBlocklist]
+          scaim_blocklist: [...this._userBlocklist.values()],
+          scaim_temp_trust: [...this._temporaryTrust.values()]
+            .filter(entry => !entry.expiresAt || entry.expiresAt > now)
         }, resolve);
       } catch (e) {
         resolve();
@@ -0,0 +1,18 @@
+/**
+ * ScAIm Logo Hashes — perceptual hashes (see shared/perceptual-hash.js for
+ * how they are computed) of brands' favicons and logos, for
+ * VisualBrandDetector. Each entry names a brand key from config/brands.js:
+ *   { brand: "paypal", kind: "favicon" | "logo", hash: "16 hex digits" }
+ * Hash the brand's own files, taken from its official site, and add one
+ * entry per distinct version (favicon, header logo, app icon). Images with
+ * too little detail (isInformative() false) never match and aren't worth
+ * adding.
+ * The table ships empty: hashes have to come from the brands' real files,
+ * which aren't part of this repository. Until entries are added here, only
+ * hashes imported with the user's own brands ("logoHashes" in the brands
+ * file on the site lists page) are matched, and with none of those either
+ * VisualBrandDetector is left out of scans and scoring.
+ */
+const BrandLogoHashes = {
+  HASHES: []
+};
@@ -7,10 +7,14 @@
 const ScaimAnalyzer = {
   _hasRun: false,
   _results: null,
+  _previousResults: null, // The results before a rerun, until its own are ready
+  _detectorResults: null,
   _lastUrl: null,
   _debounceTimer: null,
   _navigationPatched: false,
   _bannerCallId: 0,
+  _trustTimer: null,
+  _listVerdict: null, // What the domain lists said about this page at the last scan
 
   /**
    * Run the full paranoid analysis pipeline.
@@ -20,9 +24,13 @@ const ScaimAnalyzer = {
     this._hasRun = true;
     this._lastUrl = window.location.href;
 
-    // Check if extension is enabled before running
-    chrome.storage.local.get("enabled", (result) => {
+    // Check if extension is enabled before running, and pick up the
+    // user's sensitivity profile so thresholds match the popup setting
+    chrome.storage.local.get(["enabled", "sensitivityProfile"], (result) => {
       if (result.enabled === false) return;
+      ScaimScoring.applyProfile(result.sensitivityProfile || ScaimScoring.DEFAULT_PROFILE);
+      // Protected passwords are watched for on every site, trusted or not
+      ScaimPasswordGuard.init();
       this._analyzeWithDomainCheck();
     });
   },
@@ -32,38 +40,90 @@ const ScaimAnalyzer = {
    */
   async _analyzeWithDomainCheck() {
     try {
-      // Initialize domain lists from storage
+      // Initialize domain lists from storage, and reload suppression rules
+      // (they may have changed from the popup since the last scan)
       await DomainLists.init();
+      await ScaimSuppressions.load();
+      await ScaimBrands.load();
+      if (DomainLists.tabId === null) DomainLists.tabId = await this._getTabId();
 
       const hostname = window.location.hostname;
-
-      // Check allowlist — skip scanning entirely
-      if (DomainLists.isAllowed(hostname)) {
+      // Record the visit whatever the lists say, so trusting or blocking a
+      // site doesn't make it look new later
+      await ScaimSiteHistory.check(hostname);
+      const blockMatch = DomainLists.isBlocked(hostname, window.location.pathname);
+
+      // Check allowlist — skip scanning entirely. A blocklist entry for a path
+      // is narrower than a trusted host, so it still applies (e.g., a phishing
+      // kit planted under /login/ on an otherwise legitimate site).
+      const pathBlocked = !!(blockMatch && blockMatch.entry && DomainLists.parseBlockPattern(blockMatch.entry.pattern).path);
+      this._listVerdict = this._getListVerdict();
+      clearTimeout(this._trustTimer);
+      if (!pathBlocked && DomainLists.isAllowed(hostname)) {
+        // Temporary trust (expired entries don't count) or the permanent allowlist
+        const trust = DomainLists.getTemporaryTrust(hostname);
         const assessment = {
           level: "safe",
           score: 0,
           findings: [],
-          summary: "This site is on your trusted allowlist — analysis skipped.",
-          allowlisted: true
+          summary: trust
+            ? `You trusted this site ${this._describeTrust(trust)} — analysis skipped.`
+            : "This site is on your trusted allowlist — analysis skipped.",
+          allowlisted: true,
+          trust
         };
         this._results = assessment;
         this._sendToBackground(assessment);
+        if (trust && trust.expiresAt) {
+          // Scan the page as soon as the trust runs out
+          this._trustTimer = setTimeout(() => this.rerun(), trust.expiresAt - Date.now() + 1000);
+        }
         return;
       }
 
       // Check blocklist — auto-flag as danger
-      const blockMatch = DomainLists.isBlocked(hostname);
       if (blockMatch) {
         const assessment = {
           level: "danger",
           score: 100,
           findings: [{
+            ruleId: "lists.blocklisted-domain",
+            detector: "domainLists",
             severity: "critical",
+            confidence: 1,
             category: "Blocklisted Domain",
-            message: `This domain (${hostname}) is on the ${blockMatch.source === "builtin" ? "ScAIm built-in" : "your custom"} blocklist — category: ${blockMatch.category}. This site has been identified as potentially dangerous.`
+            message: this._blocklistMessage(hostname, blockMatch),
+            evidence: ScaimEvidence.of({ text: blockMatch.entry ? blockMatch.entry.pattern : blockMatch.category, url: window.location.href })
+          }],
+          summary: `This ${pathBlocked ? "page" : "domain"} is blocklisted (${blockMatch.category}). Exercise extreme caution.`,
+          blocklisted: true,
+          blocklistEntry: blockMatch.entry || null
+        };
+        this._results = assessment;
+        this._sendToBackground(assessment);
+        this._showBannerIfAllowed(assessment);
+        return;
+      }
+
+      // Check imported phishing feeds (offline dumps — see ScaimFeeds)
+      const feedMatch = (await ScaimFeeds.lookup([window.location.href])).get(window.location.href);
+      if (feedMatch) {
+        const version = feedMatch.version ? ` ${feedMatch.version}` : "";
+        const assessment = {
+          level: "danger",
+          score: 100,
+          findings: [{
+            ruleId: "lists.phishing-feed",
+            detector: "domainLists",
+            severity: "critical",
+            confidence: 0.95,
+            category: "Known Phishing URL",
+            message: `This address is listed in the "${feedMatch.name}${version}" phishing feed you imported (${feedMatch.count.toLocaleString()} known phishing URLs and sites). Do not enter passwords, card details or personal information here.`,
+            evidence: ScaimEvidence.of({ text: feedMatch.name, url: window.location.href })
           }],
-          summary: `This domain is blocklisted (${blockMatch.category}). Exercise extreme caution.`,
-          blocklisted: true
+          summary: `This page is listed in the "${feedMatch.name}" phishing feed. Exercise extreme caution.`,
+          blocklisted: true,
+          feed: { name: feedMatch.name, version: feedMatch.version }
         };
         this._results = assessment;
         this._sendToBackground(assessment);
@@ -85,50 +145,68 @@ const ScaimAnalyzer = {
     }
   },
 
+  /**
+   * "for this tab", "for this browser session", "until 3:45 PM" or "until Tue 3:45 PM"
+   */
+  _describeTrust(trust) {
+    if (trust.expiresAt) {
+      const until = new Date(trust.expiresAt);
+      const sameDay = until.toDateString() === new Date().toDateString();
+      return "until " + until.toLocaleTimeString([], sameDay
+        ? { hour: "numeric", minute: "2-digit" }
+        : { weekday: "short", hour: "numeric", minute: "2-digit" });
+    }
+    return trust.scope === "tab" ? "for this tab" : "for this browser session";
+  },
+
+  /**
+   * Ask the background script which tab this page is in (content scripts
+   * aren't told), so "this tab" trust applies here and nowhere else.
+   * @returns {Promise<number|null>}
+   */
+  _getTabId() {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: "SCAIM_GET_TAB_ID" }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            resolve(null);
+            return;
+          }
+          resolve(response.tabId);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(null);
+      }
+    });
+  },
+
+  /**
+   * Describe a blocklist match. User entries name the pattern that matched
+   * and the note the user left on it.
+   */
+  _blocklistMessage(hostname, blockMatch) {
+    const entry = blockMatch.entry;
+    if (!entry) {
+      return `This domain (${hostname}) is on the ScAIm built-in blocklist — category: ${blockMatch.category}. This site has been identified as potentially dangerous.`;
+    }
+    const where = entry.pattern === hostname
+      ? `This domain (${hostname}) is on your custom blocklist`
+      : `This page matches "${entry.pattern}" on your custom blocklist`;
+    const note = entry.note ? ` Your note: "${entry.note}".` : "";
+    return `${where} — category: ${blockMatch.category}.${note} This site has been identified as potentially dangerous.`;
+  },
+
   /**
    * Internal: perform the actual analysis with all detectors.
    */
   _analyze() {
     try {
-      // Preserve social media findings added during re-analysis (race condition fix:
-      // addSocialFindings() may write while _analyze() is running asynchronously)
-      const existingSocialFindings = this._results
-        ? this._results.findings.filter(f => f.category && f.category.startsWith("Social: "))
-        : [];
-
-      // Run all detectors
-      const keywordResults = KeywordScanner.scan();
-      const structuralResults = StructuralDetector.scan();
-      const phishingResults = PhishingDetector.scan();
-      const socialResults = SocialEngineeringDetector.scan();
-      const ecommerceResults = FakeEcommerceDetector.scan();
-      const cryptoResults = CryptoScamDetector.scan();
-      const techSupportResults = TechSupportScamDetector.scan();
-      const romanceFeeResults = RomanceFeeDetector.scan();
-      const downloadResults = MaliciousDownloadDetector.scan();
-
-      // Aggregate scores
-      const assessment = ScaimScoring.aggregate({
-        keywords: keywordResults,
-        structural: structuralResults,
-        phishing: phishingResults,
-        socialEngineering: socialResults,
-        fakeEcommerce: ecommerceResults,
-        cryptoScam: cryptoResults,
-        techSupport: techSupportResults,
-        romanceFee: romanceFeeResults,
-        maliciousDownload: downloadResults
-      });
-
-      // Merge back preserved social findings (prevents race condition loss)
-      if (existingSocialFindings.length > 0) {
-        const existingCats = new Set(assessment.findings.map(f => f.category));
-        for (const sf of existingSocialFindings) {
-          if (!existingCats.has(sf.category)) {
-            assessment.findings.push(sf);
-          }
-        }
-      }
+      // Run every registered detector and aggregate scores. Social media
+      // findings are kept by SocialMediaScanner and come back through its
+      // "socialMedia" detector, so re-analysis never drops them.
+      this._detectorResults = ScaimDetectors.runAll();
+      const assessment = ScaimScoring.aggregate(this._detectorResults);
 
       this._results = assessment;
 
@@ -174,10 +252,15 @@ const ScaimAnalyzer = {
           summary: assessment.summary,
           findingCount: assessment.findings.length,
           findings: assessment.findings,
+          suppressed: assessment.suppressed || [],
+          breakdown: assessment.breakdown || null,
           url: window.location.href,
           hostname: window.location.hostname,
           allowlisted: assessment.allowlisted || false,
-          blocklisted: assessment.blocklisted || false
+          trust: assessment.trust || null,
+          blocklisted: assessment.blocklisted || false,
+          blocklistEntry: assessment.blocklistEntry || null,
+          feed: assessment.feed || null
         }
       }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
     } catch (e) {
@@ -190,7 +273,10 @@ const ScaimAnalyzer = {
    */
   rerun() {
     this._hasRun = false;
-    this._results = null; // Clear stale data so popup doesn't show old page's results
+    // Clear stale data so popup doesn't show old page's results; the submit
+    // guard goes on using them until the new ones are ready (see verdict())
+    if (this._results) this._previousResults = this._results;
+    this._results = null;
     this._lastUrl = window.location.href;
     ScaimBanner.remove();
     this.run();
@@ -203,66 +289,91 @@ const ScaimAnalyzer = {
     return this._results;
   },
 
+  /**
+   * The latest finished assessment of this page: while a rerun is under
+   * way, the one before it, so nothing goes unguarded in between.
+   * @returns {Object|null}
+   */
+  verdict() {
+    return this._results || this._previousResults;
+  },
+
+  /**
+   * The domain lists' verdict on this page, as a string to compare: trusted
+   * (and how), blocked (and by which entry), or neither.
+   */
+  _getListVerdict() {
+    const hostname = window.location.hostname;
+    const block = DomainLists.isBlocked(hostname, window.location.pathname);
+    return JSON.stringify([
+      DomainLists.isAllowed(hostname),
+      DomainLists.getTemporaryTrust(hostname),
+      block && (block.entry || block.category)
+    ]);
+  },
+
+  /**
+   * The lists changed somewhere (this tab, another tab, the popup or the
+   * lists page). Re-scan only if that changes the verdict on this page.
+   */
+  _onListsChanged() {
+    if (this._listVerdict === null || this._getListVerdict() === this._listVerdict) return;
+    this.rerun();
+  },
+
   /**
    * Receive scam findings from the social media post scanner.
-   * Merges them into the page-level results and shows the banner
-   * so the user sees both inline warnings AND the page-level alert.
+   * They are scored through ScaimScoring as the "socialMedia" detector, so
+   * the badge, banner and popup use the same thresholds whether a threat
+   * came from the page itself or from a post.
+   * @param {Array} findings - Post findings
+   * @param {Element} [postElement] - The post they were found in
    */
-  addSocialFindings(findings) {
+  addSocialFindings(findings, postElement) {
     if (!findings || findings.length === 0) return;
+    if (typeof SocialMediaScanner === "undefined") return;
 
-    // Ensure we have a base result to merge into
-    if (!this._results) {
-      this._results = { level: "safe", score: 0, findings: [], summary: "" };
-    }
+    // Nothing new for the page-level result (e.g., another post with the same scam)
+    if (SocialMediaScanner.recordPageFindings(findings, postElement) === 0) return;
 
-    // Convert social media findings to page-level format and merge
-    const newFindings = findings.map(f => ({
-      severity: f.severity || "medium",
-      category: "Social: " + (f.category || "Suspicious Content"),
-      message: f.detail || f.category || "Suspicious content detected in post"
-    }));
-
-    // Avoid duplicates — only add findings with new categories
-    const existingCategories = new Set(this._results.findings.map(f => f.category));
-    for (const f of newFindings) {
-      if (!existingCategories.has(f.category)) {
-        this._results.findings.push(f);
-        existingCategories.add(f.category);
-      }
-    }
+    // Allowlist/blocklist verdicts are final — don't re-score them
+    if (this._results && (this._results.allowlisted || this._results.blocklisted)) return;
 
-    // Recalculate severity level based on merged findings
-    const severityScore = { critical: 40, high: 25, medium: 15, low: 5 };
-    let socialScore = 0;
-    for (const f of this._results.findings) {
-      socialScore += severityScore[f.severity] || 5;
-    }
-    socialScore = Math.min(socialScore, 100);
+    // Re-aggregate using the last page scan plus the updated social result
+    this._rescore({
+      ...(this._detectorResults || {}),
+      socialMedia: SocialMediaScanner.getPageResult()
+    });
+  },
 
-    if (socialScore > this._results.score) {
-      this._results.score = socialScore;
-    }
+  /**
+   * Rescore the page after one detector finished work it started during the
+   * scan (e.g., VisualBrandDetector hashing images), without rerunning the others.
+   * @param {string} key - Detector registry key
+   */
+  refreshDetector(key) {
+    if (!this._detectorResults) return;
+    // Allowlist/blocklist verdicts are final — don't re-score them
+    if (this._results && (this._results.allowlisted || this._results.blocklisted)) return;
+
+    this._detectorResults = { ...this._detectorResults, [key]: ScaimDetectors.run(key) };
+    this._rescore({
+      ...this._detectorResults,
+      ...(typeof SocialMediaScanner !== "undefined" ? { socialMedia: SocialMediaScanner.getPageResult() } : {})
+    });
+  },
 
-    // Update threat level
-    if (this._results.score >= 70) {
-      this._results.level = "danger";
-      this._results.summary = "Scam content detected in posts/messages on this page.";
-    } else if (this._results.score >= 40) {
-      this._results.level = "warning";
-      this._results.summary = "Suspicious content found in posts/messages on this page.";
-    } else if (this._results.score >= 15) {
-      this._results.level = "caution";
-      this._results.summary = "Some suspicious content detected in posts/messages.";
-    }
+  _rescore(results) {
+    const assessment = ScaimScoring.aggregate(results);
+    this._results = assessment;
 
     // Show/update the banner if threat level elevated
-    if (this._results.level !== "safe") {
-      this._showBannerIfAllowed(this._results);
+    if (assessment.level !== ScaimScoring.LEVELS.SAFE) {
+      this._showBannerIfAllowed(assessment);
     }
 
     // Update background with merged results
-    this._sendToBackground(this._results);
+    this._sendToBackground(assessment);
   },
 
   /**
@@ -299,6 +410,10 @@ const ScaimAnalyzer = {
     // URL has changed — schedule a re-analysis after content loads
     clearTimeout(this._debounceTimer);
     this._debounceTimer = setTimeout(() => {
+      // Post findings belonged to the previous page
+      if (typeof SocialMediaScanner !== "undefined") {
+        SocialMediaScanner.resetPageFindings();
+      }
       this.rerun();
       // Also re-scan social media posts
       if (typeof SocialMediaScanner !== "undefined" && SocialMediaScanner.isSocialMedia()) {
@@ -328,17 +443,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     } else {
       // No results yet — run a synchronous scan on the spot and return results.
       try {
-        const assessment = ScaimScoring.aggregate({
-          keywords: KeywordScanner.scan(),
-          structural: StructuralDetector.scan(),
-          phishing: PhishingDetector.scan(),
-          socialEngineering: SocialEngineeringDetector.scan(),
-          fakeEcommerce: FakeEcommerceDetector.scan(),
-          cryptoScam: CryptoScamDetector.scan(),
-          techSupport: TechSupportScamDetector.scan(),
-          romanceFee: RomanceFeeDetector.scan(),
-          maliciousDownload: MaliciousDownloadDetector.scan()
-        });
+        ScaimAnalyzer._detectorResults = ScaimDetectors.runAll();
+        const assessment = ScaimScoring.aggregate(ScaimAnalyzer._detectorResults);
         ScaimAnalyzer._results = assessment;
         ScaimAnalyzer._hasRun = true;
         ScaimAnalyzer._sendToBackground(assessment);
@@ -358,21 +464,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       ScaimAnalyzer._showBannerIfAllowed(ScaimAnalyzer._results);
     }
     sendResponse({ ok: true });
-  } else if (message.type === "SCAIM_ALLOWLIST_ADD") {
-    DomainLists.addToAllowlist(message.hostname).then(() => {
-      ScaimAnalyzer.rerun();
-      sendResponse({ ok: true });
-    });
-    return true; // Async response
-  } else if (message.type === "SCAIM_BLOCKLIST_ADD") {
-    DomainLists.addToBlocklist(message.hostname).then(() => {
-      ScaimAnalyzer.rerun();
-      sendResponse({ ok: true });
-    });
-    return true; // Async response
+  } else if (message.type === "SCAIM_HIGHLIGHT") {
+    sendResponse({ found: ScaimHighlighter.highlight(message.selector, message.label) });
+  } else if (message.type === "SCAIM_PROFILE_CHANGED") {
+    // rerun() reloads the profile from storage before re-scanning
+    ScaimAnalyzer.rerun();
+    sendResponse({ ok: true });
   }
 });
 
+// List changes are made by the background (see DomainLists._update). Follow
+// them here, so e.g. blocking a site in one window flags it at once in every
+// tab already open on it
+DomainLists.onChange(() => ScaimAnalyzer._onListsChanged());
+
 // Run analysis on page load
 ScaimAnalyzer.run();
 
@@ -3,6 +3,8 @@
  */
 const ScaimBanner = {
   _bannerId: "scaim-banner",
+  _passwordAlertId: "scaim-password-alert",
+  _submitConfirmId: "scaim-submit-confirm",
   _dismissedUrls: new Set(),
   _removeTimer: null,
 
@@ -91,6 +93,146 @@ const ScaimBanner = {
     }, 5000);
   },
 
+  /**
+   * Cover the page with an alert that a password protected for another site
+   * was just typed here (see ScaimPasswordGuard). It takes the focus, so
+   * the next key press can't send the form. The domain is shown with
+   * _privateText(), so the page can't read which site the password is for.
+   * @param {string} domain - The site the password belongs to
+   * @param {{ onClear: Function, onLeave: Function }} actions
+   */
+  showPasswordAlert(domain, { onClear, onLeave }) {
+    const hostname = window.location.hostname;
+    const site = () => this._privateText(domain);
+    this._showAlert(this._passwordAlertId, {
+      icon: "\u{1F6D1}",
+      title: ["Stop \u2014 that's your ", site(), " password"],
+      paragraphs: [
+        ["You just typed the password you protected for ", site(), " into a page on " + hostname + ", which is not ", site(),
+          ". Scam pages copy a bank's or email provider's sign-in page to collect exactly this."],
+        ["If you have already sent it, change your ", site(), " password now, from ", site(), " itself."]
+      ],
+      buttons: [
+        { label: "Leave this site", kind: "primary", action: onLeave },
+        { label: "Clear the password and stay", action: onClear },
+        { label: "I know this site \u2014 continue", kind: "quiet" }
+      ],
+      privacy: "ScAIm compared what you typed with a salted hash kept only in this browser. Nothing was sent anywhere."
+    });
+  },
+
+  /**
+   * Ask before credentials leave a suspicious page (see ScaimSubmitGuard).
+   * Only the user's own clicks count: the page can't press "Submit anyway".
+   * @param {{ host: string, kinds: string[] }} submission - Where the data is
+   *   going, and what it carries ("password", "card", "seed")
+   * @returns {Promise<boolean>} true to send it; never settles if the page removes the dialog
+   */
+  confirmSubmission({ host, kinds }) {
+    const pageHost = window.location.hostname;
+    const what = kinds.map(kind => this.CREDENTIAL_NAMES[kind] || "personal details").join(" and ");
+    const elsewhere = typeof PublicSuffix !== "undefined" && !PublicSuffix.isSameSite(host, pageHost);
+    return new Promise((resolve) => {
+      this._showAlert(this._submitConfirmId, {
+        icon: "\u{1F6A8}",
+        title: "Send " + what + " to " + host + "?",
+        paragraphs: [
+          "ScAIm flagged this page as suspicious, and it is about to send " + what + " to " + host +
+            (elsewhere ? " \u2014 a different site from the one you are on (" + pageHost + ")." : "."),
+          "If you didn't expect to sign in or pay here, cancel. Nothing has been sent yet."
+        ],
+        buttons: [
+          { label: "Cancel", kind: "primary", action: () => resolve(false) },
+          { label: "Submit anyway", kind: "quiet", action: () => resolve(true) }
+        ]
+      });
+    });
+  },
+
+  // How confirmSubmission() names what a submission carries
+  CREDENTIAL_NAMES: {
+    password: "your password",
+    card: "your card details",
+    seed: "your wallet recovery phrase"
+  },
+
+  /**
+   * Show a full-screen alert, replacing any other one with the same id, and
+   * focus its first button. Buttons respond to real clicks only, so the
+   * page's own scripts can't answer for the user.
+   * Title and paragraphs are text, or lists of text and nodes.
+   * @param {string} id
+   * @param {{ icon: string, title: string|Array, paragraphs: Array<string|Array>, buttons: Array<{ label: string, kind?: "primary"|"quiet", action?: Function }>, privacy?: string }} alert
+   */
+  _showAlert(id, { icon, title, paragraphs, buttons, privacy }) {
+    const existing = document.getElementById(id);
+    if (existing) existing.remove();
+
+    const overlay = document.createElement("div");
+    overlay.id = id;
+    overlay.className = "scaim-alert";
+    overlay.setAttribute("role", "alertdialog");
+    overlay.setAttribute("aria-modal", "true");
+
+    const box = document.createElement("div");
+    box.className = "scaim-alert-box";
+
+    const iconEl = document.createElement("div");
+    iconEl.className = "scaim-alert-icon";
+    iconEl.textContent = icon;
+    box.appendChild(iconEl);
+
+    const titleEl = document.createElement("h2");
+    titleEl.className = "scaim-alert-title";
+    titleEl.append(...[].concat(title));
+    box.appendChild(titleEl);
+
+    paragraphs.forEach(text => {
+      const p = document.createElement("p");
+      p.className = "scaim-alert-text";
+      p.append(...[].concat(text));
+      box.appendChild(p);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "scaim-alert-actions";
+    buttons.forEach(({ label, kind, action }) => {
+      const btn = document.createElement("button");
+      btn.className = "scaim-alert-btn" + (kind ? " scaim-alert-" + kind : "");
+      btn.textContent = label;
+      btn.addEventListener("click", (e) => {
+        if (!e.isTrusted) return;
+        overlay.remove();
+        if (action) action();
+      });
+      actions.appendChild(btn);
+    });
+    box.appendChild(actions);
+
+    if (privacy) {
+      const privacyEl = document.createElement("p");
+      privacyEl.className = "scaim-privacy";
+      privacyEl.textContent = privacy;
+      box.appendChild(privacyEl);
+    }
+
+    overlay.appendChild(box);
+    (document.body || document.documentElement).appendChild(overlay);
+    actions.firstChild.focus();
+  },
+
+  /**
+   * Text shown on the page that its scripts can't read: it sits in a closed
+   * shadow root, styled like the text around it.
+   * @param {string} text
+   * @returns {Element}
+   */
+  _privateText(text) {
+    const span = document.createElement("span");
+    span.attachShadow({ mode: "closed" }).textContent = text;
+    return span;
+  },
+
   /**
    * Remove the banner and spacer from the DOM.
    */
@@ -144,7 +286,7 @@ const ScaimBanner = {
 
     const trustBtn = document.createElement("button");
     trustBtn.className = "scaim-banner-btn scaim-btn-trust";
-    trustBtn.title = "Add this site to your trusted allowlist";
+    trustBtn.title = "Trust this site for a while, or add it to your trusted allowlist";
     trustBtn.textContent = "Trust this site";
 
     const dismissBtn = document.createElement("button");
@@ -162,6 +304,30 @@ const ScaimBanner = {
     header.appendChild(actions);
     content.appendChild(header);
 
+    // Trust choices: temporary trust first, then "Always" (the allowlist)
+    const trustChoices = document.createElement("div");
+    trustChoices.className = "scaim-trust-choices";
+    const trustOptions = [];
+    if (typeof DomainLists !== "undefined") {
+      Object.entries(DomainLists.TRUST_SCOPES).forEach(([scope, config]) => {
+        // "This tab" needs to know which tab we're in
+        if (scope !== "tab" || DomainLists.tabId !== null) trustOptions.push({ scope, label: config.label });
+      });
+    }
+    trustOptions.push({ scope: null, label: "Always (add to allowlist)" });
+    trustOptions.forEach(option => {
+      const choiceBtn = document.createElement("button");
+      choiceBtn.className = "scaim-suppress-choice";
+      choiceBtn.textContent = option.label;
+      choiceBtn.addEventListener("click", (e) => {
+        // Only the user's own clicks: a scam page would gladly trust itself
+        if (!e.isTrusted) return;
+        this._trustSite(banner, option.scope);
+      });
+      trustChoices.appendChild(choiceBtn);
+    });
+    content.appendChild(trustChoices);
+
     // Top findings preview
     if (topFindings.length > 0) {
       const topDiv = document.createElement("div");
@@ -199,8 +365,59 @@ const ScaimBanner = {
       textSpan.appendChild(catSpan);
       textSpan.appendChild(document.createTextNode(" " + f.message));
 
+      // Findings tied to an element can be located on the page
+      const selector = f.evidence && f.evidence.selector;
+      if (selector) {
+        findingDiv.classList.add("scaim-finding-locatable");
+        findingDiv.title = "Show this on the page";
+
+        const locate = document.createElement("span");
+        locate.className = "scaim-finding-locate";
+        locate.textContent = "\u{1F50E} Show on page";
+        textSpan.appendChild(locate);
+
+        findingDiv.addEventListener("click", () => {
+          if (!ScaimHighlighter.highlight(selector, f.category)) {
+            locate.textContent = "(no longer on the page)";
+          }
+        });
+      }
+
       findingDiv.appendChild(sevSpan);
       findingDiv.appendChild(textSpan);
+
+      // "Not a scam?" — lets the user suppress this check instead of
+      // allowlisting the whole site. Blocklist verdicts can't be suppressed.
+      if (f.detector !== "domainLists" && typeof ScaimSuppressions !== "undefined") {
+        const wrongBtn = document.createElement("button");
+        wrongBtn.className = "scaim-finding-wrong";
+        wrongBtn.title = "This finding is wrong — stop showing it";
+        wrongBtn.textContent = "Not a scam?";
+        findingDiv.appendChild(wrongBtn);
+
+        const choices = document.createElement("div");
+        choices.className = "scaim-suppress-choices";
+        ScaimSuppressions.choicesFor(f, window.location.hostname).forEach(choice => {
+          const choiceBtn = document.createElement("button");
+          choiceBtn.className = "scaim-suppress-choice";
+          choiceBtn.textContent = choice.label;
+          choiceBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            // Only the user's own clicks: the page could press these itself
+            if (!e.isTrusted) return;
+            ScaimSuppressions.add(f, choice).then(() => ScaimAnalyzer.rerun());
+          });
+          choices.appendChild(choiceBtn);
+        });
+        textSpan.appendChild(choices);
+
+        wrongBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          if (!e.isTrusted) return;
+          choices.classList.toggle("scaim-expanded");
+        });
+      }
+
       findingsPanel.appendChild(findingDiv);
     });
 
@@ -220,22 +437,9 @@ const ScaimBanner = {
         : "Show all findings (" + assessment.findings.length + ")";
     });
 
-    trustBtn.addEventListener("click", () => {
-      const hostname = window.location.hostname;
-      // Update content script's in-memory allowlist directly so rerun() recognizes it
-      if (typeof DomainLists !== "undefined") {
-        DomainLists.addToAllowlist(hostname);
-      }
-      // Also persist via background service worker
-      try {
-        chrome.runtime.sendMessage({
-          type: "SCAIM_ALLOWLIST_ADD",
-          hostname: hostname
-        }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
-      } catch (e) { /* ignore */ }
-      // Remove banner immediately
-      banner.classList.remove("scaim-visible");
-      ScaimBanner._removeTimer = setTimeout(() => this.remove(), 400);
+    trustBtn.addEventListener("click", (e) => {
+      if (!e.isTrusted) return;
+      trustChoices.classList.toggle("scaim-expanded");
     });
 
     dismissBtn.addEventListener("click", () => {
@@ -250,6 +454,28 @@ const ScaimBanner = {
     return banner;
   },
 
+  /**
+   * Trust the current site and hide the banner. Called only for the user's
+   * own clicks, which the message says (see SCAIM_ALLOWLIST_ADD).
+   * @param {Element} banner
+   * @param {string|null} scope - A DomainLists.TRUST_SCOPES key, or null for the allowlist
+   */
+  _trustSite(banner, scope) {
+    // Saved by the background; every tab on this site re-scans once the
+    // change is stored (see DomainLists.onChange)
+    try {
+      chrome.runtime.sendMessage({
+        type: "SCAIM_ALLOWLIST_ADD",
+        hostname: window.location.hostname,
+        scope: scope || undefined,
+        userAction: true
+      }, () => { if (chrome.runtime.lastError) { /* ignore */ } });
+    } catch (e) { /* ignore */ }
+    // Remove banner immediately
+    banner.classList.remove("scaim-visible");
+    this._removeTimer = setTimeout(() => this.remove(), 400);
+  },
+
   /**
    * Get configuration for each threat level.
    */
@@ -0,0 +1,86 @@
+/**
+ * ScAIm Highlighter — scrolls to the element behind a finding and outlines it.
+ * Used by the banner's findings list and by the popup (SCAIM_HIGHLIGHT message),
+ * with the CSS path recorded in finding.evidence.selector.
+ */
+const ScaimHighlighter = {
+  _overlayId: "scaim-highlight",
+  _target: null,
+  _clearTimer: null,
+  _onViewportChange: null,
+
+  // How long the outline stays up
+  DURATION_MS: 6000,
+
+  /**
+   * Scroll to and outline the element matching a selector.
+   * @param {string} selector - CSS path from finding.evidence.selector
+   * @param {string} [label] - Text shown on the outline (usually the finding category)
+   * @returns {boolean} false when the element is gone or not visible
+   */
+  highlight(selector, label) {
+    this.clear();
+    if (!selector) return false;
+
+    const target = ScaimEvidence.resolve(selector);
+    if (!target || target.closest("#scaim-banner")) return false;
+
+    const rect = target.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return false;
+
+    const overlay = document.createElement("div");
+    overlay.id = this._overlayId;
+    if (label) {
+      const tag = document.createElement("span");
+      tag.className = "scaim-highlight-label";
+      tag.textContent = "ScAIm: " + label;
+      overlay.appendChild(tag);
+    }
+    document.documentElement.appendChild(overlay);
+
+    this._target = target;
+    this._onViewportChange = () => this._position();
+    window.addEventListener("scroll", this._onViewportChange, { passive: true, capture: true });
+    window.addEventListener("resize", this._onViewportChange, { passive: true });
+
+    target.scrollIntoView({ behavior: "smooth", block: "center", inline: "nearest" });
+    this._position();
+
+    this._clearTimer = setTimeout(() => this.clear(), this.DURATION_MS);
+    return true;
+  },
+
+  /**
+   * Remove the outline, if any.
+   */
+  clear() {
+    clearTimeout(this._clearTimer);
+    if (this._onViewportChange) {
+      window.removeEventListener("scroll", this._onViewportChange, { capture: true });
+      window.removeEventListener("resize", this._onViewportChange);
+      this._onViewportChange = null;
+    }
+    this._target = null;
+    const existing = document.getElementById(this._overlayId);
+    if (existing) existing.remove();
+  },
+
+  /**
+   * Keep the (fixed-position) outline over the target as the page scrolls.
+   */
+  _position() {
+    const overlay = document.getElementById(this._overlayId);
+    if (!overlay || !this._target) return;
+    if (!this._target.isConnected) {
+      this.clear();
+      return;
+    }
+
+    const rect = this._target.getBoundingClientRect();
+    const pad = 4;
+    overlay.style.setProperty("top", (rect.top - pad) + "px", "important");
+    overlay.style.setProperty("left", (rect.left - pad) + "px", "important");
+    overlay.style.setProperty("width", (rect.width + pad * 2) + "px", "important");
+    overlay.style.setProperty("height", (rect.height + pad * 2) + "px", "important");
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * ScAIm Password Guard — notices when a password the user protected for
+ * another site (see ScaimProtectedPasswords) is typed into a password field
+ * here, and brings up a full-screen alert as soon as the background has
+ * compared it. A form submitted while that comparison is still running is
+ * held until it ends, and dropped if the password matched; scripts that
+ * send the field's value themselves (fetch, form.submit()) aren't held.
+ * A typed value is passed to the background for comparison only when its
+ * length matches a protected password, once typing pauses; it never leaves
+ * the browser. Only the user's own typing counts: input events made by the
+ * page's scripts are ignored, so a page can't make the background hash
+ * values over and over, or try guesses and watch for the alert.
+ * Does nothing until the user has protected a password.
+ */
+const ScaimPasswordGuard = {
+  STORAGE_KEY: "scaim_protected_passwords",
+  // Each comparison is a slow hash in the background, so a field is checked
+  // once its value has stopped changing for this long
+  CHECK_DELAY_MS: 300,
+
+  _lengths: new Set(), // Lengths of passwords protected for other sites
+  _checks: new WeakMap(), // Field → { value, result, started, done } for its last value worth checking
+  _released: new WeakSet(), // Forms let through, for their next submit event
+  _started: false,
+
+  /**
+   * Start watching password fields (once per page).
+   */
+  init() {
+    if (this._started) return;
+    this._started = true;
+    this._loadLengths();
+
+    // Capture phase, so pages that stop input events still get checked
+    document.addEventListener("input", (event) => this._onInput(event), true);
+    window.addEventListener("submit", (event) => this._onSubmit(event), true);
+    // Protecting or removing a password changes what's worth checking here
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[this.STORAGE_KEY]) this._loadLengths();
+    });
+  },
+
+  _loadLengths() {
+    try {
+      chrome.runtime.sendMessage({ type: "SCAIM_PASSWORD_LENGTHS" }, (response) => {
+        if (chrome.runtime.lastError || !response) return;
+        this._lengths = new Set(response.lengths);
+      });
+    } catch (e) {
+      // Extension context may be invalidated
+    }
+  },
+
+  _onInput(event) {
+    if (!event.isTrusted || this._lengths.size === 0) return;
+    // The field itself, even inside a shadow root
+    const field = event.composedPath()[0];
+    if (!field || field.tagName !== "INPUT" || field.type !== "password") return;
+    const value = field.value;
+    const last = this._checks.get(field);
+    if (last && last.value === value) return;
+    if (last) this._cancel(last);
+    if (!this._lengths.has(value.length)) {
+      this._checks.delete(field);
+      return;
+    }
+
+    const check = { value, started: false, done: false };
+    check.result = new Promise((resolve) => {
+      check.resolve = resolve;
+      check.timer = setTimeout(() => this._start(field, check), this.CHECK_DELAY_MS);
+    });
+    this._checks.set(field, check);
+  },
+
+  // Send a waiting check to the background now
+  _start(field, check) {
+    if (check.started || check.done) return;
+    check.started = true;
+    clearTimeout(check.timer);
+    this._check(check.value).then((match) => {
+      check.done = true;
+      check.resolve(match);
+      // Typing went on to a different (longer) password — not this one
+      if (match && field.value === check.value) this._alert(field, match.domain);
+    });
+  },
+
+  // Drop a check that hasn't been sent yet; one already sent finishes on its own
+  _cancel(check) {
+    if (check.started || check.done) return;
+    clearTimeout(check.timer);
+    check.done = true;
+    check.resolve(null);
+  },
+
+  /**
+   * Ask the background whether a typed password is one protected for another site.
+   * @returns {Promise<Object|null>} The match, or null
+   */
+  _check(password) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: "SCAIM_PASSWORD_CHECK", password }, (response) => {
+          resolve(chrome.runtime.lastError || !response ? null : response.match || null);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(null);
+      }
+    });
+  },
+
+  /**
+   * Hold a form submission while one of its password fields is being
+   * checked; send it on if none matched. A match drops it — the alert is up.
+   */
+  _onSubmit(event) {
+    const form = event.target;
+    if (this._released.has(form)) {
+      this._released.delete(form);
+      return;
+    }
+    const pending = Array.from(form.elements)
+      .filter(element => element.tagName === "INPUT" && element.type === "password")
+      .map(field => ({ field, check: this._checks.get(field) }))
+      .filter(({ field, check }) => check && !check.done && check.value === field.value);
+    if (pending.length === 0) return;
+    // Submitted before typing paused: check now rather than wait
+    pending.forEach(({ field, check }) => this._start(field, check));
+
+    const submitter = event.submitter || null;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    Promise.all(pending.map(({ check }) => check.result)).then((matches) => {
+      if (matches.some(Boolean)) return;
+      // Submitted again as the user would have, so the page's handlers run
+      this._released.add(form);
+      if (submitter) {
+        form.requestSubmit(submitter);
+      } else {
+        form.requestSubmit();
+      }
+    });
+  },
+
+  _alert(field, domain) {
+    ScaimBanner.showPasswordAlert(domain, {
+      onClear: () => {
+        field.value = "";
+        field.dispatchEvent(new Event("input", { bubbles: true }));
+        this._checks.delete(field);
+        field.focus();
+      },
+      onLeave: () => {
+        field.value = "";
+        if (history.length > 1) {
+          history.back();
+        } else {
+          window.location.replace("about:blank");
+        }
+      }
+    });
+  }
+};
@@ -11,7 +11,12 @@ const SocialMediaScanner = {
   _platform: null,
   _observer: null,
   _scannedPosts: new WeakSet(),
+  _queuedPosts: new WeakSet(), // Waiting on their links' feed lookup
   _enabled: true,
+  _pageFindings: [],
+
+  // Raw detector score contributed by each page-level social finding
+  SEVERITY_POINTS: { critical: 40, high: 25, medium: 15, low: 5 },
 
   // Platform configurations: hostname patterns → post container selectors
   PLATFORMS: {
@@ -660,6 +665,8 @@ const SocialMediaScanner = {
    */
   scanAllPosts() {
     if (!this._platform || !this._enabled) return;
+    // Turned off for this site from the popup (see ScaimSuppressions)
+    if (ScaimSuppressions.detectorRule("socialMedia", window.location.hostname)) return;
 
     let posts = document.querySelectorAll(this._platform.postSelector);
 
@@ -675,8 +682,40 @@ const SocialMediaScanner = {
       posts = this._findContentBlocks();
     }
 
+    // Links in the posts are looked up in imported phishing feeds first, by
+    // the background (see ScaimFeeds.lookup), in one message for the whole batch
+    const fresh = Array.from(posts).filter(post => !this._scannedPosts.has(post) && !this._queuedPosts.has(post));
+    if (fresh.length === 0) return;
+    fresh.forEach(post => this._queuedPosts.add(post));
+    ScaimFeeds.lookup(this._linkUrls(fresh)).then((feedMatches) => {
+      for (const post of fresh) {
+        this._queuedPosts.delete(post);
+        this._scanPost(post, feedMatches);
+      }
+    });
+  },
+
+  /**
+   * Absolute http(s) URLs of the links in some posts.
+   * @returns {string[]}
+   */
+  _linkUrls(posts) {
+    const urls = [];
     for (const post of posts) {
-      this._scanPost(post);
+      for (const link of post.querySelectorAll(this._platform.linkSelector)) {
+        const url = this._linkUrl(link);
+        if (url && /^https?:/.test(url)) urls.push(url);
+      }
+    }
+    return urls;
+  },
+
+  // A link's absolute URL as written (case kept, for feed lookups), or null
+  _linkUrl(link) {
+    try {
+      return new URL(link.getAttribute("href") || "", window.location.href).href;
+    } catch (e) {
+      return null;
     }
   },
 
@@ -703,7 +742,7 @@ const SocialMediaScanner = {
       // Skip same-site links
       try {
         const url = new URL(href, window.location.href);
-        if (url.hostname === window.location.hostname) continue;
+        if (PublicSuffix.isSameSite(url.hostname, window.location.hostname)) continue;
       } catch (e) {
         continue;
       }
@@ -758,8 +797,10 @@ const SocialMediaScanner = {
 
   /**
    * Scan a single post element for scam indicators.
+   * @param {Element} postElement
+   * @param {Map} feedMatches - Link URLs listed in imported phishing feeds (see ScaimFeeds.lookup)
    */
-  _scanPost(postElement) {
+  _scanPost(postElement, feedMatches) {
     // Skip already-scanned posts
     if (this._scannedPosts.has(postElement)) return;
     this._scannedPosts.add(postElement);
@@ -777,7 +818,7 @@ const SocialMediaScanner = {
     this._checkPatterns(text, findings);
 
     // 2. Check links within the post (neurotic mode)
-    this._checkLinks(postElement, findings);
+    this._checkLinks(postElement, findings, feedMatches);
 
     // 3. Check for suspicious emoji patterns (common in scam posts)
     this._checkEmojiPatterns(text, findings);
@@ -788,17 +829,35 @@ const SocialMediaScanner = {
     // 5. Run combo detection — escalate when multiple low-signal patterns combine
     this._checkCombinations(findings);
 
-    // 6. If findings, inject inline warning and notify page-level analyzer
-    if (findings.length > 0) {
-      this._injectWarning(postElement, findings);
+    // 6. At low paranoia, lone low-severity signals don't warrant a warning
+    //    (combinations above have already escalated the ones that matter)
+    const reported = this._getParanoia() === "low"
+      ? findings.filter(f => f.severity !== "low")
+      : findings;
+
+    // 7. If findings, inject inline warning and notify page-level analyzer
+    if (reported.length > 0) {
+      this._injectWarning(postElement, reported);
 
       // Notify the page-level analyzer so the banner + popup reflect social media scam findings
       if (typeof ScaimAnalyzer !== "undefined") {
-        ScaimAnalyzer.addSocialFindings(findings);
+        ScaimAnalyzer.addSocialFindings(reported, postElement);
       }
     }
   },
 
+  /**
+   * Effective paranoia for the current platform: the platform's own level,
+   * capped by the active sensitivity profile (see ScaimScoring.PROFILES).
+   */
+  _getParanoia() {
+    const levels = ["low", "medium", "high"];
+    const platformLevel = (this._platform && this._platform.paranoia) || "medium";
+    const cap = typeof ScaimScoring !== "undefined" ? ScaimScoring.getProfile().socialParanoia : null;
+    if (!cap) return platformLevel;
+    return levels.indexOf(cap) < levels.indexOf(platformLevel) ? cap : platformLevel;
+  },
+
   /**
    * Check post text against scam patterns.
    * Optimized: skips platform-specific patterns not for current platform,
@@ -814,10 +873,12 @@ const SocialMediaScanner = {
       if (sp.platforms && (!platformName || !sp.platforms.includes(platformName))) continue;
 
       // Run the regex against normalized text
-      if (sp.pattern.test(normalizedText)) {
+      const match = normalizedText.match(sp.pattern);
+      if (match) {
         findings.push({
           severity: sp.severity,
-          category: sp.category
+          category: sp.category,
+          match: match[0]
         });
       }
     }
@@ -826,11 +887,11 @@ const SocialMediaScanner = {
   /**
    * Neurotic link checking — flag external links, shorteners, mismatches, etc.
    */
-  _checkLinks(postElement, findings) {
+  _checkLinks(postElement, findings, feedMatches) {
     const links = postElement.querySelectorAll(this._platform.linkSelector);
     let externalLinkCount = 0;
     let shortenerCount = 0;
-    const isHighParanoia = this._platform.paranoia === "high";
+    const isHighParanoia = this._getParanoia() === "high";
 
     for (const link of links) {
       const href = (link.getAttribute("href") || "").toLowerCase();
@@ -873,7 +934,8 @@ const SocialMediaScanner = {
         findings.push({
           severity: "medium",
           category: "Shortened URL",
-          detail: `Link uses URL shortener (${linkHost}) — the real destination is hidden`
+          detail: `Link uses URL shortener (${linkHost}) — the real destination is hidden`,
+          url: url.href
         });
       }
 
@@ -883,12 +945,24 @@ const SocialMediaScanner = {
           findings.push({
             severity: "medium",
             category: "Suspicious Link",
-            detail: `Link to ${linkHost} uses suspicious domain extension "${tld}"`
+            detail: `Link to ${linkHost} uses suspicious domain extension "${tld}"`,
+            url: url.href
           });
           break;
         }
       }
 
+      // ---- Brand name on a site that isn't the brand's ----
+      const impersonated = this._impersonatedBrand(linkHost);
+      if (impersonated) {
+        findings.push({
+          severity: "high",
+          category: "Fake Brand Link",
+          detail: `Link to ${linkHost} uses the ${impersonated.name} name, but ${impersonated.name}'s real site is ${impersonated.domains[0]}`,
+          url: url.href
+        });
+      }
+
       // ---- Href Spoofing (display text looks like a URL but doesn't match) ----
       const urlPattern = /^(https?:\/\/)?[\w.-]+\.\w{2,}/;
       if (urlPattern.test(displayText)) {
@@ -897,7 +971,8 @@ const SocialMediaScanner = {
           findings.push({
             severity: "high",
             category: "Link Spoofing",
-            detail: `Link shows "${displayText.substring(0, 40)}" but goes to "${linkHost}"`
+            detail: `Link shows "${displayText.substring(0, 40)}" but goes to "${linkHost}"`,
+            url: url.href
           });
         }
       }
@@ -910,7 +985,8 @@ const SocialMediaScanner = {
           findings.push({
             severity: "high",
             category: "Dangerous Download",
-            detail: `Link points to executable file (${ext})`
+            detail: `Link points to executable file (${ext})`,
+            url: url.href
           });
           break;
         }
@@ -918,19 +994,36 @@ const SocialMediaScanner = {
 
       // ---- Blocklist check ----
       if (typeof DomainLists !== "undefined" && DomainLists._loaded) {
-        const blockMatch = DomainLists.isBlocked(linkHost);
+        const blockMatch = DomainLists.isBlocked(linkHost, url.pathname);
         if (blockMatch) {
           findings.push({
             severity: "critical",
             category: "Blocklisted Link",
-            detail: `Link goes to blocklisted domain: ${linkHost} (${blockMatch.category})`
+            detail: blockMatch.entry && blockMatch.entry.pattern !== linkHost
+              ? `Link goes to ${linkHost}, which matches "${blockMatch.entry.pattern}" on your blocklist (${blockMatch.category})`
+              : `Link goes to blocklisted domain: ${linkHost} (${blockMatch.category})`,
+            url: url.href
+          });
+        }
+      }
+
+      // ---- Imported phishing feeds ----
+      if (feedMatches) {
+        const feedMatch = feedMatches.get(this._linkUrl(link));
+        if (feedMatch) {
+          findings.push({
+            severity: "critical",
+            category: "Known Phishing Link",
+            detail: `Link to ${linkHost} is listed in the "${feedMatch.name}" phishing feed you imported`,
+            url: url.href
           });
         }
       }
 
       // ---- Flag untrusted external links in high-paranoia mode ----
       if (isHighParanoia && !isShortener) {
-        const isTrusted = this.TRUSTED_EXTERNAL.some(d => linkHost === d || linkHost === "www." + d || linkHost.endsWith("." + d));
+        const isTrusted = this.TRUSTED_EXTERNAL.some(d => linkHost === d || linkHost === "www." + d || linkHost.endsWith("." + d)) ||
+          (typeof ScaimBrands !== "undefined" && !!ScaimBrands.ownerOf(linkHost));
         if (!isTrusted) {
           // Only flag if the link text looks clickbait-y or the domain seems random
           const clickbaitTerms = /click\s+here|learn\s+more|check\s+this|see\s+more|visit|open|view/i;
@@ -942,7 +1035,8 @@ const SocialMediaScanner = {
             findings.push({
               severity: "low",
               category: "Unverified External Link",
-              detail: `Links to unknown external site: ${linkHost}`
+              detail: `Links to unknown external site: ${linkHost}`,
+              url: url.href
             });
           }
         }
@@ -968,6 +1062,23 @@ const SocialMediaScanner = {
     }
   },
 
+  /**
+   * The brand a link's host borrows the name of without being one of its
+   * official sites ("paypal-refunds.example"), or null. Short brand names
+   * ("ups", "dhl") only count as a whole label, so "startups.com" is fine.
+   * @param {string} linkHost
+   * @returns {Object|null}
+   */
+  _impersonatedBrand(linkHost) {
+    if (typeof ScaimBrands === "undefined" || ScaimBrands.ownerOf(linkHost)) return null;
+    const domainLabel = PublicSuffix.getDomainLabel(linkHost, { icannOnly: true });
+    const words = linkHost.split(/[.-]/);
+    return ScaimBrands.list().find(brand =>
+      domainLabel !== brand.key &&
+      (brand.key.length >= 5 ? linkHost.includes(brand.key) : words.includes(brand.key))
+    ) || null;
+  },
+
   /**
    * Check for suspicious emoji patterns common in scam posts.
    * Scam posts on FB/IG often use excessive money/fire/rocket emojis.
@@ -1168,6 +1279,59 @@ const SocialMediaScanner = {
     });
   },
 
+  /**
+   * Record post findings as page-level "Social: ..." findings.
+   * Only one finding per category is kept so a feed full of similar posts
+   * doesn't inflate the page score.
+   * @param {Array} findings - Post findings ({ severity, category, detail, match?, url? })
+   * @param {Element} [postElement] - The post the findings came from, kept as evidence
+   * @returns {number} How many new page-level findings were added
+   */
+  recordPageFindings(findings, postElement) {
+    const existingCategories = new Set(this._pageFindings.map(f => f.category));
+    let added = 0;
+    for (const f of findings) {
+      const category = "Social: " + (f.category || "Suspicious Content");
+      if (existingCategories.has(category)) continue;
+      existingCategories.add(category);
+      const severity = f.severity || "medium";
+      this._pageFindings.push({
+        ruleId: "social." + ScaimEvidence.slug(f.category || "Suspicious Content"),
+        detector: "socialMedia",
+        severity,
+        confidence: ScaimEvidence.DEFAULT_CONFIDENCE[severity],
+        category,
+        message: f.detail || f.category || "Suspicious content detected in post",
+        evidence: ScaimEvidence.of({ text: f.match, url: f.url, element: postElement })
+      });
+      added++;
+    }
+    return added;
+  },
+
+  /**
+   * Forget page-level findings (the user navigated to a different page).
+   */
+  resetPageFindings() {
+    this._pageFindings = [];
+  },
+
+  /**
+   * Page-level detector result for ScaimScoring, built from the findings
+   * recorded so far on this page.
+   * @returns {{ score: number, findings: Array }}
+   */
+  getPageResult() {
+    let score = 0;
+    for (const f of this._pageFindings) {
+      score += this.SEVERITY_POINTS[f.severity] || this.SEVERITY_POINTS.low;
+    }
+    return {
+      score: Math.min(100, score),
+      findings: [...this._pageFindings]
+    };
+  },
+
   /**
    * Check if the current page is a social media site.
    */
@@ -1176,3 +1340,15 @@ const SocialMediaScanner = {
   },
 
 };
+
+ScaimDetectors.register({
+  key: "socialMedia",
+  name: "Social Media Posts",
+  description: "Scam patterns, risky links and combinations found in individual posts",
+  // Full weight: a scam post is one among many honest ones, so its findings
+  // aren't diluted by the rest of the page. One high-severity post finding
+  // (25) is caution and a critical one warning, as before post findings
+  // were scored with the page's
+  weight: 1.0,
+  scan: () => SocialMediaScanner.getPageResult()
+});
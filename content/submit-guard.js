@@ -0,0 +1,243 @@
+/**
+ * ScAIm Submit Guard — on pages rated warning or danger, holds back anything
+ * that would send a password, card details or a wallet recovery phrase typed
+ * into the page, and asks first (ScaimBanner.confirmSubmission), naming the
+ * host it would go to. Covers <form> submissions, form.submit() called by
+ * scripts, and fetch(), XMLHttpRequest and navigator.sendBeacon() requests
+ * carrying the value of one of those fields.
+ *
+ * Loaded at document_start, before the page's own scripts, so the page's
+ * fetch and XMLHttpRequest are wrapped before it can keep copies of them.
+ * The wrappers are this script's functions handed to the page with Firefox's
+ * exportFunction(): the decision, and what the user answered, stay out of
+ * the page's reach. Request bodies are inspected when they are text,
+ * URLSearchParams or FormData; binary and stream bodies aren't. A
+ * synchronous XMLHttpRequest can't be held, so one that would be is refused.
+ */
+const ScaimSubmitGuard = {
+  // Values shorter than this match too much of any request to go by
+  MIN_VALUE_LENGTH: 3,
+
+  _approvedHosts: new Set(), // Hosts the user chose to send credentials to, for this page
+  _asking: new Map(), // Host → the answer being waited for
+  _released: new WeakSet(), // Forms let through, for their next submit event
+  _xhrs: new WeakMap(), // XMLHttpRequest → { url, sync } it was opened with
+  _installed: false,
+
+  /**
+   * Start guarding this page (once).
+   */
+  install() {
+    if (this._installed) return;
+    this._installed = true;
+    // Capture phase on the window, ahead of the page's own submit handlers
+    window.addEventListener("submit", (event) => this._onSubmit(event), true);
+    this._wrapPageAPIs();
+  },
+
+  /**
+   * Is this page rated warning or danger right now?
+   * @returns {boolean}
+   */
+  isGuarding() {
+    if (typeof ScaimAnalyzer === "undefined") return false;
+    const results = ScaimAnalyzer.verdict();
+    if (!results) return false;
+    const { level, allowlisted } = results;
+    return !allowlisted && (level === ScaimScoring.LEVELS.WARNING || level === ScaimScoring.LEVELS.DANGER);
+  },
+
+  _onSubmit(event) {
+    const form = event.target;
+    if (this._released.has(form)) {
+      this._released.delete(form);
+      return;
+    }
+    if (!this.isGuarding()) return;
+    const submitter = event.submitter || null;
+    const hold = this._holdForm(form, submitter);
+    if (!hold) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    this._ask(hold).then((send) => {
+      if (!send) return;
+      // Submitted again as the user would have, so the page's handlers run
+      this._released.add(form);
+      if (submitter) {
+        form.requestSubmit(submitter);
+      } else {
+        form.requestSubmit();
+      }
+    });
+  },
+
+  /**
+   * What a form submission would send, if it must be asked about.
+   * @returns {{ host: string, kinds: string[] }|null}
+   */
+  _holdForm(form, submitter) {
+    const fields = this._filledCredentials(Array.from(form.elements));
+    if (fields.length === 0) return null;
+    const action = submitter && submitter.hasAttribute("formaction") ? submitter.formAction : form.action;
+    return this._hold(action, fields);
+  },
+
+  /**
+   * What a script's request would send, if it carries a credential typed
+   * into the page and must be asked about.
+   * @param {string} url
+   * @param {*} body
+   * @returns {{ host: string, kinds: string[] }|null}
+   */
+  _holdRequest(url, body) {
+    if (!this.isGuarding()) return null;
+    const fields = this._filledCredentials(Array.from(document.querySelectorAll("input, textarea")));
+    if (fields.length === 0) return null;
+    const payload = String(url) + "\n" + this._bodyText(body);
+    const sent = fields.filter(({ field }) => this._carries(payload, field.value));
+    return sent.length > 0 ? this._hold(url, sent) : null;
+  },
+
+  _hold(url, fields) {
+    let host;
+    try {
+      host = new URL(url, document.baseURI).hostname;
+    } catch (e) {
+      return null;
+    }
+    // javascript: and other host-less actions send nothing themselves
+    if (!host || this._approvedHosts.has(host)) return null;
+    return { host, kinds: [...new Set(fields.map(item => item.kind))] };
+  },
+
+  /**
+   * Fields holding a password, card number or recovery phrase (see
+   * StructuralDetector.credentialKind) that have been filled in.
+   * @returns {Array<{ field: Element, kind: string }>}
+   */
+  _filledCredentials(elements) {
+    return elements
+      .filter(element => element.tagName === "INPUT" || element.tagName === "TEXTAREA")
+      .map(field => ({ field, kind: StructuralDetector.credentialKind(field) }))
+      .filter(({ field, kind }) => kind && field.value.trim().length >= this.MIN_VALUE_LENGTH);
+  },
+
+  // Does the request contain the value, as typed or in a common encoding?
+  _carries(payload, value) {
+    const encoded = encodeURIComponent(value);
+    const forms = [value, encoded, encoded.replace(/%20/g, "+"), JSON.stringify(value).slice(1, -1)];
+    try {
+      forms.push(btoa(value));
+    } catch (e) {
+      // Not Latin-1, so not sent as plain base64 either
+    }
+    return forms.some(form => payload.includes(form));
+  },
+
+  _bodyText(body) {
+    if (body === null || body === undefined) return "";
+    if (typeof body === "string") return body;
+    try {
+      const type = Object.prototype.toString.call(body);
+      if (type === "[object URLSearchParams]") return body.toString();
+      if (type === "[object FormData]") {
+        return Array.from(body.entries(), ([name, value]) => name + "=" + (typeof value === "string" ? value : "")).join("&");
+      }
+    } catch (e) {
+      // Unreadable from here
+    }
+    return "";
+  },
+
+  /**
+   * Ask the user; one question per host at a time, answered for every
+   * submission waiting on it.
+   * @returns {Promise<boolean>} true to send
+   */
+  _ask(hold) {
+    if (!this._asking.has(hold.host)) {
+      this._asking.set(hold.host, ScaimBanner.confirmSubmission(hold).then((send) => {
+        this._asking.delete(hold.host);
+        if (send) this._approvedHosts.add(hold.host);
+        return send;
+      }));
+    }
+    return this._asking.get(hold.host);
+  },
+
+  /**
+   * Replace the page's fetch, XMLHttpRequest send, navigator.sendBeacon and
+   * form.submit with versions that check with the guard first. Held requests
+   * are made later, with the page's original functions, if the user agrees.
+   */
+  _wrapPageAPIs() {
+    // Firefox's page-sharing functions; elsewhere only <form> submissions are guarded
+    if (typeof exportFunction !== "function" || !window.wrappedJSObject) return;
+    const page = window.wrappedJSObject;
+    const guard = this;
+
+    const pageFetch = page.fetch;
+    exportFunction(function (input, init) {
+      const args = Array.from(arguments);
+      const url = input && typeof input === "object" && "url" in input ? input.url : String(input);
+      const hold = guard._holdRequest(url, init && init.body);
+      if (!hold) return pageFetch.apply(page, args);
+      return new page.Promise(exportFunction((resolve, reject) => {
+        guard._ask(hold).then((send) => {
+          // Refused requests fail the way a blocked network request does
+          if (send) resolve(pageFetch.apply(page, args));
+          else reject(new page.TypeError("NetworkError when attempting to fetch resource."));
+        });
+      }, page));
+    }, page, { defineAs: "fetch" });
+
+    const xhrProto = page.XMLHttpRequest.prototype;
+    const pageOpen = xhrProto.open;
+    const pageSend = xhrProto.send;
+    exportFunction(function (method, url, async) {
+      guard._xhrs.set(this, { url: String(url), sync: arguments.length > 2 && !async });
+      return pageOpen.apply(this, arguments);
+    }, xhrProto, { defineAs: "open" });
+    exportFunction(function (body) {
+      const xhr = this;
+      const args = Array.from(arguments);
+      const opened = guard._xhrs.get(xhr) || { url: "", sync: false };
+      const hold = guard._holdRequest(opened.url, body);
+      if (!hold) return pageSend.apply(xhr, args);
+      // A synchronous request can't wait for an answer: it fails the way a
+      // blocked one does, rather than send() returning before it has run
+      if (opened.sync) throw new page.DOMException("A network error occurred.", "NetworkError");
+      guard._ask(hold).then((send) => {
+        if (send) pageSend.apply(xhr, args);
+        else xhr.abort();
+      });
+    }, xhrProto, { defineAs: "send" });
+
+    const navigatorProto = page.Navigator.prototype;
+    const pageBeacon = navigatorProto.sendBeacon;
+    exportFunction(function (url, data) {
+      const args = Array.from(arguments);
+      const hold = guard._holdRequest(url, data);
+      if (!hold) return pageBeacon.apply(this, args);
+      guard._ask(hold).then((send) => {
+        if (send) pageBeacon.apply(page.navigator, args);
+      });
+      return true; // Queued, as far as the page can tell
+    }, navigatorProto, { defineAs: "sendBeacon" });
+
+    // form.submit() skips the submit event, so it's checked here
+    const formProto = page.HTMLFormElement.prototype;
+    const pageSubmit = formProto.submit;
+    exportFunction(function () {
+      const form = this;
+      const hold = guard.isGuarding() ? guard._holdForm(form, null) : null;
+      if (!hold) return pageSubmit.call(form);
+      guard._ask(hold).then((send) => {
+        if (send) pageSubmit.call(form);
+      });
+    }, formProto, { defineAs: "submit" });
+  }
+};
+
+ScaimSubmitGuard.install();
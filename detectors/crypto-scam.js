@@ -11,17 +11,17 @@ const CryptoScamDetector = {
     "richard branson", "tim cook", "satoshi"
   ],
 
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkSeedPhraseTheft(findings);
-    score += this._checkFakeTradingPlatform(findings);
-    score += this._checkPumpAndDump(findings);
-    score += this._checkRugPull(findings);
-    score += this._checkUnrealisticROI(findings);
-    score += this._checkFakeEndorsements(findings);
-    score += this._checkWalletConnectScam(findings);
+    score += this._checkSeedPhraseTheft(findings, snapshot);
+    score += this._checkFakeTradingPlatform(findings, snapshot);
+    score += this._checkPumpAndDump(findings, snapshot);
+    score += this._checkRugPull(findings, snapshot);
+    score += this._checkUnrealisticROI(findings, snapshot);
+    score += this._checkFakeEndorsements(findings, snapshot);
+    score += this._checkWalletConnectScam(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -32,9 +32,9 @@ const CryptoScamDetector = {
   /**
    * Critical: detect attempts to steal wallet seed/recovery phrases.
    */
-  _checkSeedPhraseTheft(findings) {
+  _checkSeedPhraseTheft(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const seedPatterns = [
       { pattern: /enter\s+(your\s+)?(seed|recovery|mnemonic)\s+phrase/i, label: "seed phrase entry" },
@@ -49,9 +49,12 @@ const CryptoScamDetector = {
     for (const sp of seedPatterns) {
       if (sp.pattern.test(pageText)) {
         findings.push({
+          ruleId: "crypto.seed-phrase-request",
           severity: "critical",
+          confidence: 0.9,
           category: "Seed Phrase Theft",
-          message: `This page requests your ${sp.label} — NEVER enter your seed phrase or private key on any website. This is almost certainly an attempt to steal your crypto wallet.`
+          message: `This page requests your ${sp.label} — NEVER enter your seed phrase or private key on any website. This is almost certainly an attempt to steal your crypto wallet.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, sp.pattern) })
         });
         score += 35;
         break; // One finding is enough for critical
@@ -59,7 +62,7 @@ const CryptoScamDetector = {
     }
 
     // Also check for input fields specifically asking for seed phrases
-    const inputs = document.querySelectorAll("input, textarea");
+    const inputs = snapshot.inputs;
     for (const input of inputs) {
       const attrs = [
         input.getAttribute("name") || "",
@@ -71,9 +74,12 @@ const CryptoScamDetector = {
       if (/seed.?phrase|recovery.?phrase|private.?key|mnemonic/i.test(attrs)) {
         if (score === 0) { // Only if not already flagged
           findings.push({
+            ruleId: "crypto.seed-phrase-input",
             severity: "critical",
+            confidence: 0.85,
             category: "Seed Phrase Theft",
-            message: "This page has an input field requesting a crypto wallet seed phrase or private key — legitimate wallets NEVER ask you to enter these on a website."
+            message: "This page has an input field requesting a crypto wallet seed phrase or private key — legitimate wallets NEVER ask you to enter these on a website.",
+            evidence: ScaimEvidence.of({ text: attrs, element: input })
           });
           score += 35;
         }
@@ -87,9 +93,9 @@ const CryptoScamDetector = {
   /**
    * Detect fake trading platform indicators.
    */
-  _checkFakeTradingPlatform(findings) {
+  _checkFakeTradingPlatform(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const platformPatterns = [
       { pattern: /connect\s+(your\s+)?wallet/i, weight: 6 },
@@ -105,18 +111,24 @@ const CryptoScamDetector = {
 
     let matchCount = 0;
     let totalWeight = 0;
+    const matchedTerms = [];
     for (const pp of platformPatterns) {
-      if (pp.pattern.test(pageText)) {
+      const match = pageText.match(pp.pattern);
+      if (match) {
         matchCount++;
         totalWeight += pp.weight;
+        matchedTerms.push(match[0]);
       }
     }
 
     if (matchCount >= 3) {
       findings.push({
+        ruleId: "crypto.fake-trading-platform",
         severity: "high",
+        confidence: 0.55,
         category: "Fake Trading Platform",
-        message: `This page contains ${matchCount} crypto trading buzzwords — scam sites use legitimate-sounding DeFi terminology to appear credible. Verify any platform independently before connecting your wallet.`
+        message: `This page contains ${matchCount} crypto trading buzzwords — scam sites use legitimate-sounding DeFi terminology to appear credible. Verify any platform independently before connecting your wallet.`,
+        evidence: ScaimEvidence.of({ text: matchedTerms.join(", ") })
       });
       score += Math.min(25, totalWeight);
     } else if (matchCount >= 1) {
@@ -130,9 +142,9 @@ const CryptoScamDetector = {
   /**
    * Detect pump-and-dump language.
    */
-  _checkPumpAndDump(findings) {
+  _checkPumpAndDump(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const pumpPatterns = [
       /guaranteed\s+(returns?|profits?|gains?|income)/i,
@@ -146,15 +158,23 @@ const CryptoScamDetector = {
     ];
 
     let matchCount = 0;
+    const matchedTerms = [];
     for (const pattern of pumpPatterns) {
-      if (pattern.test(pageText)) matchCount++;
+      const match = pageText.match(pattern);
+      if (match) {
+        matchCount++;
+        matchedTerms.push(match[0]);
+      }
     }
 
     if (matchCount >= 2) {
       findings.push({
+        ruleId: "crypto.pump-and-dump",
         severity: "high",
+        confidence: 0.6,
         category: "Pump-and-Dump Language",
-        message: `This page uses ${matchCount} pump-and-dump phrases promising unrealistic gains — legitimate investments never guarantee returns. This is a hallmark of crypto scams.`
+        message: `This page uses ${matchCount} pump-and-dump phrases promising unrealistic gains — legitimate investments never guarantee returns. This is a hallmark of crypto scams.`,
+        evidence: ScaimEvidence.of({ text: matchedTerms.join(", ") })
       });
       score += 15 + matchCount * 3;
     }
@@ -165,9 +185,9 @@ const CryptoScamDetector = {
   /**
    * Detect rug pull patterns.
    */
-  _checkRugPull(findings) {
+  _checkRugPull(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const rugPullPatterns = [
       { pattern: /presale|pre-sale|pre\s+sale/i, weight: 4 },
@@ -182,26 +202,39 @@ const CryptoScamDetector = {
 
     let matchCount = 0;
     let maxWeight = 0;
+    let strongest = null;
+    const matchedTerms = [];
     for (const rp of rugPullPatterns) {
-      if (rp.pattern.test(pageText)) {
+      const match = pageText.match(rp.pattern);
+      if (match) {
         matchCount++;
-        maxWeight = Math.max(maxWeight, rp.weight);
+        matchedTerms.push(match[0]);
+        if (rp.weight > maxWeight) {
+          maxWeight = rp.weight;
+          strongest = rp.pattern;
+        }
       }
     }
 
     // "Send to address to receive" is critical on its own
     if (maxWeight >= 9) {
       findings.push({
+        ruleId: "crypto.doubling-scam",
         severity: "critical",
+        confidence: 0.9,
         category: "Crypto Doubling Scam",
-        message: "This page claims you can double your crypto by sending to an address — this is a classic and extremely common crypto scam. Any crypto you send will be stolen."
+        message: "This page claims you can double your crypto by sending to an address — this is a classic and extremely common crypto scam. Any crypto you send will be stolen.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, strongest) })
       });
       score += 30;
     } else if (matchCount >= 2) {
       findings.push({
+        ruleId: "crypto.rug-pull-indicators",
         severity: "medium",
+        confidence: 0.45,
         category: "Rug Pull Indicators",
-        message: `This page shows ${matchCount} rug pull warning signs (presale, limited supply, early investor bonuses) — many fraudulent token projects use these tactics to attract victims before disappearing with funds.`
+        message: `This page shows ${matchCount} rug pull warning signs (presale, limited supply, early investor bonuses) — many fraudulent token projects use these tactics to attract victims before disappearing with funds.`,
+        evidence: ScaimEvidence.of({ text: matchedTerms.join(", ") })
       });
       score += 10 + matchCount * 3;
     }
@@ -212,9 +245,9 @@ const CryptoScamDetector = {
   /**
    * Detect unrealistic ROI promises.
    */
-  _checkUnrealisticROI(findings) {
+  _checkUnrealisticROI(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     // Match patterns like "50% daily return", "1000% APY", "200% monthly profit"
     const roiPattern = /(\d{2,})%\s*(daily|weekly|monthly|annual|apy|apr|roi|return|profit|yield|gain)/gi;
@@ -234,9 +267,12 @@ const CryptoScamDetector = {
           if ((isDaily && pct > 1) || (isWeekly && pct > 10) ||
               (isMonthly && pct > 30) || pct >= 1000) {
             findings.push({
+              ruleId: "crypto.unrealistic-roi",
               severity: "high",
+              confidence: 0.75,
               category: "Unrealistic ROI",
-              message: `This page promises "${match.trim()}" — no legitimate investment can sustain these returns. This is a classic Ponzi/scam pattern where early investors are paid with new victims' money.`
+              message: `This page promises "${match.trim()}" — no legitimate investment can sustain these returns. This is a classic Ponzi/scam pattern where early investors are paid with new victims' money.`,
+              evidence: ScaimEvidence.of({ text: match.trim() })
             });
             score += 20;
             break;
@@ -251,10 +287,10 @@ const CryptoScamDetector = {
   /**
    * Detect fake celebrity endorsements for crypto.
    */
-  _checkFakeEndorsements(findings) {
+  _checkFakeEndorsements(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
-    const hostname = window.location.hostname.toLowerCase();
+    const pageText = snapshot.lowerText;
+    const hostname = snapshot.hostname;
 
     // Skip on legitimate news/social media sites
     const newsSites = ["cnn.com", "bbc.com", "reuters.com", "bloomberg.com",
@@ -271,9 +307,12 @@ const CryptoScamDetector = {
 
       if (mentions >= 2) {
         findings.push({
+          ruleId: "crypto.fake-celebrity-endorsement",
           severity: "medium",
+          confidence: 0.5,
           category: "Fake Celebrity Endorsement",
-          message: `This crypto page mentions "${celebrity}" ${mentions} times — scammers frequently use fake celebrity endorsements to create false credibility for fraudulent investments.`
+          message: `This crypto page mentions "${celebrity}" ${mentions} times — scammers frequently use fake celebrity endorsements to create false credibility for fraudulent investments.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, namePattern) })
         });
         score += 12;
         break;
@@ -286,9 +325,10 @@ const CryptoScamDetector = {
   /**
    * Detect wallet connect phishing (fake dApp connection pages).
    */
-  _checkWalletConnectScam(findings) {
+  _checkWalletConnectScam(findings, snapshot) {
     let score = 0;
-    const hostname = window.location.hostname.toLowerCase();
+    const hostname = snapshot.hostname;
+    const domain = PublicSuffix.getDomain(hostname, { icannOnly: true });
 
     // Check for wallet brand impersonation in domain
     const walletBrands = ["metamask", "trustwallet", "phantom", "coinbase",
@@ -296,13 +336,16 @@ const CryptoScamDetector = {
 
     for (const brand of walletBrands) {
       if (hostname.includes(brand) &&
-          !hostname.endsWith(brand + ".io") &&
-          !hostname.endsWith(brand + ".com") &&
-          !hostname.endsWith(brand + ".app")) {
+          domain !== brand + ".io" &&
+          domain !== brand + ".com" &&
+          domain !== brand + ".app") {
         findings.push({
+          ruleId: "crypto.wallet-impersonation",
           severity: "critical",
+          confidence: 0.85,
           category: "Wallet Impersonation",
-          message: `The domain "${hostname}" contains "${brand}" but is NOT the official ${brand} website — this is likely a phishing page designed to steal your wallet credentials.`
+          message: `The domain "${hostname}" contains "${brand}" but is NOT the official ${brand} website — this is likely a phishing page designed to steal your wallet credentials.`,
+          evidence: ScaimEvidence.of({ text: brand, url: snapshot.url })
         });
         score += 30;
         break;
@@ -313,15 +356,18 @@ const CryptoScamDetector = {
     const walletButtons = document.querySelectorAll(
       '[class*="wallet"], [id*="wallet"], [class*="connect"], [data-wallet]'
     );
-    const walletButtonTexts = Array.from(walletButtons)
-      .map(el => (el.textContent || "").toLowerCase())
-      .filter(t => /metamask|trust|phantom|coinbase|ledger|walletconnect|connect/i.test(t));
+    const walletButtonEls = Array.from(walletButtons)
+      .filter(el => /metamask|trust|phantom|coinbase|ledger|walletconnect|connect/i.test(el.textContent || ""));
+    const walletButtonTexts = walletButtonEls.map(el => (el.textContent || "").toLowerCase());
 
     if (walletButtonTexts.length >= 4) {
       findings.push({
+        ruleId: "crypto.many-wallet-options",
         severity: "high",
+        confidence: 0.5,
         category: "Suspicious Wallet Connect",
-        message: `This page displays ${walletButtonTexts.length} wallet connection options — phishing sites often present multiple wallet choices to cast a wide net for victims.`
+        message: `This page displays ${walletButtonTexts.length} wallet connection options — phishing sites often present multiple wallet choices to cast a wide net for victims.`,
+        evidence: ScaimEvidence.of({ element: walletButtonEls[0] })
       });
       score += 15;
     }
@@ -329,3 +375,11 @@ const CryptoScamDetector = {
     return score;
   }
 };
+
+ScaimDetectors.register({
+  key: "cryptoScam",
+  name: "Crypto & Investment",
+  description: "Seed phrase theft, fake trading platforms and wallet impersonation",
+  weight: 0.10,
+  scan: (snapshot) => CryptoScamDetector.scan(snapshot)
+});
@@ -3,15 +3,15 @@
  * Detects unrealistic deals, missing trust signals, and suspicious shopping patterns.
  */
 const FakeEcommerceDetector = {
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkUnrealisticPricing(findings);
-    score += this._checkTrustSignals(findings);
-    score += this._checkSuspiciousCheckout(findings);
-    score += this._checkFakeReviews(findings);
-    score += this._checkPaymentMethods(findings);
+    score += this._checkUnrealisticPricing(findings, snapshot);
+    score += this._checkTrustSignals(findings, snapshot);
+    score += this._checkSuspiciousCheckout(findings, snapshot);
+    score += this._checkFakeReviews(findings, snapshot);
+    score += this._checkPaymentMethods(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -22,9 +22,9 @@ const FakeEcommerceDetector = {
   /**
    * Detect unrealistic discounts and pricing.
    */
-  _checkUnrealisticPricing(findings) {
+  _checkUnrealisticPricing(findings, snapshot) {
     let score = 0;
-    const pageText = document.body?.innerText || "";
+    const pageText = snapshot.text;
 
     // Look for extreme discount patterns
     const discountPatterns = [
@@ -37,9 +37,12 @@ const FakeEcommerceDetector = {
       const matches = pageText.match(dp.pattern);
       if (matches && matches.length > 0) {
         findings.push({
+          ruleId: "fake-ecommerce.unrealistic-discount",
           severity: "high",
+          confidence: 0.6,
           category: "Unrealistic Discount",
-          message: `This page advertises a ${dp.label} — discounts this extreme are extremely rare from legitimate retailers and are a hallmark of scam shopping sites.`
+          message: `This page advertises a ${dp.label} — discounts this extreme are extremely rare from legitimate retailers and are a hallmark of scam shopping sites.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(pageText, dp.pattern) })
         });
         score += 15;
         break;
@@ -52,20 +55,27 @@ const FakeEcommerceDetector = {
     );
 
     let veryLowPriceCount = 0;
+    let firstLowPrice = null;
     priceElements.forEach(el => {
       const text = el.textContent || "";
       const priceMatch = text.match(/\$\s*(\d+\.?\d*)/);
       if (priceMatch) {
         const price = parseFloat(priceMatch[1]);
-        if (price > 0 && price < 5) veryLowPriceCount++;
+        if (price > 0 && price < 5) {
+          veryLowPriceCount++;
+          firstLowPrice = firstLowPrice || el;
+        }
       }
     });
 
     if (veryLowPriceCount > 3) {
       findings.push({
+        ruleId: "fake-ecommerce.low-prices",
         severity: "medium",
+        confidence: 0.4,
         category: "Suspiciously Low Prices",
-        message: `${veryLowPriceCount} items on this page are priced under $5 — scam sites often list items at impossibly low prices to lure victims.`
+        message: `${veryLowPriceCount} items on this page are priced under $5 — scam sites often list items at impossibly low prices to lure victims.`,
+        evidence: ScaimEvidence.of({ text: firstLowPrice.textContent, element: firstLowPrice })
       });
       score += 10;
     }
@@ -76,12 +86,11 @@ const FakeEcommerceDetector = {
   /**
    * Check for missing trust signals that legitimate stores have.
    */
-  _checkTrustSignals(findings) {
+  _checkTrustSignals(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
-    const allLinks = document.querySelectorAll("a");
-    const linkTexts = Array.from(allLinks).map(a => (a.textContent || "").toLowerCase());
-    const linkHrefs = Array.from(allLinks).map(a => (a.getAttribute("href") || "").toLowerCase());
+    const pageText = snapshot.lowerText;
+    const linkTexts = snapshot.links.map(link => link.text.toLowerCase());
+    const linkHrefs = snapshot.links.map(link => link.href.toLowerCase());
 
     // Only run these checks if the page appears to be a shop
     const isShopLike = this._isShopLikePage(pageText);
@@ -94,9 +103,12 @@ const FakeEcommerceDetector = {
 
     if (!hasContact) {
       findings.push({
+        ruleId: "fake-ecommerce.no-contact-info",
         severity: "high",
+        confidence: 0.5,
         category: "No Contact Information",
-        message: "This shopping page has no visible contact information — legitimate online stores always provide a way to reach customer support."
+        message: "This shopping page has no visible contact information — legitimate online stores always provide a way to reach customer support.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 15;
     }
@@ -106,9 +118,12 @@ const FakeEcommerceDetector = {
                        linkHrefs.some(h => h.includes("privacy"));
     if (!hasPrivacy) {
       findings.push({
+        ruleId: "fake-ecommerce.no-privacy-policy",
         severity: "medium",
+        confidence: 0.4,
         category: "No Privacy Policy",
-        message: "This shopping page has no privacy policy link — legitimate stores are legally required to disclose how they handle your data."
+        message: "This shopping page has no privacy policy link — legitimate stores are legally required to disclose how they handle your data.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 10;
     }
@@ -118,9 +133,12 @@ const FakeEcommerceDetector = {
                        linkHrefs.some(h => h.includes("return") || h.includes("refund"));
     if (!hasReturns) {
       findings.push({
+        ruleId: "fake-ecommerce.no-return-policy",
         severity: "medium",
+        confidence: 0.4,
         category: "No Return Policy",
-        message: "This shopping page has no return or refund policy — scam stores deliberately omit return policies because they don't intend to honor purchases."
+        message: "This shopping page has no return or refund policy — scam stores deliberately omit return policies because they don't intend to honor purchases.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 10;
     }
@@ -130,9 +148,12 @@ const FakeEcommerceDetector = {
                      linkHrefs.some(h => h.includes("about"));
     if (!hasAbout) {
       findings.push({
+        ruleId: "fake-ecommerce.no-company-info",
         severity: "low",
+        confidence: 0.3,
         category: "No Company Information",
-        message: "This shopping page has no 'About Us' or company information — legitimate businesses want you to know who they are."
+        message: "This shopping page has no 'About Us' or company information — legitimate businesses want you to know who they are.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 5;
     }
@@ -141,9 +162,12 @@ const FakeEcommerceDetector = {
     const hasAddress = /\b\d{1,5}\s+[\w\s]+\b(street|st|avenue|ave|road|rd|blvd|drive|dr|lane|ln|way)\b/i.test(pageText);
     if (!hasAddress && !hasContact) {
       findings.push({
+        ruleId: "fake-ecommerce.no-physical-address",
         severity: "medium",
+        confidence: 0.35,
         category: "No Physical Address",
-        message: "This shopping page has no physical address — legitimate retailers typically display their business address."
+        message: "This shopping page has no physical address — legitimate retailers typically display their business address.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 8;
     }
@@ -154,9 +178,9 @@ const FakeEcommerceDetector = {
   /**
    * Check for suspicious checkout behavior.
    */
-  _checkSuspiciousCheckout(findings) {
+  _checkSuspiciousCheckout(findings, snapshot) {
     let score = 0;
-    const forms = document.querySelectorAll("form");
+    const forms = snapshot.forms;
 
     forms.forEach(form => {
       const inputs = form.querySelectorAll("input, select, textarea");
@@ -182,9 +206,12 @@ const FakeEcommerceDetector = {
 
       if (foundSensitive.length >= 2) {
         findings.push({
+          ruleId: "fake-ecommerce.excessive-data-collection",
           severity: "critical",
+          confidence: 0.8,
           category: "Excessive Data Collection",
-          message: `A form on this page asks for ${foundSensitive.length} types of sensitive personal information (${foundSensitive.join(", ")}) — no legitimate shopping checkout needs this much personal data.`
+          message: `A form on this page asks for ${foundSensitive.length} types of sensitive personal information (${foundSensitive.join(", ")}) — no legitimate shopping checkout needs this much personal data.`,
+          evidence: ScaimEvidence.of({ text: foundSensitive.join(", "), element: form })
         });
         score += 25;
       }
@@ -196,7 +223,7 @@ const FakeEcommerceDetector = {
   /**
    * Detect fake review patterns.
    */
-  _checkFakeReviews(findings) {
+  _checkFakeReviews(findings, snapshot) {
     let score = 0;
 
     // Look for review containers
@@ -210,6 +237,7 @@ const FakeEcommerceDetector = {
     const starElements = document.querySelectorAll('[class*="star"], [class*="rating"]');
     let fiveStarCount = 0;
     let totalReviews = 0;
+    let firstReview = null;
 
     starElements.forEach(el => {
       const text = el.textContent || "";
@@ -218,14 +246,18 @@ const FakeEcommerceDetector = {
       }
       if (/\d\s*(\/\s*5|stars?|out of)/i.test(text)) {
         totalReviews++;
+        firstReview = firstReview || el;
       }
     });
 
     if (totalReviews >= 5 && fiveStarCount === totalReviews) {
       findings.push({
+        ruleId: "fake-ecommerce.all-five-star-reviews",
         severity: "medium",
+        confidence: 0.45,
         category: "Suspicious Reviews",
-        message: `All ${totalReviews} visible reviews appear to be 5-star ratings — a 100% perfect review score is statistically improbable and suggests fabricated reviews.`
+        message: `All ${totalReviews} visible reviews appear to be 5-star ratings — a 100% perfect review score is statistically improbable and suggests fabricated reviews.`,
+        evidence: ScaimEvidence.of({ element: firstReview })
       });
       score += 12;
     }
@@ -236,9 +268,9 @@ const FakeEcommerceDetector = {
   /**
    * Check for unusual payment method requests.
    */
-  _checkPaymentMethods(findings) {
+  _checkPaymentMethods(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const suspiciousPayments = [
       { pattern: /pay.{0,200}(gift card|itunes|google play card|steam card)/i, label: "gift card payment" },
@@ -250,9 +282,12 @@ const FakeEcommerceDetector = {
     for (const sp of suspiciousPayments) {
       if (sp.pattern.test(pageText)) {
         findings.push({
+          ruleId: "fake-ecommerce.suspicious-payment-method",
           severity: "high",
+          confidence: 0.7,
           category: "Suspicious Payment Method",
-          message: `This page suggests ${sp.label} — scammers prefer untraceable payment methods. Legitimate stores accept credit cards and offer buyer protection.`
+          message: `This page suggests ${sp.label} — scammers prefer untraceable payment methods. Legitimate stores accept credit cards and offer buyer protection.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, sp.pattern) })
         });
         score += 15;
       }
@@ -279,3 +314,11 @@ const FakeEcommerceDetector = {
     return matches >= 2;
   }
 };
+
+ScaimDetectors.register({
+  key: "fakeEcommerce",
+  name: "Fake Shopping",
+  description: "Unrealistic deals, missing trust signals and risky payment methods",
+  weight: 0.10,
+  scan: (snapshot) => FakeEcommerceDetector.scan(snapshot)
+});
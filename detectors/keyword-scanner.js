@@ -8,9 +8,8 @@ const KeywordScanner = {
    * Scan the page for keyword matches.
    * @returns {{ score: number, findings: Array, matchedCategories: Set, matches: Array }}
    */
-  scan() {
-    const rawText = this._extractVisibleText();
-    const pageText = typeof TextNormalizer !== "undefined" ? TextNormalizer.normalize(rawText) : rawText;
+  scan(snapshot = PageSnapshot.build()) {
+    const pageText = snapshot.visibleText;
     const matches = [];
     const categoryScores = {};
     const matchedCategories = new Set();
@@ -51,25 +50,6 @@ const KeywordScanner = {
     };
   },
 
-  /**
-   * Extract all visible text from the page body.
-   */
-  _extractVisibleText() {
-    if (!document.body) return "";
-    // Clone to avoid modifying the actual DOM
-    const clone = document.body.cloneNode(true);
-    // Extract text from SVG <text> elements before removing SVG containers
-    // (scam content can hide in SVG text to evade detection)
-    let svgText = "";
-    const svgTexts = clone.querySelectorAll("svg text");
-    svgTexts.forEach(el => { svgText += " " + (el.textContent || ""); });
-    // Remove script, style, and non-visible elements
-    const removable = clone.querySelectorAll("script, style, noscript, svg, template");
-    removable.forEach(el => el.remove());
-    // Use textContent on the cleaned clone (innerText is unreliable on detached nodes)
-    return ((clone.textContent || "") + svgText).toLowerCase();
-  },
-
   /**
    * Count case-insensitive, word-boundary-aware matches of a term in text.
    */
@@ -140,63 +120,84 @@ const KeywordScanner = {
     if (byCategory.financial) {
       const terms = byCategory.financial.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.financial",
         severity: this._severityFromWeight(byCategory.financial),
+        confidence: this._confidenceFromMatches(byCategory.financial),
         category: "Financial",
-        message: `This page contains financial terminology (${terms}) — be cautious about any requests for financial information or transactions.`
+        message: `This page contains financial terminology (${terms}) — be cautious about any requests for financial information or transactions.`,
+        evidence: ScaimEvidence.of({ text: byCategory.financial.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.money) {
       const terms = byCategory.money.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.money",
         severity: this._severityFromWeight(byCategory.money),
+        confidence: this._confidenceFromMatches(byCategory.money),
         category: "Money/Transaction",
-        message: `This page references monetary transactions (${terms}) — verify the legitimacy of any payment requests before proceeding.`
+        message: `This page references monetary transactions (${terms}) — verify the legitimacy of any payment requests before proceeding.`,
+        evidence: ScaimEvidence.of({ text: byCategory.money.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.dataExchange) {
       const terms = byCategory.dataExchange.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.data-exchange",
         severity: "high",
+        confidence: this._confidenceFromMatches(byCategory.dataExchange),
         category: "Data Exchange",
-        message: `This page requests or references personal data (${terms}) — never share sensitive information unless you are certain of the site's legitimacy.`
+        message: `This page requests or references personal data (${terms}) — never share sensitive information unless you are certain of the site's legitimacy.`,
+        evidence: ScaimEvidence.of({ text: byCategory.dataExchange.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.urgency) {
       const terms = byCategory.urgency.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.urgency",
         severity: "high",
+        confidence: this._confidenceFromMatches(byCategory.urgency),
         category: "Urgency Tactics",
-        message: `This page uses pressure language (${terms}) — legitimate organizations rarely demand immediate action. This is a common manipulation technique.`
+        message: `This page uses pressure language (${terms}) — legitimate organizations rarely demand immediate action. This is a common manipulation technique.`,
+        evidence: ScaimEvidence.of({ text: byCategory.urgency.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.authority) {
       const terms = byCategory.authority.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.authority",
         severity: "high",
+        confidence: this._confidenceFromMatches(byCategory.authority),
         category: "Authority Impersonation",
-        message: `This page references authoritative organizations (${terms}) — scammers frequently impersonate authorities to create fear and compliance.`
+        message: `This page references authoritative organizations (${terms}) — scammers frequently impersonate authorities to create fear and compliance.`,
+        evidence: ScaimEvidence.of({ text: byCategory.authority.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.rewardBait) {
       const terms = byCategory.rewardBait.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.reward-bait",
         severity: "medium",
+        confidence: this._confidenceFromMatches(byCategory.rewardBait),
         category: "Reward Bait",
-        message: `This page uses reward/prize language (${terms}) — unsolicited prize notifications are almost always scams.`
+        message: `This page uses reward/prize language (${terms}) — unsolicited prize notifications are almost always scams.`,
+        evidence: ScaimEvidence.of({ text: byCategory.rewardBait.map(m => m.term).join(", ") })
       });
     }
 
     if (byCategory.crypto) {
       const terms = byCategory.crypto.map(m => `"${m.term}"`).join(", ");
       findings.push({
+        ruleId: "keywords.crypto",
         severity: this._severityFromWeight(byCategory.crypto),
+        confidence: this._confidenceFromMatches(byCategory.crypto),
         category: "Crypto/Investment",
-        message: `This page contains crypto/investment terminology (${terms}) — be extremely cautious of any requests involving seed phrases, private keys, or wallet connections.`
+        message: `This page contains crypto/investment terminology (${terms}) — be extremely cautious of any requests involving seed phrases, private keys, or wallet connections.`,
+        evidence: ScaimEvidence.of({ text: byCategory.crypto.map(m => m.term).join(", ") })
       });
     }
 
@@ -206,15 +207,25 @@ const KeywordScanner = {
         c => SCAIM_KEYWORDS[c]?.label || c
       ).join(", ");
       findings.push({
+        ruleId: "keywords.compound-risk",
         severity: "critical",
+        confidence: 0.7,
         category: "Compound Risk",
-        message: `This page triggers ${matchedCategories.size} different risk categories (${categoryNames}). The combination of these signals significantly increases the likelihood of a scam.`
+        message: `This page triggers ${matchedCategories.size} different risk categories (${categoryNames}). The combination of these signals significantly increases the likelihood of a scam.`,
+        evidence: ScaimEvidence.of({ text: categoryNames })
       });
     }
 
     return findings;
   },
 
+  /**
+   * Confidence grows with the number of distinct terms matched in a group.
+   */
+  _confidenceFromMatches(matches) {
+    return Math.min(0.8, 0.3 + matches.length * 0.1);
+  },
+
   /**
    * Determine severity from the max weight of matches in a group.
    */
@@ -225,3 +236,11 @@ const KeywordScanner = {
     return "low";
   }
 };
+
+ScaimDetectors.register({
+  key: "keywords",
+  name: "Keywords",
+  description: "Suspicious keyword categories in visible page text",
+  weight: 0.18,
+  scan: (snapshot) => KeywordScanner.scan(snapshot)
+});
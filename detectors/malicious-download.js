@@ -12,24 +12,29 @@ const MaliciousDownloadDetector = {
     ".jar", ".apk", ".app", ".dmg", ".iso", ".img"
   ],
 
-  // Legitimate download sites to reduce false positives
+  // Legitimate download sites to reduce false positives (brands' official
+  // sites, such as microsoft.com or adobe.com, come from ScaimBrands)
   DOWNLOAD_SITES: [
     "github.com", "gitlab.com", "sourceforge.net", "npmjs.com",
     "pypi.org", "maven.org", "nuget.org", "rubygems.org",
-    "developer.apple.com", "developer.android.com", "microsoft.com",
-    "adobe.com", "java.com", "mozilla.org", "google.com"
+    "developer.android.com", "java.com", "mozilla.org"
   ],
 
-  scan() {
+  // Brands whose software pages tell people to update (see config/brands.js),
+  // and update sites of software that isn't in the brand registry
+  UPDATE_VENDORS: ["adobe", "microsoft", "google", "apple"],
+  UPDATE_SITES: ["java.com", "mozilla.org"],
+
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkDangerousFileLinks(findings);
-    score += this._checkFakeUpdatePrompts(findings);
-    score += this._checkFakeDownloadButtons(findings);
-    score += this._checkAutoDownloadScripts(findings);
-    score += this._checkDeceptiveDownloadCounts(findings);
-    score += this._checkDisguisedExtensions(findings);
+    score += this._checkDangerousFileLinks(findings, snapshot);
+    score += this._checkFakeUpdatePrompts(findings, snapshot);
+    score += this._checkFakeDownloadButtons(findings, snapshot);
+    score += this._checkAutoDownloadScripts(findings, snapshot);
+    score += this._checkDeceptiveDownloadCounts(findings, snapshot);
+    score += this._checkDisguisedExtensions(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -40,21 +45,20 @@ const MaliciousDownloadDetector = {
   /**
    * Check for links to dangerous file types.
    */
-  _checkDangerousFileLinks(findings) {
+  _checkDangerousFileLinks(findings, snapshot) {
     let score = 0;
-    const links = document.querySelectorAll("a[href]");
-    const hostname = window.location.hostname.toLowerCase();
+    const hostname = snapshot.hostname;
 
     // Skip on known legitimate download sites
-    if (this.DOWNLOAD_SITES.some(s => hostname.includes(s))) return 0;
+    if (this.DOWNLOAD_SITES.some(s => hostname.includes(s)) || ScaimBrands.ownerOf(hostname)) return 0;
 
     const dangerousLinks = [];
 
-    links.forEach(link => {
-      const href = (link.getAttribute("href") || "").toLowerCase();
+    snapshot.links.forEach(link => {
+      const href = link.href.toLowerCase();
       for (const ext of this.DANGEROUS_EXTENSIONS) {
         if (href.endsWith(ext) || href.includes(ext + "?") || href.includes(ext + "#")) {
-          dangerousLinks.push({ href, ext, text: (link.textContent || "").trim().substring(0, 60) });
+          dangerousLinks.push({ href, ext, text: link.text.substring(0, 60), element: link.element });
           break;
         }
       }
@@ -66,7 +70,7 @@ const MaliciousDownloadDetector = {
       const downloadName = (link.getAttribute("download") || "").toLowerCase();
       for (const ext of this.DANGEROUS_EXTENSIONS) {
         if (downloadName.endsWith(ext)) {
-          dangerousLinks.push({ href: link.href, ext, text: downloadName });
+          dangerousLinks.push({ href: link.href, ext, text: downloadName, element: link });
           break;
         }
       }
@@ -76,11 +80,28 @@ const MaliciousDownloadDetector = {
       const exts = [...new Set(dangerousLinks.map(l => l.ext))].join(", ");
       const severity = dangerousLinks.length >= 3 ? "critical" : "high";
       findings.push({
+        ruleId: "malicious-download.dangerous-file-link",
         severity,
+        confidence: dangerousLinks.length >= 3 ? 0.8 : 0.6,
         category: "Dangerous File Download",
-        message: `This page contains ${dangerousLinks.length} link(s) to potentially dangerous file types (${exts}) — executable files downloaded from untrusted sites can install malware, ransomware, or spyware on your device.`
+        message: `This page contains ${dangerousLinks.length} link(s) to potentially dangerous file types (${exts}) — executable files downloaded from untrusted sites can install malware, ransomware, or spyware on your device.`,
+        evidence: ScaimEvidence.of({ text: dangerousLinks[0].text, url: dangerousLinks[0].href, element: dangerousLinks[0].element })
       });
       score += 15 + dangerousLinks.length * 5;
+
+      // "Download Adobe Acrobat" on a site that isn't Adobe's
+      const brand = ScaimBrands.list().find(b => ScaimBrands.keywordPattern(b).test(snapshot.title));
+      if (brand) {
+        findings.push({
+          ruleId: "malicious-download.impersonated-brand-download",
+          severity: "critical",
+          confidence: 0.8,
+          category: "Dangerous File Download",
+          message: `This page offers ${exts} downloads under the ${brand.name} name, but it is NOT one of ${brand.name}'s websites — get ${brand.name} software only from ${brand.domains[0]} or your device's app store.`,
+          evidence: ScaimEvidence.of({ text: snapshot.title.slice(0, 80), url: dangerousLinks[0].href, element: dangerousLinks[0].element })
+        });
+        score += 15;
+      }
     }
 
     return Math.min(35, score);
@@ -89,15 +110,14 @@ const MaliciousDownloadDetector = {
   /**
    * Detect fake software update prompts.
    */
-  _checkFakeUpdatePrompts(findings) {
+  _checkFakeUpdatePrompts(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
-    const hostname = window.location.hostname.toLowerCase();
+    const pageText = snapshot.lowerText;
+    const hostname = snapshot.hostname;
 
     // Skip on actual update domains
-    const updateDomains = ["adobe.com", "java.com", "microsoft.com", "mozilla.org",
-                           "google.com", "apple.com", "chrome.com"];
-    if (updateDomains.some(d => hostname.includes(d))) return 0;
+    if (this.UPDATE_VENDORS.some(key => ScaimBrands.isOfficial(hostname, key)) ||
+        this.UPDATE_SITES.some(d => hostname === d || hostname.endsWith("." + d))) return 0;
 
     const updatePatterns = [
       { pattern: /flash\s+player\s+(is\s+)?(out\s+of\s+date|update|required|needs?\s+to\s+be\s+updated)/i, label: "Flash Player update (Flash is discontinued)" },
@@ -114,9 +134,12 @@ const MaliciousDownloadDetector = {
         // Flash Player is discontinued — any page asking for it is a scam
         const severity = up.label.includes("Flash") ? "critical" : "high";
         findings.push({
+          ruleId: "malicious-download.fake-update-prompt",
           severity,
+          confidence: severity === "critical" ? 0.9 : 0.7,
           category: "Fake Update Prompt",
-          message: `This page claims you need a ${up.label} — ${up.label.includes("Flash") ? "Flash Player was discontinued in 2020 and any website requesting it is a scam." : "legitimate updates come from your operating system or the software itself, NEVER from random websites. Downloading updates from untrusted pages installs malware."}`
+          message: `This page claims you need a ${up.label} — ${up.label.includes("Flash") ? "Flash Player was discontinued in 2020 and any website requesting it is a scam." : "legitimate updates come from your operating system or the software itself, NEVER from random websites. Downloading updates from untrusted pages installs malware."}`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, up.pattern) })
         });
         score += severity === "critical" ? 25 : 18;
         break; // One finding per category
@@ -129,7 +152,7 @@ const MaliciousDownloadDetector = {
   /**
    * Detect multiple/fake download buttons.
    */
-  _checkFakeDownloadButtons(findings) {
+  _checkFakeDownloadButtons(findings, snapshot) {
     let score = 0;
 
     // Find all elements that look like download buttons
@@ -154,30 +177,36 @@ const MaliciousDownloadDetector = {
         downloadButtons.push({
           text: text.substring(0, 40),
           tag: el.tagName.toLowerCase(),
-          href: href.substring(0, 80)
+          href: href.substring(0, 80),
+          element: el
         });
       }
     });
 
     if (downloadButtonCount > 3) {
       findings.push({
+        ruleId: "malicious-download.multiple-download-buttons",
         severity: "high",
+        confidence: 0.5,
         category: "Multiple Download Buttons",
-        message: `This page has ${downloadButtonCount} download buttons — pages with many download buttons often use decoy buttons to trick you into downloading malware instead of the intended file.`
+        message: `This page has ${downloadButtonCount} download buttons — pages with many download buttons often use decoy buttons to trick you into downloading malware instead of the intended file.`,
+        evidence: ScaimEvidence.of({ text: downloadButtons[0].text, element: downloadButtons[0].element })
       });
       score += 15;
     }
 
     // Check for download buttons that are actually ads or lead to different domains
-    const pageHost = window.location.hostname;
+    const pageHost = snapshot.hostname;
     let externalDownloads = 0;
+    let firstExternal = null;
 
     for (const btn of downloadButtons) {
       if (btn.href && btn.href.startsWith("http")) {
         try {
           const url = new URL(btn.href);
-          if (url.hostname !== pageHost) {
+          if (!PublicSuffix.isSameSite(url.hostname, pageHost)) {
             externalDownloads++;
+            firstExternal = firstExternal || btn;
           }
         } catch (e) { /* skip */ }
       }
@@ -185,9 +214,12 @@ const MaliciousDownloadDetector = {
 
     if (externalDownloads >= 2) {
       findings.push({
+        ruleId: "malicious-download.external-download-buttons",
         severity: "high",
+        confidence: 0.65,
         category: "Deceptive Download Buttons",
-        message: `${externalDownloads} download buttons on this page link to external domains — these are likely ads or malicious downloads disguised as the real download button.`
+        message: `${externalDownloads} download buttons on this page link to external domains — these are likely ads or malicious downloads disguised as the real download button.`,
+        evidence: ScaimEvidence.of({ url: firstExternal.href, element: firstExternal.element })
       });
       score += 12;
     }
@@ -198,9 +230,9 @@ const MaliciousDownloadDetector = {
   /**
    * Detect scripts that trigger automatic downloads.
    */
-  _checkAutoDownloadScripts(findings) {
+  _checkAutoDownloadScripts(findings, snapshot) {
     let score = 0;
-    const scripts = document.querySelectorAll("script:not([src])");
+    const scripts = snapshot.inlineScripts;
 
     scripts.forEach(script => {
       const content = script.textContent || "";
@@ -216,9 +248,12 @@ const MaliciousDownloadDetector = {
       for (const pattern of autoDownloadPatterns) {
         if (pattern.test(content)) {
           findings.push({
+            ruleId: "malicious-download.auto-download-script",
             severity: "high",
+            confidence: 0.7,
             category: "Auto-Download Script",
-            message: "This page contains a script that automatically triggers a file download — drive-by downloads are a common malware distribution technique. Cancel any unexpected downloads immediately."
+            message: "This page contains a script that automatically triggers a file download — drive-by downloads are a common malware distribution technique. Cancel any unexpected downloads immediately.",
+            evidence: ScaimEvidence.of({ element: script })
           });
           score += 20;
           return; // Exit forEach callback
@@ -232,10 +267,10 @@ const MaliciousDownloadDetector = {
   /**
    * Detect deceptive download count claims.
    */
-  _checkDeceptiveDownloadCounts(findings) {
+  _checkDeceptiveDownloadCounts(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
-    const hostname = window.location.hostname.toLowerCase();
+    const pageText = snapshot.lowerText;
+    const hostname = snapshot.hostname;
 
     // Skip on legitimate app stores
     const appStores = ["play.google.com", "apps.apple.com", "microsoft.com",
@@ -258,9 +293,12 @@ const MaliciousDownloadDetector = {
           const num = parseInt(numMatch[1].replace(/,/g, ""));
           if (num >= 1000000) {
             findings.push({
+              ruleId: "malicious-download.inflated-download-count",
               severity: "low",
+              confidence: 0.3,
               category: "Inflated Download Claims",
-              message: `This page claims "${match[0].trim()}" — scam download pages often fabricate large numbers to create false trust. Verify download counts on official app stores.`
+              message: `This page claims "${match[0].trim()}" — scam download pages often fabricate large numbers to create false trust. Verify download counts on official app stores.`,
+              evidence: ScaimEvidence.of({ text: match[0] })
             });
             score += 5;
             break;
@@ -275,7 +313,7 @@ const MaliciousDownloadDetector = {
   /**
    * Detect disguised file extensions (e.g., "document.pdf.exe").
    */
-  _checkDisguisedExtensions(findings) {
+  _checkDisguisedExtensions(findings, snapshot) {
     let score = 0;
     const links = document.querySelectorAll("a[href], a[download]");
 
@@ -296,9 +334,12 @@ const MaliciousDownloadDetector = {
         for (const dangerous of dangerousExtensions) {
           if (filename.toLowerCase().includes(safe + dangerous)) {
             findings.push({
+              ruleId: "malicious-download.disguised-extension",
               severity: "critical",
+              confidence: 0.9,
               category: "Disguised File Extension",
-              message: `A download on this page has a disguised filename ("${filename.substring(0, 60)}") — it appears to be a ${safe} file but is actually a ${dangerous} executable. This is a classic malware distribution technique.`
+              message: `A download on this page has a disguised filename ("${filename.substring(0, 60)}") — it appears to be a ${safe} file but is actually a ${dangerous} executable. This is a classic malware distribution technique.`,
+              evidence: ScaimEvidence.of({ text: filename, url: href, element: link })
             });
             score += 25;
             return; // Exit forEach callback
@@ -310,3 +351,11 @@ const MaliciousDownloadDetector = {
     return Math.min(25, score);
   }
 };
+
+ScaimDetectors.register({
+  key: "maliciousDownload",
+  name: "Malicious Downloads",
+  description: "Dangerous files, fake update prompts and deceptive download buttons",
+  weight: 0.08,
+  scan: (snapshot) => MaliciousDownloadDetector.scan(snapshot)
+});
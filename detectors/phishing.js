@@ -11,28 +11,29 @@ const PhishingDetector = {
     "\u0441": "c", "\u0443": "y", "\u0445": "x"
   },
 
-  // Known brands that get impersonated
-  TARGET_BRANDS: [
-    "paypal", "amazon", "apple", "microsoft", "google", "facebook",
-    "netflix", "instagram", "twitter", "linkedin", "chase", "wellsfargo",
-    "bankofamerica", "citibank", "usbank", "capitalone", "americanexpress",
-    "dropbox", "adobe", "spotify", "ebay", "walmart", "target",
-    "costco", "bestbuy", "ups", "fedex", "usps", "dhl"
-  ],
+  // Brands that get impersonated, and their official sites, come from
+  // ScaimBrands (config/brands.js plus the user's own brands).
+  // Brand checks read domains this way: shared hosting suffixes such as
+  // github.io don't make "paypal.github.io" PayPal's own domain
+  BRAND_DOMAIN_OPTIONS: { icannOnly: true },
+
+  // Sign-in words a title may put next to a brand's name ("Chase | Sign In")
+  LOGIN_TITLE_WORDS: ["log in", "login", "log on", "sign in", "sign on", "online banking", "account"],
 
   SUSPICIOUS_TLDS: [
     ".xyz", ".top", ".club", ".work", ".buzz", ".tk", ".ml",
     ".ga", ".cf", ".gq", ".icu", ".cam", ".rest", ".surf"
   ],
 
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkURL(findings);
-    score += this._checkDomain(findings);
-    score += this._checkLoginForms(findings);
-    score += this._checkBrandImpersonation(findings);
+    score += this._checkURL(findings, snapshot);
+    score += this._checkDomain(findings, snapshot);
+    score += this._checkPunycode(findings, snapshot);
+    score += this._checkLoginForms(findings, snapshot);
+    score += this._checkBrandImpersonation(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -43,28 +44,36 @@ const PhishingDetector = {
   /**
    * Analyze the current URL for phishing indicators.
    */
-  _checkURL(findings) {
+  _checkURL(findings, snapshot) {
     let score = 0;
-    const url = window.location.href;
-    const hostname = window.location.hostname;
+    const url = snapshot.url;
+    const hostname = snapshot.hostname;
 
     // IP address URL
     if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(hostname)) {
       findings.push({
+        ruleId: "phishing.ip-address-url",
         severity: "critical",
+        confidence: 0.9,
         category: "IP Address URL",
-        message: `This page is served from a raw IP address (${hostname}) instead of a domain name — legitimate websites almost never do this. This is a strong indicator of phishing.`
+        message: `This page is served from a raw IP address (${hostname}) instead of a domain name — legitimate websites almost never do this. This is a strong indicator of phishing.`,
+        evidence: ScaimEvidence.of({ url })
       });
       score += 30;
     }
 
-    // Excessive subdomains
-    const parts = hostname.split(".");
-    if (parts.length > 4) {
+    // Excessive subdomains (counted left of the registrable domain, so
+    // "a.b.example.co.uk" has two, not four)
+    const subdomain = PublicSuffix.parse(hostname)?.subdomain || "";
+    const subdomainCount = subdomain ? subdomain.split(".").length : 0;
+    if (subdomainCount > 2) {
       findings.push({
+        ruleId: "phishing.excessive-subdomains",
         severity: "high",
+        confidence: 0.6,
         category: "Excessive Subdomains",
-        message: `The URL has ${parts.length - 2} subdomains (${hostname}) — attackers use excessive subdomains to make URLs look like legitimate sites (e.g., "login.paypal.com.malicious-site.xyz").`
+        message: `The URL has ${subdomainCount} subdomains (${hostname}) — attackers use excessive subdomains to make URLs look like legitimate sites (e.g., "login.paypal.com.malicious-site.xyz").`,
+        evidence: ScaimEvidence.of({ text: hostname, url })
       });
       score += 15;
     }
@@ -73,9 +82,12 @@ const PhishingDetector = {
     for (const tld of this.SUSPICIOUS_TLDS) {
       if (hostname.endsWith(tld)) {
         findings.push({
+          ruleId: "phishing.suspicious-tld",
           severity: "medium",
+          confidence: 0.4,
           category: "Suspicious Domain Extension",
-          message: `This site uses the "${tld}" domain extension — while not always malicious, this extension is disproportionately used for phishing and scam sites.`
+          message: `This site uses the "${tld}" domain extension — while not always malicious, this extension is disproportionately used for phishing and scam sites.`,
+          evidence: ScaimEvidence.of({ text: tld, url })
         });
         score += 10;
         break;
@@ -85,9 +97,12 @@ const PhishingDetector = {
     // URL-encoded characters in hostname
     if (/%[0-9a-f]{2}/i.test(url.split("/")[2] || "")) {
       findings.push({
+        ruleId: "phishing.encoded-hostname",
         severity: "high",
+        confidence: 0.8,
         category: "Encoded URL",
-        message: "The URL contains encoded characters in the domain — this technique is used to disguise the true destination of a link."
+        message: "The URL contains encoded characters in the domain — this technique is used to disguise the true destination of a link.",
+        evidence: ScaimEvidence.of({ url })
       });
       score += 15;
     }
@@ -95,9 +110,12 @@ const PhishingDetector = {
     // Very long URL (common in phishing)
     if (url.length > 200) {
       findings.push({
+        ruleId: "phishing.long-url",
         severity: "low",
+        confidence: 0.3,
         category: "Long URL",
-        message: `This URL is unusually long (${url.length} characters) — excessively long URLs can be used to hide suspicious parameters or the true domain.`
+        message: `This URL is unusually long (${url.length} characters) — excessively long URLs can be used to hide suspicious parameters or the true domain.`,
+        evidence: ScaimEvidence.of({ url })
       });
       score += 5;
     }
@@ -105,9 +123,12 @@ const PhishingDetector = {
     // @ symbol in URL (used to mask true domain)
     if (url.includes("@")) {
       findings.push({
+        ruleId: "phishing.at-sign-url",
         severity: "high",
+        confidence: 0.8,
         category: "Deceptive URL",
-        message: 'This URL contains an "@" symbol — this is a known technique to make a URL appear to point to one site (before the @) while actually going to another (after the @).'
+        message: 'This URL contains an "@" symbol — this is a known technique to make a URL appear to point to one site (before the @) while actually going to another (after the @).',
+        evidence: ScaimEvidence.of({ url })
       });
       score += 20;
     }
@@ -117,23 +138,37 @@ const PhishingDetector = {
 
   /**
    * Check for homoglyph/lookalike domains.
+   * Works on the registrable domain (eTLD+1) from PublicSuffix, so
+   * "amazon.co.uk" is Amazon's own site and "paypal.co.uk.evil.com" is evil.com.
    */
-  _checkDomain(findings) {
+  _checkDomain(findings, snapshot) {
     let score = 0;
-    const hostname = window.location.hostname.toLowerCase();
-
-    for (const brand of this.TARGET_BRANDS) {
-      // Exact subdomain match is fine (e.g., login.paypal.com)
-      if (hostname === brand + ".com" || hostname.endsWith("." + brand + ".com")) {
+    const hostname = snapshot.hostname;
+    const parsed = PublicSuffix.parse(hostname, this.BRAND_DOMAIN_OPTIONS);
+    const domainLabel = PublicSuffix.getDomainLabel(hostname, this.BRAND_DOMAIN_OPTIONS);
+    const actualDomain = parsed?.domain || hostname;
+    const subdomain = parsed?.subdomain || "";
+
+    // An official site of a known brand (login.microsoftonline.com, amazon.co.jp)
+    // is what the checks below are protecting, not an imitation
+    if (ScaimBrands.ownerOf(hostname)) return 0;
+
+    for (const { key: brand, name, domains } of ScaimBrands.list()) {
+      // The brand's name on a suffix the registry doesn't list (e.g., amazon.com.ar)
+      // is left to the user's judgment
+      if (domainLabel === brand) {
         continue;
       }
 
       // Check for lookalikes
       if (this._isSimilarToBrand(hostname, brand)) {
         findings.push({
+          ruleId: "phishing.lookalike-domain",
           severity: "critical",
+          confidence: 0.85,
           category: "Homoglyph Domain",
-          message: `The domain "${hostname}" looks similar to "${brand}" but is NOT the real site — this is a common phishing technique using lookalike characters or misspellings.`
+          message: `The domain "${hostname}" looks similar to "${brand}" but is NOT the real ${name} site (${domains[0]}) — this is a common phishing technique using lookalike characters or misspellings.`,
+          evidence: ScaimEvidence.of({ text: brand, url: snapshot.url })
         });
         score += 35;
         break; // One finding is enough
@@ -141,17 +176,24 @@ const PhishingDetector = {
     }
 
     // Check for brand name in subdomain (e.g., paypal.malicious.com)
-    const parts = hostname.split(".");
-    if (parts.length >= 3) {
-      const subdomains = parts.slice(0, -2).join(".");
-      for (const brand of this.TARGET_BRANDS) {
-        if (subdomains.includes(brand) && !hostname.endsWith(brand + ".com")) {
+    if (subdomain) {
+      for (const { key: brand, name } of ScaimBrands.list()) {
+        if (subdomain.includes(brand) && domainLabel !== brand) {
+          // "paypal.co.uk.evil.com" — the subdomain spells out a complete brand domain
+          const mimicked = PublicSuffix.getDomainLabel(subdomain, this.BRAND_DOMAIN_OPTIONS) === brand
+            ? PublicSuffix.getDomain(subdomain, this.BRAND_DOMAIN_OPTIONS)
+            : null;
           findings.push({
-            severity: "high",
+            ruleId: "phishing.brand-in-subdomain",
+            severity: mimicked ? "critical" : "high",
+            confidence: mimicked ? 0.85 : 0.75,
             category: "Brand in Subdomain",
-            message: `The subdomain contains "${brand}" but this is NOT the real ${brand} website — the actual domain is "${parts.slice(-2).join(".")}". Attackers put brand names in subdomains to trick you.`
+            message: mimicked
+              ? `This address starts with "${mimicked}" but the site is really "${actualDomain}" — NOT the real ${name} website. Attackers put a real domain at the front of their own to trick you.`
+              : `The subdomain contains "${brand}" but this is NOT the real ${name} website — the actual domain is "${actualDomain}". Attackers put brand names in subdomains to trick you.`,
+            evidence: ScaimEvidence.of({ text: mimicked || brand, url: snapshot.url })
           });
-          score += 20;
+          score += mimicked ? 30 : 20;
           break;
         }
       }
@@ -161,11 +203,89 @@ const PhishingDetector = {
   },
 
   /**
-   * Check if a hostname is suspiciously similar to a known brand.
+   * Check internationalized (punycode) domains. The browser shows "xn--pypal-4ve.com"
+   * as "pаypal.com", so each label is decoded and compared by its confusable
+   * skeleton (see ScaimIDN) with the brands above and the user's allowlisted
+   * domains; a label that mixes scripts (Latin with Cyrillic, say) is
+   * suspicious even when it imitates nothing we know.
+   */
+  _checkPunycode(findings, snapshot) {
+    const hostname = snapshot.hostname;
+    if (!ScaimIDN.isIDN(hostname)) return 0;
+
+    const decoded = ScaimIDN.toUnicode(hostname);
+    const domain = PublicSuffix.getDomain(hostname, this.BRAND_DOMAIN_OPTIONS) || hostname;
+    const decodedDomain = ScaimIDN.toUnicode(domain);
+    const labels = hostname.split(".")
+      .filter(label => label.startsWith("xn--"))
+      .map(label => ScaimIDN.toUnicode(label));
+
+    const target = this._punycodeTarget(labels, decodedDomain);
+    if (target) {
+      findings.push({
+        ruleId: "phishing.punycode-lookalike",
+        severity: "critical",
+        confidence: 0.9,
+        category: "Punycode Lookalike",
+        message: `This address is shown as "${decoded}" (really "${hostname}") — it spells "${target}" with look-alike letters, but it is NOT ${target}.`,
+        evidence: ScaimEvidence.of({ text: decoded, url: snapshot.url })
+      });
+      return 40;
+    }
+
+    const mixed = labels.find(label => ScaimIDN.isMixedScript(label));
+    if (mixed) {
+      findings.push({
+        ruleId: "phishing.mixed-script-domain",
+        severity: "high",
+        confidence: 0.7,
+        category: "Punycode Lookalike",
+        message: `This address is shown as "${decoded}" (really "${hostname}") — "${mixed}" mixes ${ScaimIDN.scriptsOf(mixed).join(" and ")} letters. Real sites almost never do this; it makes a fake address look like a familiar one.`,
+        evidence: ScaimEvidence.of({ text: decoded, url: snapshot.url })
+      });
+      return 25;
+    }
+
+    return 0;
+  },
+
+  /**
+   * The brand or allowlisted domain a punycode hostname imitates, or null.
+   * @param {string[]} labels - The hostname's decoded "xn--" labels
+   * @param {string} decodedDomain - Its decoded registrable domain
+   * @returns {string|null}
+   */
+  _punycodeTarget(labels, decodedDomain) {
+    for (const label of labels) {
+      const skeleton = ScaimIDN.skeleton(label);
+      // Short brands ("ups", "dhl") only count as the whole label. A brand
+      // spelled with plain letters is only part of a real name
+      // ("bücher-amazon"), unless a look-alike falls inside it.
+      const brand = ScaimBrands.list().find(({ key }) => {
+        const brandSkeleton = ScaimIDN.skeleton(key);
+        const found = key.length >= 5 ? skeleton.includes(brandSkeleton) : skeleton === brandSkeleton;
+        return found && ScaimIDN.imitates(label, key);
+      });
+      if (brand) return brand.key;
+    }
+
+    const domainSkeleton = ScaimIDN.skeleton(decodedDomain);
+    for (const allowed of DomainLists.getLists().allowlist) {
+      const decodedAllowed = ScaimIDN.toUnicode(allowed);
+      if (decodedAllowed !== decodedDomain && ScaimIDN.skeleton(decodedAllowed) === domainSkeleton) {
+        return allowed;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Check if a hostname's registrable domain is suspiciously similar to a known brand.
+   * Subdomains are left to the "Brand in Subdomain" check.
    */
   _isSimilarToBrand(hostname, brand) {
-    // Remove TLD for comparison
-    const domainBase = hostname.split(".").slice(0, -1).join(".");
+    // Compare the registrable domain without its public suffix ("amaz0n" for "www.amaz0n.co.uk")
+    const domainBase = PublicSuffix.getDomainLabel(hostname, this.BRAND_DOMAIN_OPTIONS);
 
     // Check for the brand name with common substitutions
     const variations = [
@@ -225,10 +345,10 @@ const PhishingDetector = {
   /**
    * Check login forms for phishing indicators.
    */
-  _checkLoginForms(findings) {
+  _checkLoginForms(findings, snapshot) {
     let score = 0;
-    const forms = document.querySelectorAll("form");
-    const pageHost = window.location.hostname;
+    const forms = snapshot.forms;
+    const pageHost = snapshot.hostname;
 
     forms.forEach(form => {
       const hasPassword = form.querySelector('input[type="password"]');
@@ -240,11 +360,14 @@ const PhishingDetector = {
       if (!isLoginForm) return;
 
       // Login form on HTTP
-      if (window.location.protocol === "http:") {
+      if (snapshot.protocol === "http:") {
         findings.push({
+          ruleId: "phishing.insecure-login-form",
           severity: "critical",
+          confidence: 0.9,
           category: "Insecure Login",
-          message: "This login form is on an unencrypted (HTTP) page — your credentials will be sent in plain text and can be intercepted by anyone."
+          message: "This login form is on an unencrypted (HTTP) page — your credentials will be sent in plain text and can be intercepted by anyone.",
+          evidence: ScaimEvidence.of({ url: snapshot.url, element: form })
         });
         score += 25;
       }
@@ -253,12 +376,15 @@ const PhishingDetector = {
       const action = form.getAttribute("action");
       if (action) {
         try {
-          const actionUrl = new URL(action, window.location.href);
-          if (actionUrl.hostname !== pageHost) {
+          const actionUrl = new URL(action, snapshot.url);
+          if (!PublicSuffix.isSameSite(actionUrl.hostname, pageHost)) {
             findings.push({
+              ruleId: "phishing.external-login-action",
               severity: "critical",
+              confidence: 0.85,
               category: "External Login Action",
-              message: `This login form sends your credentials to ${actionUrl.hostname}, which is different from the current site — this is a strong phishing indicator.`
+              message: `This login form sends your credentials to ${actionUrl.hostname}, which is different from the current site — this is a strong phishing indicator.`,
+              evidence: ScaimEvidence.of({ url: actionUrl.href, element: form })
             });
             score += 30;
           }
@@ -266,36 +392,115 @@ const PhishingDetector = {
       }
     });
 
+    // A password asked for by a site the user has never visited before (see
+    // ScaimSiteHistory) — phishing pages are, almost by definition, new to their victims.
+    // Checked across all inputs, since many login pages don't use a <form>.
+    const password = snapshot.inputs.find(input => input.matches('input[type="password"]'));
+    if (password && snapshot.visit && snapshot.visit.isNew) {
+      findings.push({
+        ruleId: "phishing.new-site-password",
+        severity: "high",
+        confidence: 0.6,
+        category: "New Site Asking for Credentials",
+        message: `You have never visited ${snapshot.site} before, and it is asking for a password. If you were sent here by a link in an email or message, go to the service's website yourself instead of signing in here.`,
+        evidence: ScaimEvidence.of({ text: snapshot.site, element: password })
+      });
+      score += 15;
+    }
+
     return score;
   },
 
   /**
-   * Check if page appears to impersonate a known brand.
+   * Check if page appears to impersonate a known brand: a login form on a page
+   * that keeps mentioning the brand, or shows its logo along with its name in
+   * the title or the text — anywhere but the brand's official sites. Names
+   * that are everyday words ("chase", "apple") don't count in the text, and
+   * in the title only as the whole title, alone or with sign-in words
+   * ("Chase | Sign In").
    */
-  _checkBrandImpersonation(findings) {
-    let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
-    const hostname = window.location.hostname.toLowerCase();
+  _checkBrandImpersonation(findings, snapshot) {
+    const hasLoginForm = snapshot.inputs.some(input => input.matches('input[type="password"]'));
+    if (!hasLoginForm || ScaimBrands.ownerOf(snapshot.hostname)) return 0;
+    const domainLabel = PublicSuffix.getDomainLabel(snapshot.hostname, this.BRAND_DOMAIN_OPTIONS);
+
+    for (const brand of ScaimBrands.list()) {
+      // Skip if we're on the brand's name under a suffix the registry doesn't list
+      if (domainLabel === brand.key) continue;
+
+      const distinctive = ScaimBrands.keywordPattern(brand, "gi", { common: false });
+      const brandMentions = distinctive ? (snapshot.lowerText.match(distinctive) || []).length : 0;
+      const inTitle = (distinctive && ScaimBrands.keywordPattern(brand, "i", { common: false }).test(snapshot.title)) ||
+        this._isLoginTitle(snapshot.title, brand);
+      const logo = this._findBrandLogo(snapshot, brand);
+
+      const signs = [];
+      if (inTitle) signs.push(`is titled "${snapshot.title.slice(0, 60)}"`);
+      if (logo) signs.push(`shows the ${brand.name} logo`);
+      if (brandMentions >= 2) signs.push(`mentions ${brand.name} ${brandMentions} times`);
+      // A headline or a "Pay with PayPal" image alone is common on honest
+      // pages; the logo only counts with the name beside it
+      if (brandMentions < 3 && !(logo && signs.length > 1)) continue;
+      const realSignIn = brand.loginHosts[0] || brand.domains[0];
 
-    for (const brand of this.TARGET_BRANDS) {
-      // Skip if we're actually on that brand's domain
-      if (hostname.includes(brand + ".com") || hostname.includes(brand + ".org")) continue;
+      findings.push({
+        ruleId: "phishing.brand-impersonation",
+        severity: "high",
+        confidence: signs.length > 2 ? 0.8 : 0.7,
+        category: "Brand Impersonation",
+        message: `This page ${signs.join(" and ")} and contains a login form, but you are NOT on ${brand.name}'s official website — ${brand.name}'s real sign-in page is at ${realSignIn}. This page may be impersonating ${brand.name} to steal your credentials.`,
+        evidence: logo
+          ? ScaimEvidence.of({ text: logo.getAttribute("alt") || brand.name, element: logo, url: snapshot.url })
+          : ScaimEvidence.of({ text: ScaimEvidence.snippet(inTitle ? snapshot.title : snapshot.text, ScaimBrands.keywordPattern(brand)), url: snapshot.url })
+      });
+      return 25;
+    }
 
-      // Check if the page text heavily references the brand AND has a login form
-      const brandMentions = (pageText.match(new RegExp(`\\b${brand}\\b`, "gi")) || []).length;
-      const hasLoginForm = document.querySelector('input[type="password"]');
+    return 0;
+  },
 
-      if (brandMentions >= 3 && hasLoginForm) {
-        findings.push({
-          severity: "high",
-          category: "Brand Impersonation",
-          message: `This page mentions "${brand}" ${brandMentions} times and contains a login form, but you are NOT on ${brand}'s official website — this page may be impersonating ${brand} to steal your credentials.`
-        });
-        score += 25;
-        break;
-      }
-    }
+  /**
+   * Is the title a brand's everyday-word name on its own or with sign-in
+   * words? "Chase", "Sign in - Chase" and "Chase Online Banking" are;
+   * "Chase your dreams – sign in" isn't.
+   */
+  _isLoginTitle(title, brand) {
+    if (brand.commonWords.length === 0) return false;
+    const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    const names = brand.commonWords.map(escape).join("|");
+    const login = this.LOGIN_TITLE_WORDS.map(escape).join("|");
+    const gap = "\\s*(?:[-|:·•–—]\\s*)?";
+    return new RegExp(`^\\s*(?:(?:${login})${gap})?(?:${names})(?:${gap}(?:${login}))?\\s*$`, "i").test(title);
+  },
 
-    return score;
+  /**
+   * An image whose file name or alt text names one of a brand's logos, or null.
+   * "apple-logo.svg" and alt="PayPal" count; "pineapple.jpg" doesn't, and
+   * neither do logos in links, buttons and labels ("Sign in with Google",
+   * "Pay with PayPal"). Aliases that are everyday words only count as the
+   * whole alt text: alt="Apple", not "apple.jpg".
+   */
+  _findBrandLogo(snapshot, brand) {
+    const common = new Set(brand.commonWords);
+    const aliases = brand.logoAliases
+      .filter(alias => !common.has(alias))
+      .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = aliases.length > 0 ? new RegExp(`(^|[^a-z0-9])(${aliases.join("|")})([^a-z0-9]|$)`, "i") : null;
+    return snapshot.images.find(img => {
+      if (img.closest("a, button, label, [role='button']")) return false;
+      const alt = img.getAttribute("alt") || "";
+      if (brand.logoAliases.some(alias => common.has(alias) && alias === alt.trim().toLowerCase())) return true;
+      if (!pattern) return false;
+      const file = (img.getAttribute("src") || "").split(/[?#]/)[0].split("/").pop();
+      return pattern.test(file) || pattern.test(alt);
+    }) || null;
   }
 };
+
+ScaimDetectors.register({
+  key: "phishing",
+  name: "Phishing",
+  description: "URL, lookalike domain, login form and brand impersonation checks",
+  weight: 0.14,
+  scan: (snapshot) => PhishingDetector.scan(snapshot)
+});
@@ -4,16 +4,16 @@
  * platform migration tactics, and Nigerian prince-style patterns.
  */
 const RomanceFeeDetector = {
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkAdvanceFeePatterns(findings);
-    score += this._checkInheritanceLottery(findings);
-    score += this._checkRomanceManipulation(findings);
-    score += this._checkPlatformMigration(findings);
-    score += this._checkNigerianPrince(findings);
-    score += this._checkMilitaryRomance(findings);
+    score += this._checkAdvanceFeePatterns(findings, snapshot);
+    score += this._checkInheritanceLottery(findings, snapshot);
+    score += this._checkRomanceManipulation(findings, snapshot);
+    score += this._checkPlatformMigration(findings, snapshot);
+    score += this._checkNigerianPrince(findings, snapshot);
+    score += this._checkMilitaryRomance(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -24,9 +24,9 @@ const RomanceFeeDetector = {
   /**
    * Detect advance fee fraud patterns — requests to pay a fee before receiving money.
    */
-  _checkAdvanceFeePatterns(findings) {
+  _checkAdvanceFeePatterns(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const feePatterns = [
       { pattern: /pay\s+(a\s+)?(small\s+)?(processing|transfer|handling|administrative|customs|clearance|release|delivery)\s+fee/i, label: "processing/transfer fee" },
@@ -49,16 +49,22 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 2) {
       findings.push({
+        ruleId: "romance-fee.advance-fee-fraud",
         severity: "critical",
+        confidence: 0.8,
         category: "Advance Fee Fraud",
-        message: `This page contains ${matchCount} advance fee patterns (${matchedLabels.slice(0, 3).join(", ")}) — this is a textbook advance fee scam. Legitimate transactions NEVER require you to pay fees upfront to receive money.`
+        message: `This page contains ${matchCount} advance fee patterns (${matchedLabels.slice(0, 3).join(", ")}) — this is a textbook advance fee scam. Legitimate transactions NEVER require you to pay fees upfront to receive money.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, feePatterns) })
       });
       score += 30;
     } else if (matchCount === 1) {
       findings.push({
+        ruleId: "romance-fee.advance-fee-pattern",
         severity: "high",
+        confidence: 0.5,
         category: "Advance Fee Pattern",
-        message: `This page mentions a ${matchedLabels[0]} — be extremely cautious of any request to pay fees before receiving money or goods. This is the most common pattern in advance fee fraud.`
+        message: `This page mentions a ${matchedLabels[0]} — be extremely cautious of any request to pay fees before receiving money or goods. This is the most common pattern in advance fee fraud.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, feePatterns) })
       });
       score += 15;
     }
@@ -69,9 +75,9 @@ const RomanceFeeDetector = {
   /**
    * Detect inheritance and lottery scam patterns.
    */
-  _checkInheritanceLottery(findings) {
+  _checkInheritanceLottery(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const inheritancePatterns = [
       { pattern: /next\s+of\s+kin/i, weight: 7 },
@@ -96,16 +102,22 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 3) {
       findings.push({
+        ruleId: "romance-fee.inheritance-scam",
         severity: "critical",
+        confidence: 0.8,
         category: "Inheritance Scam",
-        message: `This page contains ${matchCount} inheritance/estate scam indicators — messages about unclaimed funds, deceased account holders, and beneficiary claims from strangers are virtually always scams.`
+        message: `This page contains ${matchCount} inheritance/estate scam indicators — messages about unclaimed funds, deceased account holders, and beneficiary claims from strangers are virtually always scams.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, inheritancePatterns) })
       });
       score += 25;
     } else if (matchCount >= 1 && maxWeight >= 7) {
       findings.push({
+        ruleId: "romance-fee.inheritance-pattern",
         severity: "high",
+        confidence: 0.5,
         category: "Inheritance Scam Pattern",
-        message: "This page contains language commonly used in inheritance scams — be extremely skeptical of any unsolicited message about unclaimed estates or beneficiary claims."
+        message: "This page contains language commonly used in inheritance scams — be extremely skeptical of any unsolicited message about unclaimed estates or beneficiary claims.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, inheritancePatterns) })
       });
       score += 12;
     }
@@ -127,9 +139,12 @@ const RomanceFeeDetector = {
 
     if (lotteryMatches >= 2) {
       findings.push({
+        ruleId: "romance-fee.lottery-scam",
         severity: "high",
+        confidence: 0.75,
         category: "Lottery Scam",
-        message: `This page contains ${lotteryMatches} lottery/prize scam indicators — you cannot win a lottery you never entered. These scams always lead to advance fee requests.`
+        message: `This page contains ${lotteryMatches} lottery/prize scam indicators — you cannot win a lottery you never entered. These scams always lead to advance fee requests.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, lotteryPatterns) })
       });
       score += 18;
     }
@@ -140,9 +155,9 @@ const RomanceFeeDetector = {
   /**
    * Detect romance manipulation language.
    */
-  _checkRomanceManipulation(findings) {
+  _checkRomanceManipulation(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const romancePatterns = [
       { pattern: /i('?ve|\s+have)\s+chosen\s+you/i, weight: 7 },
@@ -168,16 +183,22 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 3) {
       findings.push({
+        ruleId: "romance-fee.romance-scam-language",
         severity: "high",
+        confidence: 0.75,
         category: "Romance Scam Language",
-        message: `This page contains ${matchCount} romance scam manipulation patterns — scammers build emotional connections to exploit trust. Never send money to someone you've only met online.`
+        message: `This page contains ${matchCount} romance scam manipulation patterns — scammers build emotional connections to exploit trust. Never send money to someone you've only met online.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, romancePatterns) })
       });
       score += 20;
     } else if (matchCount >= 1 && maxWeight >= 7) {
       findings.push({
+        ruleId: "romance-fee.emotional-manipulation",
         severity: "medium",
+        confidence: 0.5,
         category: "Emotional Manipulation",
-        message: "This page contains language commonly used in romance scams — be cautious of overly intense emotional appeals from people you don't know well."
+        message: "This page contains language commonly used in romance scams — be cautious of overly intense emotional appeals from people you don't know well.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, romancePatterns) })
       });
       score += 10;
     }
@@ -188,9 +209,9 @@ const RomanceFeeDetector = {
   /**
    * Detect requests to move communication to another platform.
    */
-  _checkPlatformMigration(findings) {
+  _checkPlatformMigration(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const migrationPatterns = [
       /message\s+me\s+(on|at|via)\s+(whatsapp|telegram|signal|hangouts|viber)/i,
@@ -209,9 +230,12 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 1) {
       findings.push({
+        ruleId: "romance-fee.platform-migration",
         severity: "medium",
+        confidence: 0.5,
         category: "Platform Migration",
-        message: "This page asks you to move communication to WhatsApp, Telegram, or another platform — scammers do this to avoid platform monitoring and reporting. Be cautious of anyone pushing you off the original communication channel."
+        message: "This page asks you to move communication to WhatsApp, Telegram, or another platform — scammers do this to avoid platform monitoring and reporting. Be cautious of anyone pushing you off the original communication channel.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, migrationPatterns) })
       });
       score += 10;
     }
@@ -222,9 +246,9 @@ const RomanceFeeDetector = {
   /**
    * Detect Nigerian prince / foreign official scam patterns.
    */
-  _checkNigerianPrince(findings) {
+  _checkNigerianPrince(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const princePatternsGeneral = [
       { pattern: /foreign\s+government\s+official/i, weight: 7 },
@@ -249,16 +273,22 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 3) {
       findings.push({
+        ruleId: "romance-fee.419-scam",
         severity: "critical",
+        confidence: 0.8,
         category: "419 Advance Fee Scam",
-        message: `This page contains ${matchCount} hallmarks of a classic "Nigerian prince" / 419 advance fee scam — foreign officials, confidential business proposals, and percentage splits of large sums are the textbook pattern.`
+        message: `This page contains ${matchCount} hallmarks of a classic "Nigerian prince" / 419 advance fee scam — foreign officials, confidential business proposals, and percentage splits of large sums are the textbook pattern.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, princePatternsGeneral) })
       });
       score += 30;
     } else if (matchCount >= 2) {
       findings.push({
+        ruleId: "romance-fee.419-indicators",
         severity: "high",
+        confidence: 0.55,
         category: "419 Scam Indicators",
-        message: "This page shows multiple indicators of a 419 advance fee scam — be extremely skeptical of unsolicited business proposals involving foreign funds or officials."
+        message: "This page shows multiple indicators of a 419 advance fee scam — be extremely skeptical of unsolicited business proposals involving foreign funds or officials.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, princePatternsGeneral) })
       });
       score += 15;
     }
@@ -269,9 +299,9 @@ const RomanceFeeDetector = {
   /**
    * Detect military romance scam patterns.
    */
-  _checkMilitaryRomance(findings) {
+  _checkMilitaryRomance(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const militaryPatterns = [
       /deployed\s+(overseas|abroad|in\s+(iraq|afghanistan|syria|ukraine))/i,
@@ -291,16 +321,22 @@ const RomanceFeeDetector = {
 
     if (matchCount >= 2 && hasMoneyRequest) {
       findings.push({
+        ruleId: "romance-fee.military-romance-scam",
         severity: "high",
+        confidence: 0.75,
         category: "Military Romance Scam",
-        message: "This page combines military deployment claims with money requests — military romance scams use fake military identities to build trust before requesting funds for leave papers, travel, or emergencies."
+        message: "This page combines military deployment claims with money requests — military romance scams use fake military identities to build trust before requesting funds for leave papers, travel, or emergencies.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, militaryPatterns) })
       });
       score += 20;
     } else if (matchCount >= 3) {
       findings.push({
+        ruleId: "romance-fee.military-romance-pattern",
         severity: "medium",
+        confidence: 0.45,
         category: "Military Romance Pattern",
-        message: "This page contains multiple military deployment references commonly used in romance scams — verify any military identity independently through official channels."
+        message: "This page contains multiple military deployment references commonly used in romance scams — verify any military identity independently through official channels.",
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, militaryPatterns) })
       });
       score += 10;
     }
@@ -308,3 +344,11 @@ const RomanceFeeDetector = {
     return score;
   }
 };
+
+ScaimDetectors.register({
+  key: "romanceFee",
+  name: "Romance & Advance Fee",
+  description: "Advance fee, inheritance, lottery and romance manipulation patterns",
+  weight: 0.08,
+  scan: (snapshot) => RomanceFeeDetector.scan(snapshot)
+});
@@ -3,16 +3,16 @@
  * Detects urgency tactics, fake timers, pressure techniques, and manipulation.
  */
 const SocialEngineeringDetector = {
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkCountdownTimers(findings);
-    score += this._checkPopupsAndModals(findings);
-    score += this._checkFakeNotifications(findings);
-    score += this._checkExitIntent(findings);
-    score += this._checkUrgencyPatterns(findings);
-    score += this._checkFearTactics(findings);
+    score += this._checkCountdownTimers(findings, snapshot);
+    score += this._checkPopupsAndModals(findings, snapshot);
+    score += this._checkFakeNotifications(findings, snapshot);
+    score += this._checkExitIntent(findings, snapshot);
+    score += this._checkUrgencyPatterns(findings, snapshot);
+    score += this._checkFearTactics(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -23,9 +23,9 @@ const SocialEngineeringDetector = {
   /**
    * Detect countdown timers in the DOM.
    */
-  _checkCountdownTimers(findings) {
+  _checkCountdownTimers(findings, snapshot) {
     let score = 0;
-    const pageText = document.body?.innerText || "";
+    const pageText = snapshot.text;
 
     // Look for timer-like patterns in text (e.g., "05:23:17", "00:14:59")
     const timerPattern = /\b\d{1,2}:\d{2}:\d{2}\b/g;
@@ -40,9 +40,12 @@ const SocialEngineeringDetector = {
 
       if (timerElements.length > 0 || timerMatches.length > 0) {
         findings.push({
+          ruleId: "social-engineering.countdown-timer",
           severity: "high",
+          confidence: 0.55,
           category: "Countdown Timer",
-          message: "This page displays a countdown timer — fake urgency timers are a classic manipulation technique. Legitimate offers don't typically pressure you with ticking clocks."
+          message: "This page displays a countdown timer — fake urgency timers are a classic manipulation technique. Legitimate offers don't typically pressure you with ticking clocks.",
+          evidence: ScaimEvidence.of({ text: timerMatches[0], element: timerElements[0] })
         });
         score += 15;
       }
@@ -62,7 +65,7 @@ const SocialEngineeringDetector = {
   /**
    * Detect aggressive popups and modals.
    */
-  _checkPopupsAndModals(findings) {
+  _checkPopupsAndModals(findings, snapshot) {
     let score = 0;
 
     // Count visible modals/overlays
@@ -72,18 +75,23 @@ const SocialEngineeringDetector = {
     );
 
     let visibleModals = 0;
+    let firstVisibleModal = null;
     modals.forEach(modal => {
       const style = window.getComputedStyle(modal);
       if (style.display !== "none" && style.visibility !== "hidden") {
         visibleModals++;
+        firstVisibleModal = firstVisibleModal || modal;
       }
     });
 
     if (visibleModals > 1) {
       findings.push({
+        ruleId: "social-engineering.multiple-popups",
         severity: "medium",
+        confidence: 0.45,
         category: "Multiple Popups",
-        message: `This page shows ${visibleModals} popup/modal elements simultaneously — aggressive popup usage is a common tactic to disorient users and pressure quick decisions.`
+        message: `This page shows ${visibleModals} popup/modal elements simultaneously — aggressive popup usage is a common tactic to disorient users and pressure quick decisions.`,
+        evidence: ScaimEvidence.of({ element: firstVisibleModal })
       });
       score += 10 + (visibleModals - 1) * 5;
     }
@@ -95,9 +103,12 @@ const SocialEngineeringDetector = {
       if (style.position === "fixed" && style.display !== "none" &&
           parseInt(style.zIndex) > 999) {
         findings.push({
+          ruleId: "social-engineering.full-screen-overlay",
           severity: "medium",
+          confidence: 0.4,
           category: "Full-Screen Overlay",
-          message: "This page uses a full-screen overlay — these can be used to block content and force interaction with a specific element."
+          message: "This page uses a full-screen overlay — these can be used to block content and force interaction with a specific element.",
+          evidence: ScaimEvidence.of({ element: overlay })
         });
         score += 8;
       }
@@ -109,9 +120,9 @@ const SocialEngineeringDetector = {
   /**
    * Detect fake notification badges and alert styling.
    */
-  _checkFakeNotifications(findings) {
+  _checkFakeNotifications(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     // Fake notification patterns
     const fakeAlertPatterns = [
@@ -126,9 +137,12 @@ const SocialEngineeringDetector = {
     for (const fp of fakeAlertPatterns) {
       if (fp.pattern.test(pageText)) {
         findings.push({
+          ruleId: "social-engineering.fake-security-alert",
           severity: "critical",
+          confidence: 0.85,
           category: "Fake Security Alert",
-          message: `This page displays a ${fp.label} — real security warnings come from your operating system or antivirus software, NEVER from a website. This is almost certainly a scam.`
+          message: `This page displays a ${fp.label} — real security warnings come from your operating system or antivirus software, NEVER from a website. This is almost certainly a scam.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, fp.pattern) })
         });
         score += 25;
       }
@@ -140,15 +154,17 @@ const SocialEngineeringDetector = {
   /**
    * Detect exit-intent scripts.
    */
-  _checkExitIntent(findings) {
+  _checkExitIntent(findings, snapshot) {
     let score = 0;
     let hasExitTrap = false;
+    let trapElement = null;
 
     // Check inline scripts for beforeunload patterns (without serializing entire DOM)
-    const scripts = document.querySelectorAll("script:not([src])");
+    const scripts = snapshot.inlineScripts;
     scripts.forEach(script => {
-      if (/beforeunload|onbeforeunload/.test(script.textContent || "")) {
+      if (!hasExitTrap && /beforeunload|onbeforeunload/.test(script.textContent || "")) {
         hasExitTrap = true;
+        trapElement = script;
       }
     });
 
@@ -156,17 +172,23 @@ const SocialEngineeringDetector = {
     if (!hasExitTrap) {
       const body = document.body;
       const html = document.documentElement;
-      if ((body && body.hasAttribute("onbeforeunload")) ||
-          (html && html.hasAttribute("onbeforeunload"))) {
+      if (body && body.hasAttribute("onbeforeunload")) {
         hasExitTrap = true;
+        trapElement = body;
+      } else if (html && html.hasAttribute("onbeforeunload")) {
+        hasExitTrap = true;
+        trapElement = html;
       }
     }
 
     if (hasExitTrap) {
       findings.push({
+        ruleId: "social-engineering.exit-prevention",
         severity: "medium",
+        confidence: 0.5,
         category: "Exit Prevention",
-        message: "This page attempts to prevent you from leaving — exit-intent traps are used to keep you on scam pages. You can always close the tab directly."
+        message: "This page attempts to prevent you from leaving — exit-intent traps are used to keep you on scam pages. You can always close the tab directly.",
+        evidence: ScaimEvidence.of({ element: trapElement })
       });
       score += 10;
     }
@@ -177,9 +199,9 @@ const SocialEngineeringDetector = {
   /**
    * Check for urgency language patterns beyond keyword matching.
    */
-  _checkUrgencyPatterns(findings) {
+  _checkUrgencyPatterns(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     // Check for specific threatening/urgent sentence patterns
     const urgentPatterns = [
@@ -193,9 +215,12 @@ const SocialEngineeringDetector = {
     for (const up of urgentPatterns) {
       if (up.pattern.test(pageText)) {
         findings.push({
+          ruleId: "social-engineering.threatening-language",
           severity: "high",
+          confidence: 0.7,
           category: "Threatening Language",
-          message: `This page contains a ${up.msg} — legitimate organizations communicate account issues through secure channels, not through threatening web pages.`
+          message: `This page contains a ${up.msg} — legitimate organizations communicate account issues through secure channels, not through threatening web pages.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, up.pattern) })
         });
         score += 12;
       }
@@ -207,9 +232,9 @@ const SocialEngineeringDetector = {
   /**
    * Check for fear-based manipulation tactics.
    */
-  _checkFearTactics(findings) {
+  _checkFearTactics(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     // Check for emotional manipulation
     const fearPatterns = [
@@ -222,9 +247,12 @@ const SocialEngineeringDetector = {
     for (const fp of fearPatterns) {
       if (fp.pattern.test(pageText)) {
         findings.push({
+          ruleId: "social-engineering.fear-manipulation",
           severity: "high",
+          confidence: 0.65,
           category: "Fear Manipulation",
-          message: `This page claims "${fp.msg}" — scammers use fear to override your critical thinking. Take a breath and verify any claims through official channels.`
+          message: `This page claims "${fp.msg}" — scammers use fear to override your critical thinking. Take a breath and verify any claims through official channels.`,
+          evidence: ScaimEvidence.of({ text: ScaimEvidence.snippet(snapshot.text, fp.pattern) })
         });
         score += 15;
       }
@@ -233,3 +261,11 @@ const SocialEngineeringDetector = {
     return Math.min(30, score);
   }
 };
+
+ScaimDetectors.register({
+  key: "socialEngineering",
+  name: "Social Engineering",
+  description: "Countdown timers, popups, fake alerts and pressure language",
+  weight: 0.10,
+  scan: (snapshot) => SocialEngineeringDetector.scan(snapshot)
+});
@@ -4,18 +4,31 @@
  * for anything remotely suspicious.
  */
 const StructuralDetector = {
-  scan() {
+  // Inputs asking for highly sensitive data. Credentials (card details and
+  // wallet recovery phrases) are what scam sites most want; they're also
+  // reported on sites new to the user and guarded on submission (ScaimSubmitGuard).
+  SENSITIVE_INPUTS: [
+    { pattern: /ssn|social.?security/i, label: "Social Security Number", severity: "critical", points: 25 },
+    { pattern: /credit.?card|card.?number|cc-number/i, label: "Credit Card Number", severity: "high", points: 15, credential: "card" },
+    { pattern: /cvv|cvc|security.?code|cc-csc/i, label: "Card Security Code", severity: "high", points: 15, credential: "card" },
+    { pattern: /routing.?number/i, label: "Bank Routing Number", severity: "critical", points: 20 },
+    { pattern: /passport/i, label: "Passport Number", severity: "high", points: 15 },
+    { pattern: /driver.?s?.?licen/i, label: "Driver's License", severity: "high", points: 15 },
+    { pattern: /seed.?phrase|recovery.?phrase|secret.?phrase|mnemonic/i, label: "Wallet Recovery Phrase", severity: "critical", points: 25, credential: "seed" }
+  ],
+
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkForms(findings);
-    score += this._checkExternalScripts(findings);
-    score += this._checkIframes(findings);
-    score += this._checkLinkSpoofing(findings);
-    score += this._checkHTTPS(findings);
-    score += this._checkExternalResources(findings);
-    score += this._checkObfuscation(findings);
-    score += this._checkSensitiveInputs(findings);
+    score += this._checkForms(findings, snapshot);
+    score += this._checkExternalScripts(findings, snapshot);
+    score += this._checkIframes(findings, snapshot);
+    score += this._checkLinkSpoofing(findings, snapshot);
+    score += this._checkHTTPS(findings, snapshot);
+    score += this._checkExternalResources(findings, snapshot);
+    score += this._checkObfuscation(findings, snapshot);
+    score += this._checkSensitiveInputs(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -26,12 +39,12 @@ const StructuralDetector = {
   /**
    * Inspect all forms: where they POST, hidden fields, sensitive fields.
    */
-  _checkForms(findings) {
+  _checkForms(findings, snapshot) {
     let score = 0;
-    const forms = document.querySelectorAll("form");
+    const forms = snapshot.forms;
     if (forms.length === 0) return 0;
 
-    const pageHost = window.location.hostname;
+    const pageHost = snapshot.hostname;
 
     forms.forEach((form, i) => {
       const action = form.getAttribute("action") || "";
@@ -40,21 +53,27 @@ const StructuralDetector = {
       // Check for external form action
       if (action && method === "post") {
         try {
-          const actionUrl = new URL(action, window.location.href);
-          if (actionUrl.hostname !== pageHost) {
+          const actionUrl = new URL(action, snapshot.url);
+          if (!PublicSuffix.isSameSite(actionUrl.hostname, pageHost)) {
             findings.push({
+              ruleId: "structural.external-form-action",
               severity: "critical",
+              confidence: 0.8,
               category: "External Form Action",
-              message: `Form #${i + 1} submits data to a different domain (${actionUrl.hostname}) — this is a common phishing technique where your data is sent to an attacker-controlled server.`
+              message: `Form #${i + 1} submits data to a different domain (${actionUrl.hostname}) — this is a common phishing technique where your data is sent to an attacker-controlled server.`,
+              evidence: ScaimEvidence.of({ url: actionUrl.href, element: form })
             });
             score += 30;
           }
         } catch (e) {
           // Malformed URL in action — suspicious
           findings.push({
+            ruleId: "structural.malformed-form-action",
             severity: "medium",
+            confidence: 0.4,
             category: "Malformed Form",
-            message: `Form #${i + 1} has a malformed action URL ("${action.substring(0, 80)}") — this could indicate sloppy development or an attempt to obfuscate the destination.`
+            message: `Form #${i + 1} has a malformed action URL ("${action.substring(0, 80)}") — this could indicate sloppy development or an attempt to obfuscate the destination.`,
+            evidence: ScaimEvidence.of({ text: action, element: form })
           });
           score += 10;
         }
@@ -64,20 +83,26 @@ const StructuralDetector = {
       const hiddenInputs = form.querySelectorAll('input[type="hidden"]');
       if (hiddenInputs.length > 0) {
         findings.push({
+          ruleId: "structural.hidden-form-fields",
           severity: hiddenInputs.length > 3 ? "high" : "medium",
+          confidence: 0.3,
           category: "Hidden Form Fields",
-          message: `Form #${i + 1} contains ${hiddenInputs.length} hidden input field(s) — hidden fields can silently collect and transmit data you can't see.`
+          message: `Form #${i + 1} contains ${hiddenInputs.length} hidden input field(s) — hidden fields can silently collect and transmit data you can't see.`,
+          evidence: ScaimEvidence.of({ element: form })
         });
         score += Math.min(15, hiddenInputs.length * 3);
       }
 
       // Check for password fields
       const passwordFields = form.querySelectorAll('input[type="password"]');
-      if (passwordFields.length > 0 && window.location.protocol !== "https:") {
+      if (passwordFields.length > 0 && snapshot.protocol !== "https:") {
         findings.push({
+          ruleId: "structural.insecure-password-field",
           severity: "critical",
+          confidence: 0.9,
           category: "Insecure Password Field",
-          message: `Form #${i + 1} has a password field on a non-HTTPS page — your password could be intercepted in transit. Never enter passwords on non-secure pages.`
+          message: `Form #${i + 1} has a password field on a non-HTTPS page — your password could be intercepted in transit. Never enter passwords on non-secure pages.`,
+          evidence: ScaimEvidence.of({ url: snapshot.url, element: passwordFields[0] })
         });
         score += 25;
       }
@@ -89,26 +114,29 @@ const StructuralDetector = {
   /**
    * Flag third-party scripts.
    */
-  _checkExternalScripts(findings) {
+  _checkExternalScripts(findings, snapshot) {
     let score = 0;
-    const scripts = document.querySelectorAll("script[src]");
-    const pageHost = window.location.hostname;
+    const scripts = snapshot.externalScripts;
+    const pageHost = snapshot.hostname;
     const externalDomains = new Set();
 
     scripts.forEach(script => {
       try {
-        const url = new URL(script.src, window.location.href);
-        if (url.hostname !== pageHost) {
-          externalDomains.add(url.hostname);
+        const url = new URL(script.src, snapshot.url);
+        if (!PublicSuffix.isSameSite(url.hostname, pageHost)) {
+          externalDomains.add(PublicSuffix.siteOf(url.hostname));
         }
       } catch (e) { /* skip malformed */ }
     });
 
     if (externalDomains.size > 5) {
       findings.push({
+        ruleId: "structural.excessive-external-scripts",
         severity: "medium",
+        confidence: 0.3,
         category: "Excessive External Scripts",
-        message: `This page loads scripts from ${externalDomains.size} different external domains — legitimate sites typically load from fewer sources. Each external script is a potential vector for malicious code.`
+        message: `This page loads scripts from ${externalDomains.size} different external domains — legitimate sites typically load from fewer sources. Each external script is a potential vector for malicious code.`,
+        evidence: ScaimEvidence.of({ text: [...externalDomains].join(", ") })
       });
       score += 10 + (externalDomains.size - 5) * 2;
     }
@@ -119,13 +147,14 @@ const StructuralDetector = {
   /**
    * Flag all iframes, especially hidden/tiny ones.
    */
-  _checkIframes(findings) {
+  _checkIframes(findings, snapshot) {
     let score = 0;
-    const iframes = document.querySelectorAll("iframe");
+    const iframes = snapshot.iframes;
     if (iframes.length === 0) return 0;
 
     let hiddenCount = 0;
-    const pageHost = window.location.hostname;
+    let firstHidden = null;
+    const pageHost = snapshot.hostname;
 
     iframes.forEach(iframe => {
       const rect = iframe.getBoundingClientRect();
@@ -134,17 +163,23 @@ const StructuralDetector = {
                        iframe.style.visibility === "hidden" ||
                        iframe.style.opacity === "0";
 
-      if (isHidden) hiddenCount++;
+      if (isHidden) {
+        hiddenCount++;
+        firstHidden = firstHidden || iframe;
+      }
 
       const src = iframe.getAttribute("src") || "";
       if (src) {
         try {
-          const url = new URL(src, window.location.href);
-          if (url.hostname !== pageHost && isHidden) {
+          const url = new URL(src, snapshot.url);
+          if (isHidden && !PublicSuffix.isSameSite(url.hostname, pageHost)) {
             findings.push({
+              ruleId: "structural.hidden-external-iframe",
               severity: "high",
+              confidence: 0.65,
               category: "Hidden External Iframe",
-              message: `A hidden iframe loads content from ${url.hostname} — hidden iframes are commonly used to silently load malicious content, track users, or perform clickjacking attacks.`
+              message: `A hidden iframe loads content from ${url.hostname} — hidden iframes are commonly used to silently load malicious content, track users, or perform clickjacking attacks.`,
+              evidence: ScaimEvidence.of({ url: url.href, element: iframe })
             });
             score += 20;
           }
@@ -154,16 +189,21 @@ const StructuralDetector = {
 
     if (hiddenCount > 0 && findings.filter(f => f.category === "Hidden External Iframe").length === 0) {
       findings.push({
+        ruleId: "structural.hidden-iframe",
         severity: "medium",
+        confidence: 0.4,
         category: "Hidden Iframe",
-        message: `This page contains ${hiddenCount} hidden iframe(s) — hidden iframes can be used for tracking or loading content without your knowledge.`
+        message: `This page contains ${hiddenCount} hidden iframe(s) — hidden iframes can be used for tracking or loading content without your knowledge.`,
+        evidence: ScaimEvidence.of({ element: firstHidden })
       });
       score += hiddenCount * 8;
     }
 
     if (iframes.length > 3) {
       findings.push({
+        ruleId: "structural.multiple-iframes",
         severity: "low",
+        confidence: 0.2,
         category: "Multiple Iframes",
         message: `This page embeds ${iframes.length} iframes — while not always malicious, excessive iframes can indicate content injection or ad-heavy sites.`
       });
@@ -176,28 +216,31 @@ const StructuralDetector = {
   /**
    * Check for links that display one URL but link to another (href spoofing).
    */
-  _checkLinkSpoofing(findings) {
+  _checkLinkSpoofing(findings, snapshot) {
     let score = 0;
-    const links = document.querySelectorAll("a[href]");
     let spoofCount = 0;
 
-    links.forEach(link => {
-      const displayText = (link.textContent || "").trim().toLowerCase();
-      const href = (link.getAttribute("href") || "").toLowerCase();
+    snapshot.links.forEach(link => {
+      const displayText = link.text.toLowerCase();
+      const href = link.href.toLowerCase();
 
       // Check if display text looks like a URL but doesn't match href
       const urlPattern = /^(https?:\/\/)?[\w.-]+\.\w{2,}/;
       if (urlPattern.test(displayText) && href.startsWith("http")) {
         try {
           const displayDomain = displayText.replace(/^https?:\/\//, "").split("/")[0];
-          const hrefDomain = new URL(href, window.location.href).hostname;
-          if (displayDomain !== hrefDomain && !hrefDomain.endsWith("." + displayDomain)) {
+          const hrefDomain = new URL(href, snapshot.url).hostname;
+          if (displayDomain !== hrefDomain && !hrefDomain.endsWith("." + displayDomain) &&
+              !PublicSuffix.isSameSite(displayDomain, hrefDomain)) {
             spoofCount++;
             if (spoofCount <= 3) { // report first 3 individually
               findings.push({
+                ruleId: "structural.href-spoofing",
                 severity: "critical",
+                confidence: 0.9,
                 category: "Href Spoofing",
-                message: `A link displays "${displayText.substring(0, 50)}" but actually points to "${hrefDomain}" — this is a classic phishing technique to trick you into clicking a malicious link.`
+                message: `A link displays "${displayText.substring(0, 50)}" but actually points to "${hrefDomain}" — this is a classic phishing technique to trick you into clicking a malicious link.`,
+                evidence: ScaimEvidence.of({ text: displayText, url: href, element: link.element })
               });
             }
             score += 20;
@@ -208,7 +251,9 @@ const StructuralDetector = {
 
     if (spoofCount > 3) {
       findings.push({
+        ruleId: "structural.href-spoofing",
         severity: "critical",
+        confidence: 0.95,
         category: "Href Spoofing",
         message: `${spoofCount} links on this page show one URL but point to a different domain — this page is systematically deceptive.`
       });
@@ -220,14 +265,17 @@ const StructuralDetector = {
   /**
    * Warn about HTTP pages or mixed content.
    */
-  _checkHTTPS(findings) {
+  _checkHTTPS(findings, snapshot) {
     let score = 0;
 
-    if (window.location.protocol === "http:") {
+    if (snapshot.protocol === "http:") {
       findings.push({
+        ruleId: "structural.no-https",
         severity: "high",
+        confidence: 0.8,
         category: "No HTTPS",
-        message: "This page is served over HTTP (not encrypted) — any information you enter can be intercepted by anyone on the same network. Never enter sensitive data on unencrypted pages."
+        message: "This page is served over HTTP (not encrypted) — any information you enter can be intercepted by anyone on the same network. Never enter sensitive data on unencrypted pages.",
+        evidence: ScaimEvidence.of({ url: snapshot.url })
       });
       score += 15;
     }
@@ -238,8 +286,8 @@ const StructuralDetector = {
   /**
    * Count how many external domains the page loads resources from.
    */
-  _checkExternalResources(findings) {
-    const pageHost = window.location.hostname;
+  _checkExternalResources(findings, snapshot) {
+    const pageHost = snapshot.hostname;
     const externalDomains = new Set();
 
     // Check all elements with src attributes
@@ -248,9 +296,9 @@ const StructuralDetector = {
       const src = el.getAttribute("src");
       if (src) {
         try {
-          const url = new URL(src, window.location.href);
-          if (url.hostname !== pageHost) {
-            externalDomains.add(url.hostname);
+          const url = new URL(src, snapshot.url);
+          if (!PublicSuffix.isSameSite(url.hostname, pageHost)) {
+            externalDomains.add(PublicSuffix.siteOf(url.hostname));
           }
         } catch (e) { /* skip */ }
       }
@@ -260,18 +308,21 @@ const StructuralDetector = {
     const linkEls = document.querySelectorAll("link[href]");
     linkEls.forEach(el => {
       try {
-        const url = new URL(el.href, window.location.href);
-        if (url.hostname !== pageHost) {
-          externalDomains.add(url.hostname);
+        const url = new URL(el.href, snapshot.url);
+        if (!PublicSuffix.isSameSite(url.hostname, pageHost)) {
+          externalDomains.add(PublicSuffix.siteOf(url.hostname));
         }
       } catch (e) { /* skip */ }
     });
 
     if (externalDomains.size > 10) {
       findings.push({
+        ruleId: "structural.excessive-external-domains",
         severity: "medium",
+        confidence: 0.25,
         category: "Excessive External Domains",
-        message: `This page loads resources from ${externalDomains.size} different external domains — this increases the attack surface and suggests heavy third-party dependence.`
+        message: `This page loads resources from ${externalDomains.size} different external domains — this increases the attack surface and suggests heavy third-party dependence.`,
+        evidence: ScaimEvidence.of({ text: [...externalDomains].join(", ") })
       });
       return 10;
     }
@@ -282,52 +333,74 @@ const StructuralDetector = {
   /**
    * Detect obfuscated or suspicious inline scripts.
    */
-  _checkObfuscation(findings) {
+  _checkObfuscation(findings, snapshot) {
     let score = 0;
-    const scripts = document.querySelectorAll("script:not([src])");
+    const scripts = snapshot.inlineScripts;
 
     let evalCount = 0;
     let base64Count = 0;
     let docWriteCount = 0;
+    // First script containing each pattern, kept as evidence
+    let evalScript = null;
+    let base64Script = null;
+    let docWriteScript = null;
 
     scripts.forEach(script => {
       const content = script.textContent || "";
       // Count eval() usage
       const evalMatches = content.match(/\beval\s*\(/g);
-      if (evalMatches) evalCount += evalMatches.length;
+      if (evalMatches) {
+        evalCount += evalMatches.length;
+        evalScript = evalScript || script;
+      }
 
       // Count base64 patterns
       const b64Matches = content.match(/atob\s*\(|btoa\s*\(|base64/gi);
-      if (b64Matches) base64Count += b64Matches.length;
+      if (b64Matches) {
+        base64Count += b64Matches.length;
+        base64Script = base64Script || script;
+      }
 
       // Count document.write
       const dwMatches = content.match(/document\.write/g);
-      if (dwMatches) docWriteCount += dwMatches.length;
+      if (dwMatches) {
+        docWriteCount += dwMatches.length;
+        docWriteScript = docWriteScript || script;
+      }
     });
 
     if (evalCount > 0) {
       findings.push({
+        ruleId: "structural.eval-usage",
         severity: "high",
+        confidence: 0.6,
         category: "Obfuscated Code",
-        message: `This page uses eval() ${evalCount} time(s) — eval() executes arbitrary code and is frequently used to hide malicious scripts from inspection.`
+        message: `This page uses eval() ${evalCount} time(s) — eval() executes arbitrary code and is frequently used to hide malicious scripts from inspection.`,
+        evidence: ScaimEvidence.of({ element: evalScript })
       });
       score += evalCount * 8;
     }
 
     if (base64Count > 2) {
       findings.push({
+        ruleId: "structural.base64-content",
         severity: "medium",
+        confidence: 0.4,
         category: "Encoded Content",
-        message: `This page contains ${base64Count} base64 encoding/decoding operations — while sometimes legitimate, base64 is commonly used to hide malicious payloads from scanners.`
+        message: `This page contains ${base64Count} base64 encoding/decoding operations — while sometimes legitimate, base64 is commonly used to hide malicious payloads from scanners.`,
+        evidence: ScaimEvidence.of({ element: base64Script })
       });
       score += base64Count * 4;
     }
 
     if (docWriteCount > 0) {
       findings.push({
+        ruleId: "structural.document-write",
         severity: "medium",
+        confidence: 0.35,
         category: "Dynamic Content Injection",
-        message: `This page uses document.write() ${docWriteCount} time(s) — this can inject content into the page dynamically, potentially altering what you see.`
+        message: `This page uses document.write() ${docWriteCount} time(s) — this can inject content into the page dynamically, potentially altering what you see.`,
+        evidence: ScaimEvidence.of({ element: docWriteScript })
       });
       score += docWriteCount * 5;
     }
@@ -338,41 +411,82 @@ const StructuralDetector = {
   /**
    * Check for inputs requesting highly sensitive data.
    */
-  _checkSensitiveInputs(findings) {
+  _checkSensitiveInputs(findings, snapshot) {
     let score = 0;
-    const sensitivePatterns = [
-      { pattern: /ssn|social.?security/i, label: "Social Security Number", severity: "critical", points: 25 },
-      { pattern: /credit.?card|card.?number/i, label: "Credit Card Number", severity: "high", points: 15 },
-      { pattern: /cvv|cvc|security.?code/i, label: "Card Security Code", severity: "high", points: 15 },
-      { pattern: /routing.?number/i, label: "Bank Routing Number", severity: "critical", points: 20 },
-      { pattern: /passport/i, label: "Passport Number", severity: "high", points: 15 },
-      { pattern: /driver.?s?.?licen/i, label: "Driver's License", severity: "high", points: 15 }
-    ];
-
-    const inputs = document.querySelectorAll("input, textarea");
+    const inputs = snapshot.inputs;
     const checkedLabels = new Set();
+    const newSiteInputs = [];
 
     inputs.forEach(input => {
-      const identifiers = [
-        input.getAttribute("name") || "",
-        input.getAttribute("id") || "",
-        input.getAttribute("placeholder") || "",
-        input.getAttribute("aria-label") || ""
-      ].join(" ");
-
-      for (const sp of sensitivePatterns) {
+      const identifiers = this.inputIdentifiers(input);
+
+      for (const sp of this.SENSITIVE_INPUTS) {
         if (sp.pattern.test(identifiers) && !checkedLabels.has(sp.label)) {
           checkedLabels.add(sp.label);
           findings.push({
+            ruleId: "structural.sensitive-input",
             severity: sp.severity,
+            confidence: 0.7,
             category: "Sensitive Data Request",
-            message: `This page has an input field requesting your ${sp.label} — be absolutely certain you trust this site before providing this information.`
+            message: `This page has an input field requesting your ${sp.label} — be absolutely certain you trust this site before providing this information.`,
+            evidence: ScaimEvidence.of({ text: sp.label, element: input })
           });
           score += sp.points;
+          if (sp.credential) newSiteInputs.push({ label: sp.label, input });
         }
       }
     });
 
+    // Card details or a recovery phrase asked for by a site the user has never
+    // visited before (see ScaimSiteHistory) — how most card and wallet-drain scams start
+    if (snapshot.visit && snapshot.visit.isNew && newSiteInputs.length > 0) {
+      const labels = newSiteInputs.map(item => item.label);
+      findings.push({
+        ruleId: "structural.new-site-sensitive-input",
+        severity: "high",
+        confidence: 0.6,
+        category: "New Site Asking for Credentials",
+        message: `You have never visited ${snapshot.site} before, and it is asking for your ${labels.join(" and ")}. Scam sites are usually brand new to the people they target — check the address carefully before typing anything.`,
+        evidence: ScaimEvidence.of({ text: snapshot.site, element: newSiteInputs[0].input })
+      });
+      score += 15;
+    }
+
     return Math.min(50, score);
+  },
+
+  /**
+   * What an input says about itself: name, id, placeholder, label and autocomplete.
+   * @param {Element} input
+   * @returns {string}
+   */
+  inputIdentifiers(input) {
+    return [
+      input.getAttribute("name") || "",
+      input.getAttribute("id") || "",
+      input.getAttribute("placeholder") || "",
+      input.getAttribute("aria-label") || "",
+      input.getAttribute("autocomplete") || ""
+    ].join(" ");
+  },
+
+  /**
+   * The kind of credential an input asks for: "password", "card", "seed", or null.
+   * @param {Element} input
+   * @returns {string|null}
+   */
+  credentialKind(input) {
+    if (input.matches('input[type="password"]')) return "password";
+    const identifiers = this.inputIdentifiers(input);
+    const match = this.SENSITIVE_INPUTS.find(sp => sp.credential && sp.pattern.test(identifiers));
+    return match ? match.credential : null;
   }
 };
+
+ScaimDetectors.register({
+  key: "structural",
+  name: "Page Structure",
+  description: "Forms, scripts, iframes, link spoofing and sensitive inputs",
+  weight: 0.14,
+  scan: (snapshot) => StructuralDetector.scan(snapshot)
+});
@@ -11,16 +11,16 @@ const TechSupportScamDetector = {
     "screenconnect", "bomgar", "zoho assist"
   ],
 
-  scan() {
+  scan(snapshot = PageSnapshot.build()) {
     const findings = [];
     let score = 0;
 
-    score += this._checkFakeErrorCodes(findings);
-    score += this._checkRemoteAccessTools(findings);
-    score += this._checkPhoneNumberUrgency(findings);
-    score += this._checkFakeSystemScan(findings);
-    score += this._checkBrowserLockAttempts(findings);
-    score += this._checkBSODSimulation(findings);
+    score += this._checkFakeErrorCodes(findings, snapshot);
+    score += this._checkRemoteAccessTools(findings, snapshot);
+    score += this._checkPhoneNumberUrgency(findings, snapshot);
+    score += this._checkFakeSystemScan(findings, snapshot);
+    score += this._checkBrowserLockAttempts(findings, snapshot);
+    score += this._checkBSODSimulation(findings, snapshot);
 
     return {
       score: Math.min(100, score),
@@ -31,9 +31,9 @@ const TechSupportScamDetector = {
   /**
    * Detect fake Windows/Mac error codes and system alerts.
    */
-  _checkFakeErrorCodes(findings) {
+  _checkFakeErrorCodes(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const errorPatterns = [
       { pattern: /error\s*(code\s*)?#?\s*0x[0-9a-f]{4,8}/i, label: "Windows hex error code" },
@@ -57,16 +57,22 @@ const TechSupportScamDetector = {
 
     if (matchCount >= 2) {
       findings.push({
+        ruleId: "tech-support.fake-error-codes",
         severity: "critical",
+        confidence: 0.85,
         category: "Fake Error Codes",
-        message: `This page displays ${matchCount} fake system error indicators (${matchedLabels.slice(0, 3).join(", ")}) — real system errors NEVER appear on web pages. This is a tech support scam designed to frighten you into calling a fake support number.`
+        message: `This page displays ${matchCount} fake system error indicators (${matchedLabels.slice(0, 3).join(", ")}) — real system errors NEVER appear on web pages. This is a tech support scam designed to frighten you into calling a fake support number.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, errorPatterns) })
       });
       score += 30;
     } else if (matchCount === 1) {
       findings.push({
+        ruleId: "tech-support.fake-error-code",
         severity: "high",
+        confidence: 0.6,
         category: "Fake Error Code",
-        message: `This page displays a ${matchedLabels[0]} — legitimate system errors are shown by your operating system, not by websites. Be suspicious of any page claiming your system has errors.`
+        message: `This page displays a ${matchedLabels[0]} — legitimate system errors are shown by your operating system, not by websites. Be suspicious of any page claiming your system has errors.`,
+        evidence: ScaimEvidence.of({ text: ScaimEvidence.firstSnippet(snapshot.text, errorPatterns) })
       });
       score += 15;
     }
@@ -77,9 +83,9 @@ const TechSupportScamDetector = {
   /**
    * Detect references to remote access tools.
    */
-  _checkRemoteAccessTools(findings) {
+  _checkRemoteAccessTools(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     const foundTools = [];
     for (const tool of this.REMOTE_TOOLS) {
@@ -96,16 +102,22 @@ const TechSupportScamDetector = {
 
       if (hasPhoneNumber || hasSupport) {
         findings.push({
+          ruleId: "tech-support.remote-access-tool",
           severity: "critical",
+          confidence: 0.8,
           category: "Remote Access Tool",
-          message: `This page references remote access software (${foundTools.join(", ")}) alongside ${hasPhoneNumber ? "a phone number" : "support language"} — tech support scammers ask you to install these tools so they can take control of your computer and steal your data or money.`
+          message: `This page references remote access software (${foundTools.join(", ")}) alongside ${hasPhoneNumber ? "a phone number" : "support language"} — tech support scammers ask you to install these tools so they can take control of your computer and steal your data or money.`,
+          evidence: ScaimEvidence.of({ text: foundTools.join(", ") })
         });
         score += 30;
       } else {
         findings.push({
+          ruleId: "tech-support.remote-access-reference",
           severity: "medium",
+          confidence: 0.35,
           category: "Remote Access Reference",
-          message: `This page mentions remote access software (${foundTools.join(", ")}) — while sometimes legitimate, be cautious if asked to install or run these tools by someone you didn't contact first.`
+          message: `This page mentions remote access software (${foundTools.join(", ")}) — while sometimes legitimate, be cautious if asked to install or run these tools by someone you didn't contact first.`,
+          evidence: ScaimEvidence.of({ text: foundTools.join(", ") })
         });
         score += 8;
       }
@@ -117,9 +129,9 @@ const TechSupportScamDetector = {
   /**
    * Detect phone numbers presented with urgency.
    */
-  _checkPhoneNumberUrgency(findings) {
+  _checkPhoneNumberUrgency(findings, snapshot) {
     let score = 0;
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
 
     // Toll-free numbers (1-800, 1-888, 1-877, 1-866, 1-855, 1-844, 1-833)
     const tollFreePattern = /\b1[-.\s]?8[0-9]{2}[-.\s]?\d{3}[-.\s]?\d{4}\b/g;
@@ -146,9 +158,12 @@ const TechSupportScamDetector = {
 
       if (hasUrgency) {
         findings.push({
+          ruleId: "tech-support.urgent-phone-number",
           severity: "high",
+          confidence: 0.7,
           category: "Urgent Phone Scam",
-          message: `This page displays a toll-free number (${tollFreeMatches[0]}) with urgent language pressuring you to call — legitimate companies don't pressure you to call through alarming web pages. Never call numbers displayed on suspicious websites.`
+          message: `This page displays a toll-free number (${tollFreeMatches[0]}) with urgent language pressuring you to call — legitimate companies don't pressure you to call through alarming web pages. Never call numbers displayed on suspicious websites.`,
+          evidence: ScaimEvidence.of({ text: tollFreeMatches[0] })
         });
         score += 20;
       }
@@ -160,7 +175,7 @@ const TechSupportScamDetector = {
   /**
    * Detect fake system scan animations/progress bars.
    */
-  _checkFakeSystemScan(findings) {
+  _checkFakeSystemScan(findings, snapshot) {
     let score = 0;
 
     // Check for scan-related elements
@@ -177,23 +192,29 @@ const TechSupportScamDetector = {
       'progress, [role="progressbar"], [class*="progress"], [class*="loading-bar"]'
     );
 
-    const pageText = (document.body?.innerText || "").toLowerCase();
+    const pageText = snapshot.lowerText;
     const hasThreatLanguage = /virus|malware|trojan|threat|infected|spyware|adware|ransomware/i.test(pageText);
 
     if (scanElements.length > 0 && hasThreatLanguage) {
       findings.push({
+        ruleId: "tech-support.fake-system-scan",
         severity: "high",
+        confidence: 0.65,
         category: "Fake System Scan",
-        message: "This page appears to simulate a system scan for viruses or malware — websites CANNOT scan your computer. This is a scare tactic used by tech support scammers."
+        message: "This page appears to simulate a system scan for viruses or malware — websites CANNOT scan your computer. This is a scare tactic used by tech support scammers.",
+        evidence: ScaimEvidence.of({ element: scanElements[0] })
       });
       score += 20;
     }
 
     if (progressElements.length > 0 && threatElements.length > 0) {
       findings.push({
+        ruleId: "tech-support.fake-scan-animation",
         severity: "high",
+        confidence: 0.6,
         category: "Fake Scan Animation",
-        message: "This page displays a progress bar alongside threat/virus elements — this simulates a fake scan to make you believe your computer is infected."
+        message: "This page displays a progress bar alongside threat/virus elements — this simulates a fake scan to make you believe your computer is infected.",
+        evidence: ScaimEvidence.of({ element: progressElements[0] })
       });
       score += 15;
     }
@@ -204,14 +225,16 @@ const TechSupportScamDetector = {
   /**
    * Detect browser lock/fullscreen attempts.
    */
-  _checkBrowserLockAttempts(findings) {
+  _checkBrowserLockAttempts(findings, snapshot) {
     let score = 0;
 
     // Check inline scripts for lock patterns
-    const scripts = document.querySelectorAll("script:not([src])");
+    const scripts = snapshot.inlineScripts;
     let hasLockAttempt = false;
+    let lockScript = null;
 
     scripts.forEach(script => {
+      if (hasLockAttempt) return;
       const content = script.textContent || "";
 
       // Fullscreen API abuse
@@ -233,13 +256,18 @@ const TechSupportScamDetector = {
       if (/while\s*\(.*\)\s*\{[^}]*window\.open/i.test(content)) {
         hasLockAttempt = true;
       }
+
+      if (hasLockAttempt) lockScript = script;
     });
 
     if (hasLockAttempt) {
       findings.push({
+        ruleId: "tech-support.browser-lock",
         severity: "high",
+        confidence: 0.75,
         category: "Browser Lock Attempt",
-        message: "This page contains scripts that attempt to lock your browser (fullscreen, alert loops, or navigation prevention) — this is a common tech support scam technique. You can close the tab using Ctrl+W or the Task Manager."
+        message: "This page contains scripts that attempt to lock your browser (fullscreen, alert loops, or navigation prevention) — this is a common tech support scam technique. You can close the tab using Ctrl+W or the Task Manager.",
+        evidence: ScaimEvidence.of({ element: lockScript })
       });
       score += 20;
     }
@@ -250,7 +278,7 @@ const TechSupportScamDetector = {
   /**
    * Detect fake Blue Screen of Death (BSOD) simulation.
    */
-  _checkBSODSimulation(findings) {
+  _checkBSODSimulation(findings, snapshot) {
     let score = 0;
 
     // Check for full-page blue/red/dark backgrounds with error text
@@ -273,12 +301,15 @@ const TechSupportScamDetector = {
       const isDarkRed = r > 150 && g < 50 && b < 50;
 
       if (isBluish || isDarkRed) {
-        const pageText = (document.body?.innerText || "").toLowerCase();
+        const pageText = snapshot.lowerText;
         if (/error|stop\s+code|your\s+pc\s+ran|problem|restart|crash/i.test(pageText)) {
           findings.push({
+            ruleId: "tech-support.bsod-simulation",
             severity: "critical",
+            confidence: 0.85,
             category: "BSOD Simulation",
-            message: "This page appears to simulate a Blue Screen of Death or critical system error — real system crashes are handled by your operating system, not displayed on websites. This is a tech support scam."
+            message: "This page appears to simulate a Blue Screen of Death or critical system error — real system crashes are handled by your operating system, not displayed on websites. This is a tech support scam.",
+            evidence: ScaimEvidence.of({ element: body })
           });
           score += 30;
         }
@@ -288,3 +319,11 @@ const TechSupportScamDetector = {
     return score;
   }
 };
+
+ScaimDetectors.register({
+  key: "techSupport",
+  name: "Tech Support",
+  description: "Fake error codes, remote access tools and browser lock attempts",
+  weight: 0.08,
+  scan: (snapshot) => TechSupportScamDetector.scan(snapshot)
+});
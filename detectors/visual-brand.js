@@ -0,0 +1,171 @@
+/**
+ * ScAIm Visual Brand Detector
+ * Scam pages copy a brand's favicon and logo but live on unrelated domains.
+ * Hashes the page's favicon and header/logo images (see ScaimPerceptualHash)
+ * and compares them with the brands' logo hashes (config/logo-hashes.js and
+ * the user's own brands). Complements the text checks in
+ * PhishingDetector._checkBrandImpersonation.
+ * Images load asynchronously, so a scan uses the hashes that are ready and
+ * starts hashing the rest; if one of those turns out to match, the page is
+ * rescored through ScaimAnalyzer.refreshDetector().
+ * With no logo hashes to compare against, the detector stays out of scans
+ * and scoring (see active() in its registration).
+ */
+const VisualBrandDetector = {
+  // Bits (of 64) two hashes may differ by and still be the same logo
+  MAX_DISTANCE: 10,
+  MAX_IMAGES: 8,
+  CACHE_LIMIT: 200,
+
+  // Where pages keep their logo
+  LOGO_SELECTOR: "header, nav, [role='banner'], [class*='logo' i], [id*='logo' i]",
+
+  _hashes: new Map(), // image URL → hash, or null if it couldn't be hashed
+  _pending: new Set(), // image URLs being hashed
+
+  scan(snapshot = PageSnapshot.build()) {
+    const findings = [];
+    // A brand's own site showing its own logo
+    if (ScaimBrands.ownerOf(snapshot.hostname)) return { score: 0, findings };
+    const known = this._knownHashes();
+    if (known.length === 0) return { score: 0, findings };
+
+    const hasPassword = snapshot.inputs.some(input => input.matches('input[type="password"]'));
+    const unhashed = [];
+    const matched = new Set();
+
+    for (const image of this._candidates(snapshot)) {
+      if (!this._hashes.has(image.src)) {
+        unhashed.push(image);
+        continue;
+      }
+      const brand = this._match(this._hashes.get(image.src), known);
+      if (!brand || matched.has(brand.key)) continue;
+      matched.add(brand.key);
+
+      findings.push({
+        ruleId: `visual-brand.${image.kind}-match`,
+        severity: hasPassword ? "critical" : "high",
+        confidence: hasPassword ? 0.85 : 0.7,
+        category: "Visual Brand Impersonation",
+        message: `This page's ${image.kind} looks like ${brand.name}'s, but the site is NOT one of ${brand.name}'s (${brand.domains[0]})` +
+          (hasPassword
+            ? ` — and it asks for a password. Scam pages copy logos to look genuine; sign in to ${brand.name} only at ${brand.loginHosts[0] || brand.domains[0]}.`
+            : ". Scam pages copy logos to look genuine."),
+        evidence: ScaimEvidence.of({ element: image.element, url: image.src.startsWith("data:") ? snapshot.url : image.src })
+      });
+    }
+
+    if (unhashed.length > 0) this._hashLater(unhashed, known);
+
+    return {
+      score: Math.min(100, findings.reduce((sum, f) => sum + (f.severity === "critical" ? 40 : 30), 0)),
+      findings
+    };
+  },
+
+  /**
+   * Are there any logo hashes to look for?
+   * @returns {boolean}
+   */
+  hasHashes() {
+    return this._knownHashes().length > 0;
+  },
+
+  /**
+   * Every brand logo hash, with the brand it belongs to.
+   * @returns {Array<{ hash: string, brand: Object }>}
+   */
+  _knownHashes() {
+    const known = [];
+    for (const { brand: key, hash } of BrandLogoHashes.HASHES) {
+      const brand = ScaimBrands.get(key);
+      if (brand && ScaimPerceptualHash.isHash(hash)) known.push({ hash, brand });
+    }
+    for (const brand of ScaimBrands.list()) {
+      brand.logoHashes.forEach(hash => known.push({ hash, brand }));
+    }
+    return known;
+  },
+
+  /**
+   * The page's favicons and logo-like images that can be hashed here:
+   * same-origin and data: URLs only (others would taint the canvas).
+   * @returns {Array<{ src: string, kind: "favicon"|"logo", element: Element|null }>}
+   */
+  _candidates(snapshot) {
+    const candidates = [];
+    const seen = new Set();
+    const add = (src, kind, element) => {
+      let url;
+      try {
+        url = new URL(src, snapshot.url);
+      } catch (e) {
+        return;
+      }
+      if (url.protocol !== "data:" && url.origin !== window.location.origin) return;
+      if (seen.has(url.href) || candidates.length >= this.MAX_IMAGES) return;
+      seen.add(url.href);
+      candidates.push({ src: url.href, kind, element });
+    };
+
+    const icons = document.querySelectorAll("link[rel~='icon' i], link[rel~='apple-touch-icon' i]");
+    icons.forEach(link => add(link.getAttribute("href") || "", "favicon", link));
+    if (icons.length === 0) add("/favicon.ico", "favicon", null);
+
+    for (const img of snapshot.images) {
+      const src = img.currentSrc || img.getAttribute("src") || "";
+      if (!src) continue;
+      if (img.closest(this.LOGO_SELECTOR) || /logo/i.test(src + " " + (img.getAttribute("alt") || ""))) {
+        add(src, "logo", img);
+      }
+    }
+    return candidates;
+  },
+
+  /**
+   * The brand whose logo hash is closest to this one, within MAX_DISTANCE, or null.
+   */
+  _match(hash, known) {
+    if (!hash || !ScaimPerceptualHash.isInformative(hash)) return null;
+    let best = null;
+    let bestDistance = this.MAX_DISTANCE + 1;
+    for (const entry of known) {
+      const distance = ScaimPerceptualHash.distance(hash, entry.hash);
+      if (distance < bestDistance) {
+        best = entry.brand;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Hash images in the background; rescore the page if any of them matches.
+   */
+  _hashLater(images, known) {
+    const fresh = images.filter(image => !this._pending.has(image.src));
+    if (fresh.length === 0) return;
+    fresh.forEach(image => this._pending.add(image.src));
+
+    Promise.all(fresh.map(image => ScaimPerceptualHash.hashURL(image.src).then(hash => {
+      this._pending.delete(image.src);
+      if (this._hashes.size >= this.CACHE_LIMIT) this._hashes.clear();
+      this._hashes.set(image.src, hash);
+      return !!this._match(hash, known);
+    }))).then(matches => {
+      if (matches.some(Boolean) && typeof ScaimAnalyzer !== "undefined") {
+        ScaimAnalyzer.refreshDetector("visualBrand");
+      }
+    });
+  }
+};
+
+ScaimDetectors.register({
+  key: "visualBrand",
+  name: "Visual Brand Match",
+  description: "Favicons and logos copied from known brands",
+  weight: 0.14,
+  scan: (snapshot) => VisualBrandDetector.scan(snapshot),
+  active: () => VisualBrandDetector.hasHashes()
+});
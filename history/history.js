@@ -0,0 +1,133 @@
+/**
+ * ScAIm Scan History Page
+ * Lists past assessments stored by the background script.
+ * Supports filtering by site and level, clearing, and the history settings.
+ */
+
+const LEVEL_LABELS = {
+  safe: "Safe",
+  caution: "Caution",
+  warning: "Warning",
+  danger: "Danger"
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const enabledBox = document.getElementById("scaim-history-enabled");
+  const excludePrivateBox = document.getElementById("scaim-history-exclude-private");
+  const searchInput = document.getElementById("scaim-history-search");
+  const levelSelect = document.getElementById("scaim-history-level");
+  const clearBtn = document.getElementById("scaim-history-clear");
+  const countEl = document.getElementById("scaim-history-count");
+  const listEl = document.getElementById("scaim-history-list");
+  const emptyEl = document.getElementById("scaim-history-empty");
+
+  let entries = [];
+
+  function loadHistory() {
+    chrome.runtime.sendMessage({ type: "SCAIM_GET_HISTORY" }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      entries = response.entries;
+      enabledBox.checked = response.enabled;
+      excludePrivateBox.checked = response.excludePrivate;
+      render();
+    });
+  }
+
+  function render() {
+    const query = searchInput.value.trim().toLowerCase();
+    const level = levelSelect.value;
+    const visible = entries.filter(e =>
+      (!level || e.level === level) &&
+      (!query || e.hostname.toLowerCase().includes(query) || e.url.toLowerCase().includes(query))
+    );
+
+    listEl.textContent = "";
+    emptyEl.style.display = entries.length === 0 ? "block" : "none";
+    clearBtn.disabled = entries.length === 0;
+    countEl.textContent = entries.length === 0
+      ? ""
+      : `Showing ${visible.length} of ${entries.length} scan${entries.length === 1 ? "" : "s"}`;
+
+    visible.forEach(entry => listEl.appendChild(renderEntry(entry)));
+  }
+
+  function renderEntry(entry) {
+    const item = document.createElement("div");
+    item.className = `scaim-history-item ${entry.level}`;
+
+    const header = document.createElement("div");
+    header.className = "scaim-history-item-header";
+
+    const badge = document.createElement("span");
+    badge.className = `scaim-level-badge ${entry.level}`;
+    badge.textContent = `${LEVEL_LABELS[entry.level] || entry.level} · ${entry.score}`;
+
+    const host = document.createElement("span");
+    host.className = "scaim-history-host";
+    host.textContent = entry.hostname;
+
+    const time = document.createElement("span");
+    time.className = "scaim-history-time";
+    time.textContent = new Date(entry.timestamp).toLocaleString();
+
+    header.appendChild(badge);
+    header.appendChild(host);
+    header.appendChild(time);
+    item.appendChild(header);
+
+    // Shown as text only — a history of possible scam pages should not be one click away
+    const url = document.createElement("div");
+    url.className = "scaim-history-url";
+    url.textContent = entry.url;
+    item.appendChild(url);
+
+    if (entry.findings.length > 0) {
+      const list = document.createElement("ul");
+      list.className = "scaim-history-findings";
+      entry.findings.forEach(f => {
+        const li = document.createElement("li");
+        li.className = f.severity;
+        const category = document.createElement("strong");
+        category.textContent = f.category;
+        li.appendChild(category);
+        li.appendChild(document.createTextNode(` — ${f.message}`));
+        list.appendChild(li);
+      });
+      if (entry.findingCount > entry.findings.length) {
+        const more = document.createElement("li");
+        more.className = "scaim-history-more";
+        more.textContent = `+${entry.findingCount - entry.findings.length} more finding(s)`;
+        list.appendChild(more);
+      }
+      item.appendChild(list);
+    }
+
+    return item;
+  }
+
+  enabledBox.addEventListener("change", () => {
+    chrome.storage.local.set({ historyEnabled: enabledBox.checked });
+  });
+
+  excludePrivateBox.addEventListener("change", () => {
+    chrome.storage.local.set({ historyExcludePrivate: excludePrivateBox.checked });
+  });
+
+  searchInput.addEventListener("input", render);
+  levelSelect.addEventListener("change", render);
+
+  clearBtn.addEventListener("click", () => {
+    if (!confirm("Delete the entire scan history? This cannot be undone.")) return;
+    chrome.runtime.sendMessage({ type: "SCAIM_CLEAR_HISTORY" }, () => {
+      if (chrome.runtime.lastError) { /* ignore */ }
+      loadHistory();
+    });
+  });
+
+  // Keep the page current while it stays open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.scaim_history) loadHistory();
+  });
+
+  loadHistory();
+});
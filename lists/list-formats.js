@@ -0,0 +1,298 @@
+/**
+ * ScAIm List Formats — reading and writing the user allowlist/blocklist.
+ * Supported formats:
+ *   json  — { format: "scaim-lists", version: 2, allowlist: [...], blocklist: [...] }
+ *           Blocklist items are entries ({ pattern, category, note, expiresAt });
+ *           version 1 files and bare arrays of hostnames are also accepted
+ *   hosts — hosts-file lines such as "0.0.0.0 scam.example"
+ *   text  — one domain per line (blocklist lines may be patterns such as
+ *           "*.scam.example" or "legit.example/login/")
+ * Lines starting with "#" (or "!" in text files) are comments.
+ * Allowlists are arrays of hostnames; blocklists are arrays of entries.
+ * Validation uses DomainLists, so domain-lists.js (and the public suffix
+ * and Aho–Corasick scripts it relies on) must be loaded first.
+ */
+const ScaimListFormats = {
+  JSON_FORMAT: "scaim-lists",
+  JSON_VERSION: 2,
+
+  // Addresses that start a hosts-file entry
+  HOSTS_ADDRESS: /^(0\.0\.0\.0|127\.0\.0\.1|::1?|0:0:0:0:0:0:0:[01])$/,
+
+  // Names found in every stock hosts file — skipped silently rather than reported
+  HOSTS_BOILERPLATE: new Set([
+    "localhost", "localhost.localdomain", "local", "broadcasthost",
+    "ip6-localhost", "ip6-loopback", "ip6-localnet", "ip6-mcastprefix",
+    "ip6-allnodes", "ip6-allrouters", "ip6-allhosts", "0.0.0.0"
+  ]),
+
+  /**
+   * Guess the format of pasted or uploaded text.
+   * @param {string} text
+   * @returns {"json"|"hosts"|"text"}
+   */
+  detect(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+    const lines = trimmed.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+    if (lines.some(l => this.HOSTS_ADDRESS.test(l.split(/\s+/)[0]))) return "hosts";
+    return "text";
+  },
+
+  /**
+   * Parse an import. Entries are returned as written (not yet validated);
+   * see buildReport(). Text and hosts files only hold one list, which goes
+   * to `target`. A JSON file names its own lists.
+   * @param {string} text
+   * @param {string} format - "json", "hosts" or "text"
+   * @param {"allowlist"|"blocklist"} target
+   * @returns {{ format: string, allowlist: Array|null, blocklist: Array|null }}
+   *   Each list is [{ value, line, details? }] or null when the import doesn't include it.
+   *   details holds the category, note and expiry of a JSON blocklist entry.
+   * @throws {Error} If JSON is malformed or isn't a ScAIm list export
+   */
+  parse(text, format, target) {
+    const result = { format, allowlist: null, blocklist: null };
+
+    if (format === "json") {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error("This is not valid JSON: " + e.message);
+      }
+
+      const toEntries = (list, name) => {
+        if (!Array.isArray(list)) throw new Error(`"${name}" must be an array of domains`);
+        return list.map((value, i) => (value && typeof value === "object" && name === "blocklist")
+          ? { value: String(value.pattern || ""), line: i + 1, details: value }
+          : { value: String(value), line: i + 1 });
+      };
+
+      if (Array.isArray(data)) {
+        result[target] = toEntries(data, target);
+      } else if (data && typeof data === "object") {
+        if (data.format && data.format !== this.JSON_FORMAT) {
+          throw new Error(`Unknown list format "${data.format}"`);
+        }
+        if (data.allowlist !== undefined) result.allowlist = toEntries(data.allowlist, "allowlist");
+        if (data.blocklist !== undefined) result.blocklist = toEntries(data.blocklist, "blocklist");
+        if (!result.allowlist && !result.blocklist) {
+          throw new Error('The file has neither an "allowlist" nor a "blocklist"');
+        }
+      } else {
+        throw new Error("Expected a ScAIm list export or an array of domains");
+      }
+      return result;
+    }
+
+    const entries = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.replace(/#.*$/, "").trim();
+      if (format === "text" && line.startsWith("!")) return;
+      if (!line) return;
+
+      if (format === "hosts") {
+        const [address, ...names] = line.split(/\s+/);
+        if (!this.HOSTS_ADDRESS.test(address)) {
+          entries.push({ value: line, line: i + 1 });
+          return;
+        }
+        names
+          .filter(name => !this.HOSTS_BOILERPLATE.has(name.toLowerCase()))
+          .forEach(name => entries.push({ value: name, line: i + 1 }));
+      } else {
+        entries.push({ value: line, line: i + 1 });
+      }
+    });
+    result[target] = entries;
+    return result;
+  },
+
+  /**
+   * Lowercase a domain and strip the decorations people paste along with it
+   * (scheme and path, "*." wildcard prefix, trailing dot).
+   * @param {string} value
+   * @returns {string}
+   */
+  normalize(value) {
+    let host = String(value).trim().toLowerCase();
+    if (host.includes("://")) {
+      try { host = new URL(host).hostname; } catch (e) { /* left as-is; fails validation */ }
+    }
+    return host.replace(/^\*\./, "").replace(/\.$/, "");
+  },
+
+  /**
+   * Validate a parsed import against the current lists and describe what
+   * applying it would do. Nothing is written.
+   * Conflicts:
+   *   - a domain in both lists of the same import is skipped
+   *   - a domain moving from one list to the other is reported (and moved)
+   *   - allowlisting a domain the built-in blocklist flags is reported (and allowed)
+   * Blocklist values are compared by their canonical pattern, so "*.Scam.example."
+   * and "*.scam.example" are the same entry.
+   * @param {{ allowlist: Array|null, blocklist: Array|null }} parsed
+   * @param {{ allowlist: string[], blocklist: Object[] }} current
+   * @returns {{ add: Object, accepted: Object, details: Object, unchanged: number, invalid: Array, rejected: Array, conflicts: Array }}
+   *   add — new domains/patterns per list; accepted — every valid one per list (new or already there);
+   *   details — imported category/note/expiry by blocklist pattern
+   */
+  buildReport(parsed, current) {
+    const report = {
+      add: { allowlist: [], blocklist: [] },
+      accepted: { allowlist: [], blocklist: [] },
+      details: {},
+      unchanged: 0,
+      invalid: [],
+      rejected: [],
+      conflicts: []
+    };
+    const currentSets = {
+      allowlist: new Set(current.allowlist),
+      blocklist: new Set(current.blocklist.map(entry => entry.pattern))
+    };
+
+    // Validate each list on its own first
+    const valid = { allowlist: new Set(), blocklist: new Set() };
+    const reject = (list, value, line, reason) => report.rejected.push({ list, value, line, reason });
+    for (const entry of parsed.allowlist || []) {
+      const host = this.normalize(entry.value);
+      if (!DomainLists._isValidHostname(host)) {
+        report.invalid.push({ list: "allowlist", value: entry.value, line: entry.line });
+      } else if (DomainLists.isSharedRoot(host)) {
+        reject("allowlist", host, entry.line,
+          `${host} is a public suffix or shared hosting platform — listing it would cover every site registered under it`);
+      } else {
+        valid.allowlist.add(host);
+      }
+    }
+    for (const entry of parsed.blocklist || []) {
+      const pattern = DomainLists.parseBlockPattern(entry.value);
+      if (pattern.sharedRoot) {
+        reject("blocklist", entry.value, entry.line, pattern.error);
+      } else if (pattern.error) {
+        report.invalid.push({ list: "blocklist", value: entry.value, line: entry.line });
+      } else {
+        valid.blocklist.add(pattern.pattern);
+        if (entry.details) report.details[pattern.pattern] = entry.details;
+      }
+    }
+
+    for (const list of ["allowlist", "blocklist"]) {
+      const other = list === "allowlist" ? "blocklist" : "allowlist";
+      for (const value of valid[list]) {
+        // Only whole-host blocklist entries can clash with a trusted host;
+        // "legit.example/login/" and a trusted "legit.example" can coexist
+        const host = list === "blocklist" ? this._wholeHostOf(value) : value;
+        if (host && valid[other].has(host)) {
+          // Reported once, from the allowlist side
+          if (list === "allowlist") {
+            report.conflicts.push({ value: host, message: "is in both lists of this import — skipped" });
+          }
+          continue;
+        }
+
+        report.accepted[list].push(value);
+        if (currentSets[list].has(value)) {
+          report.unchanged++;
+          continue;
+        }
+        report.add[list].push(value);
+
+        if (host && currentSets[other].has(host)) {
+          report.conflicts.push({ value: host, message: `is on your ${other} — it will be moved to the ${list}` });
+        }
+        if (list === "allowlist") {
+          const builtin = DomainLists.isBlocked(value);
+          if (builtin && builtin.source === "builtin") {
+            report.conflicts.push({
+              value,
+              message: `matches ScAIm's built-in blocklist (${builtin.category}) — allowlisting it turns that protection off`
+            });
+          }
+        }
+      }
+    }
+
+    return report;
+  },
+
+  /**
+   * The exact host a blocklist pattern covers as a whole ("scam.example" for
+   * "scam.example" or "*.scam.example"), or null for path entries.
+   * @param {string} pattern - Canonical pattern
+   * @returns {string|null}
+   */
+  _wholeHostOf(pattern) {
+    const parsed = DomainLists.parseBlockPattern(pattern);
+    return parsed.error || parsed.path ? null : parsed.host;
+  },
+
+  /**
+   * Work out the lists that result from applying a report.
+   * Merging adds to the current lists; replacing swaps out each list the
+   * import included. Either way a domain never ends up on both lists.
+   * Blocklist entries already present keep their category, note and expiry;
+   * new ones take them from the import.
+   * @param {Object} report - From buildReport()
+   * @param {{ allowlist: Array|null, blocklist: Array|null }} parsed
+   * @param {{ allowlist: string[], blocklist: Object[] }} current
+   * @param {boolean} replace
+   * @returns {{ allowlist: string[], blocklist: Object[] }}
+   */
+  apply(report, parsed, current, replace) {
+    const allowlist = new Set(replace && parsed.allowlist ? report.accepted.allowlist : current.allowlist);
+    report.add.allowlist.forEach(host => allowlist.add(host));
+
+    const existing = new Map(current.blocklist.map(entry => [entry.pattern, entry]));
+    const blocklist = new Map();
+    (replace && parsed.blocklist ? report.accepted.blocklist : [...existing.keys()])
+      .filter(pattern => existing.has(pattern))
+      .forEach(pattern => blocklist.set(pattern, existing.get(pattern)));
+    report.add.blocklist.forEach(pattern => {
+      const entry = DomainLists.toBlockEntry({ ...report.details[pattern], pattern });
+      entry.createdAt = entry.createdAt || Date.now();
+      blocklist.set(pattern, entry);
+    });
+
+    report.add.allowlist.forEach(host => blocklist.delete(host));
+    report.add.blocklist.forEach(pattern => allowlist.delete(this._wholeHostOf(pattern)));
+    return {
+      allowlist: [...allowlist].sort(),
+      blocklist: [...blocklist.values()].sort((a, b) => a.pattern.localeCompare(b.pattern))
+    };
+  },
+
+  /**
+   * Serialize the lists for export. Text exports hold blocklist patterns only;
+   * hosts files can't express wildcards or paths, so those entries are left out.
+   * @param {{ allowlist: string[], blocklist: Object[] }} lists
+   * @param {"json"|"hosts"|"text"} format
+   * @param {"allowlist"|"blocklist"} [list] - Which list, for hosts and text
+   * @returns {string}
+   */
+  serialize(lists, format, list) {
+    const stamp = new Date().toISOString();
+    if (format === "json") {
+      return JSON.stringify({
+        format: this.JSON_FORMAT,
+        version: this.JSON_VERSION,
+        exportedAt: stamp,
+        allowlist: lists.allowlist,
+        blocklist: lists.blocklist
+      }, null, 2) + "\n";
+    }
+
+    const values = list === "blocklist" ? lists.blocklist.map(entry => entry.pattern) : lists[list];
+    let header = `# ScAIm ${list} — exported ${stamp}\n`;
+    if (format === "hosts") {
+      const hosts = values.filter(value => /^[a-z0-9.-]+$/.test(value));
+      if (hosts.length < values.length) {
+        header += `# ${values.length - hosts.length} wildcard or path entries left out (hosts files can't express them)\n`;
+      }
+      return header + hosts.map(host => `0.0.0.0 ${host}`).join("\n") + "\n";
+    }
+    return header + values.join("\n") + "\n";
+  }
+};
@@ -0,0 +1,541 @@
+/**
+ * ScAIm Site Lists Page
+ * Lists and edits the user blocklist entries (pattern, category, note,
+ * expiry), exports the user allowlist/blocklist and imports them from JSON,
+ * hosts files or plain text. Imports are checked first and only written once
+ * the user has seen the report of invalid, rejected and conflicting entries.
+ * Also imports and removes offline phishing feeds (see ScaimFeeds) and the
+ * user's own brands (see ScaimBrands), and lists the user's protected
+ * passwords (see ScaimProtectedPasswords).
+ */
+
+document.addEventListener("DOMContentLoaded", () => {
+  const countsEl = document.getElementById("scaim-lists-counts");
+  const fileInput = document.getElementById("scaim-import-file");
+  const textInput = document.getElementById("scaim-import-text");
+  const formatSelect = document.getElementById("scaim-import-format");
+  const targetSelect = document.getElementById("scaim-import-target");
+  const replaceBox = document.getElementById("scaim-import-replace");
+  const checkBtn = document.getElementById("scaim-import-check");
+  const applyBtn = document.getElementById("scaim-import-apply");
+  const reportEl = document.getElementById("scaim-import-report");
+  const statusEl = document.getElementById("scaim-import-status");
+
+  const blockEmpty = document.getElementById("scaim-block-empty");
+  const blockTable = document.getElementById("scaim-block-table");
+  const blockRows = document.getElementById("scaim-block-rows");
+  const blockForm = document.getElementById("scaim-block-form");
+  const blockPattern = document.getElementById("scaim-block-pattern");
+  const blockCategory = document.getElementById("scaim-block-category");
+  const blockNote = document.getElementById("scaim-block-note");
+  const blockExpiry = document.getElementById("scaim-block-expiry");
+  const blockSaveBtn = document.getElementById("scaim-block-save");
+  const blockCancelBtn = document.getElementById("scaim-block-cancel");
+  const blockStatus = document.getElementById("scaim-block-status");
+
+  const feedsEmpty = document.getElementById("scaim-feeds-empty");
+  const feedsTable = document.getElementById("scaim-feeds-table");
+  const feedsRows = document.getElementById("scaim-feeds-rows");
+  const feedFile = document.getElementById("scaim-feed-file");
+  const feedName = document.getElementById("scaim-feed-name");
+  const feedVersion = document.getElementById("scaim-feed-version");
+  const feedImportBtn = document.getElementById("scaim-feed-import");
+  const feedStatus = document.getElementById("scaim-feed-status");
+
+  const brandsEmpty = document.getElementById("scaim-brands-empty");
+  const brandsTable = document.getElementById("scaim-brands-table");
+  const brandsRows = document.getElementById("scaim-brands-rows");
+  const brandsFile = document.getElementById("scaim-brands-file");
+  const brandsImportBtn = document.getElementById("scaim-brands-import");
+  const brandsRemoveBtn = document.getElementById("scaim-brands-remove");
+  const brandsStatus = document.getElementById("scaim-brands-status");
+
+  const passwordsEmpty = document.getElementById("scaim-passwords-empty");
+  const passwordsTable = document.getElementById("scaim-passwords-table");
+  const passwordsRows = document.getElementById("scaim-passwords-rows");
+  const passwordsStatus = document.getElementById("scaim-passwords-status");
+
+  let current = { allowlist: [], blocklist: [] };
+  let pending = null; // { parsed, report } from the last successful check
+  let editing = null; // Pattern of the blocklist entry loaded into the form
+
+  function loadLists() {
+    chrome.runtime.sendMessage({ type: "SCAIM_GET_LISTS" }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      current = {
+        allowlist: response.allowlist,
+        blocklist: response.blocklist.map(entry => DomainLists.toBlockEntry(entry)).filter(Boolean)
+      };
+      countsEl.textContent = `${current.allowlist.length} trusted site(s) · ${current.blocklist.length} blocklist entr${current.blocklist.length === 1 ? "y" : "ies"}`;
+      renderBlocklist();
+    });
+  }
+
+  // ---- Blocklist entries ----
+  function renderBlocklist() {
+    blockRows.textContent = "";
+    blockEmpty.style.display = current.blocklist.length === 0 ? "block" : "none";
+    blockTable.style.display = current.blocklist.length === 0 ? "none" : "table";
+
+    const now = Date.now();
+    current.blocklist.forEach(entry => {
+      const expired = DomainLists.isExpired(entry, now);
+      const row = document.createElement("tr");
+      if (expired) row.className = "expired";
+
+      const cells = [
+        { text: entry.pattern, className: "scaim-block-pattern-cell" },
+        { text: entry.category || "—" },
+        { text: entry.note || "" },
+        { text: entry.expiresAt ? (expired ? "Expired " : "") + new Date(entry.expiresAt).toLocaleDateString() : "Never" }
+      ];
+      cells.forEach(cell => {
+        const td = document.createElement("td");
+        td.textContent = cell.text;
+        if (cell.className) td.className = cell.className;
+        row.appendChild(td);
+      });
+
+      const actions = document.createElement("td");
+      actions.className = "scaim-row-actions";
+      const editBtn = document.createElement("button");
+      editBtn.className = "scaim-btn";
+      editBtn.textContent = "Edit";
+      editBtn.addEventListener("click", () => editEntry(entry));
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "scaim-btn";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", () => {
+        sendListChange({ type: "SCAIM_BLOCKLIST_REMOVE", pattern: entry.pattern },
+          `Removed ${entry.pattern} from your blocklist.`);
+      });
+      actions.appendChild(editBtn);
+      actions.appendChild(document.createTextNode(" "));
+      actions.appendChild(removeBtn);
+      row.appendChild(actions);
+
+      blockRows.appendChild(row);
+    });
+  }
+
+  function editEntry(entry) {
+    editing = entry.pattern;
+    blockPattern.value = entry.pattern;
+    blockCategory.value = entry.category;
+    blockNote.value = entry.note;
+    blockExpiry.value = entry.expiresAt ? toDateInput(entry.expiresAt) : "";
+    blockSaveBtn.textContent = "Save entry";
+    blockCancelBtn.style.display = "";
+    blockStatus.style.display = "none";
+    blockPattern.focus();
+  }
+
+  function resetBlockForm() {
+    editing = null;
+    blockForm.reset();
+    blockSaveBtn.textContent = "Add entry";
+    blockCancelBtn.style.display = "none";
+  }
+
+  blockCancelBtn.addEventListener("click", resetBlockForm);
+
+  blockForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const parsed = DomainLists.parseBlockPattern(blockPattern.value);
+    if (parsed.error) {
+      showBlockStatus(parsed.error, "error");
+      return;
+    }
+    if (parsed.pattern !== editing && current.blocklist.some(entry => entry.pattern === parsed.pattern)) {
+      showBlockStatus(`${parsed.pattern} is already on your blocklist — edit that entry instead.`, "error");
+      return;
+    }
+
+    // A date input means "through the end of that day"
+    const expiresAt = blockExpiry.value ? new Date(blockExpiry.value + "T23:59:59").getTime() : null;
+    if (expiresAt && expiresAt <= Date.now()) {
+      showBlockStatus("That expiry date has already passed.", "error");
+      return;
+    }
+
+    const entry = {
+      pattern: parsed.pattern,
+      category: blockCategory.value,
+      note: blockNote.value,
+      expiresAt
+    };
+    sendListChange({ type: "SCAIM_BLOCKLIST_ADD", entry, replacing: editing || undefined },
+      `${editing ? "Updated" : "Added"} ${entry.pattern}.`);
+  });
+
+  // Saved by the background (see DomainLists._update); the list reloads and
+  // open tabs re-check their page when storage changes
+  function sendListChange(message, note) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) {
+        showBlockStatus("The change couldn't be saved.", "error");
+        return;
+      }
+      resetBlockForm();
+      showBlockStatus(note + " Open tabs have been updated.", "ok");
+    });
+  }
+
+  function showBlockStatus(message, kind) {
+    blockStatus.textContent = message;
+    blockStatus.className = `scaim-import-status ${kind}`;
+    blockStatus.style.display = "block";
+  }
+
+  // ---- Phishing feeds ----
+  function renderFeeds() {
+    ScaimFeeds.reload().then(() => {
+      const feeds = ScaimFeeds.list();
+      feedsRows.textContent = "";
+      feedsEmpty.style.display = feeds.length === 0 ? "block" : "none";
+      feedsTable.style.display = feeds.length === 0 ? "none" : "table";
+
+      feeds.forEach(feed => {
+        const row = document.createElement("tr");
+        [feed.name, feed.version || "—", feed.count.toLocaleString(), new Date(feed.importedAt).toLocaleString()]
+          .forEach(text => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            row.appendChild(td);
+          });
+
+        const actions = document.createElement("td");
+        actions.className = "scaim-row-actions";
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "scaim-btn";
+        removeBtn.textContent = "Remove";
+        removeBtn.addEventListener("click", () => {
+          ScaimFeeds.remove(feed.id).then(() => {
+            showFeedStatus(`Removed the "${feed.name}" feed.`, "ok");
+            renderFeeds();
+          });
+        });
+        actions.appendChild(removeBtn);
+        row.appendChild(actions);
+
+        feedsRows.appendChild(row);
+      });
+    });
+  }
+
+  // Suggest a name and version from the file: "openphish-feed.txt", last modified date
+  feedFile.addEventListener("change", () => {
+    const file = feedFile.files[0];
+    feedImportBtn.disabled = !file;
+    feedStatus.style.display = "none";
+    if (!file) return;
+    if (!feedName.value) feedName.value = file.name.replace(/\.[^.]+$/, "");
+    feedVersion.value = toDateInput(file.lastModified || Date.now());
+  });
+
+  feedImportBtn.addEventListener("click", () => {
+    const file = feedFile.files[0];
+    if (!file) return;
+    feedImportBtn.disabled = true;
+    showFeedStatus("Importing…", "ok");
+
+    file.text()
+      .then(text => {
+        const { format, values } = ScaimFeeds.parse(text, file.name);
+        return ScaimFeeds.add({ name: feedName.value, version: feedVersion.value, values })
+          .then(({ feed, skipped }) => {
+            showFeedStatus(`Imported "${feed.name}" (${format}): ${feed.count.toLocaleString()} URLs and sites.` +
+              (skipped > 0 ? ` ${skipped.toLocaleString()} line(s) weren't URLs and were skipped.` : "") +
+              " Pages are checked against it from their next scan.", "ok");
+            feedFile.value = "";
+            feedName.value = "";
+            feedVersion.value = "";
+            renderFeeds();
+          });
+      })
+      .catch(err => {
+        feedImportBtn.disabled = false;
+        showFeedStatus(err.message, "error");
+      });
+  });
+
+  function showFeedStatus(message, kind) {
+    feedStatus.textContent = message;
+    feedStatus.className = `scaim-import-status ${kind}`;
+    feedStatus.style.display = "block";
+  }
+
+  // ---- Brands ----
+  function renderBrands() {
+    ScaimBrands.reload().then(() => {
+      const info = ScaimBrands.customInfo();
+      const brands = info ? info.brands : [];
+      brandsRows.textContent = "";
+      brandsEmpty.style.display = brands.length === 0 ? "block" : "none";
+      brandsTable.style.display = brands.length === 0 ? "none" : "table";
+      brandsRemoveBtn.style.display = info ? "inline-block" : "none";
+
+      brands.forEach(brand => {
+        const row = document.createElement("tr");
+        [brand.name, brand.domains.join(", ") || "—", brand.loginHosts.join(", ") || "—"]
+          .forEach(text => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            row.appendChild(td);
+          });
+        brandsRows.appendChild(row);
+      });
+    });
+  }
+
+  brandsFile.addEventListener("change", () => {
+    brandsImportBtn.disabled = !brandsFile.files[0];
+    brandsStatus.style.display = "none";
+  });
+
+  brandsImportBtn.addEventListener("click", () => {
+    const file = brandsFile.files[0];
+    if (!file) return;
+    brandsImportBtn.disabled = true;
+
+    file.text()
+      .then(text => {
+        const { brands, skipped } = ScaimBrands.parse(text);
+        if (brands.length === 0) {
+          throw new Error("No usable brands in this file." + (skipped.length > 0 ? " " + skipped.slice(0, 5).join("; ") + "." : ""));
+        }
+        return ScaimBrands.setCustom({ source: file.name, brands }).then(() => {
+          showBrandsStatus(`Imported ${brands.length} brand(s) from ${file.name}.` +
+            (skipped.length > 0 ? ` Left out: ${skipped.slice(0, 5).join("; ")}${skipped.length > 5 ? ` and ${skipped.length - 5} more` : ""}.` : "") +
+            " Pages are checked against them from their next scan.", "ok");
+          brandsFile.value = "";
+          renderBrands();
+        });
+      })
+      .catch(err => {
+        brandsImportBtn.disabled = false;
+        showBrandsStatus(err.message, "error");
+      });
+  });
+
+  brandsRemoveBtn.addEventListener("click", () => {
+    ScaimBrands.clearCustom().then(() => {
+      showBrandsStatus("Removed your imported brands.", "ok");
+      renderBrands();
+    });
+  });
+
+  function showBrandsStatus(message, kind) {
+    brandsStatus.textContent = message;
+    brandsStatus.className = `scaim-import-status ${kind}`;
+    brandsStatus.style.display = "block";
+  }
+
+  // ---- Protected passwords ----
+  // Kept by the background (see ScaimProtectedPasswords); this page only
+  // sees which site each one is for
+  function renderPasswords() {
+    chrome.runtime.sendMessage({ type: "SCAIM_PASSWORD_LIST" }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      const entries = response.entries;
+      passwordsRows.textContent = "";
+      passwordsEmpty.style.display = entries.length === 0 ? "block" : "none";
+      passwordsTable.style.display = entries.length === 0 ? "none" : "table";
+
+      entries.forEach(entry => {
+        const row = document.createElement("tr");
+        [entry.domain, new Date(entry.createdAt).toLocaleString()].forEach(text => {
+          const td = document.createElement("td");
+          td.textContent = text;
+          row.appendChild(td);
+        });
+
+        const actions = document.createElement("td");
+        actions.className = "scaim-row-actions";
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "scaim-btn";
+        removeBtn.textContent = "Remove";
+        removeBtn.addEventListener("click", () => {
+          chrome.runtime.sendMessage({ type: "SCAIM_PASSWORD_REMOVE", id: entry.id }, () => {
+            if (chrome.runtime.lastError) return;
+            passwordsStatus.textContent = `Your ${entry.domain} password is no longer protected.`;
+            passwordsStatus.className = "scaim-import-status ok";
+            passwordsStatus.style.display = "block";
+            renderPasswords();
+          });
+        });
+        actions.appendChild(removeBtn);
+        row.appendChild(actions);
+
+        passwordsRows.appendChild(row);
+      });
+    });
+  }
+
+  // Timestamp → "YYYY-MM-DD" in local time, for <input type="date">
+  function toDateInput(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // ---- Export ----
+  document.querySelectorAll("[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const format = btn.dataset.export;
+      const list = btn.dataset.list;
+      const content = ScaimListFormats.serialize(current, format, list);
+      const name = format === "json"
+        ? "scaim-lists.json"
+        : `scaim-${list}${format === "hosts" ? ".hosts" : ".txt"}`;
+      download(name, content, format === "json" ? "application/json" : "text/plain");
+    });
+  });
+
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---- Import ----
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      textInput.value = text;
+      resetImport();
+    });
+  });
+
+  [textInput, formatSelect, targetSelect, replaceBox].forEach(el => {
+    el.addEventListener("input", resetImport);
+    el.addEventListener("change", resetImport);
+  });
+
+  function resetImport() {
+    pending = null;
+    applyBtn.disabled = true;
+    reportEl.style.display = "none";
+    statusEl.style.display = "none";
+  }
+
+  checkBtn.addEventListener("click", () => {
+    resetImport();
+    const text = textInput.value;
+    if (!text.trim()) {
+      showStatus("Nothing to import — choose a file or paste a list.", "error");
+      return;
+    }
+
+    const format = formatSelect.value || ScaimListFormats.detect(text);
+    let parsed;
+    try {
+      parsed = ScaimListFormats.parse(text, format, targetSelect.value);
+    } catch (err) {
+      showStatus(err.message, "error");
+      return;
+    }
+
+    const report = ScaimListFormats.buildReport(parsed, current);
+    pending = { parsed, report };
+    renderReport(parsed, report);
+    applyBtn.disabled = !hasChanges(parsed, report);
+  });
+
+  applyBtn.addEventListener("click", () => {
+    if (!pending) return;
+    // Applied by the background like every other list change (see DomainLists._update)
+    chrome.runtime.sendMessage({ type: "SCAIM_LISTS_IMPORT", parsed: pending.parsed, replace: replaceBox.checked }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) {
+        showStatus("The import couldn't be saved.", "error");
+        return;
+      }
+      const next = response.lists;
+      resetImport();
+      showStatus(`Import applied: ${next.allowlist.length} trusted site(s) and ${next.blocklist.length} blocklist entries. ` +
+        "Open tabs have been updated.", "ok");
+      loadLists();
+    });
+  });
+
+  function hasChanges(parsed, report) {
+    if (report.add.allowlist.length > 0 || report.add.blocklist.length > 0) return true;
+    // Replacing with a subset of the current list still removes entries
+    if (!replaceBox.checked) return false;
+    return ["allowlist", "blocklist"].some(list =>
+      parsed[list] && report.accepted[list].length !== current[list].length
+    );
+  }
+
+  function renderReport(parsed, report) {
+    reportEl.textContent = "";
+
+    const summary = document.createElement("p");
+    summary.className = "scaim-report-summary";
+    const lists = ["allowlist", "blocklist"].filter(list => parsed[list]);
+    summary.textContent = `Format: ${parsed.format}. ` +
+      lists.map(list => `${report.add[list].length} new for the ${list}`).join(", ") +
+      `; ${report.unchanged} already listed.`;
+    reportEl.appendChild(summary);
+
+    if (replaceBox.checked) {
+      lists.forEach(list => {
+        const values = list === "blocklist" ? current.blocklist.map(entry => entry.pattern) : current.allowlist;
+        const removed = values.filter(value => !report.accepted[list].includes(value));
+        if (removed.length > 0) {
+          appendSection("warning", `Removed from your ${list} (replace mode)`, removed);
+        }
+      });
+    }
+
+    appendSection("warning", "Conflicts", report.conflicts.map(c => `${c.value} ${c.message}`));
+    appendSection("error", "Rejected", report.rejected.map(r => `Line ${r.line}: ${r.reason}`));
+    appendSection("error", "Not valid domains (skipped)", report.invalid.map(i => `Line ${i.line}: ${i.value}`));
+
+    reportEl.style.display = "block";
+  }
+
+  function appendSection(kind, title, lines) {
+    if (lines.length === 0) return;
+    const section = document.createElement("div");
+    section.className = `scaim-report-section ${kind}`;
+
+    const heading = document.createElement("strong");
+    heading.textContent = `${title} (${lines.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement("ul");
+    lines.forEach(line => {
+      const li = document.createElement("li");
+      li.textContent = line;
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    reportEl.appendChild(section);
+  }
+
+  function showStatus(message, kind) {
+    statusEl.textContent = message;
+    statusEl.className = `scaim-import-status ${kind}`;
+    statusEl.style.display = "block";
+  }
+
+  // Keep the counts current if the lists change from the popup or a banner
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && (changes.scaim_allowlist || changes.scaim_blocklist)) loadLists();
+    if (area === "local" && changes.scaim_feeds) renderFeeds();
+    if (area === "local" && changes.scaim_custom_brands) renderBrands();
+    if (area === "local" && changes.scaim_protected_passwords) renderPasswords();
+  });
+
+  loadLists();
+  renderFeeds();
+  renderBrands();
+  renderPasswords();
+});
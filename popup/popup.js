@@ -1,7 +1,8 @@
 /**
  * ScAIm Popup Script
  * Displays threat analysis for the current page.
- * Provides Scan Page, Trust Site, and Block Site actions.
+ * Provides Scan Page, Trust Site, Block Site and (on trusted sites) Protect
+ * Password actions.
  */
 
 const STATUS_CONFIG = {
@@ -26,14 +27,44 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const scanBtn = document.getElementById("scaim-scan-btn");
   const trustBtn = document.getElementById("scaim-trust-btn");
+  const untrustBtn = document.getElementById("scaim-untrust-btn");
+  const trustForm = document.getElementById("scaim-trust-form");
+  const trustScope = document.getElementById("scaim-trust-scope");
   const blockBtn = document.getElementById("scaim-block-btn");
+  const editBlockBtn = document.getElementById("scaim-block-edit-btn");
+  const blockForm = document.getElementById("scaim-block-form");
+  const blockScope = document.getElementById("scaim-block-scope");
+  const blockCategory = document.getElementById("scaim-block-category");
+  const blockNote = document.getElementById("scaim-block-note");
+  const blockExpiry = document.getElementById("scaim-block-expiry");
+  const blockSaveBtn = document.getElementById("scaim-block-save");
+  const blockRemoveBtn = document.getElementById("scaim-block-remove");
+  const protectBtn = document.getElementById("scaim-protect-btn");
+  const protectForm = document.getElementById("scaim-protect-form");
+  const protectPassword = document.getElementById("scaim-protect-password");
+  const protectConfirm = document.getElementById("scaim-protect-confirm");
   const scanStatus = document.getElementById("scaim-scan-status");
   const domainNote = document.getElementById("scaim-domain-note");
 
+  const breakdownToggle = document.getElementById("scaim-breakdown-toggle");
+  const breakdownEl = document.getElementById("scaim-breakdown");
+  const breakdownList = document.getElementById("scaim-breakdown-list");
+  const breakdownTotal = document.getElementById("scaim-breakdown-total");
+  const breakdownEscalation = document.getElementById("scaim-breakdown-escalation");
+
+  const suppressionsSection = document.getElementById("scaim-suppressions-section");
+  const suppressionsToggle = document.getElementById("scaim-suppressions-toggle");
+  const suppressionsEl = document.getElementById("scaim-suppressions");
+  const suppressionsNote = document.getElementById("scaim-suppressions-note");
+  const suppressionsList = document.getElementById("scaim-suppressions-list");
+
   let currentHostname = null;
+  let lastData = null; // Last rendered results, for the suppression rules view
+  let editingEntry = null; // Blocklist entry open in the block form, null when adding one
+  let trustTimer = null; // Ticks the temporary trust countdown
 
   // ---- Notification Mode ----
-  const modeBtns = document.querySelectorAll(".scaim-mode-btn");
+  const modeBtns = document.querySelectorAll(".scaim-mode-btn[data-mode]");
 
   // Load saved mode
   chrome.storage.local.get("notificationMode", (result) => {
@@ -63,6 +94,40 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
+  // ---- Sensitivity Profile ----
+  const profileBtns = document.querySelectorAll(".scaim-profile-btn");
+
+  // Load saved profile
+  chrome.storage.local.get("sensitivityProfile", (result) => {
+    const profile = result.sensitivityProfile || "paranoid";
+    profileBtns.forEach(btn => {
+      btn.classList.toggle("active", btn.dataset.profile === profile);
+    });
+  });
+
+  // Profile button click handler
+  profileBtns.forEach(btn => {
+    btn.addEventListener("click", () => {
+      const profile = btn.dataset.profile;
+      chrome.storage.local.set({ sensitivityProfile: profile }, () => {
+        // Re-scan the current page under the new thresholds
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+          if (tabs[0]) {
+            chrome.tabs.sendMessage(tabs[0].id, {
+              type: "SCAIM_PROFILE_CHANGED",
+              profile: profile
+            }, () => {
+              if (chrome.runtime.lastError) { /* ignore */ }
+              setTimeout(() => loadTabData(), 1500);
+            });
+          }
+        });
+      });
+      profileBtns.forEach(b => b.classList.remove("active"));
+      btn.classList.add("active");
+    });
+  });
+
   // Load enabled state
   chrome.runtime.sendMessage({ type: "SCAIM_GET_STATE" }, (response) => {
     if (response) {
@@ -80,16 +145,15 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
-  // Content script files (same order as manifest)
-  const CONTENT_SCRIPTS = [
-    "config/keywords.js", "config/domain-lists.js",
-    "shared/text-normalizer.js", "shared/scoring.js",
-    "detectors/keyword-scanner.js", "detectors/structural.js", "detectors/phishing.js",
-    "detectors/social-engineering.js", "detectors/fake-ecommerce.js",
-    "detectors/crypto-scam.js", "detectors/tech-support.js",
-    "detectors/romance-fee.js", "detectors/malicious-download.js",
-    "content/banner.js", "content/social-media-scanner.js", "content/analyzer.js"
-  ];
+  // Content script files, read from the manifest so newly registered
+  // detector modules are injected without editing this list. Every entry
+  // is included, document_start ones (the submit guard) first, in the
+  // order the browser would have run them
+  const RUN_AT_ORDER = { document_start: 0, document_end: 1, document_idle: 2 };
+  const CONTENT_SCRIPTS = chrome.runtime.getManifest().content_scripts
+    .slice()
+    .sort((a, b) => RUN_AT_ORDER[a.run_at || "document_idle"] - RUN_AT_ORDER[b.run_at || "document_idle"])
+    .flatMap(entry => entry.js || []);
 
   function finishScan(tabId) {
     // Wait for scan to complete, then query content script directly for results
@@ -115,7 +179,11 @@ document.addEventListener("DOMContentLoaded", () => {
               summary: results.summary,
               hostname: hostname,
               allowlisted: results.allowlisted || false,
-              blocklisted: results.blocklisted || false
+              trust: results.trust || null,
+              blocklisted: results.blocklisted || false,
+              blocklistEntry: results.blocklistEntry || null,
+              suppressed: results.suppressed || [],
+              breakdown: results.breakdown || null
             });
           } else {
             loadTabData();
@@ -171,46 +239,202 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
-  // ---- Trust Site button ----
+  // ---- Trust Site form ----
+  // Trust for this tab, this session, 1 or 24 hours, or always (the allowlist)
   trustBtn.addEventListener("click", () => {
     if (!currentHostname) return;
+    blockForm.style.display = "none";
+    protectForm.style.display = "none";
+    trustForm.style.display = "flex";
+  });
+  document.getElementById("scaim-trust-cancel").addEventListener("click", () => {
+    trustForm.style.display = "none";
+  });
+
+  document.getElementById("scaim-trust-save").addEventListener("click", () => {
+    if (!currentHostname) return;
+    const scope = trustScope.value;
+    const label = trustScope.options[trustScope.selectedIndex].textContent.toLowerCase();
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0]) return;
-      chrome.tabs.sendMessage(tabs[0].id, {
+      chrome.runtime.sendMessage({
         type: "SCAIM_ALLOWLIST_ADD",
-        hostname: currentHostname
-      }, () => {
-        if (chrome.runtime.lastError) { /* content script may not be available */ }
-        trustBtn.style.display = "none";
-        blockBtn.style.display = "";
-        domainNote.textContent = currentHostname + " added to trusted list. It will no longer be scanned.";
+        hostname: currentHostname,
+        scope: scope || undefined,
+        tabId: tabs[0].id
+      }, (response) => {
+        if (chrome.runtime.lastError) { /* ignore */ }
+        trustForm.style.display = "none";
         domainNote.className = "scaim-domain-note allowlisted";
         domainNote.style.display = "block";
+        if (response && !response.ok) {
+          domainNote.textContent = currentHostname + " can't be trusted " + label + ".";
+          return;
+        }
+        trustBtn.style.display = "none";
+        blockBtn.style.display = "";
+        domainNote.textContent = scope
+          ? currentHostname + " trusted " + label + ". It won't be scanned until then."
+          : currentHostname + " added to trusted list. It will no longer be scanned.";
         setTimeout(() => loadTabData(), 1500);
       });
     });
   });
 
-  // ---- Block Site button ----
-  blockBtn.addEventListener("click", () => {
+  untrustBtn.addEventListener("click", () => {
     if (!currentHostname) return;
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0]) return;
-      chrome.tabs.sendMessage(tabs[0].id, {
-        type: "SCAIM_BLOCKLIST_ADD",
-        hostname: currentHostname
-      }, () => {
-        if (chrome.runtime.lastError) { /* content script may not be available */ }
-        blockBtn.style.display = "none";
-        trustBtn.style.display = "";
-        domainNote.textContent = currentHostname + " added to blocklist. It will always be flagged as dangerous.";
-        domainNote.className = "scaim-domain-note blocklisted";
-        domainNote.style.display = "block";
+      chrome.runtime.sendMessage({ type: "SCAIM_TRUST_REMOVE", hostname: currentHostname, tabId: tabs[0].id }, () => {
+        if (chrome.runtime.lastError) { /* ignore */ }
+        clearInterval(trustTimer);
+        untrustBtn.style.display = "none";
+        domainNote.textContent = currentHostname + " is no longer trusted. Scanning again\u2026";
         setTimeout(() => loadTabData(), 1500);
       });
     });
   });
 
+  // ---- Protect Password form ----
+  // Offered on sites on the allowlist; the password is hashed by the
+  // background and never stored or sent anywhere
+  protectBtn.addEventListener("click", () => {
+    if (!currentHostname) return;
+    blockForm.style.display = "none";
+    trustForm.style.display = "none";
+    protectForm.style.display = "flex";
+    protectPassword.focus();
+  });
+  document.getElementById("scaim-protect-cancel").addEventListener("click", () => closeProtectForm());
+
+  protectForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (!currentHostname) return;
+    domainNote.className = "scaim-domain-note allowlisted";
+    domainNote.style.display = "block";
+    if (protectPassword.value !== protectConfirm.value) {
+      domainNote.textContent = "The two passwords don't match.";
+      return;
+    }
+    const saveBtn = document.getElementById("scaim-protect-save");
+    saveBtn.disabled = true;
+    chrome.runtime.sendMessage({
+      type: "SCAIM_PASSWORD_PROTECT",
+      hostname: currentHostname,
+      password: protectPassword.value
+    }, (response) => {
+      if (chrome.runtime.lastError) { /* ignore */ }
+      saveBtn.disabled = false;
+      if (!response || !response.ok) {
+        domainNote.textContent = (response && response.error) || "The password couldn't be protected.";
+        return;
+      }
+      closeProtectForm();
+      domainNote.textContent = "Your " + response.domain + " password is protected. ScAIm will warn you if it's typed on any other site.";
+    });
+  });
+
+  function closeProtectForm() {
+    protectPassword.value = "";
+    protectConfirm.value = "";
+    protectForm.style.display = "none";
+  }
+
+  // ---- Block Site form ----
+  // Block Site and Edit Block open the same form: what to block (this host,
+  // its subdomains too, or only the current path), a category, a note and an expiry.
+  blockBtn.addEventListener("click", () => openBlockForm(null));
+  editBlockBtn.addEventListener("click", () => openBlockForm(lastData && lastData.blocklistEntry));
+  document.getElementById("scaim-block-cancel").addEventListener("click", () => {
+    blockForm.style.display = "none";
+  });
+
+  function openBlockForm(entry) {
+    if (!currentHostname) return;
+    editingEntry = entry;
+    trustForm.style.display = "none";
+    closeProtectForm();
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      let path = "/";
+      try { path = new URL(tabs[0].url).pathname.toLowerCase(); } catch (e) {}
+      // "/login/verify.php" → "/login/"
+      const folder = path.slice(0, path.lastIndexOf("/") + 1);
+
+      const scopes = [
+        { pattern: currentHostname, label: "Only " + currentHostname },
+        { pattern: "*." + currentHostname, label: currentHostname + " and its subdomains" }
+      ];
+      if (folder !== "/") {
+        scopes.push({ pattern: currentHostname + folder, label: "Only pages under " + folder });
+      }
+      if (entry && !scopes.some(s => s.pattern === entry.pattern)) {
+        scopes.unshift({ pattern: entry.pattern, label: entry.pattern });
+      }
+
+      blockScope.textContent = "";
+      scopes.forEach(scope => {
+        const option = document.createElement("option");
+        option.value = scope.pattern;
+        option.textContent = scope.label;
+        blockScope.appendChild(option);
+      });
+      blockScope.value = entry ? entry.pattern : currentHostname;
+      blockCategory.value = entry ? entry.category : "";
+      blockNote.value = entry ? entry.note : "";
+
+      // Editing keeps the current expiry unless another one is picked
+      const keep = blockExpiry.querySelector('option[value="keep"]');
+      if (keep) keep.remove();
+      if (entry && entry.expiresAt) {
+        const option = document.createElement("option");
+        option.value = "keep";
+        option.textContent = "Keep (" + new Date(entry.expiresAt).toLocaleDateString() + ")";
+        blockExpiry.prepend(option);
+      }
+      blockExpiry.value = entry && entry.expiresAt ? "keep" : "";
+
+      blockSaveBtn.textContent = entry ? "Save" : "Block";
+      blockRemoveBtn.style.display = entry ? "" : "none";
+      blockForm.style.display = "flex";
+    });
+  }
+
+  blockSaveBtn.addEventListener("click", () => {
+    const days = Number(blockExpiry.value);
+    const entry = {
+      pattern: blockScope.value,
+      category: blockCategory.value,
+      note: blockNote.value,
+      expiresAt: blockExpiry.value === "keep"
+        ? editingEntry.expiresAt
+        : (days ? Date.now() + days * 24 * 60 * 60 * 1000 : null)
+    };
+    sendBlocklistChange({
+      type: "SCAIM_BLOCKLIST_ADD",
+      entry,
+      replacing: editingEntry ? editingEntry.pattern : undefined
+    }, entry.pattern + " added to blocklist. It will always be flagged as dangerous.");
+  });
+
+  blockRemoveBtn.addEventListener("click", () => {
+    if (!editingEntry) return;
+    sendBlocklistChange({ type: "SCAIM_BLOCKLIST_REMOVE", pattern: editingEntry.pattern },
+      editingEntry.pattern + " removed from your blocklist.");
+  });
+
+  // Saved by the background, which works even where the content script isn't
+  // running; every open tab on the site re-checks itself once the list changes
+  function sendBlocklistChange(message, note) {
+    chrome.runtime.sendMessage(message, () => {
+      if (chrome.runtime.lastError) { /* ignore */ }
+      blockForm.style.display = "none";
+      domainNote.textContent = note;
+      domainNote.className = "scaim-domain-note blocklisted";
+      domainNote.style.display = "block";
+      setTimeout(() => loadTabData(), 1500);
+    });
+  }
+
   // ---- Load tab data ----
   // Tries: (1) content script directly, (2) background, (3) auto-inject content scripts.
   function loadTabData() {
@@ -240,7 +464,11 @@ document.addEventListener("DOMContentLoaded", () => {
             summary: results.summary,
             hostname: tabHostname,
             allowlisted: results.allowlisted || false,
-            blocklisted: results.blocklisted || false
+            trust: results.trust || null,
+            blocklisted: results.blocklisted || false,
+            blocklistEntry: results.blocklistEntry || null,
+            suppressed: results.suppressed || [],
+            breakdown: results.breakdown || null
           });
           return;
         }
@@ -277,7 +505,11 @@ document.addEventListener("DOMContentLoaded", () => {
               summary: results.summary,
               hostname: hostname,
               allowlisted: results.allowlisted || false,
-              blocklisted: results.blocklisted || false
+              trust: results.trust || null,
+              blocklisted: results.blocklisted || false,
+              blocklistEntry: results.blocklistEntry || null,
+              suppressed: results.suppressed || [],
+              breakdown: results.breakdown || null
             });
           } else {
             renderResults(null);
@@ -291,11 +523,17 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // ---- Render results in the popup ----
   function renderResults(data) {
+    renderSuppressions(data);
+    clearInterval(trustTimer);
+    untrustBtn.style.display = "none";
+    protectBtn.style.display = "none";
+
     if (!data) {
       statusEl.style.display = "none";
       noData.style.display = "block";
       trustBtn.style.display = "none";
       blockBtn.style.display = "none";
+      editBlockBtn.style.display = "none";
       return;
     }
 
@@ -323,17 +561,33 @@ document.addEventListener("DOMContentLoaded", () => {
       scoreBar.style.width = data.score + "%";
     }, 100);
 
+    renderBreakdown(data.breakdown, data.score);
+
     // Show/hide trust and block buttons based on current state
+    const entry = data.blocklistEntry;
+    editBlockBtn.style.display = entry ? "" : "none";
     if (data.allowlisted) {
       trustBtn.style.display = "none";
       blockBtn.style.display = "";
-      domainNote.textContent = currentHostname + " is on your trusted list.";
+      if (data.trust) {
+        untrustBtn.style.display = "";
+        showTrustCountdown(data.trust);
+      } else {
+        domainNote.textContent = currentHostname + " is on your trusted list.";
+        protectBtn.style.display = "";
+      }
       domainNote.className = "scaim-domain-note allowlisted";
       domainNote.style.display = "block";
     } else if (data.blocklisted) {
       trustBtn.style.display = "";
       blockBtn.style.display = "none";
-      domainNote.textContent = currentHostname + " is on your blocklist.";
+      if (entry) {
+        domainNote.textContent = describeBlockEntry(entry);
+      } else if (data.feed) {
+        domainNote.textContent = currentHostname + " is listed in your \"" + data.feed.name + "\" phishing feed.";
+      } else {
+        domainNote.textContent = currentHostname + " is on the built-in blocklist.";
+      }
       domainNote.className = "scaim-domain-note blocklisted";
       domainNote.style.display = "block";
     } else {
@@ -367,12 +621,71 @@ document.addEventListener("DOMContentLoaded", () => {
         header.appendChild(badge);
         header.appendChild(cat);
 
+        // "Not a scam?" — suppress this check instead of trusting the whole site.
+        // Blocklist verdicts come from the domain lists and can't be suppressed.
+        let choices = null;
+        if (f.detector !== "domainLists") {
+          const wrongBtn = document.createElement("button");
+          wrongBtn.className = "scaim-finding-wrong";
+          wrongBtn.title = "This finding is wrong — stop showing it";
+          wrongBtn.textContent = "Not a scam?";
+          header.appendChild(wrongBtn);
+
+          choices = document.createElement("div");
+          choices.className = "scaim-suppress-choices";
+          choices.style.display = "none";
+          ScaimSuppressions.choicesFor(f, data.hostname, detectorName(data, f.detector)).forEach(choice => {
+            const choiceBtn = document.createElement("button");
+            choiceBtn.className = "scaim-suppress-choice";
+            choiceBtn.textContent = choice.label;
+            choiceBtn.addEventListener("click", (e) => {
+              e.stopPropagation();
+              ScaimSuppressions.add(f, choice).then(rescanAfterSuppressionChange);
+            });
+            choices.appendChild(choiceBtn);
+          });
+
+          wrongBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            choices.style.display = choices.style.display === "none" ? "flex" : "none";
+          });
+        }
+
         const msg = document.createElement("div");
         msg.className = "scaim-finding-message";
         msg.textContent = f.message;
 
         item.appendChild(header);
         item.appendChild(msg);
+
+        // Clicking a finding tied to an element scrolls the page to it
+        const selector = f.evidence && f.evidence.selector;
+        if (selector) {
+          item.classList.add("locatable");
+          item.title = "Show this on the page";
+
+          const locate = document.createElement("div");
+          locate.className = "scaim-finding-locate";
+          locate.textContent = "\u{1F50E} Show on page";
+          item.appendChild(locate);
+
+          item.addEventListener("click", (e) => {
+            if (choices && choices.contains(e.target)) return;
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+              if (!tabs[0]) return;
+              chrome.tabs.sendMessage(tabs[0].id, {
+                type: "SCAIM_HIGHLIGHT",
+                selector: selector,
+                label: f.category
+              }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.found) {
+                  locate.textContent = "This element is no longer on the page.";
+                }
+              });
+            });
+          });
+        }
+        if (choices) item.appendChild(choices);
         findingsList.appendChild(item);
       });
     } else {
@@ -381,7 +694,205 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // "example.com is trusted for another 52m 10s." — ticks every second and
+  // picks up the re-scan the content script runs once the trust ends
+  function showTrustCountdown(trust) {
+    if (!trust.expiresAt) {
+      domainNote.textContent = currentHostname + " is trusted until " +
+        (trust.scope === "tab" ? "this tab is closed." : "the browser is closed.");
+      return;
+    }
+    const update = () => {
+      const left = Math.ceil((trust.expiresAt - Date.now()) / 1000);
+      if (left <= 0) {
+        clearInterval(trustTimer);
+        domainNote.textContent = "Trust for " + currentHostname + " has ended. Scanning again\u2026";
+        setTimeout(() => loadTabData(), 2500);
+        return;
+      }
+      const hours = Math.floor(left / 3600);
+      const minutes = Math.floor((left % 3600) / 60);
+      const seconds = left % 60;
+      const remaining = hours > 0 ? hours + "h " + minutes + "m" : minutes > 0 ? minutes + "m " + seconds + "s" : seconds + "s";
+      domainNote.textContent = currentHostname + " is trusted for another " + remaining + ".";
+    };
+    update();
+    trustTimer = setInterval(update, 1000);
+  }
+
+  // 'Blocked by your entry "*.scam.example" (Phishing) until 3/1/2025. Note: …'
+  function describeBlockEntry(entry) {
+    let text = "Blocked by your entry \"" + entry.pattern + "\"";
+    if (entry.category) text += " (" + entry.category + ")";
+    if (entry.expiresAt) text += " until " + new Date(entry.expiresAt).toLocaleDateString();
+    text += ".";
+    if (entry.note) text += " Note: " + entry.note;
+    return text;
+  }
+
+  // ---- Score breakdown ("Why this score?") ----
+  breakdownToggle.addEventListener("click", () => {
+    const isOpen = breakdownEl.style.display !== "none";
+    breakdownEl.style.display = isOpen ? "none" : "block";
+    breakdownToggle.textContent = isOpen ? "Why this score?" : "Hide score breakdown";
+  });
+
+  function renderBreakdown(breakdown, finalScore) {
+    breakdownList.textContent = "";
+    if (!breakdown || !Array.isArray(breakdown.detectors)) {
+      // Allowlisted/blocklisted pages are decided by the domain lists, not by scoring
+      breakdownToggle.style.display = "none";
+      breakdownEl.style.display = "none";
+      return;
+    }
+
+    breakdownToggle.style.display = "";
+
+    // Highest contributors first; detectors that found nothing go last
+    const rows = [...breakdown.detectors].sort((a, b) => b.contribution - a.contribution);
+    rows.forEach(d => {
+      const row = document.createElement("div");
+      row.className = "scaim-breakdown-row" + (d.rawScore > 0 ? "" : " idle");
+
+      const name = document.createElement("span");
+      name.className = "scaim-breakdown-name";
+      name.textContent = d.name;
+
+      const math = document.createElement("span");
+      math.className = "scaim-breakdown-math";
+      math.textContent = d.disabled ? "turned off on this site" : d.rawScore + " \u00D7 " + d.weight.toFixed(2);
+
+      const contribution = document.createElement("span");
+      contribution.className = "scaim-breakdown-contribution";
+      contribution.textContent = "+" + d.contribution.toFixed(1);
+
+      row.title = d.findingCount + " finding(s)" +
+        (d.suppressedCount ? ", " + d.suppressedCount + " suppressed by your rules" : "");
+      row.appendChild(name);
+      row.appendChild(math);
+      row.appendChild(contribution);
+      breakdownList.appendChild(row);
+    });
+
+    breakdownTotal.textContent = "Weighted total " + breakdown.weightedTotal.toFixed(1) +
+      " \u2192 rounded up to " + Math.min(100, Math.ceil(breakdown.weightedTotal));
+
+    const esc = breakdown.escalation;
+    if (esc && esc.fired && esc.trigger) {
+      breakdownEscalation.textContent = "Critical escalation raised the score from " + esc.scoreBefore +
+        " to " + finalScore + " because of: [" + esc.trigger.category + "] " + esc.trigger.message;
+      breakdownEscalation.style.display = "block";
+    } else {
+      breakdownEscalation.style.display = "none";
+    }
+  }
+
+  // ---- Suppression rules ----
+  suppressionsToggle.addEventListener("click", () => {
+    const isOpen = suppressionsEl.style.display !== "none";
+    suppressionsEl.style.display = isOpen ? "none" : "block";
+    renderSuppressions(lastData);
+  });
+
+  // Lists every rule; the ones that apply to the current site come first
+  function renderSuppressions(data) {
+    lastData = data;
+    ScaimSuppressions.load().then(() => {
+      const hostname = data && data.hostname;
+      const applying = hostname ? ScaimSuppressions.forHost(hostname) : [];
+      const others = ScaimSuppressions.list().filter(rule => !applying.includes(rule));
+      const total = applying.length + others.length;
+
+      suppressionsSection.style.display = total > 0 ? "block" : "none";
+      const isOpen = suppressionsEl.style.display !== "none";
+      suppressionsToggle.textContent = isOpen
+        ? "Hide suppression rules"
+        : "Suppression rules (" + total + ")";
+
+      const hidden = (data && data.suppressed) ? data.suppressed.length : 0;
+      suppressionsNote.textContent = hidden + " finding(s) on this page hidden by your rules.";
+      suppressionsNote.style.display = hidden > 0 ? "block" : "none";
+
+      suppressionsList.textContent = "";
+      [...applying, ...others].forEach(rule => {
+        const row = document.createElement("div");
+        row.className = "scaim-suppression-row" + (applying.includes(rule) ? " applies" : "");
+
+        const text = document.createElement("div");
+        text.className = "scaim-suppression-text";
+
+        const desc = document.createElement("div");
+        desc.className = "scaim-suppression-rule";
+        desc.textContent = ScaimSuppressions.describe(rule);
+        text.appendChild(desc);
+
+        if (rule.example) {
+          const example = document.createElement("div");
+          example.className = "scaim-suppression-example";
+          example.textContent = rule.example;
+          text.appendChild(example);
+        }
+
+        const undo = document.createElement("button");
+        undo.className = "scaim-suppression-undo";
+        undo.textContent = "Undo";
+        undo.addEventListener("click", () => {
+          ScaimSuppressions.remove(rule.id).then(rescanAfterSuppressionChange);
+        });
+
+        row.appendChild(text);
+        row.appendChild(undo);
+        suppressionsList.appendChild(row);
+      });
+    });
+  }
+
+  // Display name of a detector, from the score breakdown that came with the results
+  function detectorName(data, key) {
+    const detectors = (data && data.breakdown && data.breakdown.detectors) || [];
+    const detector = detectors.find(d => d.key === key);
+    return detector ? detector.name : key;
+  }
+
+  // Re-score the current page under the updated rules
+  function rescanAfterSuppressionChange() {
+    renderSuppressions(lastData);
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      chrome.tabs.sendMessage(tabs[0].id, { type: "SCAIM_RERUN" }, () => {
+        if (chrome.runtime.lastError) { /* ignore */ }
+        setTimeout(() => loadTabData(), 1500);
+      });
+    });
+  }
+
+  // ---- Imported phishing feeds ----
+  // e.g. "Phishing feeds: OpenPhish 2024-05-01 (12,345 entries)"
+  function renderFeeds() {
+    const feedsNote = document.getElementById("scaim-feeds-note");
+    ScaimFeeds.load().then(() => {
+      const feeds = ScaimFeeds.list();
+      feedsNote.style.display = feeds.length > 0 ? "block" : "none";
+      feedsNote.textContent = "\u{1F4E5} Phishing feeds: " + feeds.map(feed =>
+        feed.name + (feed.version ? " " + feed.version : "") + " (" + feed.count.toLocaleString() + " entries)"
+      ).join(", ");
+    });
+  }
+
+  // ---- Scan history ----
+  document.getElementById("scaim-history-link").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("history/history.html") });
+    window.close();
+  });
+
+  // ---- Site lists (import / export) ----
+  document.getElementById("scaim-lists-link").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("lists/lists.html") });
+    window.close();
+  });
+
   // Initial load
   loadTabData();
+  renderFeeds();
 });
 
@@ -0,0 +1,72 @@
+/**
+ * ScAIm Aho–Corasick — finds every occurrence of many fixed substrings in
+ * one pass over the text, however many patterns there are. Used to match
+ * hostnames against the built-in blocklist's substring patterns.
+ * An automaton is plain data, compiled once:
+ *   { next, fail, out }  — per state: transitions (Map<char, state>), the
+ *                          failure link, and the indexes of the patterns
+ *                          that end there (including via failure links)
+ * State 0 is the root.
+ */
+const ScaimAhoCorasick = {
+  /**
+   * Compile patterns into an automaton.
+   * @param {string[]} patterns
+   * @returns {{ next: Map<string, number>[], fail: number[], out: number[][] }}
+   */
+  compile(patterns) {
+    const next = [new Map()];
+    const fail = [0];
+    const out = [[]];
+
+    // Trie of the patterns
+    patterns.forEach((pattern, index) => {
+      let state = 0;
+      for (const c of pattern) {
+        let to = next[state].get(c);
+        if (to === undefined) {
+          to = next.length;
+          next.push(new Map());
+          fail.push(0);
+          out.push([]);
+          next[state].set(c, to);
+        }
+        state = to;
+      }
+      out[state].push(index);
+    });
+
+    // Failure links, breadth-first so a state's link is always resolved before its children's
+    const queue = [...next[0].values()];
+    for (let i = 0; i < queue.length; i++) {
+      const state = queue[i];
+      for (const [c, to] of next[state]) {
+        let f = fail[state];
+        while (f !== 0 && !next[f].has(c)) f = fail[f];
+        fail[to] = next[f].get(c) ?? 0;
+        out[to] = out[to].concat(out[fail[to]]);
+        queue.push(to);
+      }
+    }
+
+    return { next, fail, out };
+  },
+
+  /**
+   * Indexes of the patterns that occur in a text.
+   * @param {{ next: Map<string, number>[], fail: number[], out: number[][] }} automaton - From compile()
+   * @param {string} text
+   * @returns {number[]} Ascending, without duplicates
+   */
+  search(automaton, text) {
+    const { next, fail, out } = automaton;
+    const found = new Set();
+    let state = 0;
+    for (const c of text) {
+      while (state !== 0 && !next[state].has(c)) state = fail[state];
+      state = next[state].get(c) ?? 0;
+      for (const index of out[state]) found.add(index);
+    }
+    return [...found].sort((a, b) => a - b);
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * ScAIm Bloom Filter — a compact set of strings that answers "definitely
+ * not in the set" or "probably in the set". Used to hold imported phishing
+ * feeds (hundreds of thousands of URLs) in a few hundred KB of storage.
+ * A filter is plain data so it can be stored in chrome.storage.local:
+ *   { size, hashes, bits }  — size in bits, bits as a Uint8Array
+ *                             (a base64 string once serialized)
+ */
+const ScaimBloomFilter = {
+  /**
+   * Create an empty filter sized for the expected number of keys.
+   * @param {number} expectedCount
+   * @param {number} falsePositiveRate - e.g. 1e-6
+   * @returns {{ size: number, hashes: number, bits: Uint8Array }}
+   */
+  create(expectedCount, falsePositiveRate) {
+    const n = Math.max(1, expectedCount);
+    // Optimal m = -n·ln(p) / ln(2)², k = (m/n)·ln(2)
+    const size = Math.max(64, Math.ceil(-n * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2)));
+    const hashes = Math.max(1, Math.round((size / n) * Math.LN2));
+    return { size, hashes, bits: new Uint8Array(Math.ceil(size / 8)) };
+  },
+
+  add(filter, key) {
+    for (const bit of this._positions(filter, key)) {
+      filter.bits[bit >>> 3] |= 1 << (bit & 7);
+    }
+  },
+
+  has(filter, key) {
+    for (const bit of this._positions(filter, key)) {
+      if ((filter.bits[bit >>> 3] & (1 << (bit & 7))) === 0) return false;
+    }
+    return true;
+  },
+
+  /**
+   * @param {{ size: number, hashes: number, bits: Uint8Array }} filter
+   * @returns {{ size: number, hashes: number, bits: string }} bits base64-encoded
+   */
+  serialize(filter) {
+    let binary = "";
+    // Chunked so String.fromCharCode doesn't exceed the argument limit
+    for (let i = 0; i < filter.bits.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, filter.bits.subarray(i, i + 0x8000));
+    }
+    return { size: filter.size, hashes: filter.hashes, bits: btoa(binary) };
+  },
+
+  /**
+   * @param {{ size: number, hashes: number, bits: string }} data - From serialize()
+   * @returns {{ size: number, hashes: number, bits: Uint8Array }}
+   */
+  deserialize(data) {
+    const binary = atob(data.bits);
+    const bits = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bits[i] = binary.charCodeAt(i);
+    return { size: data.size, hashes: data.hashes, bits };
+  },
+
+  /**
+   * Bit positions for a key: double hashing (h1 + i·h2) over two unrelated
+   * 32-bit hashes, FNV-1a and MurmurHash3, which behaves like k independent
+   * hashes. Two hashes are needed: with one, any two keys whose 32-bit hashes
+   * collide would share every bit.
+   */
+  _positions(filter, key) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x9747b28c;
+    for (let i = 0; i < key.length; i++) {
+      const c = key.charCodeAt(i);
+      h1 = Math.imul(h1 ^ c, 0x01000193);
+
+      let k = Math.imul(c, 0xcc9e2d51);
+      k = Math.imul((k << 15) | (k >>> 17), 0x1b873593);
+      h2 ^= k;
+      h2 = (h2 << 13) | (h2 >>> 19);
+      h2 = (Math.imul(h2, 5) + 0xe6546b64) | 0;
+    }
+    h2 ^= key.length;
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 0x85ebca6b);
+    h2 = Math.imul(h2 ^ (h2 >>> 13), 0xc2b2ae35);
+    h2 ^= h2 >>> 16;
+
+    h1 >>>= 0;
+    h2 = (h2 | 1) >>> 0; // odd, so the sequence doesn't collapse
+
+    const positions = [];
+    for (let i = 0; i < filter.hashes; i++) {
+      positions.push((h1 + Math.imul(i, h2) >>> 0) % filter.size);
+    }
+    return positions;
+  }
+};
@@ -0,0 +1,327 @@
+/**
+ * ScAIm Brands — the brand registry (config/brands.js) plus the user's own
+ * brands, imported from a JSON file on the site lists page and stored in
+ * chrome.storage.local under "scaim_custom_brands" as
+ *   { source, importedAt, brands: [{ key, name, domains, loginHosts, titleKeywords, commonWords, logoAliases, logoHashes }] }
+ * A custom brand with the key of a built-in one adds to its lists (e.g. a
+ * country domain the registry doesn't know); any other key is a new brand.
+ * The file is either an array of brands or an object with a "brands" array:
+ *   { "brands": [{ "name": "First Regional Bank", "domains": ["firstregional.com"],
+ *                  "loginHosts": ["online.firstregional.com"],
+ *                  "titleKeywords": ["first regional"],
+ *                  "logoHashes": ["3c7e7e3c1c0c1c3e"] }] }
+ * logoHashes are perceptual hashes of the brand's logo and favicon (see
+ * shared/perceptual-hash.js).
+ * Loaded by content scripts, the site lists page and the background (for
+ * ScaimProtectedPasswords). Imports are saved by the background, one change
+ * at a time (see _update()); setCustom() and clearCustom() send them there.
+ */
+const ScaimBrands = {
+  STORAGE_KEY: "scaim_custom_brands",
+  LIST_FIELDS: ["domains", "loginHosts", "titleKeywords", "commonWords", "logoAliases", "logoHashes"],
+  MAX_BRANDS: 500,
+
+  _custom: null, // Stored import, or null
+  _brands: null, // Built-in and custom brands merged, built on first use
+  _byDomain: null, // Official domain → brand
+  _loaded: false,
+  _listening: false,
+  _updates: Promise.resolve(), // Queue of pending _update() calls
+
+  /**
+   * Load custom brands from chrome.storage.local once per page; a storage
+   * change (an import or removal on the lists page) makes the next load re-read them.
+   * @returns {Promise<Array>}
+   */
+  async load() {
+    if (this._loaded) return this.list();
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get(this.STORAGE_KEY, (result) => {
+          const stored = result[this.STORAGE_KEY];
+          this._custom = stored && Array.isArray(stored.brands) ? stored : null;
+          this._brands = null;
+          this._loaded = true;
+          resolve(this.list());
+        });
+        if (!this._listening) {
+          this._listening = true;
+          chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === "local" && changes[this.STORAGE_KEY]) this._loaded = false;
+          });
+        }
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(this.list());
+      }
+    });
+  },
+
+  /**
+   * Re-read custom brands from storage even if they're already loaded.
+   * @returns {Promise<Array>}
+   */
+  async reload() {
+    this._loaded = false;
+    return this.load();
+  },
+
+  /**
+   * Every brand, built-in ones first.
+   * @returns {Array<{ key: string, name: string, domains: string[], loginHosts: string[], titleKeywords: string[], commonWords: string[], logoAliases: string[], logoHashes: string[], custom: boolean }>}
+   */
+  list() {
+    if (!this._brands) this._build();
+    return this._brands;
+  },
+
+  /**
+   * Look up a brand by key.
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    return this.list().find(brand => brand.key === key);
+  },
+
+  /**
+   * The brand a hostname officially belongs to ("signin.ebay.co.uk" → eBay), or null.
+   * @param {string} hostname
+   * @returns {Object|null}
+   */
+  ownerOf(hostname) {
+    if (!this._brands) this._build();
+    const labels = String(hostname || "").toLowerCase().replace(/\.$/, "").split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const brand = this._byDomain.get(labels.slice(i).join("."));
+      if (brand) return brand;
+    }
+    return null;
+  },
+
+  /**
+   * Is a hostname one of a brand's official sites?
+   * @param {string} hostname
+   * @param {Object|string} brand - A brand or its key
+   * @returns {boolean}
+   */
+  isOfficial(hostname, brand) {
+    const owner = this.ownerOf(hostname);
+    return !!owner && owner.key === (typeof brand === "string" ? brand : brand.key);
+  },
+
+  /**
+   * A regex matching any of a brand's title keywords as whole words.
+   * @param {Object} brand
+   * @param {string} [flags]
+   * @param {{ common?: boolean }} [options] - common: false leaves out the
+   *   keywords that are everyday words (brand.commonWords)
+   * @returns {RegExp|null} null if no keywords are left
+   */
+  keywordPattern(brand, flags = "i", { common = true } = {}) {
+    const words = brand.titleKeywords
+      .filter(word => common || !brand.commonWords.includes(word))
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"));
+    if (words.length === 0) return null;
+    return new RegExp(`\\b(?:${words.join("|")})\\b`, flags);
+  },
+
+  /**
+   * The stored import for display, or null.
+   * @returns {{ source: string, importedAt: number, brands: Array }|null}
+   */
+  customInfo() {
+    if (!this._custom) return null;
+    const { source, importedAt, brands } = this._custom;
+    return { source, importedAt, brands: brands.map(brand => ({ ...brand })) };
+  },
+
+  /**
+   * Read brands from a JSON file. Entries without a usable name or official
+   * domain are skipped, as are domains that are public suffixes or shared
+   * hosting roots (anyone can publish under github.io, so it can't vouch
+   * for a brand).
+   * @param {string} text
+   * @returns {{ brands: Array, skipped: string[] }} skipped describes what was left out
+   * @throws {Error} If the file isn't JSON or has no list of brands
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("This is not valid JSON: " + e.message);
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.brands)) data = data.brands;
+    if (!Array.isArray(data)) throw new Error("Expected an array of brands or an object with a \"brands\" array");
+    if (data.length > this.MAX_BRANDS) throw new Error(`This file has ${data.length} brands — the limit is ${this.MAX_BRANDS}.`);
+
+    const brands = [];
+    const skipped = [];
+    data.forEach((item, index) => {
+      const label = item && (item.name || item.key) ? `"${item.name || item.key}"` : `Entry ${index + 1}`;
+      if (!item || typeof item !== "object") {
+        skipped.push(`${label}: not a brand`);
+        return;
+      }
+      const name = String(item.name || item.key || "").trim().slice(0, 80);
+      const key = String(item.key || name).toLowerCase().replace(/[^a-z0-9-]/g, "");
+      if (!key) {
+        skipped.push(`${label}: needs a name`);
+        return;
+      }
+
+      const brand = { key, name: name || key };
+      for (const field of this.LIST_FIELDS) {
+        const values = Array.isArray(item[field]) ? item[field] : item[field] ? [item[field]] : [];
+        brand[field] = [...new Set(values.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+      }
+      const hosts = (field) => brand[field].filter(host => {
+        const ok = DomainLists._isValidHostname(host) && !DomainLists.isSharedRoot(host);
+        if (!ok) skipped.push(`${label}: "${host}" can't be an official ${field === "domains" ? "domain" : "sign-in host"}`);
+        return ok;
+      });
+      brand.domains = hosts("domains");
+      brand.loginHosts = hosts("loginHosts");
+      brand.logoHashes = brand.logoHashes.filter(hash => {
+        const ok = /^[0-9a-f]{16}$/.test(hash);
+        if (!ok) skipped.push(`${label}: "${hash}" isn't a logo hash (16 hex digits)`);
+        return ok;
+      });
+
+      const builtin = BrandRegistry.BRANDS.some(b => b.key === key);
+      if (!builtin && brand.domains.length === 0) {
+        skipped.push(`${label}: needs at least one official domain`);
+        return;
+      }
+      if (!builtin && brand.titleKeywords.length === 0) brand.titleKeywords = [brand.name.toLowerCase()];
+      brands.push(brand);
+    });
+    return { brands, skipped };
+  },
+
+  /**
+   * Replace the stored custom brands, through the background (see saveCustom()).
+   * @param {{ source: string, brands: Array }} custom - brands as returned by parse()
+   * @throws {Error} If the brands weren't saved
+   */
+  async setCustom({ source, brands }) {
+    const response = await this._send({ type: "SCAIM_BRANDS_IMPORT", source, brands });
+    if (!response || !response.ok) throw new Error("The brands couldn't be saved.");
+  },
+
+  /**
+   * Remove the custom brands, through the background (see deleteCustom()).
+   */
+  async clearCustom() {
+    await this._send({ type: "SCAIM_BRANDS_CLEAR" });
+  },
+
+  _send(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          resolve(chrome.runtime.lastError ? null : response);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(null);
+      }
+    });
+  },
+
+  /**
+   * Replace the stored custom brands (in the background). The brands are
+   * checked again, as parse() checks a file's.
+   * @param {{ source: string, brands: Array }} custom
+   * @returns {Promise<number>} How many brands were saved
+   * @throws {Error} If the brands aren't a list or none are usable
+   */
+  async saveCustom({ source, brands }) {
+    const checked = this.parse(JSON.stringify(brands)).brands;
+    if (checked.length === 0) throw new Error("No usable brands");
+    return this._update(() => {
+      this._custom = {
+        source: String(source || "").slice(0, 120),
+        importedAt: Date.now(),
+        brands: checked
+      };
+      return checked.length;
+    });
+  },
+
+  /**
+   * Delete the custom brands (in the background).
+   */
+  async deleteCustom() {
+    return this._update(() => {
+      this._custom = null;
+    });
+  },
+
+  /**
+   * Apply one change to the custom brands: re-read them from storage, make
+   * the change, and store the result, one change at a time (see
+   * DomainLists._update()).
+   * @param {Function} change - Edits this._custom; its result is returned
+   * @returns {Promise<*>}
+   */
+  _update(change) {
+    const result = this._updates.then(async () => {
+      await this.reload();
+      const value = change();
+      this._brands = null;
+      await this._persist();
+      return value;
+    });
+    this._updates = result.catch(() => {});
+    return result;
+  },
+
+  // Merge custom brands into the built-in ones and index official domains
+  _build() {
+    const brands = new Map();
+    for (const brand of BrandRegistry.BRANDS) {
+      const entry = { ...brand, custom: false };
+      for (const field of this.LIST_FIELDS) entry[field] = brand[field] || [];
+      brands.set(brand.key, entry);
+    }
+    for (const extra of (this._custom && this._custom.brands) || []) {
+      const existing = brands.get(extra.key);
+      if (existing) {
+        const merged = { ...existing };
+        for (const field of this.LIST_FIELDS) {
+          merged[field] = [...new Set([...existing[field], ...(extra[field] || [])])];
+        }
+        brands.set(extra.key, merged);
+      } else {
+        const brand = { key: extra.key, name: extra.name || extra.key, custom: true };
+        for (const field of this.LIST_FIELDS) brand[field] = extra[field] || [];
+        brands.set(extra.key, brand);
+      }
+    }
+
+    this._brands = [...brands.values()];
+    this._byDomain = new Map();
+    for (const brand of this._brands) {
+      for (const domain of brand.domains) {
+        if (!this._byDomain.has(domain)) this._byDomain.set(domain, brand);
+      }
+    }
+  },
+
+  /**
+   * Persist custom brands to chrome.storage.local (removing the key when
+   * there are none).
+   */
+  async _persist() {
+    return new Promise((resolve) => {
+      try {
+        if (this._custom) chrome.storage.local.set({ [this.STORAGE_KEY]: this._custom }, resolve);
+        else chrome.storage.local.remove(this.STORAGE_KEY, resolve);
+      } catch (e) {
+        resolve();
+      }
+    });
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * ScAIm Detector Registry
+ * Single place where every detector declares its key, scoring weight, scan
+ * function and display metadata. The analyzer, the scoring aggregator and
+ * the popup all enumerate detectors from here, so adding a detector only
+ * means registering it from its own module.
+ */
+const ScaimDetectors = {
+  _registry: new Map(),
+
+  /**
+   * Register a detector. Re-registering a key replaces the previous entry
+   * (content scripts can be injected twice by the popup fallback).
+   * scan(snapshot) receives the shared PageSnapshot and returns { score, findings }.
+   * active(), if given, returns false while the detector has nothing to look
+   * for (no data yet); it is then left out of scans and scoring.
+   * @param {{ key: string, name: string, weight: number, scan: Function, description?: string, active?: Function }} detector
+   */
+  register(detector) {
+    if (!detector || typeof detector.key !== "string" || !detector.key) {
+      throw new Error("[ScAIm] Detector registration requires a key");
+    }
+    if (typeof detector.scan !== "function") {
+      throw new Error(`[ScAIm] Detector "${detector.key}" has no scan() function`);
+    }
+    if (typeof detector.weight !== "number" || detector.weight < 0) {
+      throw new Error(`[ScAIm] Detector "${detector.key}" needs a non-negative weight`);
+    }
+
+    this._registry.set(detector.key, {
+      key: detector.key,
+      name: detector.name || detector.key,
+      description: detector.description || "",
+      weight: detector.weight,
+      scan: detector.scan,
+      active: detector.active || null
+    });
+  },
+
+  /**
+   * Look up a single detector by key.
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    return this._registry.get(key);
+  },
+
+  /**
+   * All registered detectors that are active, in registration (manifest) order.
+   * @returns {Array}
+   */
+  list() {
+    return [...this._registry.values()].filter(detector => this._isActive(detector));
+  },
+
+  /**
+   * Scoring weights keyed by detector key.
+   * @returns {Object<string, number>}
+   */
+  weights() {
+    const weights = {};
+    for (const detector of this.list()) {
+      weights[detector.key] = detector.weight;
+    }
+    return weights;
+  },
+
+  /**
+   * Run every registered detector against the current page.
+   * The page is read once into a PageSnapshot that every detector shares.
+   * A detector that throws is logged and treated as having found nothing,
+   * so one broken detector cannot take the whole scan down with it.
+   * Every finding comes back stamped with its detector key and the full
+   * structured shape (ruleId, confidence, evidence) — see ScaimEvidence.
+   * Detectors the user turned off for this site (see ScaimSuppressions) are
+   * skipped and come back empty, with disabledBy set to the rule's id.
+   * @returns {Object<string, { score: number, findings: Array, disabledBy?: string }>}
+   */
+  runAll() {
+    const snapshot = PageSnapshot.build();
+    const results = {};
+    for (const detector of this.list()) {
+      results[detector.key] = this._run(detector, snapshot);
+    }
+    return results;
+  },
+
+  /**
+   * Run a single detector, the same way runAll() does. For detectors that
+   * finish work after the scan (e.g., loading images) and need rescoring.
+   * @param {string} key
+   * @param {Object} [snapshot] - Defaults to a fresh PageSnapshot
+   * @returns {{ score: number, findings: Array, disabledBy?: string }}
+   */
+  run(key, snapshot = PageSnapshot.build()) {
+    const detector = this._registry.get(key);
+    return detector && this._isActive(detector) ? this._run(detector, snapshot) : { score: 0, findings: [] };
+  },
+
+  _isActive(detector) {
+    return !detector.active || detector.active();
+  },
+
+  _run(detector, snapshot) {
+    const exemption = ScaimSuppressions.detectorRule(detector.key, snapshot.hostname);
+    if (exemption) {
+      return { score: 0, findings: [], disabledBy: exemption.id };
+    }
+    try {
+      const result = detector.scan(snapshot);
+      (result.findings || []).forEach(f => ScaimEvidence.complete(f, detector.key));
+      return result;
+    } catch (err) {
+      console.error(`[ScAIm] Detector "${detector.key}" failed:`, err);
+      return { score: 0, findings: [] };
+    }
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * ScAIm Finding Evidence
+ * Helpers for the structured part of a finding: what text matched, which URL
+ * was involved, and a CSS path back to the offending element. Findings look like
+ *   { ruleId, detector, severity, confidence, category, message,
+ *     evidence: { text, url, selector } }
+ * Detectors set ruleId, confidence and evidence; ScaimDetectors.runAll() stamps
+ * the detector key and fills in anything a detector left out.
+ */
+const ScaimEvidence = {
+  MAX_TEXT_LENGTH: 160,
+
+  // Used when a finding doesn't state its own confidence
+  DEFAULT_CONFIDENCE: {
+    critical: 0.9,
+    high: 0.75,
+    medium: 0.55,
+    low: 0.35
+  },
+
+  /**
+   * Build an evidence object. Any part may be omitted.
+   * @param {{ text?: string, url?: string, element?: Element }} [parts]
+   * @returns {{ text: string|null, url: string|null, selector: string|null }}
+   */
+  of({ text, url, element } = {}) {
+    return {
+      text: text ? this.truncate(String(text).trim()) : null,
+      url: url || null,
+      selector: element ? this.cssPath(element) : null
+    };
+  },
+
+  /**
+   * The text surrounding the first match of a pattern, or null if it doesn't match.
+   * @param {string} text
+   * @param {RegExp} pattern
+   * @param {number} [context] characters kept on each side of the match
+   */
+  snippet(text, pattern, context = 40) {
+    if (!text) return null;
+    const match = new RegExp(pattern.source, pattern.flags.replace("g", "")).exec(text);
+    if (!match) return null;
+    const start = Math.max(0, match.index - context);
+    const end = Math.min(text.length, match.index + match[0].length + context);
+    return (start > 0 ? "…" : "") + text.slice(start, end).replace(/\s+/g, " ").trim() + (end < text.length ? "…" : "");
+  },
+
+  /**
+   * Snippet for the first pattern in a list that matches. Entries may be
+   * RegExps or the { pattern } objects detectors keep their rules in.
+   * @param {string} text
+   * @param {Array<RegExp|{ pattern: RegExp }>} patterns
+   */
+  firstSnippet(text, patterns) {
+    for (const entry of patterns) {
+      const found = this.snippet(text, entry instanceof RegExp ? entry : entry.pattern);
+      if (found) return found;
+    }
+    return null;
+  },
+
+  truncate(text) {
+    return text.length > this.MAX_TEXT_LENGTH ? text.slice(0, this.MAX_TEXT_LENGTH - 1) + "…" : text;
+  },
+
+  /**
+   * A CSS selector that resolves back to the element: anchored on the nearest
+   * ancestor with a unique id, otherwise a tag:nth-of-type chain from <body>.
+   * Paths are computed as if the ScAIm banner weren't on the page; resolve
+   * them with ScaimEvidence.resolve() rather than querySelector directly.
+   * @param {Element} element
+   * @returns {string|null}
+   */
+  cssPath(element) {
+    if (!element || element.nodeType !== 1) return null;
+
+    const parts = [];
+    let el = element;
+    while (el && el.nodeType === 1 && el !== document.documentElement) {
+      if (el.id && /^[A-Za-z][\w-]*$/.test(el.id) && document.querySelectorAll("#" + el.id).length === 1) {
+        parts.unshift("#" + el.id);
+        return parts.join(" > ");
+      }
+
+      let part = el.localName;
+      const parent = el.parentElement;
+      if (parent) {
+        // ScAIm's own banner comes and goes, so it is left out of the count
+        const sameTag = Array.from(parent.children)
+          .filter(c => c.localName === el.localName && c.id !== "scaim-banner");
+        if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(el) + 1})`;
+      }
+      parts.unshift(part);
+      el = parent;
+    }
+
+    return parts.length > 0 ? parts.join(" > ") : "html";
+  },
+
+  /**
+   * Find the element a cssPath() selector points to, counting siblings the
+   * same way cssPath() did (without the banner). Walks the path by hand
+   * instead of using querySelector, so the page is never touched.
+   * @param {string} selector
+   * @returns {Element|null}
+   */
+  resolve(selector) {
+    let el = null;
+    for (const part of String(selector || "").split(" > ")) {
+      if (part.startsWith("#")) {
+        el = document.getElementById(part.slice(1));
+        if (!el) return null;
+        continue;
+      }
+
+      const m = /^([A-Za-z][\w-]*)(?::nth-of-type\((\d+)\))?$/.exec(part);
+      if (!m) return null;
+      if (!el) {
+        el = document.documentElement;
+        if (m[1] === "html") continue;
+      }
+      const sameTag = Array.from(el.children)
+        .filter(c => c.localName === m[1] && c.id !== "scaim-banner");
+      el = sameTag[m[2] ? parseInt(m[2], 10) - 1 : 0];
+      if (!el) return null;
+    }
+    return el;
+  },
+
+  /**
+   * Lowercase, hyphenated form of a category, for derived rule IDs.
+   */
+  slug(text) {
+    return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  },
+
+  /**
+   * Fill in the structured fields a finding is missing. Mutates and returns it.
+   * @param {Object} finding
+   * @param {string} detectorKey
+   */
+  complete(finding, detectorKey) {
+    finding.detector = finding.detector || detectorKey;
+    finding.ruleId = finding.ruleId || `${detectorKey}.${this.slug(finding.category)}`;
+    if (typeof finding.confidence !== "number") {
+      finding.confidence = this.DEFAULT_CONFIDENCE[finding.severity] ?? 0.5;
+    }
+    finding.evidence = { text: null, url: null, selector: null, ...finding.evidence };
+    return finding;
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * ScAIm IDN — internationalized domain names as the user sees them.
+ * Hostnames reach us in punycode ("xn--pypal-4ve.com"), but the address bar
+ * may show the Unicode form ("pаypal.com", with a Cyrillic "а"). This module
+ * decodes punycode (RFC 3492), reports which scripts a label mixes, and
+ * computes the UTS #39 "skeleton" of a name, so two names that look alike
+ * have the same skeleton (see config/confusables.js).
+ */
+const ScaimIDN = {
+  // Scripts a label may combine without being suspicious (UTS #39 "highly
+  // restrictive"): Japanese, Chinese and Korean names are often written with
+  // Latin letters mixed in
+  ALLOWED_SCRIPT_SETS: [
+    ["Latin", "Han", "Hiragana", "Katakana"],
+    ["Latin", "Han", "Bopomofo"],
+    ["Latin", "Han", "Hangul"]
+  ],
+
+  // Scripts told apart by scriptsOf(); anything else is reported as "Other"
+  SCRIPTS: [
+    "Latin", "Cyrillic", "Greek", "Armenian", "Georgian", "Hebrew", "Arabic",
+    "Han", "Hiragana", "Katakana", "Hangul", "Bopomofo", "Thai", "Lao",
+    "Devanagari", "Bengali", "Tamil", "Cherokee", "Ethiopic"
+  ],
+
+  _scriptPatterns: null,
+
+  /**
+   * Decode every punycode ("xn--") label of a hostname.
+   * Labels that aren't valid punycode are left as they are.
+   * @param {string} hostname
+   * @returns {string}
+   */
+  toUnicode(hostname) {
+    return String(hostname || "").toLowerCase().split(".")
+      .map(label => (label.startsWith("xn--") && this._decodePunycode(label.slice(4))) || label)
+      .join(".");
+  },
+
+  /**
+   * Does a hostname contain punycode labels?
+   * @param {string} hostname
+   * @returns {boolean}
+   */
+  isIDN(hostname) {
+    return /(^|\.)xn--/i.test(hostname || "");
+  },
+
+  /**
+   * The scripts used in a label, in order of first appearance. Digits,
+   * hyphens and combining marks belong to every script and aren't counted.
+   * @param {string} label - A decoded label
+   * @returns {string[]}
+   */
+  scriptsOf(label) {
+    if (!this._scriptPatterns) {
+      this._scriptPatterns = this.SCRIPTS.map(name => [name, new RegExp(`\\p{Script=${name}}`, "u")]);
+    }
+    const scripts = [];
+    for (const char of label) {
+      if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) continue;
+      const match = this._scriptPatterns.find(([, pattern]) => pattern.test(char));
+      const name = match ? match[0] : "Other";
+      if (!scripts.includes(name)) scripts.push(name);
+    }
+    return scripts;
+  },
+
+  /**
+   * Does a label mix scripts in a way real names don't (e.g. Latin with
+   * Cyrillic)? Follows the UTS #39 "highly restrictive" level.
+   * @param {string} label - A decoded label
+   * @returns {boolean}
+   */
+  isMixedScript(label) {
+    const scripts = this.scriptsOf(label);
+    if (scripts.length < 2) return false;
+    return !this.ALLOWED_SCRIPT_SETS.some(set => scripts.every(script => set.includes(script)));
+  },
+
+  /**
+   * The UTS #39 skeleton of a name: accents stripped, look-alike characters
+   * replaced by the ASCII letter they imitate. "pаypal", "pàypal" and "paypa1"
+   * all have the skeleton "paypal".
+   * @param {string} text - A decoded name
+   * @returns {string}
+   */
+  skeleton(text) {
+    const map = ConfusableCharacters.map;
+    let result = "";
+    for (const char of String(text || "").toLowerCase().normalize("NFD")) {
+      if (/\p{Mn}/u.test(char)) continue;
+      result += map[char] || char;
+    }
+    for (const [from, to] of ConfusableCharacters.sequences) {
+      result = result.split(from).join(to);
+    }
+    return result;
+  },
+
+  /**
+   * Does a label spell a name (by skeleton) with at least one look-alike or
+   * accented character in it? "pаypal-login" (Cyrillic "а") does for
+   * "paypal"; "bücher-amazon" doesn't for "amazon", which it spells with
+   * plain letters — its "ü" is elsewhere in the label.
+   * @param {string} label - A decoded label
+   * @param {string} name - A plain ASCII name, e.g. a brand key
+   * @returns {boolean}
+   */
+  imitates(label, name) {
+    const chars = Array.from(String(label || "").toLowerCase());
+    // The label's skeleton, one entry per character, each remembering the
+    // range of label characters it came from
+    let parts = [];
+    chars.forEach((char, i) => {
+      for (const out of this.skeleton(char)) parts.push({ char: out, from: i, to: i });
+    });
+    for (const [from, to] of ConfusableCharacters.sequences) {
+      if (from.length < 2) continue; // Single characters were mapped above
+      const merged = [];
+      for (let i = 0; i < parts.length; i++) {
+        const run = parts.slice(i, i + from.length);
+        if (run.map(part => part.char).join("") === from) {
+          for (const out of to) merged.push({ char: out, from: run[0].from, to: run[run.length - 1].to });
+          i += from.length - 1;
+        } else {
+          merged.push(parts[i]);
+        }
+      }
+      parts = merged;
+    }
+
+    const skeleton = parts.map(part => part.char).join("");
+    const target = this.skeleton(name);
+    if (!target) return false;
+    for (let at = skeleton.indexOf(target); at !== -1; at = skeleton.indexOf(target, at + 1)) {
+      const written = chars.slice(parts[at].from, parts[at + target.length - 1].to + 1).join("");
+      if (written !== name) return true;
+    }
+    return false;
+  },
+
+  /**
+   * RFC 3492 punycode decoding of one label (without its "xn--" prefix).
+   * @param {string} input
+   * @returns {string|null} null if the label isn't valid punycode
+   */
+  _decodePunycode(input) {
+    const base = 36, tMin = 1, tMax = 26;
+    const delimiter = input.lastIndexOf("-");
+    const output = delimiter > 0 ? Array.from(input.slice(0, delimiter)) : [];
+    if (output.some(char => char.charCodeAt(0) >= 0x80)) return null;
+
+    let n = 128;
+    let i = 0;
+    let bias = 72;
+    let pos = delimiter > 0 ? delimiter + 1 : 0;
+    while (pos < input.length) {
+      const oldi = i;
+      let w = 1;
+      for (let k = base; ; k += base) {
+        if (pos >= input.length) return null;
+        const digit = this._punycodeDigit(input.charCodeAt(pos++));
+        if (digit >= base) return null;
+        i += digit * w;
+        const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+        if (digit < t) break;
+        w *= base - t;
+      }
+      const length = output.length + 1;
+      bias = this._punycodeAdapt(i - oldi, length, oldi === 0);
+      n += Math.floor(i / length);
+      i %= length;
+      if (n > 0x10FFFF) return null;
+      output.splice(i, 0, String.fromCodePoint(n));
+      i++;
+    }
+    return output.join("");
+  },
+
+  _punycodeDigit(code) {
+    if (code >= 48 && code <= 57) return code - 22; // 0-9 → 26-35
+    if (code >= 65 && code <= 90) return code - 65; // A-Z → 0-25
+    if (code >= 97 && code <= 122) return code - 97; // a-z → 0-25
+    return 36;
+  },
+
+  _punycodeAdapt(delta, numPoints, firstTime) {
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((base - tMin) * tMax) >> 1) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
+    }
+    return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+  }
+};
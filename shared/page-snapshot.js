@@ -0,0 +1,91 @@
+/**
+ * ScAIm Page Snapshot
+ * Reads the page once per scan (text, links, forms, inputs, scripts, iframes)
+ * and hands the same snapshot to every detector, instead of each detector
+ * re-reading innerText and re-querying the DOM on every MutationObserver rerun.
+ * All page text is passed through TextNormalizer here, so every detector
+ * matches against the same normalized content.
+ */
+const PageSnapshot = {
+  /**
+   * Build a snapshot of the current document.
+   * @returns {{
+   *   url: string, hostname: string, protocol: string, title: string,
+   *   site: string, visit: { firstSeen: number, isNew: boolean, learning: boolean }|null,
+   *   text: string, lowerText: string, visibleText: string,
+   *   links: Array<{ element: Element, href: string, text: string, url: URL|null, hostname: string }>,
+   *   forms: Element[], inputs: Element[], images: Element[], scripts: Element[],
+   *   inlineScripts: Element[], externalScripts: Element[], iframes: Element[]
+   * }}
+   */
+  build() {
+    const text = TextNormalizer.normalize(document.body?.innerText || "");
+    const scripts = Array.from(document.querySelectorAll("script"));
+
+    return {
+      url: window.location.href,
+      hostname: window.location.hostname.toLowerCase(),
+      protocol: window.location.protocol,
+      title: TextNormalizer.normalize(document.title || ""),
+      // Registrable domain, and when the user first visited it (null if unknown)
+      site: PublicSuffix.siteOf(window.location.hostname.toLowerCase()),
+      visit: ScaimSiteHistory.visitFor(window.location.hostname.toLowerCase()),
+      // Rendered text (innerText), normalized — original case and lowercased
+      text,
+      lowerText: text.toLowerCase(),
+      // Text content including hidden nodes and SVG <text>, normalized and lowercased
+      visibleText: this._extractVisibleText(),
+      links: this._collectLinks(),
+      forms: Array.from(document.querySelectorAll("form")),
+      inputs: Array.from(document.querySelectorAll("input, textarea")),
+      images: Array.from(document.images),
+      scripts,
+      inlineScripts: scripts.filter(s => !s.hasAttribute("src")),
+      externalScripts: scripts.filter(s => s.hasAttribute("src")),
+      iframes: Array.from(document.querySelectorAll("iframe"))
+    };
+  },
+
+  /**
+   * Collect every link with its href parsed once against the page URL.
+   * Unparseable hrefs keep url: null and an empty hostname.
+   */
+  _collectLinks() {
+    const links = [];
+    document.querySelectorAll("a[href]").forEach(element => {
+      const href = element.getAttribute("href") || "";
+      let url = null;
+      try {
+        url = new URL(href, window.location.href);
+      } catch (e) { /* malformed href */ }
+
+      links.push({
+        element,
+        href,
+        text: TextNormalizer.normalize((element.textContent || "").trim()),
+        url,
+        hostname: url ? url.hostname.toLowerCase() : ""
+      });
+    });
+    return links;
+  },
+
+  /**
+   * Extract all text from the page body, including SVG <text> elements.
+   */
+  _extractVisibleText() {
+    if (!document.body) return "";
+    // Clone to avoid modifying the actual DOM
+    const clone = document.body.cloneNode(true);
+    // Extract text from SVG <text> elements before removing SVG containers
+    // (scam content can hide in SVG text to evade detection)
+    let svgText = "";
+    const svgTexts = clone.querySelectorAll("svg text");
+    svgTexts.forEach(el => { svgText += " " + (el.textContent || ""); });
+    // Remove script, style, and non-visible elements
+    const removable = clone.querySelectorAll("script, style, noscript, svg, template");
+    removable.forEach(el => el.remove());
+    // Use textContent on the cleaned clone (innerText is unreliable on detached nodes)
+    return TextNormalizer.normalize((clone.textContent || "") + svgText).toLowerCase();
+  }
+};
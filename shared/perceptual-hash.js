@@ -0,0 +1,122 @@
+/**
+ * ScAIm Perceptual Hash — a 64-bit difference hash ("dHash") of an image,
+ * computed locally on a canvas. Resized copies, recompressed files and
+ * slightly recoloured copies of a logo hash to nearly the same value, so two
+ * images are compared by how many bits differ (see distance()).
+ * The hash, as stored in config/logo-hashes.js and brand files:
+ *   1. Draw the image over a white background, scaled to 9×8 pixels
+ *   2. Convert each pixel to grey (0.299 R + 0.587 G + 0.114 B)
+ *   3. Row by row, top to bottom, for each of the 8 pairs of neighbouring
+ *      pixels: bit 1 if the left pixel is brighter than the right one
+ *   4. Write the 64 bits, first bit first, as 16 lowercase hex digits
+ * Only images the page can read are hashed: same-origin and data: URLs.
+ * Cross-origin images taint the canvas and are skipped.
+ */
+const ScaimPerceptualHash = {
+  WIDTH: 9,
+  HEIGHT: 8,
+  LOAD_TIMEOUT: 5000,
+
+  // Set bits in each hex digit
+  _NIBBLE_BITS: [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4],
+
+  /**
+   * Hash a loaded image.
+   * @param {HTMLImageElement} image - Fully loaded (complete, with a size)
+   * @returns {string|null} 16 hex digits, or null if it can't be read
+   */
+  hashImage(image) {
+    if (!image.naturalWidth || !image.naturalHeight) return null;
+    const canvas = document.createElement("canvas");
+    canvas.width = this.WIDTH;
+    canvas.height = this.HEIGHT;
+    const context = canvas.getContext("2d");
+    if (!context) return null;
+
+    let pixels;
+    try {
+      context.fillStyle = "#fff";
+      context.fillRect(0, 0, this.WIDTH, this.HEIGHT);
+      context.drawImage(image, 0, 0, this.WIDTH, this.HEIGHT);
+      pixels = context.getImageData(0, 0, this.WIDTH, this.HEIGHT).data;
+    } catch (e) {
+      // Tainted by a cross-origin image, or not decodable
+      return null;
+    }
+
+    let hex = "";
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < this.HEIGHT; y++) {
+      for (let x = 0; x < this.WIDTH - 1; x++) {
+        nibble = (nibble << 1) | (this._grey(pixels, y * this.WIDTH + x) > this._grey(pixels, y * this.WIDTH + x + 1) ? 1 : 0);
+        if (++bits === 4) {
+          hex += nibble.toString(16);
+          nibble = 0;
+          bits = 0;
+        }
+      }
+    }
+    return hex;
+  },
+
+  /**
+   * Load an image by URL and hash it.
+   * @param {string} src - A same-origin or data: URL
+   * @returns {Promise<string|null>} null if it doesn't load in time or can't be read
+   */
+  hashURL(src) {
+    return new Promise((resolve) => {
+      const image = new Image();
+      const timer = setTimeout(() => resolve(null), this.LOAD_TIMEOUT);
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve(this.hashImage(image));
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+      image.src = src;
+    });
+  },
+
+  /**
+   * How many of the 64 bits differ between two hashes.
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  distance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i++) {
+      distance += this._NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+  },
+
+  /**
+   * Does a hash carry enough detail to compare? Blank and nearly flat
+   * images hash to (almost) all zeros and would match each other.
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  isInformative(hash) {
+    const set = this.distance(hash, "0000000000000000");
+    return set >= 8 && set <= 56;
+  },
+
+  /**
+   * Is this a well-formed hash?
+   * @param {string} value
+   * @returns {boolean}
+   */
+  isHash(value) {
+    return /^[0-9a-f]{16}$/.test(value);
+  },
+
+  _grey(pixels, index) {
+    const i = index * 4;
+    return 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+  }
+};
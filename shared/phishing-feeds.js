@@ -0,0 +1,426 @@
+/**
+ * ScAIm Phishing Feeds — offline dumps of known phishing URLs/hosts
+ * (e.g. exported from PhishTank or OpenPhish) that the user imports from a
+ * file. Nothing is ever downloaded. Each feed is compacted into a Bloom
+ * filter (see ScaimBloomFilter). chrome.storage.local holds the feeds'
+ * details under "scaim_feeds" as
+ *   { id, name, version, count, importedAt }
+ * and their filters apart, under "scaim_feed_filters" as
+ *   { [id]: { size, hashes, bits } }
+ * so listing the feeds doesn't load the filters. (Feeds imported before
+ * the split carry their filter in their record until the next change.)
+ * Feed entries become keys of two kinds:
+ *   "h:evil.example"               — a bare hostname (a hosts file line, a
+ *                                    "host" or "domain" column): the whole host
+ *                                    and its subdomains are listed ("www." is dropped)
+ *   "u:shared.example/x?id=1"      — a URL: only that page, query included, is listed
+ * A Bloom filter can give false positives, so filters are sized for a one in
+ * a million chance per lookup.
+ * The filters are loaded only by the background (see loadFilters()), which
+ * also imports and removes feeds, one change at a time (see _update());
+ * add() and remove() send the change there. Content scripts never read the
+ * filters: lookup() asks the background.
+ */
+const ScaimFeeds = {
+  STORAGE_KEY: "scaim_feeds",
+  FILTERS_KEY: "scaim_feed_filters",
+  FALSE_POSITIVE_RATE: 1e-6,
+  MAX_ENTRIES: 500000,
+
+  // Column names that hold the URL in CSV and JSON exports
+  URL_FIELDS: ["url", "phish_url", "host", "hostname", "domain"],
+
+  // Most URLs a content script may ask about in one message
+  MAX_LOOKUP: 1000,
+
+  _feeds: [],
+  _stored: {}, // feed id → serialized filter, see loadFilters()
+  _filters: new Map(), // feed id → deserialized filter, built on first lookup
+  _loaded: false,
+  _filtersLoaded: false,
+  _listening: false,
+  _updates: Promise.resolve(), // Queue of pending _update() calls
+
+  /**
+   * Load the feeds' details from chrome.storage.local once per page; a
+   * storage change (an import or removal) makes the next load re-read them.
+   * @returns {Promise<Array>}
+   */
+  async load() {
+    if (this._loaded) return this._feeds;
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get(this.STORAGE_KEY, (result) => {
+          this._feeds = Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+          this._filters.clear();
+          this._loaded = true;
+          resolve(this._feeds);
+        });
+        if (!this._listening) {
+          this._listening = true;
+          chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== "local") return;
+            if (changes[this.STORAGE_KEY]) this._loaded = false;
+            if (changes[this.FILTERS_KEY]) this._filtersLoaded = false;
+          });
+        }
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(this._feeds);
+      }
+    });
+  },
+
+  /**
+   * Re-read feeds from storage even if they're already loaded.
+   * @returns {Promise<Array>}
+   */
+  async reload() {
+    this._loaded = false;
+    return this.load();
+  },
+
+  /**
+   * Load the feeds and their filters, for match(). Only the background
+   * needs the filters.
+   * @returns {Promise<Array>}
+   */
+  async loadFilters() {
+    await this.load();
+    if (this._filtersLoaded) return this._feeds;
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get(this.FILTERS_KEY, (result) => {
+          const stored = result[this.FILTERS_KEY];
+          this._stored = stored && typeof stored === "object" ? stored : {};
+          this._filters.clear();
+          this._filtersLoaded = true;
+          resolve(this._feeds);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(this._feeds);
+      }
+    });
+  },
+
+  /**
+   * Feed metadata for display (without the filters), newest import first.
+   * @returns {Array<{ id: string, name: string, version: string, count: number, importedAt: number }>}
+   */
+  list() {
+    return this._feeds
+      .map(({ id, name, version, count, importedAt }) => ({ id, name, version, count, importedAt }))
+      .sort((a, b) => b.importedAt - a.importedAt);
+  },
+
+  /**
+   * Content side: ask the background to look URLs up in the imported feeds.
+   * @param {string[]} urls
+   * @returns {Promise<Map<string, { id: string, name: string, version: string, count: number }>>} The listed URLs and their feeds
+   */
+  lookup(urls) {
+    const unique = [...new Set(urls)].slice(0, this.MAX_LOOKUP);
+    const matches = new Map();
+    if (unique.length === 0) return Promise.resolve(matches);
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: "SCAIM_FEED_MATCH", urls: unique }, (response) => {
+          if (!chrome.runtime.lastError && response && Array.isArray(response.matches)) {
+            unique.forEach((url, i) => {
+              if (response.matches[i]) matches.set(url, response.matches[i]);
+            });
+          }
+          resolve(matches);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(matches);
+      }
+    });
+  },
+
+  /**
+   * Look a URL up in every loaded feed (see loadFilters()).
+   * Checks the page itself (with and without its query) and its host plus
+   * parent hosts up to the registrable domain, for feeds that list whole
+   * hosts (a feed listing "evil.example" covers "www.evil.example").
+   * @param {string} url
+   * @returns {{ id: string, name: string, version: string, count: number }|null} The first feed that lists it
+   */
+  match(url) {
+    if (this._feeds.length === 0) return null;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    const hostname = parsed.hostname.toLowerCase();
+    const keys = [this._urlKey(hostname, parsed.pathname, parsed.search)];
+    // A listed page is still that page with a query added
+    if (parsed.search) keys.push(this._urlKey(hostname, parsed.pathname, ""));
+
+    const registrable = PublicSuffix.getDomain(hostname) || hostname;
+    const labels = hostname.split(".");
+    for (let i = 0; i <= labels.length - registrable.split(".").length; i++) {
+      keys.push("h:" + labels.slice(i).join("."));
+    }
+
+    for (const feed of this._feeds) {
+      let filter = this._filters.get(feed.id);
+      if (!filter) {
+        const stored = this._stored[feed.id] || feed.filter;
+        if (!stored) continue;
+        filter = ScaimBloomFilter.deserialize(stored);
+        this._filters.set(feed.id, filter);
+      }
+      if (keys.some(key => ScaimBloomFilter.has(filter, key))) {
+        const { id, name, version, count } = feed;
+        return { id, name, version, count };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Pull URLs/hosts out of a feed file.
+   *   JSON — an array of strings or of objects with a url/host field
+   *          (PhishTank's JSON export), or an object holding such an array
+   *   CSV  — a header row naming a url/host column (PhishTank's CSV export)
+   *   text — one URL or host per line (OpenPhish's feed.txt, hosts files)
+   * @param {string} text
+   * @param {string} [filename] - Used to recognise JSON files
+   * @returns {{ format: string, values: string[] }}
+   * @throws {Error} If a JSON file is malformed or has no list of URLs
+   */
+  parse(text, filename = "") {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("[") || trimmed.startsWith("{") || /\.json$/i.test(filename)) {
+      return { format: "json", values: this._parseJSON(trimmed) };
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+    const header = this._splitCSV(lines[0] || "").map(cell => cell.trim().toLowerCase());
+    const column = header.findIndex(cell => this.URL_FIELDS.includes(cell));
+    if (column !== -1 && header.length > 1) {
+      const values = lines.slice(1)
+        .map(line => this._splitCSV(line)[column])
+        .filter(Boolean);
+      return { format: "csv", values };
+    }
+
+    const values = [];
+    for (const raw of lines) {
+      const line = raw.replace(/#.*$/, "").trim();
+      if (!line) continue;
+      // "0.0.0.0 evil.example" (hosts file) — the name is the last field
+      const fields = line.split(/\s+/);
+      values.push(fields[fields.length - 1]);
+    }
+    return { format: "text", values };
+  },
+
+  _parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("This is not valid JSON: " + e.message);
+    }
+    if (!Array.isArray(data) && data && typeof data === "object") {
+      data = Object.values(data).find(Array.isArray);
+    }
+    if (!Array.isArray(data)) throw new Error("Expected an array of URLs or of objects with a \"url\" field");
+
+    return data.map(item => {
+      if (typeof item === "string") return item;
+      if (!item || typeof item !== "object") return "";
+      const field = Object.keys(item).find(key => this.URL_FIELDS.includes(key.toLowerCase()));
+      return field ? String(item[field]) : "";
+    }).filter(Boolean);
+  },
+
+  // One CSV line → cells, honouring double-quoted cells ("a,b" and "")
+  _splitCSV(line) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ",") {
+        cells.push(cell);
+        cell = "";
+      } else {
+        cell += c;
+      }
+    }
+    cells.push(cell);
+    return cells;
+  },
+
+  /**
+   * The lookup key for a feed entry, or null if it isn't a usable http(s)
+   * URL or hostname. Only a bare hostname lists the whole host; anything
+   * written as a URL lists that page alone.
+   * @param {string} value - "https://evil.example/login?x=1" or "evil.example"
+   * @returns {string|null}
+   */
+  toKey(value) {
+    let text = String(value || "").trim();
+    if (!text) return null;
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text);
+    if (!hasScheme) text = "http://" + text;
+    let parsed;
+    try {
+      parsed = new URL(text);
+    } catch (e) {
+      return null;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    const hostname = parsed.hostname.toLowerCase().replace(/\.$/, "");
+    if (!hostname.includes(".")) return null;
+    const bareHost = !hasScheme && parsed.pathname === "/" && !parsed.search;
+    return bareHost ? "h:" + hostname.replace(/^www\./, "") : this._urlKey(hostname, parsed.pathname, parsed.search);
+  },
+
+  // "u:" key for a page, ignoring "www.", the path's case and a trailing
+  // slash; the query is kept as it is
+  _urlKey(hostname, pathname, search) {
+    const path = pathname.toLowerCase().replace(/\/+$/, "");
+    return "u:" + hostname.replace(/^www\./, "") + path + search;
+  },
+
+  /**
+   * Import a parsed feed, through the background (see saveFeed()).
+   * @param {{ name: string, version: string, values: string[] }} feed
+   * @returns {Promise<{ feed: Object, skipped: number }>} The feed's details and how many values weren't usable
+   * @throws {Error} If the feed couldn't be imported
+   */
+  async add({ name, version, values }) {
+    const response = await this._send({ type: "SCAIM_FEED_ADD", feed: { name, version, values } });
+    if (!response || response.error || !response.feed) {
+      throw new Error((response && response.error) || "The feed couldn't be imported.");
+    }
+    return { feed: response.feed, skipped: response.skipped };
+  },
+
+  /**
+   * Remove a feed by id, through the background (see deleteFeed()).
+   * @param {string} id
+   */
+  async remove(id) {
+    await this._send({ type: "SCAIM_FEED_REMOVE", id });
+  },
+
+  _send(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          resolve(chrome.runtime.lastError ? null : response);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(null);
+      }
+    });
+  },
+
+  /**
+   * Compact a parsed feed into a stored feed (in the background). Importing
+   * a feed with the same name as an existing one replaces it.
+   * @param {{ name: string, version: string, values: string[] }} feed
+   * @returns {Promise<{ feed: Object, skipped: number }>} The feed's details and how many values weren't usable
+   * @throws {Error} If nothing usable was found or the feed is too large
+   */
+  async saveFeed({ name, version, values }) {
+    const keys = new Set();
+    let skipped = 0;
+    for (const value of values) {
+      const key = this.toKey(value);
+      if (key) keys.add(key);
+      else skipped++;
+    }
+    if (keys.size === 0) throw new Error("No URLs or hostnames found in this file.");
+    if (keys.size > this.MAX_ENTRIES) {
+      throw new Error(`This feed has ${keys.size.toLocaleString()} entries — the limit is ${this.MAX_ENTRIES.toLocaleString()}.`);
+    }
+
+    const filter = ScaimBloomFilter.create(keys.size, this.FALSE_POSITIVE_RATE);
+    keys.forEach(key => ScaimBloomFilter.add(filter, key));
+
+    const record = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+      name: String(name || "").trim().slice(0, 80) || "Imported feed",
+      version: String(version || "").trim().slice(0, 40),
+      count: keys.size,
+      importedAt: Date.now()
+    };
+    const serialized = ScaimBloomFilter.serialize(filter);
+
+    await this._update(() => {
+      this._feeds = this._feeds.filter(feed => feed.name !== record.name).concat(record);
+      this._stored[record.id] = serialized;
+    });
+    return { feed: { ...record }, skipped };
+  },
+
+  /**
+   * Delete a feed by id (in the background).
+   * @param {string} id
+   */
+  async deleteFeed(id) {
+    return this._update(() => {
+      this._feeds = this._feeds.filter(feed => feed.id !== id);
+    });
+  },
+
+  /**
+   * Apply one change to the feeds: re-read them from storage, make the
+   * change, and store the result. Changes are applied one at a time, so an
+   * import can't overwrite a removal made meanwhile (see DomainLists._update()).
+   * @param {Function} change - Edits this._feeds and this._stored; its result is returned
+   * @returns {Promise<*>}
+   */
+  _update(change) {
+    const result = this._updates.then(async () => {
+      this._loaded = false;
+      this._filtersLoaded = false;
+      await this.loadFilters();
+      const value = change();
+      await this._persist();
+      return value;
+    });
+    this._updates = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * Persist the feeds' details and their filters to chrome.storage.local,
+   * moving any filter still kept in its feed's record to the filters key.
+   */
+  async _persist() {
+    const stored = {};
+    this._feeds = this._feeds.map(({ filter, ...feed }) => {
+      stored[feed.id] = this._stored[feed.id] || filter;
+      return feed;
+    });
+    this._stored = stored;
+    this._filters.clear();
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: this._feeds, [this.FILTERS_KEY]: stored }, resolve);
+      } catch (e) {
+        resolve();
+      }
+    });
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * ScAIm Protected Passwords — passwords the user asked ScAIm to watch for.
+ * Each one is protected for a site on the user's allowlist (their bank or
+ * email provider); typed on any other site, it brings up a full-screen alert
+ * (see ScaimPasswordGuard). Kept by the background script in
+ * chrome.storage.local under "scaim_protected_passwords" as
+ *   [{ id, domain, length, salt, hash, iterations, createdAt }]
+ * The password itself is never stored: only its length and a salted,
+ * deliberately slow PBKDF2-SHA256 hash. The length lets content scripts ask
+ * about a typed value only when it could match. Nothing here leaves the browser.
+ */
+const ScaimProtectedPasswords = {
+  STORAGE_KEY: "scaim_protected_passwords",
+  ITERATIONS: 600000,
+  MIN_LENGTH: 6,
+  MAX_LENGTH: 256,
+  MAX_ENTRIES: 20,
+
+  _entries: null, // The stored entries, once loaded
+  _write: Promise.resolve(),
+
+  /**
+   * Protect a password for a site.
+   * @param {string} domain - The allowlist entry the password belongs to
+   * @param {string} password
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  protect(domain, password) {
+    // Chained so two saves at once can't overwrite each other
+    const saved = this._write.then(async () => {
+      if (typeof password !== "string" || password.length < this.MIN_LENGTH || password.length > this.MAX_LENGTH) {
+        return { ok: false, error: `Passwords must be ${this.MIN_LENGTH} to ${this.MAX_LENGTH} characters long.` };
+      }
+      const entries = await this._load();
+      for (const entry of entries) {
+        if (entry.domain === domain && await this._matches(entry, password)) return { ok: true };
+      }
+      if (entries.length >= this.MAX_ENTRIES) {
+        return { ok: false, error: `You can protect up to ${this.MAX_ENTRIES} passwords. Remove one on the site lists page first.` };
+      }
+
+      const salt = this._hex(crypto.getRandomValues(new Uint8Array(16)));
+      entries.push({
+        id: this._hex(crypto.getRandomValues(new Uint8Array(8))),
+        domain,
+        length: password.length,
+        salt,
+        hash: await this._derive(password, salt, this.ITERATIONS),
+        iterations: this.ITERATIONS,
+        createdAt: Date.now()
+      });
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+      return { ok: true };
+    });
+    this._write = saved.catch(() => {});
+    return saved;
+  },
+
+  /**
+   * Stop protecting a password.
+   * @param {string} id
+   * @returns {Promise}
+   */
+  remove(id) {
+    const removed = this._write.then(async () => {
+      const entries = (await this._load()).filter(entry => entry.id !== id);
+      this._entries = entries;
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+    });
+    this._write = removed.catch(() => {});
+    return removed;
+  },
+
+  /**
+   * The protected passwords for display: which site each belongs to, never the hash.
+   * @returns {Promise<Array<{ id: string, domain: string, createdAt: number }>>}
+   */
+  async list() {
+    const entries = await this._load();
+    return entries.map(({ id, domain, createdAt }) => ({ id, domain, createdAt }));
+  },
+
+  /**
+   * The lengths worth checking on a site: those of passwords protected for
+   * other sites.
+   * @param {string} hostname
+   * @returns {Promise<number[]>}
+   */
+  async lengthsFor(hostname) {
+    const entries = await this._load();
+    await ScaimBrands.load();
+    return [...new Set(entries.filter(entry => !this._covers(entry, hostname)).map(entry => entry.length))];
+  },
+
+  /**
+   * Is this a password protected for another site? A password the user
+   * protected for this site as well (the same one at two banks) isn't reported.
+   * @param {string} hostname - Where it was typed
+   * @param {string} password
+   * @returns {Promise<{ domain: string }|null>} The site it belongs to
+   */
+  async check(hostname, password) {
+    if (typeof password !== "string") return null;
+    const entries = (await this._load()).filter(entry => entry.length === password.length);
+    if (entries.length === 0) return null;
+    await ScaimBrands.load();
+
+    let match = null;
+    for (const entry of entries) {
+      if (!await this._matches(entry, password)) continue;
+      if (this._covers(entry, hostname)) return null;
+      match = match || { domain: entry.domain };
+    }
+    return match;
+  },
+
+  /**
+   * Does a password's own site include this hostname? Its registrable
+   * domain does, and so do the other official domains of the brand it
+   * belongs to (a Google password on youtube.com).
+   */
+  _covers(entry, hostname) {
+    if (PublicSuffix.isSameSite(entry.domain, hostname)) return true;
+    const owner = ScaimBrands.ownerOf(entry.domain);
+    return !!owner && ScaimBrands.isOfficial(hostname, owner);
+  },
+
+  async _matches(entry, password) {
+    return await this._derive(password, entry.salt, entry.iterations) === entry.hash;
+  },
+
+  // PBKDF2-SHA256(password, salt), 256 bits, hex
+  async _derive(password, salt, iterations) {
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: new TextEncoder().encode(salt), iterations },
+      key,
+      256
+    );
+    return this._hex(new Uint8Array(bits));
+  },
+
+  async _load() {
+    if (this._entries) return this._entries;
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    this._entries = Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+    return this._entries;
+  },
+
+  _hex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+  }
+};
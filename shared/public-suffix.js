@@ -0,0 +1,167 @@
+/**
+ * ScAIm Public Suffix — registrable-domain (eTLD+1) lookups against the
+ * bundled Public Suffix List (config/public-suffix-list.js), so domain logic
+ * doesn't have to guess from dots:
+ *   "shop.amazon.co.uk"     → domain "amazon.co.uk",  suffix "co.uk"
+ *   "paypal.co.uk.evil.com" → domain "evil.com",      subdomain "paypal.co.uk"
+ *   "someone.github.io"     → domain "someone.github.io" (github.io is a suffix)
+ * Suffixes from the list's private section (shared hosting such as github.io
+ * or blogspot.com) count as suffixes, which keeps sites on the same platform apart.
+ * Brand checks pass { icannOnly: true } instead: "paypal.github.io" is not
+ * PayPal's domain, it is a GitHub Pages site whose owner picked that name.
+ */
+const PublicSuffix = {
+  _rules: null,       // Map<suffix, section> for plain rules
+  _wildcards: null,   // Map<parent, section> for "*.parent" rules
+  _exceptions: null,  // Map<name, section> for "!name" rules
+  _cache: new Map(),
+  CACHE_LIMIT: 2000,
+
+  /**
+   * Parse a hostname against the list.
+   * IP addresses and malformed hostnames return null. Hostnames under a TLD
+   * the list doesn't know fall back to the implicit "*" rule (last label).
+   * @param {string} hostname
+   * @param {{ icannOnly?: boolean }} [options] - Ignore the private section
+   * @returns {{ suffix: string, domain: string|null, subdomain: string, isPrivate: boolean }|null}
+   *   domain is null when the hostname is itself a public suffix
+   */
+  parse(hostname, { icannOnly = false } = {}) {
+    hostname = String(hostname || "").toLowerCase().replace(/\.$/, "");
+    const key = (icannOnly ? "icann:" : "") + hostname;
+    if (this._cache.has(key)) return this._cache.get(key);
+
+    const result = this._parse(hostname, icannOnly);
+    if (this._cache.size >= this.CACHE_LIMIT) this._cache.clear();
+    this._cache.set(key, result);
+    return result;
+  },
+
+  /**
+   * The registrable domain (eTLD+1), or null for IPs and bare suffixes.
+   * @param {string} hostname
+   * @param {{ icannOnly?: boolean }} [options]
+   * @returns {string|null}
+   */
+  getDomain(hostname, options) {
+    const parsed = this.parse(hostname, options);
+    return parsed ? parsed.domain : null;
+  },
+
+  /**
+   * The public suffix (eTLD) a hostname sits under, e.g. "co.uk".
+   * @param {string} hostname
+   * @returns {string|null}
+   */
+  getPublicSuffix(hostname) {
+    const parsed = this.parse(hostname);
+    return parsed ? parsed.suffix : null;
+  },
+
+  /**
+   * The registrable domain minus its suffix — "amazon" for "shop.amazon.co.uk".
+   * Falls back to the whole hostname for IPs and bare suffixes.
+   * @param {string} hostname
+   * @param {{ icannOnly?: boolean }} [options]
+   * @returns {string}
+   */
+  getDomainLabel(hostname, options) {
+    const parsed = this.parse(hostname, options);
+    if (!parsed || !parsed.domain) return String(hostname || "").toLowerCase();
+    return parsed.domain.slice(0, -(parsed.suffix.length + 1));
+  },
+
+  /**
+   * Is this hostname a public suffix itself (e.g. "co.uk", "github.io")?
+   * @param {string} hostname
+   * @returns {boolean}
+   */
+  isPublicSuffix(hostname) {
+    const parsed = this.parse(hostname);
+    return !!parsed && parsed.domain === null;
+  },
+
+  /**
+   * The unit "same site" comparisons use: the registrable domain, or the
+   * hostname itself when it has none (IP addresses, bare suffixes).
+   * @param {string} hostname
+   * @returns {string}
+   */
+  siteOf(hostname) {
+    return this.getDomain(hostname) || String(hostname || "").toLowerCase();
+  },
+
+  /**
+   * Do two hostnames belong to the same registrable domain?
+   * ("login.example.co.uk" and "cdn.example.co.uk" do; "a.github.io" and "b.github.io" don't.)
+   */
+  isSameSite(a, b) {
+    return this.siteOf(a) === this.siteOf(b);
+  },
+
+  _parse(hostname, icannOnly) {
+    if (!hostname || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(":") || hostname.startsWith("[")) {
+      return null;
+    }
+    const labels = hostname.split(".");
+    if (labels.some(label => !label)) return null;
+
+    this._load();
+    const applies = (section) => section && (!icannOnly || section === "icann");
+
+    // Longest matching rule wins; exceptions beat the wildcard they carve out of
+    let suffixLength = 1;
+    let section = "icann";
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join(".");
+      if (applies(this._exceptions.get(candidate))) {
+        suffixLength = labels.length - i - 1;
+        section = this._exceptions.get(candidate);
+        break;
+      }
+      if (applies(this._rules.get(candidate))) {
+        suffixLength = labels.length - i;
+        section = this._rules.get(candidate);
+        break;
+      }
+      const parent = labels.slice(i + 1).join(".");
+      if (parent && applies(this._wildcards.get(parent))) {
+        suffixLength = labels.length - i;
+        section = this._wildcards.get(parent);
+        break;
+      }
+    }
+
+    const suffix = labels.slice(-suffixLength).join(".");
+    const domain = suffixLength < labels.length ? labels.slice(-(suffixLength + 1)).join(".") : null;
+    return {
+      suffix,
+      domain,
+      subdomain: domain ? labels.slice(0, -(suffixLength + 1)).join(".") : "",
+      isPrivate: section === "private"
+    };
+  },
+
+  /**
+   * Index the bundled rules on first use.
+   */
+  _load() {
+    if (this._rules) return;
+    this._rules = new Map();
+    this._wildcards = new Map();
+    this._exceptions = new Map();
+
+    for (const section of ["icann", "private"]) {
+      for (const rule of PublicSuffixList[section].split(/\s+/)) {
+        if (!rule) continue;
+        if (rule.startsWith("!")) {
+          this._exceptions.set(rule.slice(1), section);
+        } else if (rule.startsWith("*.")) {
+          this._wildcards.set(rule.slice(2), section);
+        } else {
+          this._rules.set(rule, section);
+        }
+      }
+    }
+  }
+};
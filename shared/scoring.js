@@ -2,6 +2,8 @@
  * ScAIm Scoring Aggregator
  * Combines scores from all detectors with paranoid bias.
  * Scores always round UP. Low threshold for triggering warnings.
+ * Thresholds and escalation rules follow the active sensitivity profile
+ * (paranoid by default), selected from the popup.
  */
 const ScaimScoring = {
   LEVELS: {
@@ -11,6 +13,7 @@ const ScaimScoring = {
     DANGER: "danger"
   },
 
+  // Active thresholds — replaced by applyProfile()
   THRESHOLDS: {
     safe: 15,     // 0-15
     caution: 40,  // 16-40
@@ -18,23 +21,62 @@ const ScaimScoring = {
     danger: 100   // 66-100
   },
 
-  WEIGHTS: {
-    keywords: 0.18,
-    structural: 0.14,
-    phishing: 0.14,
-    socialEngineering: 0.10,
-    fakeEcommerce: 0.10,
-    cryptoScam: 0.10,
-    techSupport: 0.08,
-    romanceFee: 0.08,
-    maliciousDownload: 0.08
+  DEFAULT_PROFILE: "paranoid",
+  activeProfile: "paranoid",
+
+  /**
+   * Named sensitivity profiles. Each one moves the level thresholds, the
+   * critical escalation rules and the social media scanner's paranoia together.
+   *   escalateOnCriticalSeverity — any "critical" finding triggers escalation
+   *   escalationCategories — categories that trigger escalation (null = all of
+   *     CRITICAL_ESCALATION_CATEGORIES)
+   *   socialParanoia — caps each platform's paranoia (null = platform default)
+   */
+  PROFILES: {
+    paranoid: {
+      label: "Paranoid",
+      thresholds: { safe: 15, caution: 40, warning: 65, danger: 100 },
+      escalateOnCriticalSeverity: true,
+      escalationCategories: null,
+      socialParanoia: null
+    },
+    balanced: {
+      label: "Balanced",
+      thresholds: { safe: 22, caution: 45, warning: 70, danger: 100 },
+      escalateOnCriticalSeverity: false,
+      escalationCategories: null,
+      socialParanoia: "medium"
+    },
+    relaxed: {
+      label: "Relaxed",
+      thresholds: { safe: 30, caution: 55, warning: 75, danger: 100 },
+      escalateOnCriticalSeverity: false,
+      escalationCategories: [
+        "Href Spoofing",
+        "Homoglyph Domain",
+        "Punycode Lookalike",
+        "Seed Phrase Theft",
+        "Wallet Impersonation",
+        "Remote Access Tool",
+        "BSOD Simulation",
+        "Disguised File Extension",
+        "Social: Seed Phrase Theft"
+      ],
+      socialParanoia: "low"
+    }
   },
 
+  // Relative weight of each severity when a suppressed finding's share of
+  // its detector's score is taken back out
+  SEVERITY_SHARE: { critical: 4, high: 3, medium: 2, low: 1 },
+
   // Findings with these categories can jump straight to WARNING
   CRITICAL_ESCALATION_CATEGORIES: [
     "External Form Action",
     "Href Spoofing",
     "Homoglyph Domain",
+    "Punycode Lookalike",
+    "Visual Brand Impersonation",
     "IP Address URL",
     "Obfuscated Code",
     "Seed Phrase Theft",
@@ -44,44 +86,171 @@ const ScaimScoring = {
     "Dangerous File Download",
     "Disguised File Extension",
     "Advance Fee Fraud",
-    "419 Advance Fee Scam"
+    "419 Advance Fee Scam",
+    "Social: Seed Phrase Theft",
+    "Social: Crypto Doubling Scam",
+    "Social: Blocklisted Link",
+    "Social: Known Phishing Link"
   ],
 
+  /**
+   * Switch the active sensitivity profile. Unknown names fall back to the default.
+   * @param {string} name - Profile key from PROFILES
+   * @returns {string} The profile that is now active
+   */
+  applyProfile(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.PROFILES, name)) {
+      name = this.DEFAULT_PROFILE;
+    }
+    this.activeProfile = name;
+    this.THRESHOLDS = { ...this.PROFILES[name].thresholds };
+    return name;
+  },
+
+  /**
+   * Get the active profile's settings.
+   */
+  getProfile() {
+    return this.PROFILES[this.activeProfile] || this.PROFILES[this.DEFAULT_PROFILE];
+  },
+
+  /**
+   * Does this finding trigger critical escalation under the active profile?
+   */
+  _isEscalationTrigger(finding) {
+    const profile = this.getProfile();
+    if (profile.escalateOnCriticalSeverity && finding.severity === "critical") return true;
+    const categories = profile.escalationCategories || this.CRITICAL_ESCALATION_CATEGORIES;
+    return categories.includes(finding.category);
+  },
+
+  /**
+   * Drop findings the user has suppressed (see ScaimSuppressions). A detector
+   * doesn't report per-finding scores, so its score is cut by the severity
+   * share of the findings that were removed; a detector turned off for the
+   * site scores nothing. Returns new result objects; the ones passed in are
+   * left untouched.
+   * @param {Object} results - Detector results keyed by registry key
+   * @param {string} hostname
+   */
+  _applySuppressions(results, hostname) {
+    if (typeof ScaimSuppressions === "undefined" || !ScaimSuppressions.hasRules()) return results;
+
+    const share = (findings) =>
+      findings.reduce((sum, f) => sum + (this.SEVERITY_SHARE[f.severity] || 1), 0);
+
+    const filtered = {};
+    for (const key of Object.keys(results)) {
+      const result = results[key];
+      const findings = result?.findings || [];
+
+      const exemption = ScaimSuppressions.detectorRule(key, hostname);
+      if (exemption) {
+        filtered[key] = {
+          ...result,
+          score: 0,
+          findings: [],
+          suppressed: findings.map(f => ({ ...f, suppressedBy: exemption.id })),
+          disabledBy: exemption.id
+        };
+        continue;
+      }
+
+      const kept = [];
+      const suppressed = [];
+      for (const finding of findings) {
+        const rule = ScaimSuppressions.match(finding, hostname);
+        if (rule) {
+          suppressed.push({ ...finding, suppressedBy: rule.id });
+        } else {
+          kept.push(finding);
+        }
+      }
+
+      filtered[key] = suppressed.length === 0 ? result : {
+        ...result,
+        score: Math.ceil((result.score || 0) * share(kept) / share(findings)),
+        findings: kept,
+        suppressed
+      };
+    }
+    return filtered;
+  },
+
   /**
    * Aggregate all detector results into a final threat assessment.
-   * @param {Object} results - All detector results, each with { score: number, findings: Array }
-   * @returns {{ level: string, score: number, findings: Array, summary: string }}
+   * The returned breakdown records how the score was reached, so the popup
+   * can answer "why did ScAIm flag this page?" without reading source.
+   * Findings matching the user's suppression rules are left out of the score
+   * and returned separately as `suppressed`.
+   * @param {Object} results - Detector results keyed by registry key, each with { score: number, findings: Array }
+   * @param {string} [hostname] - Page the results belong to (for domain-scoped suppressions)
+   * @returns {{ level: string, score: number, findings: Array, suppressed: Array, summary: string, breakdown: Object }}
    */
-  aggregate(results) {
-    // Weighted score — dynamically computed from WEIGHTS keys
+  aggregate(results, hostname = window.location.hostname) {
+    results = this._applySuppressions(results, hostname);
+
+    // Weighted score — weights come from each detector's registration
     let weightedScore = 0;
-    for (const [key, weight] of Object.entries(this.WEIGHTS)) {
-      weightedScore += (results[key]?.score || 0) * weight;
+    const detectorBreakdown = [];
+    for (const detector of ScaimDetectors.list()) {
+      const rawScore = results[detector.key]?.score || 0;
+      const contribution = rawScore * detector.weight;
+      weightedScore += contribution;
+      detectorBreakdown.push({
+        key: detector.key,
+        name: detector.name,
+        rawScore,
+        weight: detector.weight,
+        contribution: Math.round(contribution * 100) / 100,
+        findingCount: results[detector.key]?.findings?.length || 0,
+        suppressedCount: results[detector.key]?.suppressed?.length || 0,
+        disabled: !!results[detector.key]?.disabledBy
+      });
     }
+    const weightedTotal = Math.round(weightedScore * 100) / 100;
 
     // Paranoid bias: always round up
     weightedScore = Math.ceil(weightedScore);
 
     // Collect all findings
     const allFindings = [];
+    const allSuppressed = [];
     for (const key of Object.keys(results)) {
       if (results[key]?.findings) {
         allFindings.push(...results[key].findings);
       }
+      if (results[key]?.suppressed) {
+        allSuppressed.push(...results[key].suppressed);
+      }
     }
 
-    // Check for critical escalation — any single critical finding bumps to WARNING minimum
-    let hasCritical = false;
+    // Check for critical escalation — any single trigger finding bumps to WARNING minimum
+    let escalationTrigger = null;
     for (const finding of allFindings) {
-      if (finding.severity === "critical" ||
-          this.CRITICAL_ESCALATION_CATEGORIES.includes(finding.category)) {
-        hasCritical = true;
+      if (this._isEscalationTrigger(finding)) {
+        escalationTrigger = finding;
         break;
       }
     }
 
-    if (hasCritical && weightedScore < this.THRESHOLDS.caution + 1) {
+    const escalation = {
+      fired: false,
+      trigger: escalationTrigger
+        ? {
+          ruleId: escalationTrigger.ruleId || null,
+          severity: escalationTrigger.severity,
+          category: escalationTrigger.category,
+          message: escalationTrigger.message
+        }
+        : null,
+      floor: this.THRESHOLDS.caution + 1,
+      scoreBefore: weightedScore
+    };
+
+    if (escalationTrigger && weightedScore < this.THRESHOLDS.caution + 1) {
       weightedScore = this.THRESHOLDS.caution + 1; // Jump to WARNING
+      escalation.fired = true;
     }
 
     // Clamp
@@ -103,7 +272,14 @@ const ScaimScoring = {
       level,
       score: weightedScore,
       findings: allFindings,
-      summary
+      suppressed: allSuppressed,
+      summary,
+      breakdown: {
+        profile: this.activeProfile,
+        detectors: detectorBreakdown,
+        weightedTotal,
+        escalation
+      }
     };
   },
 
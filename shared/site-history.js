@@ -0,0 +1,148 @@
+/**
+ * ScAIm Site History — remembers when the user first visited each site
+ * (registrable domain), so detectors can tell "a site you use" from "a site
+ * you have never seen before". Kept by the background script in
+ * chrome.storage.local under "scaim_site_history" as
+ *   { salt, startedAt, sites: { hash: firstSeen } }
+ * Sites are stored as salted SHA-256 hashes, so the record is not a readable
+ * list of where the user has been; only "have I seen this site?" can be asked.
+ * Visits from private windows are looked up but never recorded.
+ *
+ * Content scripts call check() once per scan and read the answer from the
+ * page snapshot (snapshot.visit).
+ */
+const ScaimSiteHistory = {
+  STORAGE_KEY: "scaim_site_history",
+  // A site counts as new for this long after the first visit (the rest of that visit)
+  NEW_SITE_WINDOW: 60 * 60 * 1000,
+  // Until the record has been kept this long, most sites are new simply because
+  // ScAIm hasn't seen them yet, so nothing is reported as new
+  LEARNING_PERIOD: 3 * 24 * 60 * 60 * 1000,
+  MAX_SITES: 20000,
+
+  _visit: null, // Content side: { site, firstSeen, learning } for this page
+  _data: null,  // Background side: the stored record, once loaded
+  _write: Promise.resolve(),
+
+  /**
+   * Content side: ask the background about this page's site (recording the
+   * visit) and keep the answer for visitFor().
+   * @param {string} hostname
+   * @returns {Promise}
+   */
+  async check(hostname) {
+    const site = PublicSuffix.siteOf(hostname);
+    if (this._visit && this._visit.site === site) return;
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: "SCAIM_SITE_VISIT" }, (response) => {
+          if (!chrome.runtime.lastError && response && response.site === site) this._visit = response;
+          resolve();
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve();
+      }
+    });
+  },
+
+  /**
+   * Content side: what is known about a hostname's site, or null if it hasn't
+   * been checked.
+   * @param {string} hostname
+   * @returns {{ site: string, firstSeen: number, learning: boolean, isNew: boolean }|null}
+   */
+  visitFor(hostname) {
+    const visit = this._visit;
+    if (!visit || visit.site !== PublicSuffix.siteOf(hostname)) return null;
+    return { ...visit, isNew: !visit.learning && Date.now() - visit.firstSeen < this.NEW_SITE_WINDOW };
+  },
+
+  /**
+   * Background side: look a site up, recording it as first seen now if it's new.
+   * @param {string} hostname
+   * @param {{ record?: boolean }} [options] - record: false looks up without writing (private windows)
+   * @returns {Promise<{ site: string, firstSeen: number, learning: boolean }>}
+   */
+  recordVisit(hostname, { record = true } = {}) {
+    const site = PublicSuffix.siteOf(hostname);
+    // Chained so visits in several tabs at once can't overwrite each other
+    const visit = this._write.then(async () => {
+      const data = await this._load();
+      const key = await this._hash(data.salt, site);
+      const now = Date.now();
+      let firstSeen = data.sites[key];
+      if (!firstSeen) {
+        firstSeen = now;
+        if (record) {
+          data.sites[key] = now;
+          this._prune(data);
+          await chrome.storage.local.set({ [this.STORAGE_KEY]: data });
+        }
+      }
+      return { site, firstSeen, learning: now - data.startedAt < this.LEARNING_PERIOD };
+    });
+    this._write = visit.catch(() => {});
+    return visit;
+  },
+
+  /**
+   * Background side: forget every site (the learning period starts over).
+   * @returns {Promise}
+   */
+  clear() {
+    const cleared = this._write.then(() => {
+      this._data = null;
+      return chrome.storage.local.remove(this.STORAGE_KEY);
+    });
+    this._write = cleared.catch(() => {});
+    return cleared;
+  },
+
+  /**
+   * Load the record, creating it on first use. Sites already in the scan
+   * history or on the allowlist start out as seen, and a long scan history
+   * shortens the learning period.
+   */
+  async _load() {
+    if (this._data) return this._data;
+    const result = await chrome.storage.local.get([this.STORAGE_KEY, "scaim_history", "scaim_allowlist"]);
+    if (result[this.STORAGE_KEY]) {
+      this._data = result[this.STORAGE_KEY];
+      return this._data;
+    }
+
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, "0")).join("");
+    const now = Date.now();
+    const data = { salt, startedAt: now, sites: {} };
+    const seed = [
+      ...(result.scaim_history || []).map(entry => [entry.hostname, entry.timestamp]),
+      ...(result.scaim_allowlist || []).map(hostname => [hostname, now])
+    ];
+    for (const [hostname, seen] of seed) {
+      if (!hostname || !seen) continue;
+      const key = await this._hash(salt, PublicSuffix.siteOf(hostname));
+      data.sites[key] = Math.min(data.sites[key] || Infinity, seen);
+      data.startedAt = Math.min(data.startedAt, seen);
+    }
+    this._prune(data);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: data });
+    this._data = data;
+    return data;
+  },
+
+  // Over the cap, forget the sites first seen longest ago
+  _prune(data) {
+    const keys = Object.keys(data.sites);
+    if (keys.length <= this.MAX_SITES) return;
+    keys.sort((a, b) => data.sites[a] - data.sites[b])
+      .slice(0, keys.length - this.MAX_SITES)
+      .forEach(key => delete data.sites[key]);
+  },
+
+  // First 64 bits of SHA-256(salt:site), hex
+  async _hash(salt, site) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(salt + ":" + site));
+    return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, "0")).join("");
+  }
+};
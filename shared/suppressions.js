@@ -0,0 +1,237 @@
+/**
+ * ScAIm Suppression Rules — the user's "this is wrong" answers to findings.
+ * A rule hides one check (by ruleId) or a whole category, either on one
+ * domain and its subdomains or everywhere, or turns a whole detector off on
+ * one domain. ScaimScoring drops matching findings and the score they
+ * carried, and ScaimDetectors.runAll() doesn't run a detector that is turned
+ * off; the rest of the page is still scanned.
+ * Stored in chrome.storage.local under "scaim_suppressions" as
+ *   { id, ruleId, category, detector, detectorName, domain, example, createdAt }
+ * where exactly one of ruleId/category/detector is set and domain is null for
+ * global rules (detector rules always have a domain).
+ * Loaded by content scripts, the popup and the background. Rules are saved
+ * by the background, one change at a time (see _update()); add() and
+ * remove() send the change there.
+ */
+const ScaimSuppressions = {
+  STORAGE_KEY: "scaim_suppressions",
+  _rules: [],
+  _updates: Promise.resolve(), // Queue of pending _update() calls
+
+  /**
+   * (Re)load rules from chrome.storage.local. Called before every scan so
+   * changes made from the popup or another tab apply on the next rerun.
+   * @returns {Promise<Array>}
+   */
+  async load() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.get(this.STORAGE_KEY, (result) => {
+          this._rules = Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+          resolve(this._rules);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(this._rules);
+      }
+    });
+  },
+
+  /**
+   * All rules, newest first.
+   * @returns {Array}
+   */
+  list() {
+    return [...this._rules].sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  hasRules() {
+    return this._rules.length > 0;
+  },
+
+  /**
+   * The first rule that suppresses a finding on a hostname, or null.
+   * @param {{ ruleId?: string, category: string }} finding
+   * @param {string} hostname
+   * @returns {Object|null}
+   */
+  match(finding, hostname) {
+    hostname = (hostname || "").toLowerCase();
+    return this._rules.find(rule =>
+      (rule.detector ? rule.detector === finding.detector
+        : rule.ruleId ? rule.ruleId === finding.ruleId
+        : rule.category === finding.category) &&
+      this._coversHost(rule, hostname)
+    ) || null;
+  },
+
+  /**
+   * The rule that turns a detector off on a hostname, or null.
+   * @param {string} key - Detector registry key
+   * @param {string} hostname
+   * @returns {Object|null}
+   */
+  detectorRule(key, hostname) {
+    hostname = (hostname || "").toLowerCase();
+    return this._rules.find(rule => rule.detector === key && this._coversHost(rule, hostname)) || null;
+  },
+
+  /**
+   * Rules that apply on a hostname (domain rules for it or a parent, plus global ones).
+   * @param {string} hostname
+   * @returns {Array}
+   */
+  forHost(hostname) {
+    hostname = (hostname || "").toLowerCase();
+    return this.list().filter(rule => this._coversHost(rule, hostname));
+  },
+
+  /**
+   * Add a rule for a finding, through the background (see saveRule()).
+   * @param {Object} finding - The finding the user marked as wrong
+   * @param {{ scope: "rule"|"category"|"detector", domain: string|null, detectorName?: string }} options
+   * @returns {Promise<Object|null>} The rule, or null if it wasn't saved
+   */
+  async add(finding, { scope, domain, detectorName }) {
+    const response = await this._send({
+      type: "SCAIM_SUPPRESSION_ADD",
+      finding: { ruleId: finding.ruleId, category: finding.category, detector: finding.detector, message: finding.message },
+      options: { scope, domain, detectorName }
+    });
+    return (response && response.rule) || null;
+  },
+
+  /**
+   * Remove a rule by id, through the background (see deleteRule()).
+   * @param {string} id
+   */
+  async remove(id) {
+    await this._send({ type: "SCAIM_SUPPRESSION_REMOVE", id });
+  },
+
+  _send(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          resolve(chrome.runtime.lastError ? null : response);
+        });
+      } catch (e) {
+        // Extension context may be invalidated
+        resolve(null);
+      }
+    });
+  },
+
+  /**
+   * Save a rule for a finding (in the background). An identical existing
+   * rule is returned instead of adding a duplicate.
+   * @param {Object} finding
+   * @param {{ scope: "rule"|"category"|"detector", domain: string|null, detectorName?: string }} options
+   * @returns {Promise<Object|null>} The rule, or null if the options are invalid
+   */
+  async saveRule(finding, { scope, domain, detectorName }) {
+    const rule = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+      ruleId: scope === "rule" ? finding.ruleId || null : null,
+      category: scope === "category" ? finding.category || null : null,
+      detector: scope === "detector" ? finding.detector || null : null,
+      detectorName: scope === "detector" ? detectorName || finding.detector || null : null,
+      domain: domain ? domain.toLowerCase() : null,
+      example: finding.message ? String(finding.message).slice(0, 200) : "",
+      createdAt: Date.now()
+    };
+    if (!rule.ruleId && !rule.category && !rule.detector) return null;
+    // A detector can only be turned off for a site, never everywhere
+    if (rule.detector && !rule.domain) return null;
+
+    return this._update(() => {
+      const existing = this._rules.find(r =>
+        r.ruleId === rule.ruleId && r.category === rule.category &&
+        (r.detector || null) === rule.detector && r.domain === rule.domain
+      );
+      if (existing) return existing;
+      this._rules.push(rule);
+      return rule;
+    });
+  },
+
+  /**
+   * Delete a rule by id (in the background).
+   * @param {string} id
+   */
+  async deleteRule(id) {
+    return this._update(() => {
+      this._rules = this._rules.filter(rule => rule.id !== id);
+    });
+  },
+
+  /**
+   * Apply one change to the rules: re-read them from storage, make the
+   * change, and store the result. Changes are applied one at a time, so two
+   * tabs adding rules at once can't overwrite each other (see
+   * DomainLists._update()).
+   * @param {Function} change - Edits this._rules; its result is returned
+   * @returns {Promise<*>}
+   */
+  _update(change) {
+    const result = this._updates.then(async () => {
+      await this.load();
+      const value = change();
+      await this._persist();
+      return value;
+    });
+    this._updates = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * The choices offered when the user marks a finding as wrong, narrowest first.
+   * @param {Object} finding
+   * @param {string} hostname - Site the finding was reported on
+   * @param {string} [detectorName] - Display name of the detector that reported it
+   * @returns {Array<{ label: string, scope: string, domain: string|null, detectorName?: string }>}
+   */
+  choicesFor(finding, hostname, detectorName = finding.detector) {
+    const choices = [];
+    if (finding.ruleId) {
+      if (hostname) choices.push({ label: `Hide this check on ${hostname}`, scope: "rule", domain: hostname });
+      choices.push({ label: "Hide this check on every site", scope: "rule", domain: null });
+    }
+    if (finding.category && hostname) {
+      choices.push({ label: `Hide all "${finding.category}" findings on ${hostname}`, scope: "category", domain: hostname });
+    }
+    if (finding.detector && hostname) {
+      choices.push({ label: `Turn off ${detectorName} checks on ${hostname}`, scope: "detector", domain: hostname, detectorName });
+    }
+    return choices;
+  },
+
+  /**
+   * Short human-readable description, e.g. 'Check "crypto.many-wallet-options" on example.com'.
+   * @param {Object} rule
+   * @returns {string}
+   */
+  describe(rule) {
+    const what = rule.detector ? `All ${rule.detectorName || rule.detector} checks`
+      : rule.ruleId ? `Check "${rule.ruleId}"`
+      : `All "${rule.category}" findings`;
+    return what + (rule.domain ? ` on ${rule.domain}` : " on every site");
+  },
+
+  _coversHost(rule, hostname) {
+    return !rule.domain || hostname === rule.domain || hostname.endsWith("." + rule.domain);
+  },
+
+  /**
+   * Persist rules to chrome.storage.local.
+   */
+  async _persist() {
+    return new Promise((resolve) => {
+      try {
+        chrome.storage.local.set({ [this.STORAGE_KEY]: this._rules }, resolve);
+      } catch (e) {
+        resolve();
+      }
+    });
+  }
+};
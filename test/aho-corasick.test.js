@@ -0,0 +1,58 @@
+/**
+ * Unit tests for ScaimAhoCorasick, checked against a plain substring search.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./harness");
+
+function withMatcher(test) {
+  const page = loadScripts(["shared/aho-corasick.js"]);
+  try {
+    test(page.get("ScaimAhoCorasick"));
+  } finally {
+    page.close();
+  }
+}
+
+function naiveSearch(patterns, text) {
+  return patterns.map((pattern, index) => (text.includes(pattern) ? index : -1)).filter(index => index !== -1);
+}
+
+describe("ScaimAhoCorasick", () => {
+  it("finds overlapping patterns and patterns inside others", () => {
+    withMatcher((matcher) => {
+      const automaton = matcher.compile(["he", "she", "his", "hers"]);
+      assert.deepEqual(plain(matcher.search(automaton, "ushers")), [0, 1, 3]);
+      assert.deepEqual(plain(matcher.search(automaton, "ahishers")), [0, 1, 2, 3]);
+      assert.deepEqual(plain(matcher.search(automaton, "xyz")), []);
+    });
+  });
+
+  it("reports each pattern once, in index order", () => {
+    withMatcher((matcher) => {
+      const automaton = matcher.compile(["paypal", "pal", "pal"]);
+      assert.deepEqual(plain(matcher.search(automaton, "paypal-pal-login")), [0, 1, 2]);
+    });
+  });
+
+  it("handles no patterns and empty text", () => {
+    withMatcher((matcher) => {
+      assert.deepEqual(plain(matcher.search(matcher.compile([]), "anything")), []);
+      assert.deepEqual(plain(matcher.search(matcher.compile(["a"]), "")), []);
+    });
+  });
+
+  it("agrees with a plain substring search", () => {
+    withMatcher((matcher) => {
+      const patterns = ["secure-", "login", "-verify", "paypa1", "apple-id", "account", "ccount-up", "in-ver", "a"];
+      const automaton = matcher.compile(patterns);
+      const hosts = [
+        "secure-login-verify.example", "paypa1-account-update.example", "apple-id.account-update.example",
+        "login-verify.example", "example.com", "xn--pple-43d.com", "myaccount-upgrade.example"
+      ];
+      for (const host of hosts) {
+        assert.deepEqual(plain(matcher.search(automaton, host)), naiveSearch(patterns, host), host);
+      }
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Fixture tests for the detectors. Each entry in fixtures/fixtures.json is a
+ * saved page, the URL it is loaded at and what scanning it must produce:
+ *   level    — the ScaimScoring level
+ *   findings — per detector key, categories it must report
+ *   absent   — per detector key, categories it must not report
+ *   clean    — detector keys that must report nothing (true: every detector)
+ *   options  — passed to the harness's scan() (storage, newSite)
+ *   note     — why the case is there, for readers; not checked
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { scan } = require("./harness");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, "fixtures.json"), "utf8"));
+
+function categoriesOf(result) {
+  return [...new Set((result ? result.findings : []).map(finding => finding.category))];
+}
+
+describe("detector fixtures", () => {
+  for (const fixture of cases) {
+    it(`${fixture.file} at ${fixture.url}`, async () => {
+      const html = fs.readFileSync(path.join(FIXTURES, fixture.file), "utf8");
+      const { assessment, results } = await scan(html, fixture.url, fixture.options);
+
+      for (const [key, expected] of Object.entries(fixture.findings || {})) {
+        assert.ok(results[key], `no detector registered as "${key}"`);
+        const found = categoriesOf(results[key]);
+        for (const category of expected) {
+          assert.ok(found.includes(category), `${key} should report "${category}" (reported: ${found.join(", ") || "nothing"})`);
+        }
+      }
+
+      for (const [key, unexpected] of Object.entries(fixture.absent || {})) {
+        const found = categoriesOf(results[key]);
+        for (const category of unexpected) {
+          assert.ok(!found.includes(category), `${key} should not report "${category}"`);
+        }
+      }
+
+      const clean = fixture.clean === true ? Object.keys(results) : fixture.clean || [];
+      for (const key of clean) {
+        assert.deepEqual(categoriesOf(results[key]), [], `${key} should report nothing`);
+      }
+
+      assert.equal(assessment.level, fixture.level, `level (score ${assessment.score})`);
+    });
+  }
+});
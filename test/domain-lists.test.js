@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the user blocklist in DomainLists: the patterns it accepts,
+ * expiry, and which URLs an entry covers.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, plain } = require("./harness");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function withLists(blocklist, test) {
+  const page = loadPage("<p></p>", "https://example.com/", { storage: { scaim_blocklist: blocklist } });
+  try {
+    const lists = page.get("DomainLists");
+    await lists.init();
+    await test(lists);
+  } finally {
+    page.close();
+  }
+}
+
+describe("DomainLists.parseBlockPattern", () => {
+  it("accepts hosts, subdomain wildcards and paths", async () => {
+    await withLists([], (lists) => {
+      assert.deepEqual(plain(lists.parseBlockPattern("Scam.Example.")),
+        { pattern: "scam.example", host: "scam.example", subdomains: false, path: "" });
+      assert.deepEqual(plain(lists.parseBlockPattern("*.scam.example")),
+        { pattern: "*.scam.example", host: "scam.example", subdomains: true, path: "" });
+      assert.deepEqual(plain(lists.parseBlockPattern("legit.example/Login")),
+        { pattern: "legit.example/login", host: "legit.example", subdomains: false, path: "/login" });
+    });
+  });
+
+  it("drops a pasted URL's scheme, query and fragment", async () => {
+    await withLists([], (lists) => {
+      assert.equal(lists.parseBlockPattern("https://legit.example/login?next=/#top").pattern, "legit.example/login");
+      assert.equal(lists.parseBlockPattern("https://scam.example/").pattern, "scam.example");
+    });
+  });
+
+  it("refuses invalid domains and whole shared roots", async () => {
+    await withLists([], (lists) => {
+      assert.ok(lists.parseBlockPattern("not a domain").error);
+      assert.ok(lists.parseBlockPattern("").error);
+
+      const suffix = lists.parseBlockPattern("co.uk");
+      assert.ok(suffix.error);
+      assert.equal(suffix.sharedRoot, true);
+      assert.equal(lists.parseBlockPattern("*.github.io").sharedRoot, true);
+      // A path on a shared root names one site's pages, so it is allowed
+      assert.equal(lists.parseBlockPattern("github.io/scam").pattern, "github.io/scam");
+    });
+  });
+});
+
+describe("DomainLists blocklist expiry", () => {
+  it("keeps only positive expiry dates", async () => {
+    await withLists([], (lists) => {
+      assert.equal(lists.toBlockEntry({ pattern: "scam.example", expiresAt: 0 }).expiresAt, null);
+      assert.equal(lists.toBlockEntry({ pattern: "scam.example", expiresAt: "soon" }).expiresAt, null);
+      assert.equal(lists.toBlockEntry({ pattern: "scam.example", expiresAt: 5 }).expiresAt, 5);
+      assert.equal(lists.toBlockEntry("not a domain"), null);
+    });
+  });
+
+  it("stops matching an entry once it has expired", async () => {
+    const now = Date.now();
+    await withLists([
+      { pattern: "expired.example", expiresAt: now - DAY },
+      { pattern: "current.example", expiresAt: now + DAY }
+    ], (lists) => {
+      assert.equal(lists.isExpired({ expiresAt: now - DAY }, now), true);
+      assert.equal(lists.isExpired({ expiresAt: null }, now), false);
+      assert.equal(lists.isBlocked("expired.example"), null);
+      assert.equal(lists.isBlocked("current.example").source, "user");
+      // Expired entries stay listed so they can be renewed
+      assert.ok(lists.getLists().blocklist.some(entry => entry.pattern === "expired.example"));
+    });
+  });
+});
+
+describe("DomainLists.isBlocked", () => {
+  it("matches a path entry on whole path segments", async () => {
+    await withLists(["legit.example/login"], (lists) => {
+      assert.ok(lists.isBlocked("legit.example", "/login"));
+      assert.ok(lists.isBlocked("legit.example", "/login/reset"));
+      assert.ok(lists.isBlocked("legit.example", "/LOGIN/Reset"));
+      assert.equal(lists.isBlocked("legit.example", "/loginhelp"), null);
+      assert.equal(lists.isBlocked("legit.example", "/login-other"), null);
+      assert.equal(lists.isBlocked("legit.example", "/"), null);
+    });
+  });
+
+  it("treats a trailing slash as the folder only", async () => {
+    await withLists(["legit.example/files/"], (lists) => {
+      assert.ok(lists.isBlocked("legit.example", "/files/"));
+      assert.ok(lists.isBlocked("legit.example", "/files/scam.exe"));
+      assert.equal(lists.isBlocked("legit.example", "/files"), null);
+      assert.equal(lists.isBlocked("legit.example", "/filesharing"), null);
+    });
+  });
+
+  it("covers subdomains only for wildcard entries", async () => {
+    await withLists(["scam.example", "*.wild.example"], (lists) => {
+      assert.ok(lists.isBlocked("scam.example"));
+      assert.equal(lists.isBlocked("www.scam.example"), null);
+      assert.ok(lists.isBlocked("wild.example"));
+      assert.ok(lists.isBlocked("a.b.wild.example"));
+      assert.equal(lists.isBlocked("notwild.example"), null);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * ScAIm Test Harness — loads the extension's content scripts, in manifest
+ * order, into a jsdom window at a chosen URL with a stubbed chrome API, and
+ * scans the page the way the analyzer does:
+ *   ScaimScoring.aggregate(ScaimDetectors.runAll())
+ * after scanning the posts on social media sites (see SocialMediaScanner).
+ * jsdom does no layout and runs none of the page's own scripts, so fixtures
+ * are judged on their markup, text and URL.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { webcrypto } = require("crypto");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "..");
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+const RUN_AT_ORDER = { document_start: 0, document_end: 1, document_idle: 2 };
+
+/**
+ * The content scripts a page gets, in the order the browser runs them.
+ * @returns {string[]} Paths relative to the extension root
+ */
+function contentScripts() {
+  return MANIFEST.content_scripts
+    .slice()
+    .sort((a, b) => RUN_AT_ORDER[a.run_at || "document_idle"] - RUN_AT_ORDER[b.run_at || "document_idle"])
+    .flatMap(entry => entry.js);
+}
+
+/**
+ * A chrome API stand-in: storage.local backed by a plain object, and a
+ * background that answers messages through onMessage(message, hostname).
+ */
+function createChrome(store, onMessage, hostname) {
+  const changeListeners = [];
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...store };
+    const names = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    for (const name of names) {
+      if (name in store) result[name] = store[name];
+      else if (keys && typeof keys === "object" && !Array.isArray(keys)) result[name] = keys[name];
+    }
+    return result;
+  };
+  const settle = (value, callback) => {
+    if (callback) setTimeout(() => callback(value));
+    return Promise.resolve(value);
+  };
+
+  return {
+    runtime: {
+      id: "scaim-test",
+      lastError: null,
+      getURL: (file) => "moz-extension://scaim-test/" + file,
+      getManifest: () => MANIFEST,
+      onMessage: { addListener() {} },
+      sendMessage(message, callback) {
+        const response = onMessage(message, hostname);
+        return settle(response, callback);
+      }
+    },
+    storage: {
+      local: {
+        get: (keys, callback) => settle(pick(keys), callback),
+        set(items, callback) {
+          Object.assign(store, items);
+          const changes = {};
+          for (const key of Object.keys(items)) changes[key] = { newValue: items[key] };
+          changeListeners.forEach(listener => listener(changes, "local"));
+          return settle(undefined, callback);
+        },
+        remove(keys, callback) {
+          [].concat(keys).forEach(key => delete store[key]);
+          return settle(undefined, callback);
+        }
+      },
+      onChanged: { addListener: (listener) => changeListeners.push(listener) }
+    }
+  };
+}
+
+/**
+ * Load a page with the content scripts in it.
+ * @param {string} html
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {boolean} [options.newSite] - Answer the site-history lookup as a first visit
+ * @param {Function} [options.onMessage] - (message, hostname) → response, before the defaults
+ * @returns {{ window: Window, get: (name: string) => *, close: Function }}
+ */
+function loadPage(html, url, options = {}) {
+  return open(html, url, contentScripts(), options);
+}
+
+/**
+ * Load some of the extension's scripts, in the order given, into an empty
+ * page — for unit tests of one module, including those the background or
+ * an extension page loads.
+ * @param {string[]} files - Paths relative to the extension root
+ * @param {Object} [options] - See loadPage(); options.url defaults to https://example.com/
+ * @returns {{ window: Window, get: (name: string) => *, close: Function }}
+ */
+function loadScripts(files, options = {}) {
+  return open("<!DOCTYPE html><html><body></body></html>", options.url || "https://example.com/", files, options);
+}
+
+function open(html, url, files, options) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+  const context = dom.getInternalVMContext();
+  // Each file runs as its own script, so their top-level consts are shared
+  // globals, as they are between a browser's content scripts
+  const run = (code, filename) => new vm.Script(code, { filename }).runInContext(context);
+  const get = (name) => run(name, "harness");
+
+  // jsdom leaves these out; the detectors read innerText, the site history hashes
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+    get() { return this.textContent; },
+    configurable: true
+  });
+  Object.defineProperty(window, "crypto", { value: webcrypto, configurable: true });
+  window.TextEncoder = TextEncoder;
+
+  // The analyzer starts its own scan on load; switched off, only scan() runs
+  const store = { enabled: false, ...options.storage };
+  const answer = (message, hostname) => {
+    const custom = options.onMessage && options.onMessage(message, hostname);
+    if (custom !== undefined) return custom;
+    if (message.type === "SCAIM_SITE_VISIT") {
+      const site = get("PublicSuffix").siteOf(hostname);
+      return { site, firstSeen: Date.now(), learning: !options.newSite };
+    }
+    return undefined;
+  };
+  window.chrome = createChrome(store, answer, new URL(url).hostname);
+
+  for (const file of files) {
+    run(fs.readFileSync(path.join(ROOT, file), "utf8"), file);
+  }
+
+  return { window, get, close: () => window.close() };
+}
+
+/**
+ * Scan a page as the analyzer would once its lists and settings are loaded.
+ * @param {string} html
+ * @param {string} url
+ * @param {Object} [options] - See loadPage()
+ * @returns {Promise<{ assessment: Object, results: Object }>}
+ */
+async function scan(html, url, options = {}) {
+  const page = loadPage(html, url, options);
+  try {
+    await page.get("DomainLists").init();
+    await page.get("ScaimSuppressions").load();
+    await page.get("ScaimBrands").load();
+    await page.get("ScaimSiteHistory").check(page.window.location.hostname);
+
+    // On a social media site, scan its posts first, as SocialMediaScanner.init() would
+    const social = page.get("SocialMediaScanner");
+    social._platform = social._detectPlatform();
+    if (social._platform) {
+      social.scanAllPosts();
+      // Posts are scanned once the background has answered the feed lookup
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const results = page.get("ScaimDetectors").runAll();
+    const assessment = page.get("ScaimScoring").aggregate(results);
+    // Plain copies, so nothing holds on to the closed window
+    return JSON.parse(JSON.stringify({ assessment, results }));
+  } finally {
+    page.close();
+  }
+}
+
+/**
+ * A copy of a value from the page made of this realm's objects and arrays,
+ * for assert.deepStrictEqual (which compares prototypes).
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { ROOT, contentScripts, loadPage, loadScripts, scan, plain };
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for ScaimIDN: punycode decoding (checked against Node's own
+ * decoder) and look-alike brand names.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const url = require("url");
+const { loadScripts } = require("./harness");
+
+function withIDN(test) {
+  const page = loadScripts(["config/confusables.js", "shared/idn.js"]);
+  try {
+    test(page.get("ScaimIDN"));
+  } finally {
+    page.close();
+  }
+}
+
+describe("ScaimIDN._decodePunycode", () => {
+  it("decodes labels as Node's URL parser does", () => {
+    withIDN((idn) => {
+      const hostnames = [
+        "xn--pypal-4ve.com", "xn--bcher-kva.example", "xn--80ak6aa92e.com",
+        "xn--e1afmkfd.xn--p1ai", "xn--wgv71a119e.jp", "xn--pple-43d.com", "xn--mnchen-3ya.de"
+      ];
+      for (const hostname of hostnames) {
+        assert.equal(idn.toUnicode(hostname), url.domainToUnicode(hostname), hostname);
+      }
+    });
+  });
+
+  it("refuses labels that aren't valid punycode", () => {
+    withIDN((idn) => {
+      assert.equal(idn._decodePunycode("bücher-kva"), null);
+      assert.equal(idn._decodePunycode("bcher-kv!"), null);
+      assert.equal(idn._decodePunycode("bcher-k"), null);
+      assert.equal(idn._decodePunycode("99999999999"), null);
+      // Invalid labels are shown as they are
+      assert.equal(idn.toUnicode("xn--bcher-k.example"), "xn--bcher-k.example");
+    });
+  });
+});
+
+describe("ScaimIDN.imitates", () => {
+  it("catches look-alike letters and digit swaps", () => {
+    withIDN((idn) => {
+      assert.equal(idn.imitates("pаypal-login", "paypal"), true);
+      assert.equal(idn.imitates("аpple", "apple"), true);
+      assert.equal(idn.imitates("paypa1", "paypal"), true);
+      assert.equal(idn.imitates("rnicrosoft", "microsoft"), true);
+    });
+  });
+
+  it("ignores names spelled with plain letters", () => {
+    withIDN((idn) => {
+      assert.equal(idn.imitates("paypal", "paypal"), false);
+      assert.equal(idn.imitates("bücher-amazon", "amazon"), false);
+      assert.equal(idn.imitates("example", "paypal"), false);
+      assert.equal(idn.imitates("", "paypal"), false);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for ScaimListFormats: reading list imports, checking them
+ * against the current lists, merging them and writing exports.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { contentScripts, loadScripts, plain } = require("./harness");
+
+// The content scripts bring DomainLists and what it relies on
+function withFormats(test) {
+  const page = loadScripts([...contentScripts(), "lists/list-formats.js"]);
+  try {
+    test(page.get("ScaimListFormats"));
+  } finally {
+    page.close();
+  }
+}
+
+const values = (list) => list.map(entry => entry.value);
+
+describe("ScaimListFormats.detect", () => {
+  it("tells JSON, hosts files and plain lists apart", () => {
+    withFormats((formats) => {
+      assert.equal(formats.detect('  {"format": "scaim-lists"}'), "json");
+      assert.equal(formats.detect('["scam.example"]'), "json");
+      assert.equal(formats.detect("# blocklist\n0.0.0.0 scam.example\n"), "hosts");
+      assert.equal(formats.detect("::1 localhost\n"), "hosts");
+      assert.equal(formats.detect("scam.example\n*.other.example\n"), "text");
+    });
+  });
+});
+
+describe("ScaimListFormats.parse", () => {
+  it("reads both lists of a JSON export, with blocklist details", () => {
+    withFormats((formats) => {
+      const text = JSON.stringify({
+        format: "scaim-lists",
+        version: 2,
+        allowlist: ["bank.example"],
+        blocklist: ["scam.example", { pattern: "*.fake.example", category: "Phishing", note: "from mail" }]
+      });
+      const parsed = plain(formats.parse(text, "json", "blocklist"));
+      assert.deepEqual(parsed.allowlist, [{ value: "bank.example", line: 1 }]);
+      assert.deepEqual(values(parsed.blocklist), ["scam.example", "*.fake.example"]);
+      assert.equal(parsed.blocklist[1].details.category, "Phishing");
+    });
+  });
+
+  it("puts a bare JSON array into the target list", () => {
+    withFormats((formats) => {
+      const parsed = plain(formats.parse('["a.example", "b.example"]', "json", "allowlist"));
+      assert.deepEqual(values(parsed.allowlist), ["a.example", "b.example"]);
+      assert.equal(parsed.blocklist, null);
+    });
+  });
+
+  it("refuses malformed and foreign JSON", () => {
+    withFormats((formats) => {
+      assert.throws(() => formats.parse("{oops", "json", "blocklist"), /not valid JSON/);
+      assert.throws(() => formats.parse('{"format": "other"}', "json", "blocklist"), /Unknown list format/);
+      assert.throws(() => formats.parse('{"version": 2}', "json", "blocklist"), /neither/);
+      assert.throws(() => formats.parse('{"blocklist": "scam.example"}', "json", "blocklist"), /must be an array/);
+    });
+  });
+
+  it("reads hosts files without their stock entries", () => {
+    withFormats((formats) => {
+      const text = "127.0.0.1 localhost\n0.0.0.0 scam.example fake.example # ads\nnot-an-entry.example\n";
+      const parsed = plain(formats.parse(text, "hosts", "blocklist"));
+      assert.deepEqual(parsed.blocklist, [
+        { value: "scam.example", line: 2 },
+        { value: "fake.example", line: 2 },
+        { value: "not-an-entry.example", line: 3 }
+      ]);
+    });
+  });
+
+  it("reads plain lists, skipping # and ! comments", () => {
+    withFormats((formats) => {
+      const parsed = plain(formats.parse("! title\r\nscam.example\n\n# note\nlegit.example/login/\n", "text", "blocklist"));
+      assert.deepEqual(parsed.blocklist, [{ value: "scam.example", line: 2 }, { value: "legit.example/login/", line: 5 }]);
+    });
+  });
+});
+
+describe("ScaimListFormats.normalize", () => {
+  it("strips schemes, paths, wildcards and trailing dots", () => {
+    withFormats((formats) => {
+      assert.equal(formats.normalize(" HTTPS://Bank.Example/login "), "bank.example");
+      assert.equal(formats.normalize("*.bank.example."), "bank.example");
+    });
+  });
+});
+
+describe("ScaimListFormats.buildReport and apply", () => {
+  const current = { allowlist: ["moving.example"], blocklist: [{ pattern: "kept.example", category: "Scam", note: "mine" }] };
+
+  it("reports invalid, shared-root and conflicting entries", () => {
+    withFormats((formats) => {
+      const parsed = {
+        allowlist: [{ value: "both.example", line: 1 }, { value: "github.io", line: 2 }, { value: "new.example", line: 3 }],
+        blocklist: [
+          { value: "both.example", line: 1 },
+          { value: "not a domain", line: 2 },
+          { value: "Moving.Example", line: 3 },
+          { value: "kept.example", line: 4 },
+          { value: "new.example/login", line: 5 }
+        ]
+      };
+      const report = plain(formats.buildReport(parsed, current));
+      assert.deepEqual(report.add, { allowlist: ["new.example"], blocklist: ["moving.example", "new.example/login"] });
+      assert.deepEqual(report.invalid, [{ list: "blocklist", value: "not a domain", line: 2 }]);
+      assert.deepEqual(report.rejected.map(entry => entry.value), ["github.io"]);
+      assert.equal(report.unchanged, 1);
+      assert.deepEqual(report.conflicts.map(conflict => conflict.value), ["both.example", "moving.example"]);
+    });
+  });
+
+  it("merges into the current lists, moving domains between them", () => {
+    withFormats((formats) => {
+      const parsed = { allowlist: null, blocklist: [{ value: "moving.example", line: 1, details: { category: "Phishing" } }] };
+      const lists = plain(formats.apply(formats.buildReport(parsed, current), parsed, current, false));
+      assert.deepEqual(lists.allowlist, []);
+      assert.deepEqual(lists.blocklist.map(entry => [entry.pattern, entry.category]),
+        [["kept.example", "Scam"], ["moving.example", "Phishing"]]);
+    });
+  });
+
+  it("replaces only the lists an import includes", () => {
+    withFormats((formats) => {
+      const parsed = { allowlist: null, blocklist: [{ value: "other.example", line: 1 }] };
+      const lists = plain(formats.apply(formats.buildReport(parsed, current), parsed, current, true));
+      assert.deepEqual(lists.allowlist, ["moving.example"]);
+      assert.deepEqual(lists.blocklist.map(entry => entry.pattern), ["other.example"]);
+    });
+  });
+});
+
+describe("ScaimListFormats.serialize", () => {
+  const lists = { allowlist: ["bank.example"], blocklist: [{ pattern: "scam.example" }, { pattern: "*.fake.example" }] };
+
+  it("writes JSON exports that read back in", () => {
+    withFormats((formats) => {
+      const parsed = plain(formats.parse(formats.serialize(lists, "json"), "json", "blocklist"));
+      assert.deepEqual(values(parsed.allowlist), ["bank.example"]);
+      assert.deepEqual(values(parsed.blocklist), ["scam.example", "*.fake.example"]);
+    });
+  });
+
+  it("leaves wildcard and path entries out of hosts files", () => {
+    withFormats((formats) => {
+      const text = formats.serialize(lists, "hosts", "blocklist");
+      assert.match(text, /^0\.0\.0\.0 scam\.example$/m);
+      assert.doesNotMatch(text, /fake\.example\n/);
+      assert.match(text, /1 wildcard or path entries left out/);
+      assert.match(formats.serialize(lists, "text", "blocklist"), /^\*\.fake\.example$/m);
+    });
+  });
+});
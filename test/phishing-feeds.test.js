@@ -0,0 +1,133 @@
+/**
+ * Unit tests for imported phishing feeds: ScaimBloomFilter, and how
+ * ScaimFeeds reads feed files, turns entries into keys and matches URLs.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./harness");
+
+const FEED_SCRIPTS = ["config/public-suffix-list.js", "shared/public-suffix.js", "shared/bloom-filter.js", "shared/phishing-feeds.js"];
+
+async function withFeeds(test) {
+  const page = loadScripts(FEED_SCRIPTS);
+  try {
+    await test(page.get("ScaimFeeds"), page.get("ScaimBloomFilter"));
+  } finally {
+    page.close();
+  }
+}
+
+describe("ScaimBloomFilter", () => {
+  it("finds every key added, before and after serializing", async () => {
+    await withFeeds((feeds, bloom) => {
+      const keys = Array.from({ length: 2000 }, (_, i) => `u:phish${i}.example/login`);
+      const filter = bloom.create(keys.length, 1e-6);
+      keys.forEach(key => bloom.add(filter, key));
+      const copy = bloom.deserialize(bloom.serialize(filter));
+      assert.equal(typeof bloom.serialize(filter).bits, "string");
+      for (const key of keys) {
+        assert.ok(bloom.has(filter, key), key);
+        assert.ok(bloom.has(copy, key), key);
+      }
+    });
+  });
+
+  it("keeps false positives near the rate it was sized for", async () => {
+    await withFeeds((feeds, bloom) => {
+      const filter = bloom.create(1000, 0.01);
+      for (let i = 0; i < 1000; i++) bloom.add(filter, "h:listed" + i + ".example");
+      let falsePositives = 0;
+      for (let i = 0; i < 10000; i++) {
+        if (bloom.has(filter, "h:other" + i + ".example")) falsePositives++;
+      }
+      assert.ok(falsePositives < 300, `${falsePositives} false positives in 10000`);
+    });
+  });
+});
+
+describe("ScaimFeeds.toKey", () => {
+  it("lists a bare hostname as the whole host", async () => {
+    await withFeeds((feeds) => {
+      assert.equal(feeds.toKey("Evil.Example"), "h:evil.example");
+      assert.equal(feeds.toKey("www.evil.example."), "h:evil.example");
+    });
+  });
+
+  it("lists a URL as that page alone, query included", async () => {
+    await withFeeds((feeds) => {
+      assert.equal(feeds.toKey("https://www.shared.example/Login/?id=1"), "u:shared.example/login?id=1");
+      assert.equal(feeds.toKey("http://evil.example/"), "u:evil.example");
+      assert.equal(feeds.toKey("shared.example/x"), "u:shared.example/x");
+    });
+  });
+
+  it("skips values that aren't http(s) URLs or dotted hostnames", async () => {
+    await withFeeds((feeds) => {
+      assert.equal(feeds.toKey(""), null);
+      assert.equal(feeds.toKey("localhost"), null);
+      assert.equal(feeds.toKey("ftp://evil.example/file"), null);
+      assert.equal(feeds.toKey("not a url"), null);
+    });
+  });
+});
+
+describe("ScaimFeeds.parse", () => {
+  it("reads JSON arrays of strings or of objects with a url field", async () => {
+    await withFeeds((feeds) => {
+      assert.deepEqual(plain(feeds.parse('["a.example", "https://b.example/x"]')),
+        { format: "json", values: ["a.example", "https://b.example/x"] });
+      assert.deepEqual(plain(feeds.parse('{"data": [{"phish_id": 1, "URL": "https://c.example/"}, {"other": 2}]}')),
+        { format: "json", values: ["https://c.example/"] });
+      assert.throws(() => feeds.parse("{broken", "feed.json"), /not valid JSON/);
+      assert.throws(() => feeds.parse('{"count": 3}'), /Expected an array/);
+    });
+  });
+
+  it("reads the url column of a CSV export, quoted cells included", async () => {
+    await withFeeds((feeds) => {
+      const csv = 'phish_id,url,verified\n1,"https://d.example/a,b",yes\n2,https://e.example/,no\n';
+      assert.deepEqual(plain(feeds.parse(csv)), { format: "csv", values: ["https://d.example/a,b", "https://e.example/"] });
+    });
+  });
+
+  it("reads plain lists and hosts files, skipping comments", async () => {
+    await withFeeds((feeds) => {
+      const text = "# OpenPhish\nhttps://f.example/login\n\n0.0.0.0 g.example # blocked\r\n";
+      assert.deepEqual(plain(feeds.parse(text)), { format: "text", values: ["https://f.example/login", "g.example"] });
+    });
+  });
+});
+
+describe("ScaimFeeds.match", () => {
+  it("matches listed hosts with their subdomains, and listed pages with any query", async () => {
+    await withFeeds(async (feeds) => {
+      const { feed, skipped } = await feeds.saveFeed({
+        name: "Test feed",
+        version: "2024-05-01",
+        values: ["evil.example", "https://shared.example/scam", "https://shared.example/page?id=1", "nonsense"]
+      });
+      assert.equal(feed.count, 3);
+      assert.equal(skipped, 1);
+      await feeds.loadFilters();
+
+      assert.equal(feeds.match("https://login.evil.example/anything").name, "Test feed");
+      assert.ok(feeds.match("https://www.shared.example/Scam/"));
+      assert.ok(feeds.match("https://shared.example/scam?ref=mail"));
+      assert.ok(feeds.match("https://shared.example/page?id=1"));
+      assert.equal(feeds.match("https://shared.example/page?id=2"), null);
+      assert.equal(feeds.match("https://shared.example/"), null);
+      assert.equal(feeds.match("https://notevil.example/"), null);
+      assert.equal(feeds.match("ftp://evil.example/"), null);
+    });
+  });
+
+  it("keeps the filters out of the stored feed details", async () => {
+    await withFeeds(async (feeds) => {
+      await feeds.saveFeed({ name: "Test feed", values: ["evil.example"] });
+      await feeds.reload();
+      const [stored] = plain(feeds._feeds);
+      assert.equal("filter" in stored, false);
+      assert.deepEqual(Object.keys(plain(feeds.list()[0])), ["id", "name", "version", "count", "importedAt"]);
+    });
+  });
+});
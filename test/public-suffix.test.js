@@ -0,0 +1,68 @@
+/**
+ * Unit tests for PublicSuffix: registrable domains against the bundled
+ * Public Suffix List, including its wildcard, exception and private rules.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./harness");
+
+function withSuffixes(test) {
+  const page = loadScripts(["config/public-suffix-list.js", "shared/public-suffix.js"]);
+  try {
+    test(page.get("PublicSuffix"));
+  } finally {
+    page.close();
+  }
+}
+
+describe("PublicSuffix", () => {
+  it("finds the registrable domain under multi-label suffixes", () => {
+    withSuffixes((suffixes) => {
+      assert.deepEqual(plain(suffixes.parse("Shop.Amazon.co.uk.")),
+        { suffix: "co.uk", domain: "amazon.co.uk", subdomain: "shop", isPrivate: false });
+      assert.equal(suffixes.getDomain("paypal.co.uk.evil.com"), "evil.com");
+      assert.equal(suffixes.getDomainLabel("shop.amazon.co.uk"), "amazon");
+      assert.equal(suffixes.getPublicSuffix("shop.amazon.co.uk"), "co.uk");
+    });
+  });
+
+  it("applies wildcard rules and their exceptions", () => {
+    withSuffixes((suffixes) => {
+      assert.equal(suffixes.getDomain("shop.example.ck"), "shop.example.ck");
+      assert.equal(suffixes.getDomain("www.ck"), "www.ck");
+      assert.equal(suffixes.getDomain("a.b.kawasaki.jp"), "a.b.kawasaki.jp");
+      assert.equal(suffixes.getDomain("city.kawasaki.jp"), "city.kawasaki.jp");
+      assert.equal(suffixes.isPublicSuffix("example.ck"), true);
+    });
+  });
+
+  it("keeps sites on shared hosting apart, unless icannOnly", () => {
+    withSuffixes((suffixes) => {
+      const parsed = suffixes.parse("paypal.github.io");
+      assert.equal(parsed.domain, "paypal.github.io");
+      assert.equal(parsed.isPrivate, true);
+      assert.equal(suffixes.getDomain("paypal.github.io", { icannOnly: true }), "github.io");
+      assert.equal(suffixes.isSameSite("a.github.io", "b.github.io"), false);
+      assert.equal(suffixes.isSameSite("login.example.co.uk", "cdn.example.co.uk"), true);
+    });
+  });
+
+  it("falls back to the last label for unknown TLDs", () => {
+    withSuffixes((suffixes) => {
+      assert.equal(suffixes.getDomain("www.example.notatld"), "example.notatld");
+    });
+  });
+
+  it("has no domain for suffixes, IPs and malformed hostnames", () => {
+    withSuffixes((suffixes) => {
+      assert.equal(suffixes.getDomain("co.uk"), null);
+      assert.equal(suffixes.isPublicSuffix("github.io"), true);
+      assert.equal(suffixes.parse("192.168.0.1"), null);
+      assert.equal(suffixes.parse("[::1]"), null);
+      assert.equal(suffixes.parse("a..example.com"), null);
+      assert.equal(suffixes.parse(""), null);
+      assert.equal(suffixes.siteOf("192.168.0.1"), "192.168.0.1");
+      assert.equal(suffixes.getDomainLabel("co.uk"), "co.uk");
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for ScaimSuppressions: which findings and detectors a rule
+ * covers, and the choices and descriptions the banner and popup show.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./harness");
+
+const FINDING = {
+  ruleId: "crypto.many-wallet-options",
+  category: "Crypto Scam",
+  detector: "crypto",
+  message: "Offers many wallet options"
+};
+
+async function withRules(test) {
+  const page = loadScripts(["shared/suppressions.js"]);
+  try {
+    await test(page.get("ScaimSuppressions"));
+  } finally {
+    page.close();
+  }
+}
+
+describe("ScaimSuppressions.match", () => {
+  it("covers a domain and its subdomains, or every site", async () => {
+    await withRules(async (rules) => {
+      await rules.saveRule(FINDING, { scope: "rule", domain: "Example.com" });
+      assert.ok(rules.match(FINDING, "example.com"));
+      assert.ok(rules.match(FINDING, "shop.EXAMPLE.com"));
+      assert.equal(rules.match(FINDING, "notexample.com"), null);
+
+      await rules.saveRule(FINDING, { scope: "rule", domain: null });
+      assert.ok(rules.match(FINDING, "notexample.com"));
+    });
+  });
+
+  it("matches by check, by category or by detector", async () => {
+    await withRules(async (rules) => {
+      await rules.saveRule(FINDING, { scope: "rule", domain: "a.example" });
+      await rules.saveRule(FINDING, { scope: "category", domain: "b.example" });
+      await rules.saveRule(FINDING, { scope: "detector", domain: "c.example", detectorName: "Crypto Scam Detector" });
+      const other = { ruleId: "crypto.other", category: "Crypto Scam", detector: "crypto" };
+
+      assert.equal(rules.match(other, "a.example"), null);
+      assert.ok(rules.match(other, "b.example"));
+      assert.ok(rules.match(other, "c.example"));
+      assert.equal(rules.match({ ...other, detector: "urgency" }, "c.example"), null);
+
+      assert.equal(rules.detectorRule("crypto", "www.c.example").detectorName, "Crypto Scam Detector");
+      assert.equal(rules.detectorRule("crypto", "a.example"), null);
+    });
+  });
+
+  it("lists the rules that apply on a host", async () => {
+    await withRules(async (rules) => {
+      await rules.saveRule(FINDING, { scope: "rule", domain: "example.com" });
+      await rules.saveRule(FINDING, { scope: "category", domain: null });
+      await rules.saveRule(FINDING, { scope: "category", domain: "other.example" });
+      assert.deepEqual(plain(rules.forHost("www.example.com")).map(rule => rules.describe(rule)).sort(), [
+        "All \"Crypto Scam\" findings on every site",
+        "Check \"crypto.many-wallet-options\" on example.com"
+      ]);
+    });
+  });
+});
+
+describe("ScaimSuppressions.saveRule", () => {
+  it("returns an identical rule instead of adding it twice", async () => {
+    await withRules(async (rules) => {
+      const [first, second] = await Promise.all([
+        rules.saveRule(FINDING, { scope: "rule", domain: "example.com" }),
+        rules.saveRule(FINDING, { scope: "rule", domain: "example.com" })
+      ]);
+      assert.equal(first.id, second.id);
+      assert.equal(rules.list().length, 1);
+    });
+  });
+
+  it("refuses rules that cover nothing or turn a detector off everywhere", async () => {
+    await withRules(async (rules) => {
+      assert.equal(await rules.saveRule({ category: "Crypto Scam" }, { scope: "rule", domain: null }), null);
+      assert.equal(await rules.saveRule(FINDING, { scope: "detector", domain: null }), null);
+      assert.equal(rules.hasRules(), false);
+    });
+  });
+
+  it("deletes rules by id", async () => {
+    await withRules(async (rules) => {
+      const rule = await rules.saveRule(FINDING, { scope: "rule", domain: null });
+      await rules.deleteRule(rule.id);
+      assert.equal(rules.match(FINDING, "example.com"), null);
+    });
+  });
+});
+
+describe("ScaimSuppressions.choicesFor", () => {
+  it("offers the narrowest choices first", async () => {
+    await withRules((rules) => {
+      assert.deepEqual(plain(rules.choicesFor(FINDING, "example.com", "Crypto Scam Detector")).map(choice => [choice.scope, choice.domain]), [
+        ["rule", "example.com"],
+        ["rule", null],
+        ["category", "example.com"],
+        ["detector", "example.com"]
+      ]);
+    });
+  });
+
+  it("offers only the global check without a hostname", async () => {
+    await withRules((rules) => {
+      assert.deepEqual(plain(rules.choicesFor(FINDING, "")).map(choice => choice.label), ["Hide this check on every site"]);
+    });
+  });
+});